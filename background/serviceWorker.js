@@ -3,6 +3,18 @@
  * Handles extension lifecycle, message passing, and coordination
  */
 
+// Portal registry and StorageManager for the application history
+importScripts('../utils/portalRegistry.js', '../utils/detectionConfig.js', '../utils/storage.js');
+
+// Submissions waiting for a confirmation page, by tab ID (chrome.storage.session survives worker restarts)
+const PENDING_SUBMISSIONS_KEY = 'pendingSubmissions';
+const SUBMISSION_CONFIRM_WINDOW_MS = 30 * 60 * 1000; // Stop waiting for a confirmation page after 30 minutes
+const CONFIRMATION_TEXT_LIMIT = 20000; // Characters of page text checked for confirmation phrases
+
+const historyStore = new StorageManager();
+let historyStoreReady = null;
+let historyQueue = Promise.resolve(); // Serializes read-modify-write updates of the history
+
 // Extension lifecycle events
 chrome.runtime.onInstalled.addListener(handleInstall);
 chrome.runtime.onStartup.addListener(handleStartup);
@@ -12,6 +24,7 @@ chrome.runtime.onMessage.addListener(handleMessage);
 
 // Tab events for content script injection
 chrome.tabs.onUpdated.addListener(handleTabUpdate);
+chrome.tabs.onRemoved.addListener(tabId => clearPendingSubmission(tabId));
 
 /**
  * Handle extension installation
@@ -68,7 +81,13 @@ async function initializeDefaultSettings() {
       'indeed.com',
       'glassdoor.com',
       'monster.com',
-      'ziprecruiter.com'
+      'ziprecruiter.com',
+      'greenhouse.io',
+      'lever.co',
+      'ashbyhq.com',
+      'smartrecruiters.com',
+      'icims.com',
+      'taleo.net'
     ],
     fieldMappings: {
       name: ['name', 'full-name', 'fullname', 'applicant-name'],
@@ -121,6 +140,14 @@ function handleMessage(message, sender, sendResponse) {
       handleFillSuccessReport(message, sender, sendResponse);
       break;
       
+    case 'recordApplication':
+      handleRecordApplication(message, sender, sendResponse);
+      break;
+      
+    case 'confirmApplication':
+      handleConfirmApplication(message, sender, sendResponse);
+      break;
+      
     default:
       console.warn('Unknown message action:', message.action);
       sendResponse({ success: false, error: 'Unknown action' });
@@ -262,6 +289,187 @@ async function handleFillSuccessReport(message, sender, sendResponse) {
   }
 }
 
+/**
+ * Run a history update after the previous one finished
+ * @param {Function} task - Async function receiving the initialized StorageManager
+ * @returns {Promise} Result of the task
+ */
+function queueHistoryUpdate(task) {
+  historyStoreReady = historyStoreReady || historyStore.initialize();
+  const run = historyQueue.then(() => historyStoreReady).then(() => task(historyStore));
+  historyQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Handle a submitted application reported by the content script
+ * The record stays pending for the tab until a confirmation page is seen.
+ * @param {Object} message - Message containing the application record
+ * @param {Object} sender - Message sender info
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleRecordApplication(message, sender, sendResponse) {
+  try {
+    const record = await queueHistoryUpdate(store => store.addApplicationRecord(message.record));
+    
+    if (sender.tab?.id !== undefined && record.status !== 'confirmed') {
+      await setPendingSubmission(sender.tab.id, { recordId: record.id, submittedAt: record.submittedAt });
+    }
+    
+    console.log(`Application recorded: ${record.jobTitle || record.url}`);
+    sendResponse({ success: true, id: record.id });
+  } catch (error) {
+    console.error('Error recording application:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle a confirmation page seen by the content script (single-page portals)
+ * @param {Object} message - Message containing the confirmation URL
+ * @param {Object} sender - Message sender info
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleConfirmApplication(message, sender, sendResponse) {
+  try {
+    const confirmed = sender.tab?.id !== undefined &&
+      await confirmPendingSubmission(sender.tab.id, message.url || sender.tab.url, 'confirmation-page');
+    sendResponse({ success: true, confirmed: !!confirmed });
+  } catch (error) {
+    console.error('Error confirming application:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Confirm a tab's pending submission when the loaded page is a confirmation page
+ * Checks the portal's URL patterns first, then the page text on sites the extension may script.
+ * @param {number} tabId - Tab ID
+ * @param {string} url - Loaded URL
+ */
+async function checkPendingSubmission(tabId, url) {
+  const pending = await getPendingSubmission(tabId);
+  if (!pending) return;
+  
+  if (Date.now() - pending.submittedAt > SUBMISSION_CONFIRM_WINDOW_MS) {
+    await clearPendingSubmission(tabId);
+    return;
+  }
+  
+  const portal = await findPortalForUrl(url);
+  if (portalRegistry.matchesSubmissionConfirmation(portal, url)) {
+    await confirmPendingSubmission(tabId, url, 'confirmation-url');
+    return;
+  }
+  
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: limit => (document.body?.innerText || '').slice(0, limit),
+      args: [CONFIRMATION_TEXT_LIMIT]
+    });
+    if (portalRegistry.matchesSubmissionConfirmation(portal, url, injection?.result || '')) {
+      await confirmPendingSubmission(tabId, url, 'confirmation-page');
+    }
+  } catch (error) {
+    // No host permission for this page; the content script reports confirmations it sees
+  }
+}
+
+/**
+ * Mark a tab's pending submission as confirmed
+ * @param {number} tabId - Tab ID
+ * @param {string} url - Confirmation page URL
+ * @param {string} confirmedBy - 'confirmation-url' or 'confirmation-page'
+ * @returns {Object|null} Updated record, or null when nothing was pending
+ */
+async function confirmPendingSubmission(tabId, url, confirmedBy) {
+  const pending = await getPendingSubmission(tabId);
+  if (!pending) return null;
+  
+  await clearPendingSubmission(tabId);
+  const record = await queueHistoryUpdate(store => store.updateApplicationRecord(pending.recordId, {
+    status: 'confirmed',
+    confirmedAt: Date.now(),
+    confirmationUrl: url,
+    confirmedBy: confirmedBy
+  }));
+  
+  if (record) {
+    console.log(`Application confirmed: ${record.jobTitle || record.url}`);
+  }
+  return record;
+}
+
+/**
+ * Find the enabled portal config for a URL
+ * @param {string} url - Page URL
+ * @returns {Object|null} Portal config, or null for unknown sites
+ */
+async function findPortalForUrl(url) {
+  try {
+    const { hostname } = new URL(url);
+    const registry = await historyStore.getPortalRegistry();
+    const portal = Object.values(registry.portals)
+      .filter(entry => entry.enabled && portalRegistry.matchesPortalDomain(hostname, entry.domains))
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0))[0];
+    return portal ? portalRegistry.toPortalConfig(portal) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Storage area for pending submissions (session storage when available)
+ * @returns {Object} chrome.storage area
+ */
+function getPendingSubmissionStorage() {
+  return chrome.storage.session || chrome.storage.local;
+}
+
+/**
+ * @param {number} tabId - Tab ID
+ * @returns {Object|null} { recordId, submittedAt } or null
+ */
+async function getPendingSubmission(tabId) {
+  try {
+    const result = await getPendingSubmissionStorage().get(PENDING_SUBMISSIONS_KEY);
+    return (result[PENDING_SUBMISSIONS_KEY] || {})[tabId] || null;
+  } catch (error) {
+    console.error('Error reading pending submissions:', error);
+    return null;
+  }
+}
+
+/**
+ * @param {number} tabId - Tab ID
+ * @param {Object} pending - { recordId, submittedAt }
+ */
+async function setPendingSubmission(tabId, pending) {
+  const storage = getPendingSubmissionStorage();
+  const result = await storage.get(PENDING_SUBMISSIONS_KEY);
+  await storage.set({
+    [PENDING_SUBMISSIONS_KEY]: { ...(result[PENDING_SUBMISSIONS_KEY] || {}), [tabId]: pending }
+  });
+}
+
+/**
+ * @param {number} tabId - Tab ID
+ */
+async function clearPendingSubmission(tabId) {
+  try {
+    const storage = getPendingSubmissionStorage();
+    const result = await storage.get(PENDING_SUBMISSIONS_KEY);
+    const pending = result[PENDING_SUBMISSIONS_KEY] || {};
+    if (!(tabId in pending)) return;
+    
+    delete pending[tabId];
+    await storage.set({ [PENDING_SUBMISSIONS_KEY]: pending });
+  } catch (error) {
+    console.error('Error clearing pending submission:', error);
+  }
+}
+
 /**
  * Handle tab updates for content script injection
  * @param {number} tabId - Tab ID
@@ -275,6 +483,9 @@ async function handleTabUpdate(tabId, changeInfo, tab) {
   }
   
   try {
+    // A submitted application may have navigated to the portal's confirmation page
+    await checkPendingSubmission(tabId, tab.url);
+    
     // Check if this is a supported job portal
     const isJobPortal = await checkIfJobPortal(tab.url);
     
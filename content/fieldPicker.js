@@ -0,0 +1,321 @@
+/**
+ * Field Picker - Click-to-map manual field assignment
+ * Overlays the page so the user can click any form field and assign it a profile field.
+ * Saved rules are stored per site and applied by masterDetector on future visits.
+ */
+
+console.log('Field Picker: Loading...');
+
+// Prevent multiple initialization
+if (window.fieldPickerLoaded) {
+  console.log('Field Picker already loaded');
+} else {
+  window.fieldPickerLoaded = true;
+  console.log('Field Picker: First load');
+
+// ============================================================================
+// PICKER STATE
+// ============================================================================
+
+const PICKER_FORM_SELECTOR = 'input, select, textarea';
+
+let pickerActive = false;
+let pickerHost = null;       // Shadow host isolating picker UI from page styles
+let pickerRoot = null;
+let pickerCategories = [];
+let hoveredElement = null;
+let hoveredOutline = null;
+let selectedElement = null;
+
+const PICKER_STYLES = `
+  :host { all: initial; }
+  .picker-banner {
+    position: fixed; top: 12px; left: 50%; transform: translateX(-50%);
+    z-index: 2147483647; display: flex; align-items: center; gap: 12px;
+    background: #1b1a1a; color: #ffffff; border: 1px solid #ffe600; border-radius: 6px;
+    padding: 8px 14px; font: 13px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+  }
+  .picker-panel {
+    position: absolute; z-index: 2147483647; width: 260px;
+    background: #1b1a1a; color: #ffffff; border: 1px solid #333333; border-radius: 6px;
+    padding: 12px; font: 13px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+  }
+  .picker-panel--hidden, .picker-panel__row--hidden { display: none; }
+  .picker-panel__label { display: block; color: #cccccc; font-size: 12px; margin-bottom: 4px; }
+  .picker-panel__target { color: #ffe600; margin-bottom: 8px; word-break: break-word; }
+  .picker-panel__row { margin-bottom: 8px; }
+  .picker-panel__input {
+    width: 100%; box-sizing: border-box; padding: 6px 8px;
+    background: #2a2929; color: #ffffff; border: 1px solid #333333; border-radius: 4px; font: inherit;
+  }
+  .picker-panel__actions { display: flex; gap: 8px; justify-content: flex-end; }
+  .picker-btn {
+    border: 1px solid #333333; border-radius: 4px; padding: 4px 10px; cursor: pointer;
+    background: transparent; color: #ffffff; font: inherit;
+  }
+  .picker-btn--primary { background: #ffe600; border-color: #ffe600; color: #1b1a1a; }
+  .picker-status { color: #44ff44; }
+`;
+
+// ============================================================================
+// PICKER LIFECYCLE
+// ============================================================================
+
+/**
+ * Start picker mode on this page
+ * @param {Object} options - Picker options
+ * @param {Array<{value: string, group: string}>} options.categories - Mappable profile fields
+ */
+function startFieldPicker({ categories = [] } = {}) {
+  if (pickerActive) return;
+
+  pickerActive = true;
+  pickerCategories = categories;
+  createPickerUi();
+
+  document.addEventListener('mouseover', handlePickerHover, true);
+  document.addEventListener('click', handlePickerClick, true);
+  document.addEventListener('keydown', handlePickerKeydown, true);
+
+  console.log('Field Picker: Started');
+}
+
+/**
+ * Stop picker mode and remove all picker UI
+ */
+function stopFieldPicker() {
+  if (!pickerActive) return;
+
+  pickerActive = false;
+  clearHover();
+  selectedElement = null;
+
+  document.removeEventListener('mouseover', handlePickerHover, true);
+  document.removeEventListener('click', handlePickerClick, true);
+  document.removeEventListener('keydown', handlePickerKeydown, true);
+
+  pickerHost?.remove();
+  pickerHost = null;
+  pickerRoot = null;
+
+  console.log('Field Picker: Stopped');
+}
+
+/**
+ * Build banner and mapping panel inside a shadow root
+ */
+function createPickerUi() {
+  pickerHost = document.createElement('div');
+  pickerHost.setAttribute('data-autofill-picker', 'true');
+  pickerRoot = pickerHost.attachShadow({ mode: 'open' });
+
+  const groups = pickerCategories.reduce((acc, category) => {
+    (acc[category.group] = acc[category.group] || []).push(category.value);
+    return acc;
+  }, {});
+  const optionGroups = Object.entries(groups).map(([group, values]) => `
+    <optgroup label="${group}">
+      ${values.map(value => `<option value="${value}">${value}</option>`).join('')}
+    </optgroup>`).join('');
+
+  pickerRoot.innerHTML = `
+    <style>${PICKER_STYLES}</style>
+    <div class="picker-banner">
+      <span>🎯 Click a form field to map it</span>
+      <span class="picker-status" id="pickerStatus"></span>
+      <button class="picker-btn" id="pickerDone" type="button">Done (Esc)</button>
+    </div>
+    <div class="picker-panel picker-panel--hidden" id="pickerPanel">
+      <div class="picker-panel__target" id="pickerTarget"></div>
+      <div class="picker-panel__row">
+        <label class="picker-panel__label" for="pickerCategory">Profile field</label>
+        <select class="picker-panel__input" id="pickerCategory">
+          ${optionGroups}
+          <optgroup label="Custom">
+            <option value="custom">Custom value…</option>
+          </optgroup>
+        </select>
+      </div>
+      <div class="picker-panel__row picker-panel__row--hidden" id="pickerCardRow">
+        <label class="picker-panel__label" for="pickerCardIndex">Entry # in your profile (1 = first)</label>
+        <input class="picker-panel__input" id="pickerCardIndex" type="number" min="1" value="1">
+      </div>
+      <div class="picker-panel__row picker-panel__row--hidden" id="pickerCustomRow">
+        <label class="picker-panel__label" for="pickerCustomValue">Value to fill</label>
+        <input class="picker-panel__input" id="pickerCustomValue" type="text">
+      </div>
+      <div class="picker-panel__actions">
+        <button class="picker-btn" id="pickerCancel" type="button">Cancel</button>
+        <button class="picker-btn picker-btn--primary" id="pickerSave" type="button">Save mapping</button>
+      </div>
+    </div>
+  `;
+
+  pickerRoot.getElementById('pickerDone').addEventListener('click', stopFieldPicker);
+  pickerRoot.getElementById('pickerCancel').addEventListener('click', hideMappingPanel);
+  pickerRoot.getElementById('pickerSave').addEventListener('click', handleSaveMapping);
+  pickerRoot.getElementById('pickerCategory').addEventListener('change', updatePanelRows);
+
+  document.documentElement.appendChild(pickerHost);
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Resolve the real event target, looking through open shadow roots
+ * @param {Event} event - DOM event
+ * @returns {Element|null} Form element under the pointer, if any
+ */
+function getPickableTarget(event) {
+  const target = event.composedPath()[0];
+  if (!target || !target.matches || pickerHost?.contains(target) || event.composedPath().includes(pickerHost)) {
+    return null;
+  }
+  return target.matches(PICKER_FORM_SELECTOR) ? target : null;
+}
+
+function handlePickerHover(event) {
+  const target = getPickableTarget(event);
+  if (!target || target === hoveredElement) return;
+
+  clearHover();
+  hoveredElement = target;
+  hoveredOutline = target.style.outline;
+  target.style.outline = '2px dashed #ffe600';
+}
+
+function handlePickerClick(event) {
+  if (event.composedPath().includes(pickerHost)) return;
+
+  const target = getPickableTarget(event);
+  if (!target) return;
+
+  // Keep the page from reacting (focus handlers, custom dropdowns, submit)
+  event.preventDefault();
+  event.stopPropagation();
+
+  selectedElement = target;
+  showMappingPanel(target);
+}
+
+function handlePickerKeydown(event) {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    stopFieldPicker();
+  }
+}
+
+function clearHover() {
+  if (hoveredElement) {
+    hoveredElement.style.outline = hoveredOutline || '';
+  }
+  hoveredElement = null;
+  hoveredOutline = null;
+}
+
+// ============================================================================
+// MAPPING PANEL
+// ============================================================================
+
+/**
+ * Show the mapping panel next to the clicked field
+ * @param {Element} element - Selected form element
+ */
+function showMappingPanel(element) {
+  const panel = pickerRoot.getElementById('pickerPanel');
+  const label = window.masterDetector?.findAssociatedLabel(element) || element.name || element.id || element.tagName.toLowerCase();
+  pickerRoot.getElementById('pickerTarget').textContent = `Field: ${label}`;
+
+  const rect = element.getBoundingClientRect();
+  panel.style.top = `${window.scrollY + rect.bottom + 6}px`;
+  panel.style.left = `${window.scrollX + rect.left}px`;
+  panel.classList.remove('picker-panel--hidden');
+
+  updatePanelRows();
+}
+
+function hideMappingPanel() {
+  pickerRoot?.getElementById('pickerPanel').classList.add('picker-panel--hidden');
+  selectedElement = null;
+}
+
+/**
+ * Show the card index or custom value inputs only when relevant
+ */
+function updatePanelRows() {
+  const category = pickerRoot.getElementById('pickerCategory').value;
+  pickerRoot.getElementById('pickerCardRow').classList.toggle('picker-panel__row--hidden', !isCardCategory(category));
+  pickerRoot.getElementById('pickerCustomRow').classList.toggle('picker-panel__row--hidden', category !== 'custom');
+}
+
+/**
+ * Whether a category targets one entry of a repeated profile list
+ * @param {string} category - Selected category
+ * @returns {boolean} True for experience and education card fields
+ */
+function isCardCategory(category) {
+  return category.startsWith('experience_') || category.startsWith('education_');
+}
+
+/**
+ * Save the selected mapping as a site rule and re-run detection
+ */
+async function handleSaveMapping() {
+  if (!selectedElement) return;
+
+  const status = pickerRoot.getElementById('pickerStatus');
+  const category = pickerRoot.getElementById('pickerCategory').value;
+  const customValue = pickerRoot.getElementById('pickerCustomValue').value.trim();
+
+  if (!window.storageManager) {
+    status.textContent = 'Storage unavailable, mapping not saved';
+    return;
+  }
+
+  if (category === 'custom' && !customValue) {
+    status.textContent = 'Enter a value for the custom field';
+    return;
+  }
+
+  const rule = {
+    id: `map_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    category: category,
+    selector: window.masterDetector.buildCssSelector(selectedElement),
+    fingerprint: window.masterDetector.getElementFingerprint(selectedElement),
+    signals: window.masterDetector.getFieldSignals(selectedElement),
+    label: window.masterDetector.findAssociatedLabel(selectedElement),
+    cardIndex: isCardCategory(category)
+      ? Math.max(1, parseInt(pickerRoot.getElementById('pickerCardIndex').value, 10) || 1)
+      : null,
+    customValue: category === 'custom' ? customValue : null,
+    createdAt: Date.now()
+  };
+
+  try {
+    await window.storageManager.saveFieldMapping(window.location.hostname, rule);
+    await window.masterDetector.loadManualMappings();
+    status.textContent = `Mapped to ${category}`;
+    console.log('Field Picker: Saved mapping', { category: rule.category, selector: rule.selector });
+    hideMappingPanel();
+  } catch (error) {
+    console.error('Field Picker: Failed to save mapping:', error);
+    status.textContent = 'Could not save mapping';
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.fieldPicker = {
+  start: startFieldPicker,
+  stop: stopFieldPicker,
+  isActive: () => pickerActive
+};
+
+console.log('Field Picker: Loaded and ready');
+}
@@ -0,0 +1,250 @@
+/**
+ * Job Posting - Extracts what job the current page is an application for
+ * Reads schema.org JobPosting JSON-LD, portal-specific header selectors from the
+ * portal registry (jobPostingSelectors) and OpenGraph tags, in that order of trust.
+ * Used by masterDetector for the getJobPosting message and the application history.
+ * Salary text is parsed by utils/salaryConverter.js, injected before this file.
+ */
+
+console.log('Job Posting: Loading...');
+
+// Prevent multiple initialization
+if (window.jobPostingLoaded) {
+  console.log('Job Posting already loaded');
+} else {
+  window.jobPostingLoaded = true;
+  console.log('Job Posting: First load');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const JOB_POSTING_FIELDS = ['title', 'company', 'location', 'salary', 'description'];
+const DESCRIPTION_MAX_LENGTH = 5000;
+
+// ============================================================================
+// TEXT HELPERS
+// ============================================================================
+
+/**
+ * Collapse whitespace, keeping paragraph breaks for multi-line text
+ * @param {string} text - Raw text
+ * @returns {string} Clean text
+ */
+function cleanText(text) {
+  return (text || '')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Plain text of an HTML fragment (JSON-LD descriptions are HTML)
+ * Parsed into an inert document so nothing in the markup runs or loads.
+ * @param {string} html - HTML string
+ * @returns {string} Text content
+ */
+function htmlToText(html) {
+  if (!html || !/[<&]/.test(html)) return cleanText(html);
+
+  const parsed = new DOMParser().parseFromString(html, 'text/html');
+  parsed.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+  parsed.querySelectorAll('p, li, div, h1, h2, h3, h4, h5, h6').forEach(block => block.append('\n'));
+  return cleanText(parsed.body.textContent);
+}
+
+function getMetaContent(property) {
+  const meta = document.querySelector(`meta[property="${property}"], meta[name="${property}"]`);
+  return cleanText(meta?.content);
+}
+
+// ============================================================================
+// SALARY PARSING
+// ============================================================================
+
+/**
+ * Parse salary text from the page (parsing lives in utils/salaryConverter.js)
+ * @param {string} text - Salary text from the page
+ * @returns {Object|null} { min, max, currency, period, text } or null when no amount is found
+ */
+function parseSalaryText(text) {
+  const salaryText = cleanText(text).replace(/\n/g, ' ');
+  return window.salaryConverter ? window.salaryConverter.parseSalaryText(salaryText) : null;
+}
+
+/**
+ * Salary from a schema.org MonetaryAmount (baseSalary)
+ * @param {Object} baseSalary - { currency, value: QuantitativeValue | number }
+ * @returns {Object|null} { min, max, currency, period, text }
+ */
+function parseSchemaSalary(baseSalary) {
+  if (!baseSalary || typeof baseSalary !== 'object') return null;
+
+  const value = baseSalary.value;
+  const quantity = value && typeof value === 'object' ? value : { value: value };
+  const min = parseFloat(quantity.minValue ?? quantity.value);
+  const max = parseFloat(quantity.maxValue ?? quantity.value);
+  if (!Number.isFinite(min) && !Number.isFinite(max)) return null;
+
+  const currency = baseSalary.currency || null;
+  // schema.org unitText uses the same period names (HOUR ... YEAR)
+  const unit = (quantity.unitText || '').toUpperCase();
+  const period = window.salaryConverter?.SALARY_PERIODS.includes(unit) ? unit : null;
+  const range = [min, max].filter(Number.isFinite).map(amount => amount.toLocaleString());
+
+  return {
+    min: Number.isFinite(min) ? min : max,
+    max: Number.isFinite(max) ? max : min,
+    currency: currency,
+    period: period,
+    text: [currency, [...new Set(range)].join(' - '), period && `per ${period.toLowerCase()}`].filter(Boolean).join(' ')
+  };
+}
+
+// ============================================================================
+// SOURCES
+// ============================================================================
+
+/**
+ * First schema.org JobPosting in the page's JSON-LD blocks (top level, arrays or @graph)
+ * @returns {Object|null} JobPosting object
+ */
+function findJsonLdJobPosting() {
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const data = JSON.parse(script.textContent);
+      const items = [].concat(data, data?.['@graph'] || []);
+      const posting = items.find(item => item && [].concat(item['@type']).includes('JobPosting'));
+      if (posting) return posting;
+    } catch (error) {
+      // Malformed structured data, try the next block
+    }
+  }
+  return null;
+}
+
+/**
+ * Readable location of a JobPosting ("Berlin, BE, DE", "Remote")
+ * @param {Object} posting - JobPosting object
+ * @returns {string} Location text
+ */
+function getJsonLdLocation(posting) {
+  const places = [].concat(posting.jobLocation || [])
+    .map(place => {
+      const address = place?.address;
+      if (typeof address === 'string') return address;
+      if (!address) return place?.name || '';
+      const country = typeof address.addressCountry === 'object' ? address.addressCountry.name : address.addressCountry;
+      return [address.addressLocality, address.addressRegion, country].filter(Boolean).join(', ');
+    })
+    .filter(Boolean);
+
+  if (posting.jobLocationType === 'TELECOMMUTE') {
+    places.unshift('Remote');
+  }
+  return [...new Set(places)].join(' · ');
+}
+
+/**
+ * @returns {Object} Job fields found in JSON-LD
+ */
+function extractFromJsonLd() {
+  const posting = findJsonLdJobPosting();
+  if (!posting) return {};
+
+  const organization = posting.hiringOrganization;
+  return {
+    title: cleanText(posting.title),
+    company: cleanText(typeof organization === 'string' ? organization : organization?.name),
+    location: getJsonLdLocation(posting),
+    salary: parseSchemaSalary(posting.baseSalary),
+    description: htmlToText(posting.description)
+  };
+}
+
+/**
+ * @param {Object|null} portalConfig - Identified portal config
+ * @returns {Object} Job fields found with the portal's jobPostingSelectors
+ */
+function extractFromPortalDom(portalConfig) {
+  const selectors = portalConfig?.jobPostingSelectors;
+  if (!selectors) return {};
+
+  const result = {};
+  JOB_POSTING_FIELDS.forEach(field => {
+    for (const selector of selectors[field] || []) {
+      try {
+        const element = document.querySelector(selector);
+        const text = cleanText(element?.innerText || element?.textContent);
+        if (text) {
+          result[field] = field === 'salary' ? parseSalaryText(text) : text;
+          break;
+        }
+      } catch (error) {
+        console.warn(`Job Posting: Invalid selector for ${field}:`, selector);
+      }
+    }
+  });
+  return result;
+}
+
+/**
+ * Job fields from OpenGraph tags and the page title
+ * og:site_name is the portal's own name on job boards, so it only names the
+ * company on career sites that are not a known portal.
+ * @param {Object|null} portalConfig - Identified portal config
+ * @returns {Object} Job fields
+ */
+function extractFromOpenGraph(portalConfig) {
+  const pageTitle = getMetaContent('og:title') || cleanText(document.title);
+  const titleMatch = pageTitle.match(/^(?:job application for\s+)?(.+?)\s+(?:at|@)\s+(.+)$/i);
+
+  return {
+    title: titleMatch ? titleMatch[1] : (cleanText(document.querySelector('h1')?.textContent) || pageTitle),
+    company: titleMatch ? titleMatch[2] : (portalConfig ? '' : getMetaContent('og:site_name')),
+    description: getMetaContent('og:description')
+  };
+}
+
+// ============================================================================
+// EXTRACTION
+// ============================================================================
+
+/**
+ * Extract the job posting shown on the current page
+ * Each field comes from the most trusted source that has it.
+ * @param {Object|null} portalConfig - Identified portal config (masterDetector's portalConfig)
+ * @returns {Object} { title, company, location, salary, description, url, sources: { [field]: source } }
+ */
+function extractJobPosting(portalConfig = null) {
+  const sources = [
+    ['json-ld', extractFromJsonLd()],
+    ['portal-dom', extractFromPortalDom(portalConfig)],
+    ['opengraph', extractFromOpenGraph(portalConfig)]
+  ];
+
+  const posting = { url: window.location.href, sources: {} };
+  JOB_POSTING_FIELDS.forEach(field => {
+    const found = sources.find(([, values]) => values[field]);
+    posting[field] = found ? found[1][field] : (field === 'salary' ? null : '');
+    if (found) posting.sources[field] = found[0];
+  });
+
+  if (posting.description.length > DESCRIPTION_MAX_LENGTH) {
+    posting.description = `${posting.description.slice(0, DESCRIPTION_MAX_LENGTH)}…`;
+  }
+  return posting;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.jobPosting = {
+  extract: extractJobPosting,
+  parseSalaryText
+};
+
+console.log('Job Posting: Loaded and ready');
+}
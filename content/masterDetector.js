@@ -26,8 +26,28 @@ if (window.masterDetectorLoaded) {
 let isInitialized = false;
 let detectedFields = [];
 let portalConfig = null;
+let portalConfigs = {}; // Enabled portal registry entries by ID (see utils/portalRegistry.js)
 let debugMode = true;
-let learningData = new Map(); // Store learning patterns locally
+let learningData = new Map(); // Learned patterns for this site (persisted via StorageManager)
+let learningSaveTimer = null;
+let learnedThisVisit = new WeakMap(); // element -> category already stored for it since the page loaded
+let filledByExtension = new WeakMap(); // element -> { category, confidence, value } written by the last fill
+let manualMappings = []; // Click-to-map rules for this site (see content/fieldPicker.js)
+let fingerprintCache = new WeakMap(); // element -> signals, keys and lookups for the running detection pass
+let selectorMatchCache = new Map(); // manual rule selector -> whether it still matches, for the running pass
+let learningBuckets = null; // learningData entries grouped by tag:type, rebuilt after changes
+let manualMappingBuckets = null; // manualMappings rules with signals grouped by tag:type
+let detectionExplanations = new WeakMap(); // element -> why the last detection run chose (or rejected) it
+let detectionSettings = null; // Sensitivity preset / advanced weights from options (see DETECTION_CONFIG in utils/detectionConfig.js)
+let exchangeRates = null; // Salary exchange rates edited in options (see utils/salaryConverter.js)
+let activeLocales = []; // Locale keyword packs merged into MASTER_FIELD_DATABASE for this page
+let detectionGeneration = 0; // Bumped by every full detection pass so stale incremental passes are discarded
+let fieldObserver = null; // MutationObserver driving incremental detection
+let pendingMutations = null; // Subtrees and controls queued for the next incremental pass
+let incrementalTimer = null;
+let incrementalRunning = false;
+let fieldIds = new WeakMap(); // element -> stable field ID handed to the popup (survives re-detection)
+let nextFieldId = 1;
 
 // Set up immediate ping response - FIRST PRIORITY for reliability
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -118,6 +138,67 @@ const MASTER_FIELD_DATABASE = {
     contextKeywords: ['phone', 'mobile', 'telephone', 'cell']
   },
   
+  // Re-entry fields ("Confirm email"): linked to the primary field and filled with the same value
+  confirmEmail: {
+    keywords: ['confirm_email', 'email_confirm', 'email_confirmation', 'reenter_email', 'retype_email', 'repeat_email', 'email_again'],
+    priority: 9,
+    variations: ['confirm_email_address', 'email_address_confirm'],
+    contextKeywords: ['confirm email', 'confirm your email', 'email confirmation', 're-enter email', 're-enter your email', 'retype email', 'repeat email', 'email again'],
+    confirms: 'email'
+  },
+  
+  confirmPhone: {
+    keywords: ['confirm_phone', 'phone_confirm', 'phone_confirmation', 'reenter_phone', 'retype_phone', 'repeat_phone', 'phone_again'],
+    priority: 8,
+    variations: ['confirm_phone_number', 'confirm_mobile'],
+    contextKeywords: ['confirm phone', 'confirm your phone', 'confirm mobile', 'phone confirmation', 're-enter phone', 're-enter your phone', 'retype phone', 'repeat phone', 'phone again'],
+    confirms: 'phone'
+  },
+
+  // Split phone widgets: a dial-code picker next to the number, or US-style area/prefix/line boxes.
+  // The number parts are mostly recognised from their layout (see SPLIT PHONE WIDGETS)
+  phoneCountryCode: {
+    keywords: ['country_code', 'countrycode', 'phone_country_code', 'dial_code', 'dialcode', 'calling_code', 'phone_country', 'phone_code', 'isd_code'],
+    priority: 8,
+    variations: ['country_dial_code', 'tel_country_code'],
+    contextKeywords: ['country code', 'dial code', 'dialling code', 'dialing code', 'calling code', 'isd code']
+  },
+
+  phoneNational: {
+    keywords: ['national_number', 'phone_national', 'national_phone'],
+    priority: 8,
+    variations: ['phone_without_country_code'],
+    contextKeywords: ['national number']
+  },
+
+  phoneAreaCode: {
+    keywords: ['area_code', 'areacode', 'phone_area'],
+    priority: 8,
+    variations: ['phone_area_code'],
+    contextKeywords: ['area code']
+  },
+
+  phoneLocal: {
+    keywords: ['phone_local', 'local_number'],
+    priority: 7,
+    variations: ['phone_local_number'],
+    contextKeywords: ['local number']
+  },
+
+  phoneLocalPrefix: {
+    keywords: ['phone_prefix', 'phone_exchange'],
+    priority: 7,
+    variations: ['phone_local_prefix'],
+    contextKeywords: []
+  },
+
+  phoneLocalSuffix: {
+    keywords: ['phone_suffix', 'phone_line', 'line_number'],
+    priority: 7,
+    variations: ['phone_local_suffix'],
+    contextKeywords: ['line number']
+  },
+
   // Address Fields
   addressLine1: {
     keywords: ['address', 'street', 'line1', 'addr1', 'location', 'address-line-1', 'street-address'],
@@ -265,130 +346,206 @@ const MASTER_FIELD_DATABASE = {
 };
 
 // ============================================================================
-// PORTAL CONFIGURATIONS (enhanced from all detectors)
+// LOCALE KEYWORD PACKS (see utils/localeKeywordPacks.js)
 // ============================================================================
 
-const PORTAL_CONFIGS = {
-  linkedin: {
-    name: 'LinkedIn',
-    domain: 'linkedin.com',
-    priority: 10,
-    specificSelectors: {
-      firstName: [
-        '#single-line-text-form-component-firstName',
-        'input[name*="firstName"]',
-        'input[id*="firstName"]',
-        'input[aria-label*="First name"]',
-        'input[placeholder*="First name"]'
-      ],
-      lastName: [
-        '#single-line-text-form-component-lastName', 
-        'input[name*="lastName"]',
-        'input[id*="lastName"]',
-        'input[aria-label*="Last name"]',
-        'input[placeholder*="Last name"]'
-      ],
-      email: ['input[name*="email"]', '#email-address'],
-      phone: ['input[name*="phone"]', '#phone-number'],
-      linkedinUrl: ['input[name*="linkedinUrl"]', 'input[name*="linkedin"]']
-    },
-    excludePatterns: ['hidden', 'csrf', 'token'],
-    dynamicContent: true
-  },
+const LOCALE_SAMPLE_SELECTOR = 'label, legend, h1, h2, h3, button, [role="heading"]';
+const LOCALE_SAMPLE_MAX_ELEMENTS = 200;
+const LOCALE_SAMPLE_MAX_LENGTH = 10000;
+
+// English keywords as shipped, so re-applying packs never stacks them
+const BASE_FIELD_KEYWORDS = Object.fromEntries(
+  Object.entries(MASTER_FIELD_DATABASE).map(([fieldType, config]) => [fieldType, {
+    keywords: [...config.keywords],
+    contextKeywords: [...(config.contextKeywords || [])]
+  }])
+);
+
+/**
+ * Text a user reads on the form, used to recognise the page language
+ * @returns {string} Title, labels, legends, headings and buttons
+ */
+function collectPageLanguageSample() {
+  const texts = [document.title];
   
-  indeed: {
-    name: 'Indeed',
-    domain: 'indeed.com',
-    priority: 9,
-    specificSelectors: {
-      firstName: [
-        'input[name="applicant.firstName"]',
-        'input[name*="firstName"]',
-        'input[name*="first"]',
-        'input[id*="firstName"]',
-        'input[placeholder*="First name"]'
-      ],
-      lastName: [
-        'input[name="applicant.lastName"]',
-        'input[name*="lastName"]', 
-        'input[name*="last"]',
-        'input[id*="lastName"]',
-        'input[placeholder*="Last name"]'
-      ],
-      email: ['input[name="applicant.email"]', 'input[name*="email"]'],
-      phone: ['input[name="applicant.phone"]', 'input[name*="phone"]']
-    },
-    excludePatterns: ['recaptcha', 'hidden'],
-    dynamicContent: true
-  },
+  for (const element of querySelectorAllDeep(LOCALE_SAMPLE_SELECTOR).slice(0, LOCALE_SAMPLE_MAX_ELEMENTS)) {
+    texts.push(element.textContent);
+  }
+  for (const element of querySelectorAllDeep('[placeholder]').slice(0, LOCALE_SAMPLE_MAX_ELEMENTS)) {
+    texts.push(element.getAttribute('placeholder'));
+  }
   
-  glassdoor: {
-    name: 'Glassdoor',
-    domain: 'glassdoor.com',
-    priority: 8,
-    specificSelectors: {
-      firstName: [
-        'input[name*="firstName"]', 
-        '#firstName',
-        'input[name*="first"]',
-        'input[id*="first"]'
-      ],
-      lastName: [
-        'input[name*="lastName"]', 
-        '#lastName',
-        'input[name*="last"]',
-        'input[id*="last"]'
-      ],
-      email: ['input[name*="email"]', '#email'],
-      phone: ['input[name*="phone"]', '#phone']
-    },
-    excludePatterns: ['password', 'hidden'],
-    dynamicContent: false
-  },
+  return texts.join(' ').replace(/\s+/g, ' ').slice(0, LOCALE_SAMPLE_MAX_LENGTH);
+}
+
+/**
+ * Resets MASTER_FIELD_DATABASE keywords to English and merges the given packs in
+ * @param {string[]} locales - Locales to merge
+ */
+function applyLocaleKeywordPacks(locales) {
+  const packApi = window.localeKeywordPacks;
+  const merge = (base, additions) => {
+    const seen = new Set(base.map(normalizeString));
+    const merged = [...base];
+    additions.forEach(keyword => {
+      const normalized = normalizeString(keyword);
+      // A keyword that normalizes to nothing would match every field
+      if (normalized && !seen.has(normalized)) {
+        seen.add(normalized);
+        merged.push(keyword);
+      }
+    });
+    return merged;
+  };
   
-  monster: {
-    name: 'Monster',
-    domain: 'monster.com',
-    priority: 7,
-    specificSelectors: {
-      firstName: [
-        'input[name*="first"]', 
-        '#firstname',
-        'input[id*="firstName"]'
-      ],
-      lastName: [
-        'input[name*="last"]', 
-        '#lastname',
-        'input[id*="lastName"]'
-      ],
-      email: ['input[name*="email"]'],
-      phone: ['input[name*="phone"]']
-    },
-    excludePatterns: ['hidden', 'captcha'],
-    dynamicContent: true
-  },
+  for (const [fieldType, config] of Object.entries(MASTER_FIELD_DATABASE)) {
+    const packFields = locales
+      .map(locale => packApi?.getLocaleKeywordPack(locale)?.fields?.[fieldType])
+      .filter(Boolean);
+    
+    config.keywords = merge(BASE_FIELD_KEYWORDS[fieldType].keywords, packFields.flatMap(field => field.keywords || []));
+    config.contextKeywords = merge(BASE_FIELD_KEYWORDS[fieldType].contextKeywords, packFields.flatMap(field => field.contextKeywords || []));
+  }
+}
+
+/**
+ * Selects locale packs from the page language and text and merges them into the field database
+ */
+function loadLocaleKeywordPacks() {
+  if (!window.localeKeywordPacks) {
+    activeLocales = [];
+    return;
+  }
   
-  workday: {
-    name: 'Workday',
-    domain: 'workday.com',
-    priority: 9,
-    specificSelectors: {
-      firstName: [
-        'input[name*="givenName"]',
-        'input[name*="firstName"]',
-        'input[data-automation-id*="firstName"]'
-      ],
-      lastName: [
-        'input[name*="familyName"]',
-        'input[name*="lastName"]', 
-        'input[data-automation-id*="lastName"]'
-      ]
-    },
-    excludePatterns: ['hidden', 'token'],
-    dynamicContent: true
+  try {
+    const text = collectPageLanguageSample();
+    const tokens = new Set(foldDiacritics(text.toLowerCase()).split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean));
+    const locales = window.localeKeywordPacks.selectLocaleKeywordPacks({
+      lang: document.documentElement.lang || '',
+      text,
+      tokens
+    });
+    
+    if (locales.join() !== activeLocales.join()) {
+      applyLocaleKeywordPacks(locales);
+      activeLocales = locales;
+      debugLog(`Locale keyword packs: ${locales.join(', ') || 'none (English only)'}`);
+    }
+  } catch (error) {
+    console.error('Failed to load locale keyword packs:', error);
   }
+}
+
+// ============================================================================
+// HTML AUTOCOMPLETE TOKENS (WHATWG autofill field names)
+// ============================================================================
+
+// Maps every autofill field name to a MASTER_FIELD_DATABASE category.
+// null means the token is recognised but has no profile counterpart (or is sensitive),
+// so it must not be guessed from other signals either.
+const AUTOCOMPLETE_FIELD_MAP = {
+  // Names
+  'name': 'fullName',
+  'honorific-prefix': null,
+  'given-name': 'firstName',
+  'additional-name': null,
+  'family-name': 'lastName',
+  'honorific-suffix': null,
+  'nickname': null,
+  
+  // Credentials (never filled)
+  'username': null,
+  'new-password': null,
+  'current-password': null,
+  'one-time-code': null,
+  
+  // Organization
+  'organization-title': 'jobTitle',
+  'organization': 'company',
+  
+  // Address
+  'street-address': 'addressLine1',
+  'address-line1': 'addressLine1',
+  'address-line2': 'addressLine2',
+  'address-line3': null,
+  'address-level4': null,
+  'address-level3': null,
+  'address-level2': 'city',
+  'address-level1': 'state',
+  'country': 'country',
+  'country-name': 'country',
+  'postal-code': 'postalCode',
+  
+  // Payment (never filled)
+  'cc-name': null,
+  'cc-given-name': null,
+  'cc-additional-name': null,
+  'cc-family-name': null,
+  'cc-number': null,
+  'cc-exp': null,
+  'cc-exp-month': null,
+  'cc-exp-year': null,
+  'cc-csc': null,
+  'cc-type': null,
+  'transaction-currency': null,
+  'transaction-amount': null,
+  
+  // Personal
+  'language': null,
+  'bday': null,
+  'bday-day': null,
+  'bday-month': null,
+  'bday-year': null,
+  'sex': null,
+  'url': 'portfolioUrl',
+  'photo': null,
+  
+  // Contact
+  'tel': 'phone',
+  'tel-country-code': 'phoneCountryCode',
+  'tel-national': 'phoneNational',
+  'tel-area-code': 'phoneAreaCode',
+  'tel-local': 'phoneLocal',
+  'tel-local-prefix': 'phoneLocalPrefix',
+  'tel-local-suffix': 'phoneLocalSuffix',
+  'tel-extension': null,
+  'email': 'email',
+  'impp': null
 };
 
+// Contact type hints allowed before tel/email/impp tokens
+const AUTOCOMPLETE_CONTACT_HINTS = ['home', 'work', 'mobile', 'fax', 'pager'];
+
+// ============================================================================
+// PORTAL CONFIGURATIONS (enhanced from all detectors)
+// ============================================================================
+
+/**
+ * Load enabled portal configs from the registry (built-ins merged with user entries)
+ * Falls back to the shipped defaults when storage is unavailable.
+ */
+async function loadPortalConfigs() {
+  const registryApi = window.portalRegistry;
+  if (!registryApi) {
+    debugLog('Portal registry not loaded, portal-specific detection disabled');
+    return;
+  }
+  
+  try {
+    const registry = window.storageManager
+      ? await window.storageManager.getPortalRegistry()
+      : registryApi.resolvePortalRegistry(null);
+    portalConfigs = Object.fromEntries(
+      Object.values(registry.portals)
+        .filter(portal => portal.enabled)
+        .map(portal => [portal.id, registryApi.toPortalConfig(portal)])
+    );
+  } catch (error) {
+    console.error('Failed to load portal registry:', error);
+    portalConfigs = { ...registryApi.DEFAULT_PORTAL_CONFIGS };
+  }
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS (self-contained)
 // ============================================================================
@@ -422,17 +579,32 @@ function calculateLevenshteinDistance(str1, str2) {
 
 // Calculate similarity score (0-1) using Levenshtein distance
 function calculateSimilarity(str1, str2) {
-  const maxLength = Math.max(str1.length, str2.length);
+  const folded1 = foldDiacritics(str1.toLowerCase());
+  const folded2 = foldDiacritics(str2.toLowerCase());
+  const maxLength = Math.max(folded1.length, folded2.length);
   if (maxLength === 0) return 1;
   
-  const distance = calculateLevenshteinDistance(str1.toLowerCase(), str2.toLowerCase());
+  const distance = calculateLevenshteinDistance(folded1, folded2);
   return 1 - (distance / maxLength);
 }
 
-// Normalize string for comparison
+/**
+ * Removes Latin accents and folds ß, so 'Prénom' and 'Straße' compare equal to 'prenom' and 'strasse'.
+ * Marks of other scripts (Devanagari vowel signs) are part of the word and are kept.
+ * @param {string} str - Text to fold
+ * @returns {string} Folded text
+ */
+function foldDiacritics(str) {
+  return str.normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ß/g, 'ss')
+    .normalize('NFC');
+}
+
+// Normalize string for comparison (case-, accent- and punctuation-insensitive, any script)
 function normalizeString(str) {
-  return str.toLowerCase()
-    .replace(/[^a-z0-9]/g, '')
+  return foldDiacritics(str.toLowerCase())
+    .replace(/[^\p{L}\p{M}\p{N}]/gu, '')
     .trim();
 }
 
@@ -446,793 +618,3602 @@ function getElementAttributes(element) {
     type: element.type || 'text',
     'aria-label': element.getAttribute('aria-label') || '',
     'data-testid': element.getAttribute('data-testid') || '',
-    title: element.title || ''
+    title: element.title || '',
+    autocomplete: element.getAttribute('autocomplete') || ''
   };
 }
 
-// Find associated label text
-function findAssociatedLabel(element) {
-  // Try explicit label association
-  if (element.id) {
-    const label = document.querySelector(`label[for="${element.id}"]`);
-    if (label) return label.textContent.trim();
-  }
+/**
+ * Parses an autocomplete attribute following the WHATWG autofill detail tokens:
+ * [section-*] [shipping|billing] [home|work|mobile|fax|pager] field-name [webauthn]
+ * @param {string} value - Raw autocomplete attribute value
+ * @returns {Object|null} Parsed tokens, or null for on/off/unknown values
+ */
+function parseAutocompleteTokens(value) {
+  const tokens = (value || '').toLowerCase().trim().split(/\s+/).filter(Boolean);
   
-  // Try parent label
-  const parentLabel = element.closest('label');
-  if (parentLabel) {
-    return parentLabel.textContent.replace(element.value || '', '').trim();
+  if (tokens[tokens.length - 1] === 'webauthn') {
+    tokens.pop();
   }
   
-  // Try sibling labels
-  const siblings = Array.from(element.parentNode?.children || []);
-  for (const sibling of siblings) {
-    if (sibling.tagName === 'LABEL') {
-      return sibling.textContent.trim();
-    }
+  const fieldName = tokens.pop();
+  if (!fieldName || !(fieldName in AUTOCOMPLETE_FIELD_MAP)) {
+    return null;
   }
   
-  // Try preceding text nodes
-  let current = element.previousSibling;
-  while (current) {
-    if (current.nodeType === Node.TEXT_NODE && current.textContent.trim()) {
-      return current.textContent.trim();
-    }
-    if (current.nodeType === Node.ELEMENT_NODE && current.textContent.trim()) {
-      return current.textContent.trim();
-    }
-    current = current.previousSibling;
+  const parsed = { fieldName, section: null, addressType: null, contactHint: null };
+  
+  if (tokens.length && AUTOCOMPLETE_CONTACT_HINTS.includes(tokens[tokens.length - 1])) {
+    parsed.contactHint = tokens.pop();
+  }
+  if (tokens.length && ['shipping', 'billing'].includes(tokens[tokens.length - 1])) {
+    parsed.addressType = tokens.pop();
+  }
+  if (tokens.length && tokens[tokens.length - 1].startsWith('section-')) {
+    parsed.section = tokens.pop().slice('section-'.length);
   }
   
-  return '';
+  // Any leftover token means the value is not a valid autofill detail list
+  return tokens.length === 0 ? parsed : null;
 }
 
 // ============================================================================
-// PORTAL IDENTIFICATION (enhanced)
+// SHADOW DOM TRAVERSAL (open shadow roots only)
 // ============================================================================
 
-function identifyJobPortal() {
-  const hostname = window.location.hostname.toLowerCase();
-  const pathname = window.location.pathname.toLowerCase();
-  const fullUrl = window.location.href.toLowerCase();
-  
-  for (const [key, config] of Object.entries(PORTAL_CONFIGS)) {
-    if (hostname.includes(config.domain)) {
-      debugLog('Portal identified:', config.name);
-      return config;
+/**
+ * querySelectorAll that also descends into open shadow roots
+ * Results keep document order, with shadow content following its host
+ * @param {string} selector - CSS selector to match
+ * @param {Document|ShadowRoot|Element} root - Root to search from
+ * @returns {Element[]} Matching elements from the light DOM and all open shadow roots
+ */
+function querySelectorAllDeep(selector, root = document) {
+  const matches = [];
+
+  const visit = (node) => {
+    for (const element of node.querySelectorAll('*')) {
+      if (element.matches(selector)) {
+        matches.push(element);
+      }
+      if (element.shadowRoot) {
+        visit(element.shadowRoot);
+      }
     }
+  };
+
+  if (root.shadowRoot) {
+    visit(root.shadowRoot);
   }
-  
-  // Check for job-related keywords in URL for unknown portals
-  const jobKeywords = ['job', 'career', 'apply', 'application', 'hiring', 'recruit'];
-  const hasJobKeywords = jobKeywords.some(keyword => 
-    hostname.includes(keyword) || pathname.includes(keyword)
-  );
-  
-  if (hasJobKeywords) {
-    debugLog('Generic job portal detected');
-    return {
-      name: 'Generic Job Portal',
-      domain: hostname,
-      priority: 5,
-      specificSelectors: {},
-      excludePatterns: ['hidden', 'password', 'csrf'],
-      dynamicContent: true
-    };
-  }
-  
-  debugLog('Using generic portal configuration');
-  return null;
+  visit(root);
+
+  return matches;
 }
 
-// ============================================================================
-// ADVANCED FIELD DETECTION (unified algorithms)
-// ============================================================================
+/**
+ * Collects every open shadow root below the given root
+ * @param {Document|ShadowRoot|Element} root - Root to search from
+ * @returns {ShadowRoot[]} Open shadow roots, nested ones included
+ */
+function collectOpenShadowRoots(root = document) {
+  const shadowRoots = [];
 
-async function detectFieldAdvanced(element) {
-  console.log("Start Field data detection for : "+ element.name)
-  const results = await Promise.all([
-    directAttributeMatching(element),
-    fuzzyKeywordMatching(element),
-    contextualAnalysis(element),
-    semanticAnalysis(element),
-    portalSpecificMatching(element),
-    learningBasedDetection(element)
-  ]);
-  const combinedResults = combineDetectionResults(element, results);
-  console.log("End Field data detection for : "+ element.name)
-  return combinedResults;
+  const visit = (node) => {
+    if (node.shadowRoot) {
+      shadowRoots.push(node.shadowRoot);
+      visit(node.shadowRoot);
+    }
+    for (const element of node.querySelectorAll('*')) {
+      if (element.shadowRoot) {
+        shadowRoots.push(element.shadowRoot);
+        visit(element.shadowRoot);
+      }
+    }
+  };
+
+  visit(root);
+  return shadowRoots;
 }
 
-// Direct attribute matching (highest confidence)
-function directAttributeMatching(element) {
-  const attributes = getElementAttributes(element);
-  const results = [];
-  
-  for (const [fieldType, config] of Object.entries(MASTER_FIELD_DATABASE)) {
-    for (const [attrName, attrValue] of Object.entries(attributes)) {
-      if (!attrValue) continue;
-      
-      const normalizedValue = normalizeString(attrValue);
-      
-      for (const keyword of config.keywords) {
-        let confidenceLevel = undefined;
+/**
+ * Element.closest that continues through shadow hosts
+ * @param {Element} element - Starting element
+ * @param {string} selector - CSS selector to match
+ * @returns {Element|null} Closest matching ancestor across shadow boundaries
+ */
+function closestDeep(element, selector) {
+  let current = element;
+  while (current) {
+    const match = current.closest(selector);
+    if (match) return match;
+    current = current.getRootNode().host || null;
+  }
+  return null;
+}
 
-        const keywordNormalizeString = normalizeString(keyword);
+/**
+ * Node.contains that also accepts nodes living in nested shadow roots
+ * @param {Node} ancestor - Potential ancestor
+ * @param {Node} node - Node to check
+ * @returns {boolean} True if node is inside ancestor (light or shadow tree)
+ */
+function containsDeep(ancestor, node) {
+  let current = node;
+  while (current) {
+    if (ancestor.contains(current)) return true;
+    current = current.getRootNode().host || null;
+  }
+  return false;
+}
 
-        if (normalizedValue === keywordNormalizeString ){
-          confidenceLevel = 0.95;
-        }else if (normalizedValue.includes(keywordNormalizeString)) {
-          confidenceLevel = 0.70;
-        }
+// Framework-generated ids (react-select-3-input, :r1:, uuids) change between page loads
+function looksGeneratedId(value) {
+  return /\d{4,}|[:]|^[a-f0-9-]{16,}$/i.test(value);
+}
 
-        if (confidenceLevel) {
-          results.push({
-            field: fieldType,
-            confidence: confidenceLevel,
-            method: 'direct',
-            source: `${attrName}:${keyword}`,
-            priority: config.priority
-          });
-        }
-      }
+/**
+ * Builds a CSS selector that identifies the element within its own tree
+ * Prefers a unique id, then a unique name, then a positional path anchored
+ * at the closest ancestor with a stable id.
+ * @param {Element} element - Element to describe
+ * @returns {string} CSS selector
+ */
+function buildCssSelector(element) {
+  const root = element.getRootNode();
+  const tagName = element.tagName.toLowerCase();
+  const isUnique = (selector) => {
+    try {
+      return root.querySelectorAll(selector).length === 1;
+    } catch (error) {
+      return false;
     }
+  };
+
+  if (element.id && !looksGeneratedId(element.id)) {
+    const idSelector = `#${CSS.escape(element.id)}`;
+    if (isUnique(idSelector)) return idSelector;
   }
-  
-  return results;
-}
 
-// Fuzzy keyword matching with similarity scoring
-function fuzzyKeywordMatching(element) {
-  const attributes = getElementAttributes(element);
-  const allText = Object.values(attributes).join(' ');
-  const results = [];
-  
-  for (const [fieldType, config] of Object.entries(MASTER_FIELD_DATABASE)) {
-    for (const keyword of config.keywords) {
-      for (const [attrName, attrValue] of Object.entries(attributes)) {
-        if (!attrValue) continue;
-        
-        const similarity = calculateSimilarity(attrValue, keyword);
-        
-        if (similarity > 0.7) { // 70% similarity threshold
-          results.push({
-            field: fieldType,
-            confidence: similarity * 0.8, // Slightly lower than direct match
-            method: 'fuzzy',
-            source: `${attrName}~${keyword}`,
-            priority: config.priority,
-            similarity: similarity
-          });
-        }
-      }
-    }
+  if (element.name) {
+    const nameSelector = `${tagName}[name="${CSS.escape(element.name)}"]`;
+    if (isUnique(nameSelector)) return nameSelector;
   }
-  
-  return results;
-}
 
-// Contextual analysis using surrounding elements
-function contextualAnalysis(element) {
-  const labelText = findAssociatedLabel(element);
-  const results = [];
-  
-  if (!labelText) return results;
-  
-  const normalizedLabel = normalizeString(labelText);
-  
-  for (const [fieldType, config] of Object.entries(MASTER_FIELD_DATABASE)) {
-    for (const contextKeyword of config.contextKeywords || []) {
-      if (normalizedLabel.includes(normalizeString(contextKeyword))) {
-        results.push({
-          field: fieldType,
-          confidence: 0.75,
-          method: 'contextual',
-          source: `label:${contextKeyword}`,
-          priority: config.priority,
-          labelText: labelText
-        });
+  const parts = [];
+  let current = element;
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    if (current !== element && current.id && !looksGeneratedId(current.id)) {
+      parts.unshift(`#${CSS.escape(current.id)}`);
+      break;
+    }
+
+    let part = current.tagName.toLowerCase();
+    const parent = current.parentElement;
+    if (parent) {
+      const sameTagSiblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+      if (sameTagSiblings.length > 1) {
+        part += `:nth-of-type(${sameTagSiblings.indexOf(current) + 1})`;
       }
     }
+    parts.unshift(part);
+    current = parent;
   }
-  
-  return results;
+
+  return parts.join(' > ');
 }
 
-// Semantic analysis for meaning-based detection
-function semanticAnalysis(element) {
-  const attributes = getElementAttributes(element);
-  const labelText = findAssociatedLabel(element);
-  const combinedText = (Object.values(attributes).join(' ') + ' ' + labelText).toLowerCase();
-  const results = [];
+// ============================================================================
+// LABEL RESOLUTION (accessible name + layout heuristics)
+// ============================================================================
+
+const LABELABLE_CONTROL_SELECTOR = 'input:not([type="hidden"]), select, textarea, button, [contenteditable="true"], [role="textbox"], [role="combobox"]';
+const LAYOUT_LABEL_MAX_LENGTH = 120; // Longer text near a field is instructions, not a label
+
+/**
+ * Find an element by ID in the same tree (document or shadow root) as another element
+ * @param {Element} element - Element whose tree to search
+ * @param {string} id - Element ID
+ * @returns {Element|null} Referenced element
+ */
+function getElementByIdInTree(element, id) {
+  const root = element.getRootNode();
+  return (root.getElementById ? root : document).getElementById(id);
+}
+
+/**
+ * Whether a node is hidden from assistive technology
+ * Only attribute checks; computed styles are left to the visibility filters.
+ * @param {Element} node - Element to check
+ * @returns {boolean} True when hidden
+ */
+function isHiddenFromAccessibility(node) {
+  return node.hidden ||
+    node.getAttribute('aria-hidden') === 'true' ||
+    ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(node.tagName);
+}
+
+/**
+ * Text alternative of a node, following the ARIA accname computation for name-from-content
+ * @param {Node} node - Node to describe
+ * @param {Object} context - Traversal state
+ * @param {Element} context.control - Control being named (its own value is not part of its label)
+ * @param {Set<Node>} context.visited - Nodes already used, prevents aria-labelledby loops
+ * @param {boolean} [context.referenced=false] - Node is directly referenced by aria-labelledby/describedby
+ * @returns {string} Text alternative
+ */
+function getTextAlternative(node, context) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent;
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE || context.visited.has(node)) {
+    return '';
+  }
+  context.visited.add(node);
   
-  // Semantic patterns for better understanding
-  const semanticPatterns = {
-    firstName: ['given name', 'christian name', 'forename'],
-    lastName: ['family name', 'surname', 'last name'],
-    email: ['email address', 'electronic mail', 'contact email'],
-    phone: ['phone number', 'telephone number', 'mobile number', 'contact number'],
-    linkedinUrl: ['linkedin profile', 'professional profile', 'linkedin url'],
-    githubUrl: ['github profile', 'github url', 'repository url'],
-    totalExperience: ['years of experience', 'work experience', 'professional experience'],
-    currentSalary: ['current salary', 'current compensation', 'present salary'],
-    expectedSalary: ['expected salary', 'desired salary', 'salary expectation']
-  };
+  // Hidden nodes only count when referenced directly (step 2A)
+  if (!context.referenced && isHiddenFromAccessibility(node)) {
+    return '';
+  }
   
-  for (const [fieldType, patterns] of Object.entries(semanticPatterns)) {
-    for (const pattern of patterns) {
-      if (combinedText.includes(pattern)) {
-        const config = MASTER_FIELD_DATABASE[fieldType];
-        if (config) {
-          results.push({
-            field: fieldType,
-            confidence: 0.85,
-            method: 'semantic',
-            source: `pattern:${pattern}`,
-            priority: config.priority,
-            pattern: pattern
-          });
-        }
-      }
-    }
+  // aria-labelledby is only followed once, not from inside another reference (step 2B)
+  const labelledBy = node.getAttribute('aria-labelledby');
+  if (labelledBy && !context.referenced && node !== context.control) {
+    const text = getIdRefsText(node, labelledBy, context);
+    if (text) return text;
   }
   
-  return results;
+  const ariaLabel = (node.getAttribute('aria-label') || '').trim();
+  if (ariaLabel && node !== context.control) {
+    return ariaLabel;
+  }
+  
+  // Embedded controls contribute their current value (step 2C), except the control being named
+  if (node.matches(LABELABLE_CONTROL_SELECTOR)) {
+    if (node === context.control) return '';
+    if (node.tagName === 'SELECT') return node.selectedOptions?.[0]?.textContent || '';
+    if (['checkbox', 'radio', 'file'].includes(node.type)) return '';
+    return node.value || '';
+  }
+  
+  const childContext = { ...context, referenced: false };
+  const text = Array.from(node.childNodes).map(child => getTextAlternative(child, childContext)).join(' ');
+  return text.trim() ? text : (node.getAttribute('title') || '');
 }
 
-// Portal-specific matching using known selectors
-function portalSpecificMatching(element) {
-  if (!portalConfig || !portalConfig.specificSelectors) return [];
+/**
+ * Joined text alternatives of the elements named in an ID reference list
+ * @param {Element} element - Element carrying the attribute
+ * @param {string} idRefs - Space-separated IDs (aria-labelledby / aria-describedby)
+ * @param {Object} context - Traversal state (see getTextAlternative)
+ * @returns {string} Normalized text
+ */
+function getIdRefsText(element, idRefs, context) {
+  return idRefs.trim().split(/\s+/)
+    .map(id => getElementByIdInTree(element, id))
+    .filter(Boolean)
+    .map(target => getTextAlternative(target, { ...context, referenced: true }))
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Accessible name of a form control (ARIA accname 1.2, steps 2B-2D and HTML-AAM)
+ * @param {Element} element - Form control
+ * @returns {{name: string, source: string}} Name and where it came from
+ *   (aria-labelledby, aria-label, label, title, placeholder or empty)
+ */
+function computeAccessibleName(element) {
+  const context = () => ({ control: element, visited: new Set([element]) });
   
-  const results = [];
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const name = getIdRefsText(element, labelledBy, context());
+    if (name) return { name, source: 'aria-labelledby' };
+  }
   
-  for (const [fieldType, selectors] of Object.entries(portalConfig.specificSelectors)) {
-    for (const selector of selectors) {
-      try {
-        if (element.matches(selector)) {
-          const config = MASTER_FIELD_DATABASE[fieldType];
-          if (config) {
-            results.push({
-              field: fieldType,
-              confidence: 0.98, // Very high confidence for portal-specific
-              method: 'portal-specific',
-              source: `selector:${selector}`,
-              priority: config.priority + 2, // Boost priority
-              portal: portalConfig.name
-            });
-          }
-        }
-      } catch (error) {
-        // Invalid selector, skip
-      }
-    }
+  const ariaLabel = (element.getAttribute('aria-label') || '').trim();
+  if (ariaLabel) {
+    return { name: ariaLabel, source: 'aria-label' };
   }
   
-  return results;
-}
-
-// Learning-based detection using stored patterns
-function learningBasedDetection(element) {
-  const results = [];
-  const attributes = getElementAttributes(element);
-  const fingerprint = `${attributes.name}|${attributes.id}|${attributes.className}`;
+  // label[for] is looked up in the element's own tree so labels inside shadow roots are found
+  const labels = new Set(element.labels || []);
+  if (element.id) {
+    const root = element.getRootNode();
+    (root.querySelectorAll ? root : document)
+      .querySelectorAll(`label[for="${CSS.escape(element.id)}"]`)
+      .forEach(label => labels.add(label));
+  }
+  const wrappingLabel = closestDeep(element, 'label');
+  if (wrappingLabel) labels.add(wrappingLabel);
   
-  if (learningData.has(fingerprint)) {
-    const learnedData = learningData.get(fingerprint);
-    const config = MASTER_FIELD_DATABASE[learnedData.fieldType];
-    
-    if (config) {
-      results.push({
-        field: learnedData.fieldType,
-        confidence: Math.min(learnedData.confidence + 0.1, 0.95), // Boost learned patterns
-        method: 'learning',
-        source: `learned:${fingerprint}`,
-        priority: config.priority,
-        learnedFrom: learnedData.portal || 'unknown'
-      });
-    }
+  const labelText = Array.from(labels)
+    .map(label => getTextAlternative(label, context()))
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (labelText) {
+    return { name: labelText, source: 'label' };
   }
   
-  return results;
+  const title = (element.getAttribute('title') || '').trim();
+  if (title) return { name: title, source: 'title' };
+  
+  const placeholder = (element.getAttribute('placeholder') || '').trim();
+  if (placeholder) return { name: placeholder, source: 'placeholder' };
+  
+  return { name: '', source: '' };
 }
 
-// Combine detection results with weighted scoring
-function combineDetectionResults(element, resultSets) {
-  const allResults = resultSets.flat();
+/**
+ * Accessible description from aria-describedby
+ * @param {Element} element - Form control
+ * @returns {string} Description text
+ */
+function computeAccessibleDescription(element) {
+  const describedBy = element.getAttribute('aria-describedby');
+  if (!describedBy) return '';
+  return getIdRefsText(element, describedBy, { control: element, visited: new Set([element]) });
+}
+
+/**
+ * Legend of the closest fieldset
+ * @param {Element} element - Form control
+ * @returns {string} Legend text
+ */
+function getFieldsetLegend(element) {
+  const legend = closestDeep(element, 'fieldset')?.querySelector(':scope > legend');
+  return legend ? legend.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Row and column header text for a control inside a table cell
+ * @param {Element} element - Form control
+ * @returns {string} Header text ("row column" when both exist)
+ */
+function getTableHeaderLabel(element) {
+  const cell = element.closest('td, th');
+  const row = cell?.parentElement;
+  const table = cell?.closest('table');
+  if (!cell || !row || !table) return '';
   
-  if (allResults.length === 0) {
-    return null;
-  }
+  const cellText = node => node.textContent.replace(/\s+/g, ' ').trim();
   
-  // Group by field type and calculate weighted scores
-  const fieldScores = new Map();
+  // Row header: a th (or text-only first cell) before the control's cell
+  const rowHeaderCell = Array.from(row.cells)
+    .slice(0, cell.cellIndex)
+    .reverse()
+    .find(candidate => candidate.tagName === 'TH' ||
+      (candidate.cellIndex === 0 && !candidate.querySelector(LABELABLE_CONTROL_SELECTOR) && cellText(candidate)));
   
-  for (const result of allResults) {
-    const currentScore = fieldScores.get(result.field) || { 
-      total: 0, 
-      count: 0, 
-      methods: [], 
-      maxConfidence: 0,
-      priority: result.priority || 5
-    };
-    
-    // Weight the confidence by method reliability
-    const methodWeights = {
-      'portal-specific': 1.0,
-      'direct': 0.9,
-      'semantic': 0.8,
-      'contextual': 0.7,
-      'learning': 0.85,
-      'fuzzy': 0.6
-    };
-    
-    const weight = methodWeights[result.method] || 0.5;
-    const weightedConfidence = result.confidence * weight;
-    
-    currentScore.total += weightedConfidence;
-    currentScore.count += 1;
-    currentScore.methods.push(result.method);
-    currentScore.maxConfidence = Math.max(currentScore.maxConfidence, result.confidence);
-    
-    fieldScores.set(result.field, currentScore);
-  }
+  // Column header: same column in the header row
+  const headerRow = table.tHead?.rows[0] ||
+    Array.from(table.rows).find(candidate => candidate !== row && Array.from(candidate.cells).every(c => c.tagName === 'TH'));
+  const columnHeaderCell = headerRow && headerRow !== row ? headerRow.cells[cell.cellIndex] : null;
   
-  // Find best match with minimum confidence threshold
-  let bestField = null;
-  let bestScore = 0;
-  const confidenceThreshold = 0.5;
+  return [rowHeaderCell, columnHeaderCell]
+    .filter(Boolean)
+    .map(cellText)
+    .filter(text => text && text.length <= LAYOUT_LABEL_MAX_LENGTH)
+    .join(' ');
+}
+
+/**
+ * Label text placed beside the control in layout markup
+ * Covers sibling labels that are not tied to another control and labels
+ * in a sibling wrapper (<div><div>Label</div><div><input></div></div>).
+ * @param {Element} element - Form control
+ * @returns {string} Label text
+ */
+function getLayoutLabel(element) {
+  const describedByIds = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+  const isOwnLabel = candidate => {
+    const forId = candidate.getAttribute('for');
+    return (!forId || forId === element.id) && !candidate.querySelector(LABELABLE_CONTROL_SELECTOR);
+  };
   
-  for (const [field, score] of fieldScores.entries()) {
-    const normalizedScore = score.total / score.count;
-    
-    if (normalizedScore > bestScore && 
-        normalizedScore > confidenceThreshold &&
-        score.maxConfidence > confidenceThreshold) {
-      bestScore = normalizedScore;
-      bestField = field;
-    }
-  }
+  const siblingLabel = Array.from(element.parentNode?.children || [])
+    .find(sibling => sibling.tagName === 'LABEL' && isOwnLabel(sibling) && sibling.textContent.trim());
+  if (siblingLabel) return siblingLabel.textContent.trim();
   
-  if (bestField) {
-    const fieldData = fieldScores.get(bestField);
-    
-    // Store for learning (with portal context)
-    storeDetectionLearning(element, bestField, bestScore);
+  let current = element;
+  for (let level = 0; level < 3 && current.parentElement; level++) {
+    const previous = current.previousElementSibling;
+    // Hints referenced by aria-describedby and fieldset legends are context, not the field's own label
+    const isContext = previous && (previous.tagName === 'LEGEND' || describedByIds.includes(previous.id));
+    if (previous && !isContext && !previous.querySelector(LABELABLE_CONTROL_SELECTOR) && !previous.matches(LABELABLE_CONTROL_SELECTOR)) {
+      const text = previous.textContent.replace(/\s+/g, ' ').trim();
+      if (text && text.length <= LAYOUT_LABEL_MAX_LENGTH && (previous.tagName !== 'LABEL' || isOwnLabel(previous))) {
+        return text;
+      }
+    }
     
-    return {
-      element: element,
-      category: bestField,
-      confidence: bestScore,
-      maxConfidence: fieldData.maxConfidence,
-      methods: [...new Set(fieldData.methods)], // Unique methods
-      priority: fieldData.priority,
-      detectionData: MASTER_FIELD_DATABASE[bestField]
-    };
+    current = current.parentElement;
+    // A wrapper holding other controls is a form section, not this field's wrapper
+    if (current.matches('form, fieldset, table') ||
+        current.querySelectorAll(LABELABLE_CONTROL_SELECTOR).length > 1) break;
   }
   
-  return null;
+  return '';
 }
 
-// Store successful detection for learning
-function storeDetectionLearning(element, fieldType, confidence) {
-  const attributes = getElementAttributes(element);
-  const fingerprint = `${attributes.name}|${attributes.id}|${attributes.className}`;
+/**
+ * All text that describes a form control, for contextual and semantic analysis
+ * @param {Element} element - Form control
+ * @returns {{label: string, labelSource: string, description: string, groupLabel: string}}
+ *   label is the accessible name or layout label; groupLabel is the fieldset legend or table header
+ */
+function getFieldContext(element) {
+  const accessibleName = computeAccessibleName(element);
+  const hasOwnLabel = ['aria-labelledby', 'aria-label', 'label'].includes(accessibleName.source);
   
-  learningData.set(fingerprint, {
-    fieldType: fieldType,
-    confidence: confidence,
-    portal: portalConfig?.name || 'unknown',
-    timestamp: Date.now(),
-    url: window.location.hostname
-  });
+  const legend = getFieldsetLegend(element);
+  const tableHeader = getTableHeaderLabel(element);
+  
+  let label = hasOwnLabel ? accessibleName.name : '';
+  let labelSource = hasOwnLabel ? accessibleName.source : '';
   
-  // Limit learning data size (keep last 1000 entries)
-  if (learningData.size > 1000) {
-    const firstKey = learningData.keys().next().value;
-    learningData.delete(firstKey);
+  if (!label && tableHeader) {
+    label = tableHeader;
+    labelSource = 'table-header';
+  }
+  if (!label) {
+    label = getLayoutLabel(element);
+    labelSource = label ? 'layout' : '';
   }
-}
-
-// ============================================================================
-// FIELD DETECTION ORCHESTRATOR
-// ============================================================================
-
-async function detectFormFields() {
-  debugLog('Starting comprehensive field detection...');
   
-  const fields = [];
-  const formElements = document.querySelectorAll('input, select, textarea');
+  // A fieldset wrapping a single control is that control's label
+  if (!label && legend && closestDeep(element, 'fieldset').querySelectorAll(LABELABLE_CONTROL_SELECTOR).length === 1) {
+    label = legend;
+    labelSource = 'legend';
+  }
   
-  debugLog(`Found ${formElements.length} form elements`);
+  return {
+    label: label,
+    labelSource: labelSource,
+    description: computeAccessibleDescription(element),
+    groupLabel: labelSource === 'legend' ? '' : legend || (labelSource === 'table-header' ? '' : tableHeader)
+  };
+}
 
-  for (const [index, element] of formElements.entries()) {
-    // Skip hidden, disabled, or excluded elements
-    if (isElementExcluded(element)) {
+// Find associated label text
+function findAssociatedLabel(element) {
+  const { label } = getFieldContext(element);
+  if (label) return label;
+  
+  // Try preceding text nodes (skipping hints the field is described by)
+  const describedByIds = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+  let current = element.previousSibling;
+  while (current) {
+    if (current.nodeType === Node.ELEMENT_NODE && describedByIds.includes(current.id)) {
+      current = current.previousSibling;
       continue;
     }
-
-    //  This is for testing in 'job-portal-test.html' file
-    // if element baseURI contains 'job-portal-test.html' and its index is less then 27 then skip this iteration
-    if (element.baseURI && element.baseURI.includes('job-portal-test.html') && index < 27) {
-      continue;
+    // Text before the previous control belongs to that control
+    if (current.nodeType === Node.ELEMENT_NODE &&
+        (current.matches(LABELABLE_CONTROL_SELECTOR) || current.querySelector(LABELABLE_CONTROL_SELECTOR))) {
+      break;
     }
-    
-    // Use advanced detection for each element
-    const detectionResult = await detectFieldAdvanced(element);
-    
-    if (detectionResult) {
-      fields.push({
-        element: element,
-        category: detectionResult.category,
-        confidence: detectionResult.confidence,
-        methods: detectionResult.methods,
-        priority: detectionResult.priority,
-        
-        // Keep basic info for compatibility
-        type: element.type || 'text',
-        name: element.name || '',
-        id: element.id || '',
-        placeholder: element.placeholder || '',
-        className: element.className || '',
-        
-        // Enhanced info
-        detectionData: detectionResult.detectionData,
-        portal: portalConfig?.name || 'unknown',
-        index: index
-      });
-    } else {
-      // Store unmatched fields for potential manual mapping
-      fields.push({
-        element: element,
-        category: 'unknown',
-        confidence: 0,
-        methods: ['none'],
-        priority: 0,
-        
-        type: element.type || 'text',
-        name: element.name || '',
-        id: element.id || '',
-        placeholder: element.placeholder || '',
-        className: element.className || '',
-        
-        detectionData: null,
-        portal: portalConfig?.name || 'unknown',
-        index: index
-      });
+    if (current.nodeType === Node.TEXT_NODE && current.textContent.trim()) {
+      return current.textContent.trim();
     }
+    if (current.nodeType === Node.ELEMENT_NODE && current.textContent.trim()) {
+      return current.textContent.trim();
+    }
+    current = current.previousSibling;
   }
+
+  // Inputs rendered inside a web component usually get their label from the host
+  const shadowHost = element.getRootNode().host;
+  if (shadowHost) {
+    return shadowHost.getAttribute('label') ||
+      shadowHost.getAttribute('aria-label') ||
+      findAssociatedLabel(shadowHost);
+  }
+
+  return '';
+}
+
+// ============================================================================
+// FIELD FINGERPRINTS (multi-signal, similarity matched)
+// ============================================================================
+
+// Weight of each signal when comparing a field with a remembered one. Class names are
+// left out: CSS-in-JS hashes change on every deploy.
+const FINGERPRINT_SIGNAL_WEIGHTS = {
+  label: 0.3,
+  name: 0.15,
+  autocomplete: 0.15,
+  id: 0.1,
+  placeholder: 0.1,
+  formAction: 0.1,
+  position: 0.1
+};
+// Form and position alone never identify a field, one of these has to agree
+const FINGERPRINT_IDENTIFYING_SIGNALS = ['label', 'name', 'autocomplete', 'id', 'placeholder'];
+const FINGERPRINT_MATCH_THRESHOLD = 0.75;
+const FINGERPRINT_TEXT_SIMILARITY = 0.8; // Label/placeholder edits below this are a different text
+const FINGERPRINT_TEXT_MAX_LENGTH = 60;
+
+function normalizeFingerprintText(text) {
+  return foldDiacritics((text || '').toLowerCase())
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim()
+    .slice(0, FINGERPRINT_TEXT_MAX_LENGTH);
+}
+
+/**
+ * Signals that identify a field independently of generated ids and hashed class names
+ * @param {Element} element - Form control
+ * @returns {Object} { tag, type, label, name, autocomplete, id, placeholder, formAction, position }
+ */
+function getFieldSignals(element) {
+  const attributes = getElementAttributes(element);
+  const form = element.form || element.closest('form');
+  const autocomplete = attributes.autocomplete.toLowerCase().trim();
   
-  // Sort by confidence and priority
-  fields.sort((a, b) => {
-    if (a.confidence !== b.confidence) {
-      return b.confidence - a.confidence; // Higher confidence first
+  let formAction = '';
+  if (form && form.getAttribute('action')) {
+    try {
+      formAction = new URL(form.getAttribute('action'), window.location.href).pathname;
+    } catch (error) {
+      // Unparseable action, leave the signal out
     }
-    return b.priority - a.priority; // Higher priority first
-  });
+  }
   
-  detectedFields = fields;
-  debugLog(`Field detection completed: ${fields.length} total, ${fields.filter(f => f.confidence > 0.5).length} high-confidence matches`);
+  return {
+    tag: element.tagName.toLowerCase(),
+    type: String(attributes.type).toLowerCase(),
+    label: normalizeFingerprintText(findAssociatedLabel(element)),
+    name: looksGeneratedId(attributes.name) ? '' : attributes.name.toLowerCase(),
+    autocomplete: ['on', 'off'].includes(autocomplete) ? '' : autocomplete,
+    id: looksGeneratedId(attributes.id) ? '' : attributes.id,
+    placeholder: normalizeFingerprintText(attributes.placeholder),
+    formAction: formAction,
+    // Position among the form's controls (or the page's, for forms without a <form>)
+    position: Array.from((form || element.getRootNode()).querySelectorAll(FORM_CONTROL_SELECTOR)).indexOf(element)
+  };
+}
+
+function hasIdentifyingSignals(signals) {
+  return FINGERPRINT_IDENTIFYING_SIGNALS.some(signal => signals[signal]);
+}
+
+/**
+ * Storage key for a set of signals: "tag:type|label|name|id|autocomplete"
+ * @param {Object} signals - Signals from getFieldSignals
+ * @returns {string} Fingerprint
+ */
+function getFingerprintKey(signals) {
+  return [`${signals.tag}:${signals.type}`, signals.label, signals.name, signals.id, signals.autocomplete].join('|');
+}
+
+// Fingerprint used to recognise the same field across visits
+function getElementFingerprint(element) {
+  return getFingerprintKey(getFieldSignals(element));
+}
+
+// name|id|className key used before multi-signal fingerprints; still read so older
+// learned entries and mappings keep applying. Empty keys ("||") identify nothing.
+function getLegacyFingerprint(element) {
+  const attributes = getElementAttributes(element);
+  const fingerprint = `${attributes.name}|${attributes.id}|${attributes.className}`;
+  return fingerprint.replace(/\|/g, '').length > 0 ? fingerprint : null;
+}
+
+/**
+ * How likely two signal sets describe the same field (0-1)
+ * Only signals present on either side count, so a field that never had a placeholder
+ * is not penalised for it. Different control types never match.
+ * @param {Object} signals - Signals of the field on the page
+ * @param {Object} stored - Signals saved with a learned entry or mapping
+ * @returns {number} Similarity, 0 when no identifying signal agrees
+ */
+function compareFieldSignals(signals, stored) {
+  if (!signals || !stored || signals.tag !== stored.tag || signals.type !== stored.type) return 0;
   
-  // Detect experience cards within the same flow
-  try {
-    const experienceResults = await detectExperienceCards();
-    console.log('Experience Cards Detection Results:', experienceResults);
-    console.log(`Found ${experienceResults.totalCards} experience cards using ${experienceResults.detectionMethod} method`);
+  let totalWeight = 0;
+  let matchedWeight = 0;
+  let identified = false;
+  
+  Object.entries(FINGERPRINT_SIGNAL_WEIGHTS).forEach(([signal, weight]) => {
+    const current = signals[signal];
+    const previous = stored[signal];
     
-    // Create field entries for experience card fields and add to main fields array
-    if (experienceResults.totalCards > 0) {
-      experienceResults.cards.forEach((card, cardArrayIndex) => {
-        console.log(`Experience Card ${card.cardIndex}:`, {
-          confidence: card.detectionConfidence,
-          fields: Object.keys(card.fields).filter(key => card.fields[key]).join(', ')
-        });
-        
-        // Add each field from the experience card to the main fields array
-        Object.entries(card.fields).forEach(([fieldType, fieldElement]) => {
-          if (fieldElement) { // Only add if field element exists
-            const experienceFieldEntry = {
-              // Core field information
-              element: fieldElement,
-              category: `experience_${fieldType}`, // e.g., "experience_jobTitle", "experience_company"
-              confidence: card.detectionConfidence / 100, // Convert percentage to 0-1 scale
-              methods: ['experience-card-detection'],
-              priority: 8, // High priority for experience fields
-              
-              // Basic element info for compatibility
-              type: fieldElement.type || 'text',
-              name: fieldElement.name || '',
-              id: fieldElement.id || '',
-              placeholder: fieldElement.placeholder || '',
-              className: fieldElement.className || '',
-              
-              // Enhanced info
-              detectionData: {
-                keywords: [fieldType, 'experience', 'job'],
-                priority: 8,
-                specificity: 'high'
-              },
-              portal: portalConfig?.name || 'unknown',
-              index: fields.length + Object.keys(card.fields).indexOf(fieldType), // Unique index
-              
-              // Experience-specific metadata
-              customType: 'jobExperience',
-              cardIndex: card.cardIndex,
-              cardElement: card.container,
-              cardParentElement: experienceResults.parentContainer,
-              experienceFieldType: fieldType, // jobTitle, company, startDate, etc.
-              cardDetectionMethod: experienceResults.detectionMethod,
-              cardDetectionConfidence: card.detectionConfidence,
-              totalCardsFound: experienceResults.totalCards,
-              fieldPosition: Object.keys(card.fields).indexOf(fieldType) + 1,
-              isExperienceField: true,
-              experienceCardData: {
-                totalFieldsInCard: Object.keys(card.fields).filter(key => card.fields[key]).length,
-                availableFieldTypes: Object.keys(card.fields).filter(key => card.fields[key]),
-                cardElementTag: card.container?.tagName || 'unknown',
-                cardElementClasses: card.container?.className || '',
-                cardElementId: card.container?.id || ''
-              }
-            };
-            
-            // Add to main fields array
-            fields.push(experienceFieldEntry);
-            
-          }
-        });
-      });
-      
-      // Log summary of added experience fields
-      const experienceFieldsAdded = fields.filter(f => f.customType === 'jobExperience');
-      console.log(`Experience Fields Dataset Summary:`, {
-        totalExperienceFields: experienceFieldsAdded.length,
-        totalCards: experienceResults.totalCards,
-        detectionMethod: experienceResults.detectionMethod,
-        fieldsByCard: experienceFieldsAdded.reduce((acc, field) => {
-          acc[field.cardIndex] = (acc[field.cardIndex] || 0) + 1;
-          return acc;
-        }, {}),
-        fieldTypes: [...new Set(experienceFieldsAdded.map(f => f.experienceFieldType))]
+    if (signal === 'position' ? !(current >= 0 && previous >= 0) : !(current || previous)) return;
+    totalWeight += weight;
+    
+    let agreement = current === previous ? 1 : 0;
+    if (!agreement && current && previous && (signal === 'label' || signal === 'placeholder')) {
+      // Texts whose lengths differ by more than the threshold allows cannot be similar
+      const lengthGap = Math.abs(current.length - previous.length);
+      const similarity = lengthGap > Math.max(current.length, previous.length) * (1 - FINGERPRINT_TEXT_SIMILARITY)
+        ? 0
+        : calculateSimilarity(current, previous);
+      agreement = similarity >= FINGERPRINT_TEXT_SIMILARITY ? similarity : 0;
+    }
+    
+    matchedWeight += weight * agreement;
+    if (agreement > 0 && FINGERPRINT_IDENTIFYING_SIGNALS.includes(signal)) {
+      identified = true;
+    }
+  });
+  
+  return identified && totalWeight > 0 ? matchedWeight / totalWeight : 0;
+}
+
+/**
+ * Most similar of several remembered fields
+ * @param {Object} signals - Signals of the field on the page
+ * @param {Array<[*, Object]>} candidates - [item, stored signals] pairs
+ * @returns {{item: *, similarity: number}|null} Best match at or above FINGERPRINT_MATCH_THRESHOLD
+ */
+function findSimilarFingerprint(signals, candidates) {
+  let best = null;
+  for (const [item, stored] of candidates) {
+    const similarity = compareFieldSignals(signals, stored);
+    if (similarity >= FINGERPRINT_MATCH_THRESHOLD && (!best || similarity > best.similarity)) {
+      best = { item, similarity };
+    }
+  }
+  return best;
+}
+
+/**
+ * Forget cached signals and lookups. Called when a detection pass starts and when
+ * rules change, so each is computed at most once per element per pass (reading labels
+ * and positions and scanning remembered fields is the expensive part).
+ */
+function resetFingerprintCache() {
+  fingerprintCache = new WeakMap();
+  selectorMatchCache = new Map();
+}
+
+/**
+ * Signals and exact keys of a control, cached for the running pass
+ * @param {Element} element - Form control
+ * @returns {Object} { signals, key, legacyKey }; lookups made for the element are added to it
+ */
+function getCachedFingerprints(element) {
+  let cached = fingerprintCache.get(element);
+  if (!cached) {
+    const signals = getFieldSignals(element);
+    cached = {
+      signals: signals,
+      key: hasIdentifyingSignals(signals) ? getFingerprintKey(signals) : null,
+      legacyKey: getLegacyFingerprint(element)
+    };
+    fingerprintCache.set(element, cached);
+  }
+  return cached;
+}
+
+/**
+ * Group remembered fields by control type; fields of another type never match
+ * @param {Array<[*, Object]>} candidates - [item, stored signals] pairs
+ * @returns {Map<string, Array>} "tag:type" -> pairs
+ */
+function bucketBySignals(candidates) {
+  const buckets = new Map();
+  candidates.forEach(([item, stored]) => {
+    const bucketKey = `${stored.tag}:${stored.type}`;
+    if (!buckets.has(bucketKey)) buckets.set(bucketKey, []);
+    buckets.get(bucketKey).push([item, stored]);
+  });
+  return buckets;
+}
+
+function getSignalBucket(buckets, signals) {
+  return buckets.get(`${signals.tag}:${signals.type}`) || [];
+}
+
+// ============================================================================
+// PORTAL IDENTIFICATION (enhanced)
+// ============================================================================
+
+function identifyJobPortal() {
+  const hostname = window.location.hostname.toLowerCase();
+  const pathname = window.location.pathname.toLowerCase();
+  const fullUrl = window.location.href.toLowerCase();
+  
+  // Local fixture pages (test/ats-fixtures) name the portal they reproduce. Only a local
+  // server counts: file:// pages and about:blank / srcdoc frames also have no hostname.
+  const isLocalPage = ['localhost', '127.0.0.1'].includes(hostname);
+  const fixturePortal = document.documentElement.dataset.autofillPortal;
+  if (isLocalPage && fixturePortal && portalConfigs[fixturePortal]) {
+    debugLog('Portal fixture identified:', portalConfigs[fixturePortal].name);
+    return portalConfigs[fixturePortal];
+  }
+  
+  // Highest priority first so a narrow custom entry can shadow a built-in one
+  const candidates = Object.values(portalConfigs)
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  for (const config of candidates) {
+    if (window.portalRegistry.matchesPortalDomain(hostname, config.domains)) {
+      debugLog('Portal identified:', config.name);
+      return config;
+    }
+  }
+  
+  // Check for job-related keywords in URL for unknown portals
+  const jobKeywords = ['job', 'career', 'apply', 'application', 'hiring', 'recruit'];
+  const hasJobKeywords = jobKeywords.some(keyword => 
+    hostname.includes(keyword) || pathname.includes(keyword)
+  );
+  
+  if (hasJobKeywords) {
+    debugLog('Generic job portal detected');
+    return {
+      name: 'Generic Job Portal',
+      domains: [hostname],
+      priority: 5,
+      specificSelectors: {},
+      excludePatterns: ['hidden', 'password', 'csrf'],
+      dynamicContent: true
+    };
+  }
+  
+  debugLog('Using generic portal configuration');
+  return null;
+}
+
+// ============================================================================
+// ADVANCED FIELD DETECTION (unified algorithms)
+// ============================================================================
+
+async function detectFieldAdvanced(element) {
+  console.log("Start Field data detection for : "+ element.name)
+  
+  // Manual mappings chosen by the user always win over automatic detection
+  const manualRule = findManualMapping(element);
+  if (manualRule) {
+    console.log("Manual mapping applied for : "+ element.name)
+    detectionExplanations.set(element, {
+      decision: 'manual',
+      category: manualRule.category,
+      confidence: 1.0,
+      summary: `Mapped by hand in the field picker${manualRule.customValue ? ' with a custom value' : ''}`,
+      manualRule: { id: manualRule.id, selector: manualRule.selector, label: manualRule.label },
+      candidates: []
+    });
+    return {
+      element: element,
+      category: manualRule.category,
+      confidence: 1.0,
+      maxConfidence: 1.0,
+      methods: ['manual'],
+      priority: 20,
+      detectionData: MASTER_FIELD_DATABASE[manualRule.category] || null,
+      manualMapping: manualRule
+    };
+  }
+  
+  // Standard tokens with no profile counterpart (passwords, payment, birthday...) are never guessed
+  const autocompleteTokens = parseAutocompleteTokens(element.getAttribute('autocomplete'));
+  if (autocompleteTokens && AUTOCOMPLETE_FIELD_MAP[autocompleteTokens.fieldName] === null) {
+    console.log("Skipping field with unmapped autocomplete token : " + autocompleteTokens.fieldName)
+    detectionExplanations.set(element, {
+      decision: 'rejected',
+      category: null,
+      confidence: 0,
+      summary: `autocomplete="${autocompleteTokens.fieldName}" has no profile field, so the field is never filled`,
+      candidates: []
+    });
+    return null;
+  }
+  
+  const results = await Promise.all([
+    autocompleteMatching(element),
+    directAttributeMatching(element),
+    fuzzyKeywordMatching(element),
+    contextualAnalysis(element),
+    semanticAnalysis(element),
+    portalSpecificMatching(element),
+    learningBasedDetection(element),
+    confirmFieldMatching(element)
+  ]);
+  
+  // A re-entry field must not compete with the field it confirms (autocomplete="email" is common on both)
+  const confirmedCategories = results.flat()
+    .map(result => MASTER_FIELD_DATABASE[result.field]?.confirms)
+    .filter(Boolean);
+  const competingResults = confirmedCategories.length > 0
+    ? results.map(resultSet => resultSet.filter(result => !confirmedCategories.includes(result.field)))
+    : results;
+  
+  const combinedResults = combineDetectionResults(element, competingResults);
+  console.log("End Field data detection for : "+ element.name)
+  return combinedResults;
+}
+
+// Autocomplete attribute matching (standard autofill tokens, most reliable signal)
+function autocompleteMatching(element) {
+  const parsed = parseAutocompleteTokens(element.getAttribute('autocomplete'));
+  if (!parsed) return [];
+  
+  const fieldType = AUTOCOMPLETE_FIELD_MAP[parsed.fieldName];
+  const config = fieldType && MASTER_FIELD_DATABASE[fieldType];
+  if (!config) return [];
+  
+  return [{
+    field: fieldType,
+    // Shipping/billing addresses are less likely to be the applicant's home address
+    confidence: parsed.addressType ? 0.9 : 0.97,
+    method: 'autocomplete',
+    source: `autocomplete:${element.getAttribute('autocomplete').trim()}`,
+    matchedText: element.getAttribute('autocomplete').trim(),
+    priority: config.priority + 1,
+    autocompleteSection: parsed.section,
+    autocompleteAddressType: parsed.addressType
+  }];
+}
+
+// Words that mark a field as a re-entry of another ("Confirm email", "Re-enter your phone").
+// "Verify" is left out: it labels verification-code boxes and primary fields ("we'll verify this").
+// "Again" only counts right after the primary keyword ("Email again"), see confirmFieldMatching.
+const CONFIRM_CUE_PATTERN = /\b(confirm|confirmation|re ?enter|re ?type|repeat)\b/i;
+const CONFIRM_AGAIN_PATTERN = /\bagain\b/i;
+
+// Re-entry detection: a confirm cue plus the primary field's keywords in the label or attributes
+function confirmFieldMatching(element) {
+  const context = getFieldContext(element);
+  const ownText = [
+    context.label || findAssociatedLabel(element),
+    element.name,
+    element.id,
+    element.placeholder,
+    element.getAttribute('aria-label')
+  ].filter(Boolean).join(' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2') // confirmEmail -> confirm Email
+    .replace(/[_.-]+/g, ' ');
+  
+  const hasCue = CONFIRM_CUE_PATTERN.test(ownText);
+  if (!hasCue && !CONFIRM_AGAIN_PATTERN.test(ownText)) return [];
+  
+  const normalizedText = normalizeString(ownText);
+  const results = [];
+  
+  for (const [fieldType, config] of Object.entries(MASTER_FIELD_DATABASE)) {
+    if (!config.confirms) continue;
+    
+    const primaryKeyword = MASTER_FIELD_DATABASE[config.confirms].contextKeywords.find(keyword => {
+      const normalizedKeyword = normalizeString(keyword);
+      return normalizedKeyword && normalizedText.includes(hasCue ? normalizedKeyword : `${normalizedKeyword}again`);
+    });
+    
+    if (primaryKeyword) {
+      results.push({
+        field: fieldType,
+        confidence: 0.9,
+        method: 'confirm',
+        source: `cue:${primaryKeyword}`,
+        matchedText: ownText.trim(),
+        priority: config.priority
       });
-      
-      // Print complete experience fields dataset
-      console.log('Complete Experience Fields Dataset:', experienceFieldsAdded.map(field => ({
-        category: field.category,
-        customType: field.customType,
-        cardIndex: field.cardIndex,
-        experienceFieldType: field.experienceFieldType,
-        elementInfo: {
-          name: field.name,
-          id: field.id,
-          type: field.type,
-          placeholder: field.placeholder
-        },
-        confidence: field.confidence,
-        cardDetectionConfidence: field.cardDetectionConfidence,
-        totalCardsFound: field.totalCardsFound,
-        fieldPosition: field.fieldPosition,
-        experienceCardData: field.experienceCardData
-      })));
     }
-  } catch (error) {
-    console.error('Error detecting experience cards:', error);
   }
   
-  return fields;
+  return results;
+}
+
+// Direct attribute matching (highest confidence)
+function directAttributeMatching(element) {
+  const attributes = getElementAttributes(element);
+  const results = [];
+  
+  for (const [fieldType, config] of Object.entries(MASTER_FIELD_DATABASE)) {
+    for (const [attrName, attrValue] of Object.entries(attributes)) {
+      // autocomplete tokens are handled by autocompleteMatching
+      if (!attrValue || attrName === 'autocomplete') continue;
+      
+      const normalizedValue = normalizeString(attrValue);
+      
+      for (const keyword of config.keywords) {
+        let confidenceLevel = undefined;
+
+        const keywordNormalizeString = normalizeString(keyword);
+
+        if (normalizedValue === keywordNormalizeString ){
+          confidenceLevel = 0.95;
+        }else if (normalizedValue.includes(keywordNormalizeString)) {
+          confidenceLevel = 0.70;
+        }
+
+        if (confidenceLevel) {
+          results.push({
+            field: fieldType,
+            confidence: confidenceLevel,
+            method: 'direct',
+            source: `${attrName}:${keyword}`,
+            matchedText: attrValue,
+            priority: config.priority
+          });
+        }
+      }
+    }
+  }
+  
+  return results;
+}
+
+// Fuzzy keyword matching with similarity scoring
+function fuzzyKeywordMatching(element) {
+  const attributes = getElementAttributes(element);
+  const allText = Object.values(attributes).join(' ');
+  const results = [];
+  
+  for (const [fieldType, config] of Object.entries(MASTER_FIELD_DATABASE)) {
+    for (const keyword of config.keywords) {
+      for (const [attrName, attrValue] of Object.entries(attributes)) {
+        if (!attrValue || attrName === 'autocomplete') continue;
+        
+        const similarity = calculateSimilarity(attrValue, keyword);
+        
+        if (similarity > 0.7) { // 70% similarity threshold
+          results.push({
+            field: fieldType,
+            confidence: similarity * 0.8, // Slightly lower than direct match
+            method: 'fuzzy',
+            source: `${attrName}~${keyword}`,
+            matchedText: attrValue,
+            priority: config.priority,
+            similarity: similarity
+          });
+        }
+      }
+    }
+  }
+  
+  return results;
+}
+
+// Contextual analysis using surrounding elements
+// The label is used first; description and fieldset/table context only when the label says nothing,
+// so weaker context never dilutes a label match
+function contextualAnalysis(element) {
+  const context = getFieldContext(element);
+  const results = [];
+  
+  const sources = [
+    { kind: 'label', text: context.label || findAssociatedLabel(element), confidence: 0.75 },
+    { kind: 'description', text: context.description, confidence: 0.65 },
+    { kind: 'group', text: context.groupLabel, confidence: 0.6 }
+  ];
+  
+  for (const { kind, text, confidence } of sources) {
+    if (!text) continue;
+    
+    const normalizedText = normalizeString(text);
+    const hits = [];
+    
+    for (const [fieldType, config] of Object.entries(MASTER_FIELD_DATABASE)) {
+      for (const contextKeyword of config.contextKeywords || []) {
+        const normalizedKeyword = normalizeString(contextKeyword);
+        if (normalizedKeyword && normalizedText.includes(normalizedKeyword)) {
+          hits.push({ fieldType, contextKeyword, normalizedKeyword });
+        }
+      }
+    }
+    
+    for (const { fieldType, contextKeyword } of dropShadowedKeywordHits(normalizedText, hits)) {
+      results.push({
+        field: fieldType,
+        confidence: confidence,
+        method: 'contextual',
+        source: `${kind}:${contextKeyword}`,
+        matchedText: text,
+        priority: MASTER_FIELD_DATABASE[fieldType].priority,
+        labelText: text
+      });
+    }
+    
+    if (results.length > 0) break;
+  }
+  
+  return results;
+}
+
+/**
+ * Drops keyword hits that only occur inside a longer keyword hit of another field,
+ * e.g. 'nom' (last name) inside 'prenom' (first name) or 'to' inside 'total'
+ * @param {string} normalizedText - Normalized label text
+ * @param {Array<{fieldType: string, normalizedKeyword: string}>} hits - Keywords found in the text
+ * @returns {Array} Hits with at least one occurrence of their own
+ */
+function dropShadowedKeywordHits(normalizedText, hits) {
+  const occurrences = hits.map(hit => {
+    const starts = [];
+    for (let start = normalizedText.indexOf(hit.normalizedKeyword); start !== -1; start = normalizedText.indexOf(hit.normalizedKeyword, start + 1)) {
+      starts.push(start);
+    }
+    return { ...hit, starts };
+  });
+  
+  return occurrences.filter(hit => hit.starts.some(start => !occurrences.some(other =>
+    other.fieldType !== hit.fieldType &&
+    other.normalizedKeyword.length > hit.normalizedKeyword.length &&
+    other.starts.some(otherStart =>
+      otherStart <= start && start + hit.normalizedKeyword.length <= otherStart + other.normalizedKeyword.length
+    )
+  )));
+}
+
+// Semantic analysis for meaning-based detection
+function semanticAnalysis(element) {
+  const attributes = getElementAttributes(element);
+  const context = getFieldContext(element);
+  const labelText = context.label || findAssociatedLabel(element);
+  const combinedText = [...Object.values(attributes), labelText, context.description].join(' ').toLowerCase();
+  const results = [];
+  
+  // Semantic patterns for better understanding
+  const semanticPatterns = {
+    firstName: ['given name', 'christian name', 'forename'],
+    lastName: ['family name', 'surname', 'last name'],
+    email: ['email address', 'electronic mail', 'contact email'],
+    phone: ['phone number', 'telephone number', 'mobile number', 'contact number'],
+    linkedinUrl: ['linkedin profile', 'professional profile', 'linkedin url'],
+    githubUrl: ['github profile', 'github url', 'repository url'],
+    totalExperience: ['years of experience', 'work experience', 'professional experience'],
+    currentSalary: ['current salary', 'current compensation', 'present salary'],
+    expectedSalary: ['expected salary', 'desired salary', 'salary expectation']
+  };
+  
+  for (const [fieldType, patterns] of Object.entries(semanticPatterns)) {
+    for (const pattern of patterns) {
+      if (combinedText.includes(pattern)) {
+        const config = MASTER_FIELD_DATABASE[fieldType];
+        if (config) {
+          results.push({
+            field: fieldType,
+            confidence: 0.85,
+            method: 'semantic',
+            source: `pattern:${pattern}`,
+            matchedText: pattern,
+            priority: config.priority,
+            pattern: pattern
+          });
+        }
+      }
+    }
+  }
+  
+  return results;
+}
+
+// Portal-specific matching using known selectors
+function portalSpecificMatching(element) {
+  if (!portalConfig || !portalConfig.specificSelectors) return [];
+  
+  const results = [];
+  
+  for (const [fieldType, selectors] of Object.entries(portalConfig.specificSelectors)) {
+    for (const selector of selectors) {
+      try {
+        if (element.matches(selector)) {
+          const config = MASTER_FIELD_DATABASE[fieldType];
+          if (config) {
+            results.push({
+              field: fieldType,
+              confidence: 0.98, // Very high confidence for portal-specific
+              method: 'portal-specific',
+              source: `selector:${selector}`,
+              matchedText: selector,
+              priority: config.priority + 2, // Boost priority
+              portal: portalConfig.name
+            });
+          }
+        }
+      } catch (error) {
+        // Invalid selector, skip
+      }
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Learned entry for a field: exact fingerprint, then the legacy key, then the most
+ * similar entry (the same field after a redeploy renamed its id or label)
+ * @param {Element} element - Form control
+ * @returns {{fingerprint: string, entry: Object, similarity: number}|null} Learned entry
+ */
+function findLearnedEntry(element) {
+  const cached = getCachedFingerprints(element);
+  if ('learned' in cached) return cached.learned;
+  
+  cached.learned = null;
+  for (const key of [cached.key, cached.legacyKey]) {
+    if (key && learningData.has(key)) {
+      cached.learned = { fingerprint: key, entry: learningData.get(key), similarity: 1 };
+      return cached.learned;
+    }
+  }
+  
+  if (!learningBuckets) {
+    learningBuckets = bucketBySignals(Array.from(learningData.entries())
+      .filter(([, entry]) => entry.signals)
+      .map(([key, entry]) => [key, entry.signals]));
+  }
+  const match = findSimilarFingerprint(cached.signals, getSignalBucket(learningBuckets, cached.signals));
+  if (match) {
+    cached.learned = { fingerprint: match.item, entry: learningData.get(match.item), similarity: match.similarity };
+  }
+  return cached.learned;
+}
+
+// Learning-based detection using stored patterns
+function learningBasedDetection(element) {
+  const results = [];
+  const learned = findLearnedEntry(element);
+  
+  if (learned) {
+    const { fingerprint, entry: learnedData, similarity } = learned;
+    const config = MASTER_FIELD_DATABASE[learnedData.fieldType];
+    // Older observations count for less (see LEARNING_CONFIG in utils/storage.js)
+    const learnedConfidence = window.storageManager
+      ? window.storageManager.getDecayedLearningConfidence(learnedData)
+      : learnedData.confidence;
+    
+    if (config) {
+      results.push({
+        field: learnedData.fieldType,
+        // Boost learned patterns, less so when only a similar field was seen
+        confidence: Math.min(learnedConfidence + 0.1, 0.95) * similarity,
+        method: 'learning',
+        source: `learned:${fingerprint}`,
+        matchedText: fingerprint,
+        priority: config.priority,
+        learnedFrom: learnedData.portal || 'unknown'
+      });
+    }
+  }
+  
+  return results;
+}
+
+// Combine detection results with weighted scoring
+function combineDetectionResults(element, resultSets) {
+  const allResults = resultSets.flat();
+  
+  if (allResults.length === 0) {
+    detectionExplanations.set(element, {
+      decision: 'rejected',
+      category: null,
+      confidence: 0,
+      summary: 'No detection method recognised this field',
+      candidates: []
+    });
+    return null;
+  }
+  
+  // Group by field type and calculate weighted scores
+  const fieldScores = new Map();
+  const scoring = getScoringSettings();
+  
+  for (const result of allResults) {
+    const currentScore = fieldScores.get(result.field) || { 
+      total: 0, 
+      count: 0, 
+      methods: [], 
+      evidence: [],
+      maxConfidence: 0,
+      priority: result.priority || 5
+    };
+    
+    // Weight the confidence by method reliability
+    const weight = scoring.methodWeights[result.method] ?? scoring.unknownMethodWeight;
+    const weightedConfidence = result.confidence * weight;
+    
+    currentScore.total += weightedConfidence;
+    currentScore.count += 1;
+    currentScore.methods.push(result.method);
+    currentScore.evidence.push({
+      method: result.method,
+      confidence: result.confidence,
+      weight: weight,
+      weightedConfidence: weightedConfidence,
+      source: result.source || '',
+      matchedText: result.matchedText || ''
+    });
+    currentScore.maxConfidence = Math.max(currentScore.maxConfidence, result.confidence);
+    
+    fieldScores.set(result.field, currentScore);
+  }
+  
+  // Find best match with minimum confidence threshold
+  let bestField = null;
+  let bestScore = 0;
+  const confidenceThreshold = scoring.confidenceThreshold;
+  const candidates = []; // Every category above the threshold, for the page-wide assignment pass
+  
+  for (const [field, score] of fieldScores.entries()) {
+    const normalizedScore = score.total / score.count;
+    
+    if (normalizedScore > confidenceThreshold && score.maxConfidence > confidenceThreshold) {
+      candidates.push({
+        category: field,
+        score: normalizedScore,
+        independentScore: getIndependentScore(score.evidence, confidenceThreshold),
+        priority: score.priority,
+        methods: [...new Set(score.methods)]
+      });
+    }
+    
+    if (normalizedScore > bestScore && 
+        normalizedScore > confidenceThreshold &&
+        score.maxConfidence > confidenceThreshold) {
+      bestScore = normalizedScore;
+      bestField = field;
+    }
+  }
+  
+  detectionExplanations.set(element, buildDetectionExplanation(fieldScores, bestField, bestScore, confidenceThreshold));
+  
+  if (bestField) {
+    const fieldData = fieldScores.get(bestField);
+    
+    return {
+      element: element,
+      category: bestField,
+      confidence: bestScore,
+      maxConfidence: fieldData.maxConfidence,
+      methods: [...new Set(fieldData.methods)], // Unique methods
+      priority: fieldData.priority,
+      detectionData: MASTER_FIELD_DATABASE[bestField],
+      // Best first; the winner leads even when a later candidate ties its score
+      candidates: candidates.sort((a, b) => (b.category === bestField) - (a.category === bestField) || b.score - a.score)
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Score a category earns without the learning method, so a learned entry cannot
+ * confirm itself. Same rule as the winner: the average and the best single method
+ * must both clear the threshold.
+ * @param {Array} evidence - Per-method evidence from combineDetectionResults
+ * @param {number} threshold - Confidence threshold
+ * @returns {number} Average weighted score of the other methods, 0 when they fall short
+ */
+function getIndependentScore(evidence, threshold) {
+  const independent = evidence.filter(item => item.method !== 'learning');
+  if (independent.length === 0) return 0;
+  
+  const score = independent.reduce((sum, item) => sum + item.weightedConfidence, 0) / independent.length;
+  const maxConfidence = Math.max(...independent.map(item => item.confidence));
+  return score > threshold && maxConfidence > threshold ? score : 0;
+}
+
+/**
+ * Describe every candidate category and why it was accepted or rejected
+ * @param {Map} fieldScores - Per-category scores built by combineDetectionResults
+ * @param {string|null} bestField - Winning category, if any
+ * @param {number} bestScore - Winning average weighted score
+ * @param {number} threshold - Minimum score a category needed
+ * @returns {Object} Serializable explanation
+ */
+function buildDetectionExplanation(fieldScores, bestField, bestScore, threshold) {
+  const candidates = Array.from(fieldScores.entries()).map(([category, score]) => {
+    const averageScore = score.total / score.count;
+    let reason;
+    
+    if (category === bestField) {
+      reason = `Accepted: highest average score above the ${threshold} threshold`;
+    } else if (averageScore <= threshold) {
+      reason = `Rejected: average score ${averageScore.toFixed(2)} is not above the ${threshold} threshold`;
+    } else if (score.maxConfidence <= threshold) {
+      reason = `Rejected: no single method was more than ${threshold} confident`;
+    } else {
+      reason = `Rejected: outscored by ${bestField} (${bestScore.toFixed(2)})`;
+    }
+    
+    return {
+      category: category,
+      score: averageScore,
+      maxConfidence: score.maxConfidence,
+      status: category === bestField ? 'accepted' : 'rejected',
+      reason: reason,
+      evidence: score.evidence
+    };
+  }).sort((a, b) => b.score - a.score);
+  
+  return {
+    decision: bestField ? 'accepted' : 'rejected',
+    category: bestField,
+    confidence: bestField ? bestScore : 0,
+    threshold: threshold,
+    summary: bestField
+      ? `Detected as ${bestField} with score ${bestScore.toFixed(2)} from ${candidates.find(c => c.category === bestField).evidence.length} signal(s)`
+      : `No candidate passed the ${threshold} threshold`,
+    candidates: candidates
+  };
+}
+
+/**
+ * Explain a detected field: generic scoring plus card/question context when it applies
+ * @param {Object} field - Entry from detectedFields
+ * @returns {Object} Serializable explanation
+ */
+function explainDetectedField(field) {
+  const explanation = { ...(detectionExplanations.get(field.element) || {
+    decision: 'rejected',
+    category: null,
+    confidence: 0,
+    summary: 'Field was skipped before scoring',
+    candidates: []
+  }) };
+  
+  if (field.customType === 'jobExperience' || field.customType === 'education') {
+    const cardType = field.customType === 'education' ? 'education' : 'experience';
+    const fieldType = field.educationFieldType || field.experienceFieldType;
+    explanation.genericCategory = explanation.category;
+    explanation.decision = field.manualMapping ? 'manual' : 'accepted';
+    explanation.category = field.category;
+    explanation.confidence = field.confidence;
+    explanation.summary = field.manualMapping
+      ? `Mapped by hand to ${cardType} entry #${field.cardIndex}`
+      : `${fieldType} field of ${cardType} card #${field.cardIndex} (card found by ${field.cardDetectionMethod}, ${field.cardDetectionConfidence}% card confidence)`;
+  } else if (field.customType === 'screeningQuestion') {
+    explanation.genericCategory = explanation.category;
+    explanation.decision = 'accepted';
+    explanation.category = field.category;
+    explanation.confidence = field.confidence;
+    explanation.summary = `Question "${field.questionText}" is answered from the screening answer bank when a stored question matches`;
+  }
+  
+  const fieldContext = getFieldContext(field.element);
+  
+  return {
+    ...explanation,
+    element: {
+      tag: field.element.tagName.toLowerCase(),
+      type: field.type,
+      name: field.name,
+      id: field.id,
+      label: findAssociatedLabel(field.element),
+      labelSource: fieldContext.labelSource,
+      description: fieldContext.description,
+      groupLabel: fieldContext.groupLabel
+    }
+  };
+}
+
+// Confidence stored for categories the user vouched for (remaps, submitted fills)
+const CONFIRMED_LEARNING_CONFIDENCE = 0.9;
+
+/**
+ * Store a detection for learning: a category other methods confirmed, a fill the user
+ * submitted or a remap. Each element counts once per page load, so repeated detection
+ * passes do not keep refreshing the entry's timestamp and hits.
+ * @param {Element} element - Form control
+ * @param {string} fieldType - Category to remember
+ * @param {number} confidence - Confidence to store
+ */
+function storeDetectionLearning(element, fieldType, confidence) {
+  if (!MASTER_FIELD_DATABASE[fieldType] || learnedThisVisit.get(element) === fieldType) return;
+  
+  const signals = getFieldSignals(element);
+  // A field with no label, name, id, autocomplete or placeholder cannot be recognised later
+  if (!hasIdentifyingSignals(signals)) return;
+  learnedThisVisit.set(element, fieldType);
+  learningBuckets = null;
+  
+  const fingerprint = getFingerprintKey(signals);
+  const previous = learningData.get(fingerprint);
+  const isReinforcement = previous && !previous.sharedFrom && previous.fieldType === fieldType;
+  
+  learningData.set(fingerprint, {
+    fieldType: fieldType,
+    confidence: confidence,
+    portal: portalConfig?.name || 'unknown',
+    timestamp: Date.now(),
+    firstSeen: isReinforcement ? previous.firstSeen : Date.now(),
+    hits: isReinforcement ? (previous.hits || 1) + 1 : 1,
+    url: window.location.hostname,
+    signals: signals
+  });
+  
+  // Size limits and decay are enforced by StorageManager when persisting
+  scheduleLearningSave();
+}
+
+/**
+ * Load learned fingerprints for this site from storage
+ * Entries learned on other hosts of the same portal (e.g. Workday tenants) are
+ * used as a fallback but never written back under this site's namespace.
+ */
+async function loadLearningData() {
+  if (!window.storageManager) {
+    debugLog('StorageManager not available, learning data stays in memory only');
+    return;
+  }
+  
+  try {
+    const stored = await window.storageManager.getLearningData();
+    const hostname = window.location.hostname;
+    const portalName = portalConfig?.name || 'unknown';
+    
+    learningData = new Map(Object.entries(stored.sites[hostname]?.entries || {}));
+    learningBuckets = null;
+    
+    if (portalName !== 'unknown') {
+      for (const [siteHost, site] of Object.entries(stored.sites)) {
+        if (siteHost === hostname || site.portal !== portalName) continue;
+        for (const [fingerprint, entry] of Object.entries(site.entries)) {
+          if (!learningData.has(fingerprint)) {
+            learningData.set(fingerprint, { ...entry, sharedFrom: siteHost });
+          }
+        }
+      }
+    }
+    
+    debugLog(`Loaded ${learningData.size} learned fingerprints for ${hostname}`);
+  } catch (error) {
+    console.error('Failed to load learning data:', error);
+  }
+}
+
+/**
+ * Load click-to-map rules saved for this site
+ */
+async function loadManualMappings() {
+  if (!window.storageManager) return;
+  
+  try {
+    manualMappings = await window.storageManager.getFieldMappings(window.location.hostname);
+    manualMappingBuckets = null;
+    resetFingerprintCache();
+    debugLog(`Loaded ${manualMappings.length} manual field mappings`);
+  } catch (error) {
+    console.error('Failed to load manual field mappings:', error);
+  }
+}
+
+/**
+ * Load the user's detection sensitivity and scoring weights
+ */
+async function loadDetectionSettings() {
+  if (!window.storageManager) return;
+  
+  try {
+    detectionSettings = await window.storageManager.getDetectionSettings();
+    debugLog(`Detection sensitivity: ${detectionSettings.sensitivity}${detectionSettings.advanced ? ' (advanced)' : ''}`);
+  } catch (error) {
+    console.error('Failed to load detection settings:', error);
+  }
+}
+
+/**
+ * Load the user's salary exchange-rate table
+ */
+async function loadExchangeRates() {
+  if (!window.storageManager || !window.salaryConverter) return;
+  
+  try {
+    exchangeRates = await window.storageManager.getExchangeRates();
+  } catch (error) {
+    console.error('Failed to load exchange rates:', error);
+  }
+}
+
+/**
+ * Exchange rates for salary conversion during a fill
+ * @returns {Object|null} { [currency]: units per USD }, null when salaryConverter.js is not injected
+ */
+function getExchangeRates() {
+  return exchangeRates || window.salaryConverter?.DEFAULT_EXCHANGE_RATES || null;
+}
+
+/**
+ * Scoring values for combineDetectionResults and the fill cutoff
+ * @returns {Object} Thresholds and per-method weights
+ */
+function getScoringSettings() {
+  if (detectionSettings) return detectionSettings;
+  
+  // storage.js not injected: the default preset, injected with this script
+  return window.detectionConfig.resolveDetectionSettings(null);
+}
+
+/**
+ * Find the manual mapping rule that targets this element
+ * @param {Element} element - Form element
+ * @returns {Object|null} Matching rule
+ */
+function findManualMapping(element) {
+  if (manualMappings.length === 0) return null;
+  
+  const cached = getCachedFingerprints(element);
+  if (!('manual' in cached)) {
+    cached.manual = lookupManualMapping(element, cached);
+  }
+  return cached.manual;
+}
+
+function lookupManualMapping(element, cached) {
+  const bySelector = manualMappings.find(rule => {
+    try {
+      return rule.selector && element.matches(rule.selector);
+    } catch (error) {
+      return false; // Invalid selector, fall through to fingerprint
+    }
+  });
+  if (bySelector) return bySelector;
+  
+  const fingerprints = [cached.key, cached.legacyKey].filter(Boolean);
+  const byFingerprint = manualMappings.find(rule => fingerprints.includes(rule.fingerprint));
+  if (byFingerprint) return byFingerprint;
+  
+  // A similar field only takes over a rule whose selector no longer finds anything,
+  // otherwise a rule for one repeated field would spread to its neighbours
+  if (!manualMappingBuckets) {
+    manualMappingBuckets = bucketBySignals(manualMappings
+      .filter(rule => rule.signals)
+      .map(rule => [rule, rule.signals]));
+  }
+  const match = findSimilarFingerprint(cached.signals, getSignalBucket(manualMappingBuckets, cached.signals));
+  if (!match) return null;
+  
+  const selector = match.item.selector;
+  if (!selectorMatchCache.has(selector)) {
+    try {
+      selectorMatchCache.set(selector, Boolean(selector) && querySelectorAllDeep(selector).length > 0);
+    } catch (error) {
+      selectorMatchCache.set(selector, false);
+    }
+  }
+  return selectorMatchCache.get(selector) ? null : match.item;
+}
+
+/**
+ * Categories offered by the field picker, grouped for display
+ * @returns {Array<{value: string, group: string}>} Mappable categories
+ */
+function getMappableCategories() {
+  const dateFields = ['startDate', 'endDate'].flatMap(dateType =>
+    [dateType, ...Object.keys(DATE_PART_SUFFIXES).map(part => withDatePart(dateType, part))]);
+  const experienceFields = ['jobTitle', 'company', 'jobLocation', ...dateFields, 'currentlyWorking', 'jobDescription'];
+  const educationFields = ['school', 'degree', 'fieldOfStudy', 'gpa', ...dateFields];
+  return [
+    ...Object.keys(MASTER_FIELD_DATABASE).map(category => ({ value: category, group: 'Profile' })),
+    ...experienceFields.map(field => ({ value: `experience_${field}`, group: 'Experience' })),
+    ...educationFields.map(field => ({ value: `education_${field}`, group: 'Education' }))
+  ];
+}
+
+/**
+ * Persist this site's learned fingerprints, coalescing bursts of detections
+ */
+function scheduleLearningSave() {
+  if (!window.storageManager) return;
+  
+  clearTimeout(learningSaveTimer);
+  learningSaveTimer = setTimeout(async () => {
+    const entries = {};
+    for (const [fingerprint, entry] of learningData.entries()) {
+      if (!entry.sharedFrom) {
+        entries[fingerprint] = entry;
+      }
+    }
+    
+    try {
+      await window.storageManager.saveLearningSite(window.location.hostname, {
+        portal: portalConfig?.name || 'unknown',
+        entries
+      });
+      debugLog(`Persisted ${Object.keys(entries).length} learned fingerprints`);
+    } catch (error) {
+      console.error('Failed to persist learning data:', error);
+    }
+  }, 1000);
+}
+
+// ============================================================================
+// FIELD DETECTION ORCHESTRATOR
+// ============================================================================
+
+async function detectFormFields() {
+  debugLog('Starting comprehensive field detection...');
+  
+  // A full pass covers anything the mutation observer has queued so far
+  detectionGeneration++;
+  clearPendingMutations();
+  resetFingerprintCache();
+  
+  const fields = [];
+  const formElements = querySelectorAllDeep(FORM_CONTROL_SELECTOR);
+  
+  debugLog(`Found ${formElements.length} form elements (including open shadow roots)`);
+
+  for (const [index, element] of formElements.entries()) {
+    const field = await analyzeFormElement(element, index);
+    if (field) {
+      fields.push(field);
+    }
+  }
+  
+  // Sort by confidence and priority
+  fields.sort(compareFieldEntries);
+  
+  detectedFields = fields;
+  debugLog(`Field detection completed: ${fields.length} total, ${fields.filter(f => f.confidence > 0.5).length} high-confidence matches`);
+  
+  await appendStructuredFields(fields);
+  assignFieldCategories(fields);
+  
+  return fields;
+}
+
+/**
+ * Sort order for per-element entries: higher confidence first, then higher priority
+ * @param {Object} a - Field entry
+ * @param {Object} b - Field entry
+ * @returns {number} Comparator result
+ */
+function compareFieldEntries(a, b) {
+  if (a.confidence !== b.confidence) {
+    return b.confidence - a.confidence; // Higher confidence first
+  }
+  return b.priority - a.priority; // Higher priority first
+}
+
+/**
+ * Appends education card, screening question and experience card entries.
+ * These passes look at page structure rather than single elements, so they
+ * run over the whole page after the per-element entries are in place.
+ * @param {Array} fields - Per-element entries; structured entries are pushed onto it
+ * @returns {Promise<Array>} The same array
+ */
+async function appendStructuredFields(fields) {
+  // Detect education cards first so their date fields are not claimed as job dates
+  const educationElements = new Set();
+  try {
+    const educationResults = await detectEducationCards();
+    console.log(`Found ${educationResults.totalCards} education cards using ${educationResults.detectionMethod} method`);
+    
+    educationResults.cards.forEach(card => {
+      Object.entries(card.fields).forEach(([fieldType, fieldElement]) => {
+        if (!fieldElement || findManualMapping(fieldElement)) return;
+        
+        educationElements.add(fieldElement);
+        fields.push({
+          // Core field information
+          element: fieldElement,
+          category: `education_${fieldType}`, // e.g., "education_school", "education_degree"
+          confidence: card.detectionConfidence / 100,
+          methods: ['education-card-detection'],
+          priority: 8,
+          
+          // Basic element info for compatibility
+          type: fieldElement.type || 'text',
+          name: fieldElement.name || '',
+          id: fieldElement.id || '',
+          placeholder: fieldElement.placeholder || '',
+          className: fieldElement.className || '',
+          
+          detectionData: {
+            keywords: [fieldType, 'education'],
+            priority: 8,
+            specificity: 'high'
+          },
+          portal: portalConfig?.name || 'unknown',
+          index: fields.length,
+          
+          // Education-specific metadata
+          customType: 'education',
+          cardIndex: card.cardIndex,
+          cardElement: card.container,
+          cardParentElement: educationResults.parentContainer,
+          educationFieldType: fieldType, // school, degree, fieldOfStudy, etc.
+          cardDetectionMethod: educationResults.detectionMethod,
+          cardDetectionConfidence: card.detectionConfidence,
+          totalCardsFound: educationResults.totalCards,
+          isEducationField: true
+        });
+      });
+    });
+  } catch (error) {
+    console.error('Error detecting education cards:', error);
+  }
+  
+  // Screening questions are matched against the profile answer bank at fill time
+  try {
+    const screeningQuestions = detectScreeningQuestions();
+    screeningQuestions.forEach(question => {
+      fields.push({
+        element: question.element,
+        category: 'screeningQuestion',
+        confidence: 0.7,
+        methods: ['screening-question'],
+        priority: 9, // Filled after generic matches so a stored answer wins
+        
+        type: question.element.type || 'text',
+        name: question.element.name || '',
+        id: question.element.id || '',
+        placeholder: question.element.placeholder || '',
+        className: question.element.className || '',
+        
+        detectionData: null,
+        portal: portalConfig?.name || 'unknown',
+        index: fields.length,
+        
+        customType: 'screeningQuestion',
+        questionText: question.questionText,
+        groupElements: question.groupElements
+      });
+    });
+    debugLog(`Found ${screeningQuestions.length} screening questions`);
+  } catch (error) {
+    console.error('Error detecting screening questions:', error);
+  }
+  
+  // Detect experience cards within the same flow
+  try {
+    const experienceResults = await detectExperienceCards();
+    console.log('Experience Cards Detection Results:', experienceResults);
+    console.log(`Found ${experienceResults.totalCards} experience cards using ${experienceResults.detectionMethod} method`);
+    
+    // Create field entries for experience card fields and add to main fields array
+    if (experienceResults.totalCards > 0) {
+      experienceResults.cards.forEach((card, cardArrayIndex) => {
+        console.log(`Experience Card ${card.cardIndex}:`, {
+          confidence: card.detectionConfidence,
+          fields: Object.keys(card.fields).filter(key => card.fields[key]).join(', ')
+        });
+        
+        // Add each field from the experience card to the main fields array
+        Object.entries(card.fields).forEach(([fieldType, fieldElement]) => {
+          // Only add if field element exists, is not mapped by hand and is not part of an education card
+          if (fieldElement && !findManualMapping(fieldElement) && !educationElements.has(fieldElement)) {
+            const experienceFieldEntry = {
+              // Core field information
+              element: fieldElement,
+              category: `experience_${fieldType}`, // e.g., "experience_jobTitle", "experience_company"
+              confidence: card.detectionConfidence / 100, // Convert percentage to 0-1 scale
+              methods: ['experience-card-detection'],
+              priority: 8, // High priority for experience fields
+              
+              // Basic element info for compatibility
+              type: fieldElement.type || 'text',
+              name: fieldElement.name || '',
+              id: fieldElement.id || '',
+              placeholder: fieldElement.placeholder || '',
+              className: fieldElement.className || '',
+              
+              // Enhanced info
+              detectionData: {
+                keywords: [fieldType, 'experience', 'job'],
+                priority: 8,
+                specificity: 'high'
+              },
+              portal: portalConfig?.name || 'unknown',
+              index: fields.length + Object.keys(card.fields).indexOf(fieldType), // Unique index
+              
+              // Experience-specific metadata
+              customType: 'jobExperience',
+              cardIndex: card.cardIndex,
+              cardElement: card.container,
+              cardParentElement: experienceResults.parentContainer,
+              experienceFieldType: fieldType, // jobTitle, company, startDate, etc.
+              cardDetectionMethod: experienceResults.detectionMethod,
+              cardDetectionConfidence: card.detectionConfidence,
+              totalCardsFound: experienceResults.totalCards,
+              fieldPosition: Object.keys(card.fields).indexOf(fieldType) + 1,
+              isExperienceField: true,
+              experienceCardData: {
+                totalFieldsInCard: Object.keys(card.fields).filter(key => card.fields[key]).length,
+                availableFieldTypes: Object.keys(card.fields).filter(key => card.fields[key]),
+                cardElementTag: card.container?.tagName || 'unknown',
+                cardElementClasses: card.container?.className || '',
+                cardElementId: card.container?.id || ''
+              }
+            };
+            
+            // Add to main fields array
+            fields.push(experienceFieldEntry);
+            
+          }
+        });
+      });
+      
+      // Log summary of added experience fields
+      const experienceFieldsAdded = fields.filter(f => f.customType === 'jobExperience');
+      console.log(`Experience Fields Dataset Summary:`, {
+        totalExperienceFields: experienceFieldsAdded.length,
+        totalCards: experienceResults.totalCards,
+        detectionMethod: experienceResults.detectionMethod,
+        fieldsByCard: experienceFieldsAdded.reduce((acc, field) => {
+          acc[field.cardIndex] = (acc[field.cardIndex] || 0) + 1;
+          return acc;
+        }, {}),
+        fieldTypes: [...new Set(experienceFieldsAdded.map(f => f.experienceFieldType))]
+      });
+      
+      // Print complete experience fields dataset
+      console.log('Complete Experience Fields Dataset:', experienceFieldsAdded.map(field => ({
+        category: field.category,
+        customType: field.customType,
+        cardIndex: field.cardIndex,
+        experienceFieldType: field.experienceFieldType,
+        elementInfo: {
+          name: field.name,
+          id: field.id,
+          type: field.type,
+          placeholder: field.placeholder
+        },
+        confidence: field.confidence,
+        cardDetectionConfidence: field.cardDetectionConfidence,
+        totalCardsFound: field.totalCardsFound,
+        fieldPosition: field.fieldPosition,
+        experienceCardData: field.experienceCardData
+      })));
+    }
+  } catch (error) {
+    console.error('Error detecting experience cards:', error);
+  }
+  
+  return fields;
+}
+
+// ============================================================================
+// SPLIT PHONE WIDGETS (dial-code picker + number, area/prefix/line boxes)
+// ============================================================================
+
+const PHONE_CATEGORIES = ['phone', 'phoneCountryCode', 'phoneNational', 'phoneAreaCode', 'phoneLocal', 'phoneLocalPrefix', 'phoneLocalSuffix'];
+// Categories of the number boxes in page order, by how many boxes the widget has
+const SPLIT_PHONE_LAYOUTS = {
+  1: ['phoneNational'],
+  2: ['phoneAreaCode', 'phoneLocal'],
+  3: ['phoneAreaCode', 'phoneLocalPrefix', 'phoneLocalSuffix']
+};
+const SPLIT_PHONE_MAX_DEPTH = 3; // Parts of one widget share an ancestor at most this many levels up
+const PHONE_PART_MAX_LENGTH = 5; // Area-code and prefix boxes are short; a whole-number box is not
+const SPLIT_PHONE_MIN_SCORE = 0.6; // Floor for unlabelled boxes that only the layout identifies
+const DIAL_CODE_PATTERN = /\+\s?\d{1,4}(?!\d)/; // "+91", "India (+91)", "+1 United States"
+const DIAL_CODE_MIN_OPTIONS = 3;
+
+/**
+ * Whether a select lists dial codes rather than plain country names
+ * @param {HTMLElement} element - Form control
+ * @returns {boolean} True when at least half of the options carry a dial code
+ */
+function isDialCodeSelect(element) {
+  if (element.tagName !== 'SELECT') return false;
+
+  const options = Array.from(element.options).filter(option => option.value.trim() || option.text.trim());
+  const dialOptions = options.filter(option => DIAL_CODE_PATTERN.test(option.text) || DIAL_CODE_PATTERN.test(option.value));
+  return dialOptions.length >= DIAL_CODE_MIN_OPTIONS && dialOptions.length * 2 >= options.length;
+}
+
+/**
+ * @param {HTMLElement} element - Form control
+ * @returns {boolean} True for a box too short to hold a whole phone number
+ */
+function isShortPhoneBox(element) {
+  const length = element.maxLength > 0 ? element.maxLength : parseInt(element.getAttribute('size'), 10);
+  return length > 0 && length <= PHONE_PART_MAX_LENGTH;
+}
+
+/**
+ * @param {Object} field - Generic detectedFields entry
+ * @returns {boolean} True when the field is the dial-code part of a phone widget
+ */
+function isDialCodeField(field) {
+  const element = field.element;
+  return isDialCodeSelect(element) ||
+    (field.manualMapping ? field.category : field.candidates[0]?.category) === 'phoneCountryCode' ||
+    (element.tagName === 'INPUT' && isShortPhoneBox(element) && /^\+/.test(element.placeholder || element.value || ''));
+}
+
+/**
+ * @param {Object} field - Generic detectedFields entry
+ * @returns {boolean} True when the field on its own looks like part of a phone number
+ */
+function isPhoneWidgetField(field) {
+  const category = field.manualMapping ? field.category : field.candidates[0]?.category;
+  return PHONE_CATEGORIES.includes(category) || field.element.type === 'tel' || isDialCodeField(field);
+}
+
+/**
+ * Whether two controls sit in one small container of their own: their closest shared
+ * ancestor is at most SPLIT_PHONE_MAX_DEPTH levels up and holds no detected field
+ * before the widget's first one (so a form row above does not join the widget)
+ * @param {Array<Object>} widget - Fields collected so far, in page order
+ * @param {Object} field - Candidate next field
+ * @param {Set<HTMLElement>} fieldElements - Elements of all detected fields
+ * @returns {boolean} True when the field may join the widget
+ */
+function sharesWidgetContainer(widget, field, fieldElements) {
+  let container = getComposedParent(widget[widget.length - 1].element);
+  for (let depth = 1; container && !container.contains(field.element); depth++) {
+    if (depth >= SPLIT_PHONE_MAX_DEPTH) return false;
+    container = getComposedParent(container);
+  }
+  if (!container) return false;
+
+  const firstField = collectFormControls(container).find(element => fieldElements.has(element));
+  return firstField === widget[0].element;
+}
+
+/**
+ * Groups neighbouring phone controls into widgets. A widget starts at a phone-looking
+ * control and takes in the controls that follow it in the same small container,
+ * including unlabelled short boxes; a second dial-code picker starts a new widget.
+ * @param {Array} fields - Generic detectedFields entries
+ * @returns {Array<Array<Object>>} Widgets with their fields in page order
+ */
+function groupPhoneWidgets(fields) {
+  const fieldElements = new Set(fields.map(field => field.element));
+  const widgets = [];
+  let current = null;
+
+  [...fields].sort((a, b) => a.index - b.index).forEach(field => {
+    const joins = current &&
+      (isPhoneWidgetField(field) || (field.candidates.length === 0 && isShortPhoneBox(field.element))) &&
+      !isDialCodeField(field) &&
+      sharesWidgetContainer(current, field, fieldElements);
+
+    if (joins) {
+      current.push(field);
+    } else {
+      current = isPhoneWidgetField(field) ? [field] : null;
+      if (current) widgets.push(current);
+    }
+  });
+
+  return widgets;
+}
+
+/**
+ * Puts back the candidates a previous split-phone pass replaced, so carried-over
+ * entries are judged afresh when the widget around them changes
+ * @param {Object} field - Generic detectedFields entry
+ */
+function restoreSplitPhoneField(field) {
+  delete field.phoneSegment;
+  if (!field.splitPhone) return;
+
+  field.candidates = field.splitPhone.candidates;
+  if (field.candidates.length === 0) {
+    Object.assign(field, { category: 'unknown', confidence: 0, methods: ['none'], priority: 0, detectionData: null });
+  }
+  if (field.splitPhone.explanation) {
+    detectionExplanations.set(field.element, field.splitPhone.explanation);
+  }
+  delete field.splitPhone;
+}
+
+/**
+ * Makes a widget part the only candidate of its field, so the assignment pass
+ * keeps it on that part
+ * @param {Object} field - Generic detectedFields entry
+ * @param {string} category - Phone part category
+ * @param {number} score - Confidence shared by the widget's parts
+ * @param {Object|null} segment - {start, end} digits of the national number the box holds
+ */
+function markSplitPhonePart(field, category, score, segment) {
+  if (segment) field.phoneSegment = segment;
+  if (field.manualMapping) return;
+
+  const explanation = detectionExplanations.get(field.element);
+  const own = field.candidates.find(candidate => candidate.category === category) ||
+    field.candidates.find(candidate => PHONE_CATEGORIES.includes(candidate.category));
+
+  field.splitPhone = { candidates: field.candidates, explanation };
+  field.candidates = [{
+    category,
+    score,
+    priority: MASTER_FIELD_DATABASE[category].priority,
+    methods: [...new Set([...(own?.methods || []), 'split-phone'])],
+    independentScore: own?.independentScore || 0
+  }];
+
+  if (explanation) {
+    detectionExplanations.set(field.element, {
+      ...explanation,
+      decision: 'accepted',
+      category,
+      confidence: score,
+      summary: `Detected as ${category} with score ${score.toFixed(2)}: part of a split phone input`
+    });
+  }
+}
+
+/**
+ * Recognises split phone widgets and re-labels their parts: a dial-code picker becomes
+ * phoneCountryCode and the number next to it phoneNational; two or three short boxes
+ * become area code + local number or area code + prefix + line number.
+ * Manual mappings keep their category but still count as widget parts.
+ * @param {Array} fields - Generic detectedFields entries
+ */
+function detectSplitPhoneWidgets(fields) {
+  fields.forEach(restoreSplitPhoneField);
+
+  groupPhoneWidgets(fields).forEach(widget => {
+    const dialCodes = widget.filter(isDialCodeField);
+    const numbers = widget.filter(field => !dialCodes.includes(field));
+    const score = Math.max(SPLIT_PHONE_MIN_SCORE, ...widget.map(field => field.candidates[0]?.score || field.confidence || 0));
+
+    dialCodes.forEach(field => markSplitPhonePart(field, 'phoneCountryCode', score, null));
+
+    // One box next to a dial code holds the national number; several boxes must be short ones
+    const layout = SPLIT_PHONE_LAYOUTS[numbers.length];
+    const splitsNumber = numbers.length === 1
+      ? dialCodes.length > 0
+      : Boolean(layout) && numbers.slice(0, -1).every(field => isShortPhoneBox(field.element));
+    if (!splitsNumber) return;
+
+    let start = 0;
+    numbers.forEach((field, i) => {
+      const isLast = i === numbers.length - 1;
+      const length = field.element.maxLength > 0 ? field.element.maxLength : 3;
+      markSplitPhonePart(field, layout[i], score, numbers.length > 1 ? { start, end: isLast ? null : start + length } : null);
+      start += length;
+    });
+
+    debugLog(`Split phone widget: ${widget.map(field => field.element.name || field.element.id || field.element.tagName).join(' + ')}`);
+  });
+}
+
+// ============================================================================
+// PAGE-WIDE FIELD ASSIGNMENT (one-to-one with cardinality limits)
+// ============================================================================
+
+// How many fields on one page may carry a category; unlisted profile categories appear once
+const CATEGORY_CARDINALITY = {
+  phone: 2, // Separate mobile and home/work numbers are both filled from the profile phone
+  // ...and either of them may be a split widget
+  ...Object.fromEntries(PHONE_CATEGORIES.filter(category => category !== 'phone').map(category => [category, 2]))
+};
+// Card fields and screening questions repeat by design
+const REPEATABLE_CATEGORY_PREFIXES = ['experience_', 'education_'];
+const REPEATABLE_CATEGORIES = ['screeningQuestion'];
+const ASSIGNMENT_TIE_BREAK = 1e-6; // Per page position: on equal scores the earlier field wins
+// Checkboxes and radios cannot hold a profile value; they are answered as screening questions
+const CHOICE_CONTROL_TYPES = ['checkbox', 'radio'];
+
+/**
+ * @param {string} category - Field category
+ * @returns {number} Maximum number of fields that may carry it
+ */
+function getCategoryLimit(category) {
+  if (REPEATABLE_CATEGORIES.includes(category) ||
+      REPEATABLE_CATEGORY_PREFIXES.some(prefix => category.startsWith(prefix))) {
+    return Infinity;
+  }
+  return CATEGORY_CARDINALITY[category] ?? 1;
+}
+
+/**
+ * Maximum-weight assignment of rows to categories with per-category capacities,
+ * solved as min-cost flow with successive shortest paths. A row may stay unassigned.
+ * @param {Array<Array<{category: string, weight: number}>>} rows - Positive-weight options per row
+ * @param {Function} capacityOf - category -> remaining capacity
+ * @returns {Array<string|null>} Chosen category per row
+ */
+function solveFieldAssignment(rows, capacityOf) {
+  const categories = [...new Set(rows.flatMap(options => options.map(option => option.category)))];
+  const categoryNode = new Map(categories.map((category, i) => [category, rows.length + 1 + i]));
+  const source = 0;
+  const sink = rows.length + categories.length + 1;
+  const graph = Array.from({ length: sink + 1 }, () => []);
+  
+  const addEdge = (from, to, capacity, cost) => {
+    graph[from].push({ to, capacity, cost, reverse: graph[to].length, forward: true });
+    graph[to].push({ to: from, capacity: 0, cost: -cost, reverse: graph[from].length - 1, forward: false });
+  };
+  
+  rows.forEach((options, i) => {
+    addEdge(source, i + 1, 1, 0);
+    options.forEach(option => addEdge(i + 1, categoryNode.get(option.category), 1, -option.weight));
+  });
+  categories.forEach(category => {
+    const capacity = Math.min(capacityOf(category), rows.length);
+    if (capacity > 0) addEdge(categoryNode.get(category), sink, capacity, 0);
+  });
+  
+  // Augment along the cheapest path (Bellman-Ford, costs are negative) while it still adds weight
+  for (;;) {
+    const distance = new Array(sink + 1).fill(Infinity);
+    const previous = new Array(sink + 1).fill(null);
+    distance[source] = 0;
+    
+    for (let round = 0, relaxed = true; relaxed && round <= sink; round++) {
+      relaxed = false;
+      graph.forEach((edges, node) => {
+        if (distance[node] === Infinity) return;
+        edges.forEach((edge, edgeIndex) => {
+          if (edge.capacity > 0 && distance[node] + edge.cost < distance[edge.to] - 1e-12) {
+            distance[edge.to] = distance[node] + edge.cost;
+            previous[edge.to] = { node, edgeIndex };
+            relaxed = true;
+          }
+        });
+      });
+    }
+    
+    if (!(distance[sink] < 0)) break;
+    
+    for (let node = sink; node !== source; node = previous[node].node) {
+      const edge = graph[previous[node].node][previous[node].edgeIndex];
+      edge.capacity -= 1;
+      graph[edge.to][edge.reverse].capacity += 1;
+    }
+  }
+  
+  return rows.map((options, i) => {
+    const used = graph[i + 1].find(edge => edge.forward && edge.capacity === 0);
+    return used ? categories[used.to - rows.length - 1] : null;
+  });
+}
+
+/**
+ * Gives a generic entry the category chosen by the assignment pass and records why
+ * when it differs from the entry's own best guess
+ * @param {Object} field - Generic detectedFields entry
+ * @param {string|null} category - Assigned category, null when every candidate was taken
+ */
+function applyAssignedCategory(field, category) {
+  const preferred = field.candidates[0];
+  const candidate = field.candidates.find(option => option.category === category);
+  
+  Object.assign(field, candidate ? {
+    category: candidate.category,
+    confidence: candidate.score,
+    methods: candidate.methods,
+    priority: candidate.priority,
+    detectionData: MASTER_FIELD_DATABASE[candidate.category] || null
+  } : {
+    category: 'unknown',
+    confidence: 0,
+    methods: ['none'],
+    priority: 0,
+    detectionData: null
+  });
+  
+  const explanation = detectionExplanations.get(field.element);
+  if (!explanation || explanation.decision === 'manual') return;
+  
+  if (category === preferred.category) {
+    field.assignment = null;
+    detectionExplanations.set(field.element, { ...explanation, assignment: null });
+    return;
+  }
+  
+  const limit = getCategoryLimit(preferred.category);
+  const reason = CHOICE_CONTROL_TYPES.includes(field.element.type)
+    ? `a ${field.element.type} cannot hold a ${preferred.category} value`
+    : `${preferred.category} is limited to ${limit} field${limit === 1 ? '' : 's'} per page and higher-scoring fields took it`;
+  field.assignment = { preferredCategory: preferred.category, reason };
+  
+  detectionExplanations.set(field.element, {
+    ...explanation,
+    decision: candidate ? 'accepted' : 'rejected',
+    category: candidate ? candidate.category : null,
+    confidence: candidate ? candidate.score : 0,
+    summary: candidate
+      ? `Detected as ${candidate.category} with score ${candidate.score.toFixed(2)}: ${reason}`
+      : `Left unmapped: ${reason} and no other candidate passed the threshold`,
+    assignment: field.assignment
+  });
+}
+
+/**
+ * Store the categories the assignment pass settled on, so learning never keeps a
+ * category the page-wide pass rejected. Only categories other methods confirmed count.
+ * @param {Array} fields - Generic entries that took part in the assignment
+ */
+function learnAssignedCategories(fields) {
+  fields.forEach(field => {
+    const candidate = field.candidates.find(option => option.category === field.category);
+    if (candidate?.independentScore > 0) {
+      storeDetectionLearning(field.element, field.category, candidate.independentScore);
+    }
+  });
+}
+
+/**
+ * Points every re-entry field (confirmEmail, confirmPhone) at the field it confirms:
+ * the closest preceding primary field, else the closest following one.
+ * With no primary field on the page the re-entry field is the primary field.
+ * @param {Array} fields - Generic detectedFields entries
+ */
+function linkConfirmFields(fields) {
+  fields.forEach(field => {
+    delete field.primaryElement;
+    delete field.confirmsCategory;
+    
+    const primaryCategory = MASTER_FIELD_DATABASE[field.category]?.confirms;
+    if (!primaryCategory) return;
+    
+    const primaries = fields
+      .filter(other => other.category === primaryCategory)
+      .sort((a, b) => a.index - b.index);
+    
+    if (primaries.length === 0) {
+      if (field.manualMapping) return;
+      
+      const confirmCategory = field.category;
+      field.category = primaryCategory;
+      field.detectionData = MASTER_FIELD_DATABASE[primaryCategory];
+      
+      const explanation = detectionExplanations.get(field.element);
+      if (explanation) {
+        detectionExplanations.set(field.element, {
+          ...explanation,
+          category: primaryCategory,
+          summary: `Looks like ${confirmCategory}, but the page has no ${primaryCategory} field to confirm, so it is filled as ${primaryCategory}`
+        });
+      }
+      return;
+    }
+    
+    const preceding = primaries.filter(primary => primary.index < field.index);
+    const primary = preceding.length > 0 ? preceding[preceding.length - 1] : primaries[0];
+    field.primaryElement = primary.element;
+    field.confirmsCategory = primaryCategory;
+  });
+}
+
+/**
+ * Re-labels generic entries so no category is used more often than its limit allows,
+ * keeping the combination with the highest total score. Card fields, screening questions
+ * and manual mappings are left as they are; manual mappings still use up a slot.
+ * Split phone widgets are recognised first; re-entry fields are linked to their primary field last.
+ * Entries are re-sorted in place: generic by confidence, then structured entries.
+ * @param {Array} fields - detectedFields entries
+ * @returns {Array} The same array
+ */
+function assignFieldCategories(fields) {
+  const structuredFields = fields.filter(isStructuredFieldEntry);
+  const genericFields = fields.filter(field => !isStructuredFieldEntry(field));
+  const structuredElements = new Set(structuredFields.map(field => field.element));
+  detectSplitPhoneWidgets(genericFields.filter(field => !structuredElements.has(field.element)));
+  
+  const slotsTaken = new Map();
+  const competing = [];
+  genericFields.forEach(field => {
+    if (field.manualMapping) {
+      slotsTaken.set(field.category, (slotsTaken.get(field.category) || 0) + 1);
+    } else if (!structuredElements.has(field.element) && field.candidates?.length) {
+      competing.push(field);
+    }
+  });
+  
+  const assigned = solveFieldAssignment(
+    competing.map(field => CHOICE_CONTROL_TYPES.includes(field.element.type) ? [] : field.candidates.map(candidate => ({
+      category: candidate.category,
+      weight: candidate.score - field.index * ASSIGNMENT_TIE_BREAK
+    }))),
+    category => getCategoryLimit(category) - (slotsTaken.get(category) || 0)
+  );
+  competing.forEach((field, i) => applyAssignedCategory(field, assigned[i]));
+  linkConfirmFields(genericFields);
+  learnAssignedCategories(competing);
+  
+  const reassigned = competing.filter(field => field.assignment).length;
+  if (reassigned > 0) {
+    debugLog(`Field assignment: ${reassigned} field(s) moved off their best-scoring category`);
+  }
+  
+  genericFields.sort(compareFieldEntries);
+  fields.splice(0, fields.length, ...genericFields, ...structuredFields);
+  return fields;
+}
+
+/**
+ * Runs the per-element detection pipeline and builds the detectedFields entry
+ * @param {HTMLElement} element - Form control to analyze
+ * @param {number} index - Position among the page's form controls
+ * @returns {Promise<Object|null>} Field entry, or null when the element is excluded
+ */
+async function analyzeFormElement(element, index) {
+  // Skip hidden, disabled, or excluded elements
+  if (isElementExcluded(element)) {
+    return null;
+  }
+
+  //  This is for testing in 'job-portal-test.html' file
+  // if element baseURI contains 'job-portal-test.html' and its index is less then 27 then skip this iteration
+  if (element.baseURI && element.baseURI.includes('job-portal-test.html') && index < 27) {
+    return null;
+  }
+  
+  // Use advanced detection for each element
+  const detectionResult = await detectFieldAdvanced(element);
+  
+  if (detectionResult) {
+    const manualMapping = detectionResult.manualMapping || null;
+    return {
+      element: element,
+      category: detectionResult.category,
+      confidence: detectionResult.confidence,
+      methods: detectionResult.methods,
+      priority: detectionResult.priority,
+      manualMapping: manualMapping,
+      
+      // Manually mapped experience/education fields are filled like card fields
+      ...(manualMapping && manualMapping.category.startsWith('experience_') ? {
+        customType: 'jobExperience',
+        cardIndex: manualMapping.cardIndex || 1,
+        experienceFieldType: manualMapping.category.replace('experience_', '')
+      } : {}),
+      ...(manualMapping && manualMapping.category.startsWith('education_') ? {
+        customType: 'education',
+        cardIndex: manualMapping.cardIndex || 1,
+        educationFieldType: manualMapping.category.replace('education_', '')
+      } : {}),
+      
+      // Keep basic info for compatibility
+      type: element.type || 'text',
+      name: element.name || '',
+      id: element.id || '',
+      placeholder: element.placeholder || '',
+      className: element.className || '',
+      
+      // Enhanced info
+      detectionData: detectionResult.detectionData,
+      candidates: detectionResult.candidates || [],
+      portal: portalConfig?.name || 'unknown',
+      index: index
+    };
+  }
+  
+  // Store unmatched fields for potential manual mapping
+  return {
+    element: element,
+    category: 'unknown',
+    confidence: 0,
+    methods: ['none'],
+    priority: 0,
+    
+    type: element.type || 'text',
+    name: element.name || '',
+    id: element.id || '',
+    placeholder: element.placeholder || '',
+    className: element.className || '',
+    
+    detectionData: null,
+    candidates: [],
+    portal: portalConfig?.name || 'unknown',
+    index: index
+  };
+}
+
+// ============================================================================
+// VISIBILITY, INTERACTABILITY & HONEYPOT CHECKS
+// ============================================================================
+
+// Native controls that sites routinely hide behind a styled proxy (custom radios, select2, upload buttons)
+const PROXIED_CONTROL_TYPES = ['checkbox', 'radio', 'file', 'select-one', 'select-multiple'];
+const MIN_VISIBLE_SIZE_PX = 2; // Smaller boxes are the 1px "visually hidden" pattern
+
+// Bot traps: fields real users never see, so anything typed into them flags the submission
+const HONEYPOT_ATTRIBUTE_PATTERN = /honey\s*pot|(^|[^a-z0-9])hp([^a-z0-9]|$)|bot[_-]?(trap|check|field)|spam[_-]?(trap|check)|leave[_-]?(this[_-]?)?(blank|empty)|do[_-]?not[_-]?fill/i;
+const HONEYPOT_LABEL_PATTERN = /leave (this|it)?\s*(field )?(blank|empty)|do not (fill|complete|enter|change) (this|in)|if you are (a )?human|not for humans|for (bots|robots) only/i;
+
+/**
+ * Parent element, continuing through shadow hosts
+ * @param {Element} element - Starting element
+ * @returns {Element|null} Parent or shadow host
+ */
+function getComposedParent(element) {
+  return element.parentElement || element.getRootNode().host || null;
+}
+
+/**
+ * Checks the hidden/aria-hidden/closed-details state of the element and its ancestors
+ * @param {HTMLElement} element - Form control
+ * @returns {boolean} True when a container hides the control
+ */
+function isInHiddenContainer(element) {
+  const proxied = PROXIED_CONTROL_TYPES.includes(element.type);
+  
+  let child = null;
+  for (let node = element; node; child = node, node = getComposedParent(node)) {
+    if (node.hidden) return true;
+    
+    // A native select hidden from assistive tech is usually backing a custom dropdown
+    if (node.getAttribute('aria-hidden') === 'true' && !(node === element && proxied)) return true;
+    
+    // Closed <details> only renders its summary
+    if (node.tagName === 'DETAILS' && !node.open && child) {
+      const summary = node.querySelector(':scope > summary');
+      if (!summary || !summary.contains(child)) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Computed-style visibility of the element and its ancestors
+ * @param {HTMLElement} element - Form control
+ * @param {boolean} checkOpacity - Treat fully transparent controls as hidden
+ * @returns {boolean} True when CSS hides the control
+ */
+function isHiddenByStyle(element, checkOpacity) {
+  // Chrome 105+ does the ancestor walk natively
+  if (typeof element.checkVisibility === 'function') {
+    return !element.checkVisibility({ checkVisibilityCSS: true, checkOpacity });
+  }
+  
+  const ownStyle = window.getComputedStyle(element);
+  if (ownStyle.visibility === 'hidden' || ownStyle.visibility === 'collapse') return true;
+  
+  for (let node = element; node; node = getComposedParent(node)) {
+    const style = window.getComputedStyle(node);
+    if (style.display === 'none' || style.contentVisibility === 'hidden') return true;
+    if (checkOpacity && style.opacity === '0') return true;
+  }
+  return false;
+}
+
+/**
+ * Checks whether the control's box can be seen: not collapsed, not pushed off the page
+ * and not clipped away by an overflow-hidden ancestor (collapsed accordions)
+ * @param {HTMLElement} element - Form control
+ * @returns {boolean} True when the box is visible
+ */
+function hasVisibleBox(element) {
+  const rect = element.getBoundingClientRect();
+  if (rect.width < MIN_VISIBLE_SIZE_PX || rect.height < MIN_VISIBLE_SIZE_PX) return false;
+  
+  // Positioned above or left of the document, where no scrolling reaches it
+  if (rect.right + window.scrollX <= 0 || rect.bottom + window.scrollY <= 0) return false;
+  
+  for (let node = getComposedParent(element); node && node !== document.body; node = getComposedParent(node)) {
+    const style = window.getComputedStyle(node);
+    const clipsX = style.overflowX === 'hidden' || style.overflowX === 'clip';
+    const clipsY = style.overflowY === 'hidden' || style.overflowY === 'clip';
+    if (!clipsX && !clipsY) continue;
+    
+    const box = node.getBoundingClientRect();
+    if (clipsX && (rect.right <= box.left || rect.left >= box.right)) return false;
+    if (clipsY && (rect.bottom <= box.top || rect.top >= box.bottom)) return false;
+  }
+  return true;
+}
+
+/**
+ * Whether a user could see the control. Checkboxes, radios, selects and file inputs
+ * are often replaced by a styled proxy, so only structural hiding counts for them.
+ * @param {HTMLElement} element - Form control
+ * @returns {boolean} True when visible
+ */
+function isElementVisible(element) {
+  if (element.type === 'hidden' || isInHiddenContainer(element)) return false;
+  
+  const proxied = PROXIED_CONTROL_TYPES.includes(element.type);
+  if (isHiddenByStyle(element, !proxied)) return false;
+  
+  return proxied || hasVisibleBox(element);
+}
+
+/**
+ * Whether a user could see and edit the control
+ * @param {HTMLElement} element - Form control
+ * @returns {boolean} True when interactable
+ */
+function isElementInteractable(element) {
+  if (element.disabled || element.readOnly) return false;
+  
+  for (let node = element; node; node = getComposedParent(node)) {
+    if (node.hasAttribute('inert')) return false;
+  }
+  
+  return isElementVisible(element);
+}
+
+/**
+ * Recognizes bot-trap fields by their naming, their label text
+ * or the tabindex=-1 + autocomplete=off signature
+ * @param {HTMLElement} element - Form control
+ * @returns {boolean} True when the control looks like a honeypot
+ */
+function isHoneypotField(element) {
+  const attributeText = [element.name, element.id, element.className].filter(Boolean).join(' ');
+  if (HONEYPOT_ATTRIBUTE_PATTERN.test(attributeText)) return true;
+  
+  const labelText = `${computeAccessibleName(element).name} ${element.placeholder || ''}`;
+  if (HONEYPOT_LABEL_PATTERN.test(labelText)) return true;
+  
+  // Kept out of both keyboard navigation and browser autofill
+  return !PROXIED_CONTROL_TYPES.includes(element.type) &&
+    element.getAttribute('tabindex') === '-1' &&
+    (element.getAttribute('autocomplete') || '').toLowerCase() === 'off';
+}
+
+function isElementExcluded(element) {
+  // Skip the extension's own UI (field picker panel)
+  if (closestDeep(element, '[data-autofill-picker]')) {
+    return true;
+  }
+  
+  // Skip hidden, disabled, readonly and inert elements
+  if (!isElementInteractable(element)) {
+    return true;
+  }
+  
+  // Skip bot traps so the application is not flagged
+  if (isHoneypotField(element)) {
+    debugLog('Skipping honeypot field:', element.name || element.id);
+    return true;
+  }
+  
+  // Skip based on portal-specific exclusion patterns
+  if (portalConfig && portalConfig.excludePatterns) {
+    const elementText = (element.name + element.id + element.className).toLowerCase();
+    return portalConfig.excludePatterns.some(pattern => elementText.includes(pattern));
+  }
+  
+  // Skip common exclusion patterns
+  const commonExclusions = ['password', 'captcha', 'csrf', 'token', 'submit', 'reset'];
+  const elementText = (element.name + element.id + element.className + element.type).toLowerCase();
+  
+  return commonExclusions.some(exclusion => elementText.includes(exclusion));
+}
+
+// ============================================================================
+// FORM FILLING COORDINATION (delegates to masterInjection only)
+// ============================================================================
+
+// ============================================================================
+// FIELD DESCRIPTORS (serializable, addressed by stable ID)
+// ============================================================================
+
+/**
+ * Stable ID of a detected control; the same element keeps its ID across detection passes
+ * @param {Element} element - Form control
+ * @returns {string} Field ID, unique within this frame
+ */
+function getFieldId(element) {
+  if (!fieldIds.has(element)) {
+    fieldIds.set(element, `field-${nextFieldId++}`);
+  }
+  return fieldIds.get(element);
+}
+
+/**
+ * ID of one detected field entry. An element can be listed twice, as a generic field
+ * and as an experience / education / screening entry, so structured entries add their
+ * type and card to the element's ID.
+ * @param {Object} field - Entry of detectedFields
+ * @returns {string} Entry ID, unique within this frame
+ */
+function getDetectedFieldId(field) {
+  const entryKey = getFieldEntryKey(field);
+  return entryKey ? `${getFieldId(field.element)}:${entryKey}` : getFieldId(field.element);
+}
+
+function getFieldEntryKey(field) {
+  return [field.customType, field.cardIndex].filter(Boolean).join(':');
+}
+
+/**
+ * Quote a string for an XPath expression (XPath 1.0 has no escape character)
+ * @param {string} value - Attribute value
+ * @returns {string} XPath string literal
+ */
+function toXPathLiteral(value) {
+  if (!value.includes('"')) return `"${value}"`;
+  if (!value.includes("'")) return `'${value}'`;
+  return `concat("${value.split('"').join(`", '"', "`)}")`;
+}
+
+/**
+ * XPath of an element, anchored at the closest ancestor with a stable id
+ * @param {Element} element - Element to describe
+ * @returns {string|null} XPath, null inside shadow roots (XPath cannot enter them)
+ */
+function buildXPath(element) {
+  if (element.getRootNode() !== document) return null;
+  
+  const steps = [];
+  for (let current = element; current && current.nodeType === Node.ELEMENT_NODE; current = current.parentElement) {
+    if (current.id && !looksGeneratedId(current.id) && document.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+      steps.unshift(`//*[@id=${toXPathLiteral(current.id)}]`);
+      return steps.join('/');
+    }
+    
+    const tagName = current.tagName.toLowerCase();
+    const sameTagSiblings = current.parentElement
+      ? Array.from(current.parentElement.children).filter(child => child.tagName === current.tagName)
+      : [current];
+    steps.unshift(`${tagName}[${sameTagSiblings.indexOf(current) + 1}]`);
+  }
+  
+  return `/${steps.join('/')}`;
+}
+
+/**
+ * Everything needed to find a control again after the page re-rendered it
+ * The popup adds the frameId it sent the detection message to.
+ * @param {Element} element - Form control
+ * @returns {Object} { css, xpath, label, shadowHosts, frameUrl }
+ */
+function buildFieldLocator(element) {
+  // Selectors of the shadow hosts around the element, outermost first
+  const shadowHosts = [];
+  for (let root = element.getRootNode(); root instanceof ShadowRoot; root = root.host.getRootNode()) {
+    shadowHosts.unshift(buildCssSelector(root.host));
+  }
+  
+  return {
+    css: buildCssSelector(element),
+    xpath: buildXPath(element),
+    label: findAssociatedLabel(element),
+    shadowHosts: shadowHosts,
+    frameUrl: window.location.href
+  };
+}
+
+/**
+ * Find the element a locator describes: CSS path, then XPath, then label text
+ * @param {Object} locator - Locator from buildFieldLocator
+ * @returns {Element|null} Element, or null when nothing matches
+ */
+function resolveFieldLocator(locator) {
+  if (!locator) return null;
+  
+  let root = document;
+  for (const hostSelector of locator.shadowHosts || []) {
+    root = root.querySelector(hostSelector)?.shadowRoot;
+    if (!root) return null;
+  }
+  
+  try {
+    const byCss = locator.css && root.querySelector(locator.css);
+    if (byCss) return byCss;
+  } catch (error) {
+    debugLog('Invalid locator selector:', locator.css);
+  }
+  
+  if (locator.xpath && root === document) {
+    try {
+      const byXPath = document.evaluate(locator.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+      if (byXPath) return byXPath;
+    } catch (error) {
+      debugLog('Invalid locator XPath:', locator.xpath);
+    }
+  }
+  
+  if (locator.label) {
+    return detectedFields.find(field => findAssociatedLabel(field.element) === locator.label)?.element || null;
+  }
+  return null;
+}
+
+/**
+ * Detected field for an ID from the popup, falling back to its locator when the
+ * page replaced the element since detection
+ * @param {string} fieldId - Field ID from a descriptor
+ * @param {Object} [locator] - Locator from the same descriptor
+ * @returns {Object|null} Entry of detectedFields
+ */
+function findDetectedField(fieldId, locator) {
+  const byId = detectedFields.find(field => fieldIds.has(field.element) && getDetectedFieldId(field) === fieldId);
+  if (byId && byId.element.isConnected) return byId;
+  
+  // A replaced element has a new ID, so match the entry part of the old one instead
+  const element = resolveFieldLocator(locator);
+  const entryKey = String(fieldId || '').split(':').slice(1).join(':');
+  return element
+    ? detectedFields.find(field => field.element === element && getFieldEntryKey(field) === entryKey) || null
+    : null;
+}
+
+/**
+ * Serializable view of a detected field (no element references)
+ * @param {Object} field - Entry of detectedFields
+ * @returns {Object} Field descriptor
+ */
+function toFieldDescriptor(field) {
+  const locator = buildFieldLocator(field.element);
+  return {
+    fieldId: getDetectedFieldId(field),
+    locator: locator,
+    label: locator.label,
+    category: field.category,
+    confidence: field.confidence,
+    methods: field.methods,
+    type: field.type,
+    name: field.name,
+    id: field.id,
+    placeholder: field.placeholder,
+    className: field.className,
+    priority: field.priority,
+    customType: field.customType || null,
+    cardIndex: field.cardIndex || null
+  };
+}
+
+/**
+ * Save a manual mapping for a detected field (same rule shape as the field picker)
+ * and re-run detection so the new category applies immediately
+ * @param {Object} field - Entry of detectedFields
+ * @param {string} category - Category to assign
+ * @returns {Object} Saved rule
+ */
+async function remapDetectedField(field, category) {
+  if (!window.storageManager) {
+    throw new Error('Storage not available, mapping cannot be saved');
+  }
+  
+  const element = field.element;
+  const isCardCategory = category.startsWith('experience_') || category.startsWith('education_');
+  const rule = {
+    id: `map_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    category: category,
+    selector: buildCssSelector(element),
+    fingerprint: getElementFingerprint(element),
+    signals: getFieldSignals(element),
+    label: findAssociatedLabel(element),
+    cardIndex: isCardCategory ? (field.cardIndex || 1) : null,
+    customValue: null,
+    createdAt: Date.now()
+  };
+  
+  await window.storageManager.saveFieldMapping(window.location.hostname, rule);
+  storeDetectionLearning(element, category, CONFIRMED_LEARNING_CONFIDENCE);
+  await loadManualMappings();
+  detectedFields = await detectFormFields();
+  return rule;
+}
+
+// ============================================================================
+// MESSAGE HANDLER (unified interface)
+// ============================================================================
+
+async function handleMessage(request, sender, sendResponse) {
+  const messageType = request.action || request.type;
+  debugLog('Handling message:', messageType);
+  
+  try {
+    switch (messageType) {
+      case 'detectFields':
+      case 'GET_FIELDS':
+        // Pick up sensitivity changes made in options since the page loaded
+        await loadDetectionSettings();
+        
+        // Portal edits in options apply without reloading the page
+        await loadPortalConfigs();
+        portalConfig = identifyJobPortal();
+        
+        // Single-page apps can switch language without a reload
+        loadLocaleKeywordPacks();
+        
+        const fields = await detectFormFields();
+        const responseFields = fields.map(toFieldDescriptor);
+        
+        sendResponse({
+          success: true,
+          fields: responseFields,
+          totalFields: fields.length,
+          highConfidenceFields: fields.filter(f => f.confidence > 0.7).length,
+          portal: portalConfig?.name || 'unknown',
+          locales: activeLocales,
+          frameUrl: window.location.href,
+          isTopFrame: window === window.top,
+          mappableCategories: getMappableCategories(),
+          detectorType: 'master'
+        });
+        break;
+        
+      case 'explainField':
+        const explainedField = findDetectedField(request.fieldId, request.locator);
+        
+        if (!explainedField) {
+          sendResponse({
+            success: false,
+            error: 'Fields changed since the last detection, detect again',
+            detectorType: 'master'
+          });
+          break;
+        }
+        
+        sendResponse({
+          success: true,
+          explanation: explainDetectedField(explainedField),
+          detectorType: 'master'
+        });
+        break;
+        
+      case 'detectExperienceCards':
+      case 'GET_EXPERIENCE_CARDS':
+        const experienceData = await detectExperienceCards();
+        debugLog('Job experience detection results:', experienceData);
+        
+        sendResponse({
+          success: true,
+          experienceData: experienceData,
+          totalCards: experienceData.totalCards,
+          detectionMethod: experienceData.detectionMethod,
+          hasParentContainer: !!experienceData.parentContainer,
+          portal: portalConfig?.name || 'unknown',
+          detectorType: 'master'
+        });
+        break;
+        
+      case 'fillForm':
+      case 'FILL_FORM':
+        console.log('Master Detector: Received fillForm message');
+        console.log('Request object:', request);
+        
+        const profileData = request.profileData || {};
+        console.log('Profile data extracted:', profileData);
+        console.log('Profile data has keys:', Object.keys(profileData));
+        
+        if (!request.profileData) {
+          console.warn('WARNING: No profileData in request! Using empty object.');
+        }
+        
+        // Rate edits made in options since the page loaded
+        await loadExchangeRates();
+        
+        // The popup may address a subset of fields by ID instead of filling everything
+        let fieldsToFill = detectedFields;
+        if (Array.isArray(request.fields)) {
+          fieldsToFill = request.fields
+            .map(requested => findDetectedField(requested.fieldId, requested.locator))
+            .filter(Boolean);
+          
+          if (fieldsToFill.length === 0) {
+            sendResponse({
+              success: false,
+              error: 'Requested fields are no longer on the page, detect again',
+              filledFields: 0,
+              totalFields: 0,
+              fillResults: [],
+              detectorType: 'master'
+            });
+            break;
+          }
+        }
+        
+        // Require masterInjection for form filling - no fallback
+        if (window.masterInjection && window.masterInjection.fillFormWithProfileData) {
+          console.log('Using masterInjection for form filling');
+          const fillResult = window.masterInjection.fillFormWithProfileData(profileData, fieldsToFill);
+          rememberFilledFields(fieldsToFill, fillResult.fillResults);
+          
+          sendResponse({
+            success: fillResult.success,
+            filledFields: fillResult.filledCount,
+            totalFields: fillResult.totalFields,
+            fillResults: fillResult.fillResults,
+            fillErrors: fillResult.fillErrors,
+            detectorType: 'master',
+            injectionEngine: 'masterInjection'
+          });
+        } else {
+          console.error('CRITICAL: masterInjection not available - form filling not possible');
+          console.error('window.masterInjection exists:', !!window.masterInjection);
+          console.error('Available window properties:', Object.keys(window).filter(k => k.includes('master')));
+          
+          sendResponse({
+            success: false,
+            error: 'masterInjection not available - form filling engine required',
+            filledFields: 0,
+            totalFields: detectedFields.length,
+            fillResults: [],
+            detectorType: 'master',
+            injectionEngine: 'none',
+            critical: true
+          });
+        }
+        break;
+        
+      case 'highlightField':
+      case 'remapField':
+        const targetField = findDetectedField(request.fieldId, request.locator);
+        if (!targetField) {
+          sendResponse({
+            success: false,
+            error: 'Fields changed since the last detection, detect again',
+            detectorType: 'master'
+          });
+          break;
+        }
+        
+        if (request.action === 'highlightField') {
+          if (!window.masterInjection?.highlightFields) {
+            sendResponse({ success: false, error: 'masterInjection not available', detectorType: 'master' });
+            break;
+          }
+          window.masterInjection.removeHighlights();
+          targetField.element.scrollIntoView({ block: 'center' });
+          window.masterInjection.highlightFields(targetField.element, targetField);
+          setTimeout(window.masterInjection.removeHighlights, 3000);
+          sendResponse({ success: true, fieldId: request.fieldId, detectorType: 'master' });
+          break;
+        }
+        
+        if (!request.category || !getMappableCategories().some(option => option.value === request.category)) {
+          sendResponse({ success: false, error: `Unknown category: ${request.category}`, detectorType: 'master' });
+          break;
+        }
+        
+        try {
+          const rule = await remapDetectedField(targetField, request.category);
+          sendResponse({
+            success: true,
+            rule: rule,
+            fields: detectedFields.map(toFieldDescriptor),
+            detectorType: 'master'
+          });
+        } catch (error) {
+          console.error('Master Detector: Remapping field failed:', error);
+          sendResponse({ success: false, error: error.message, detectorType: 'master' });
+        }
+        break;
+        
+      case 'getJobPosting':
+        // Extraction lives in jobPosting.js, same delegation model as fieldPicker
+        if (window.jobPosting) {
+          sendResponse({
+            success: true,
+            jobPosting: window.jobPosting.extract(portalConfig),
+            portal: portalConfig?.name || 'unknown',
+            detectorType: 'master'
+          });
+        } else {
+          sendResponse({ success: false, error: 'jobPosting not available', detectorType: 'master' });
+        }
+        break;
+        
+      case 'startFieldPicker':
+        // Picker UI lives in fieldPicker.js, same delegation model as masterInjection
+        if (window.fieldPicker) {
+          window.fieldPicker.start({ categories: getMappableCategories() });
+          sendResponse({ success: true, detectorType: 'master' });
+        } else {
+          sendResponse({ success: false, error: 'fieldPicker not available', detectorType: 'master' });
+        }
+        break;
+        
+      case 'stopFieldPicker':
+        window.fieldPicker?.stop();
+        sendResponse({ success: true, detectorType: 'master' });
+        break;
+        
+      case 'getDetectorInfo':
+        sendResponse({
+          success: true,
+          detectorType: 'master',
+          version: '1.0.0',
+          capabilities: [
+            'autocomplete-tokens',
+            'fuzzy-matching',
+            'confidence-scoring',
+            'contextual-analysis',
+            'semantic-analysis',
+            'portal-specific',
+            'learning-based',
+            'detection-explanations',
+            'field-descriptors',
+            'job-posting'
+          ],
+          fieldDatabase: Object.keys(MASTER_FIELD_DATABASE).length,
+          portalConfigs: Object.keys(portalConfigs).length,
+          isInitialized: isInitialized
+        });
+        break;
+        
+      default:
+        debugLog('Unknown message type:', messageType);
+        sendResponse({ 
+          success: false, 
+          error: 'Unknown message type',
+          detectorType: 'master'
+        });
+    }
+  } catch (error) {
+    console.error('Master Detector error:', error);
+    sendResponse({ 
+      success: false, 
+      error: error.message,
+      detectorType: 'master'
+    });
+  }
+}
+
+// ============================================================================
+// INITIALIZATION (reliable and fast)
+// ============================================================================
+
+async function initializeContentScript() {
+  debugLog('Starting Master Detector initialization...');
+  
+  try {
+    // Identify portal configuration
+    await loadPortalConfigs();
+    portalConfig = identifyJobPortal();
+
+    // Restore learned fingerprints, manual mappings and scoring settings before the first detection pass
+    await loadLearningData();
+    await loadManualMappings();
+    await loadDetectionSettings();
+    await loadExchangeRates();
+    loadLocaleKeywordPacks();
+
+    // Run initial field detection (includes experience card detection)
+    detectedFields = await detectFormFields();
+    debugLog(`Initial detection complete: Found ${detectedFields.length} regular fields`);
+
+    // Set up mutation observer for dynamic content
+    setupMutationObserver();
+    
+    // Record submitted applications for the history in options
+    setupSubmissionTracking();
+    
+    // Stop observing while the page is unloaded or parked in the back/forward cache
+    window.addEventListener('pagehide', stopMutationObserver);
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) setupMutationObserver();
+    });
+    
+    isInitialized = true;
+    console.log('Auto-Fill: Master Detector initialized successfully');
+    debugLog(`Initialization complete. Portal: ${portalConfig?.name || 'Generic'}, Fields: ${detectedFields.length}`);
+    
+    // Signal extension is ready
+    window.autoFillExtensionActive = true;
+    document.dispatchEvent(new CustomEvent('autoFillExtensionReady', {
+      detail: {
+        detectorType: 'master',
+        portal: portalConfig?.name || 'unknown',
+        fieldsDetected: detectedFields.length,
+        capabilities: ['advanced-detection', 'fuzzy-matching', 'learning', 'experience-cards']
+      }
+    }));
+    
+  } catch (error) {
+    console.error('Master Detector initialization failed:', error);
+    isInitialized = false;
+  }
+}
+
+// ============================================================================
+// DATE PARTS (split month / year / day controls)
+// ============================================================================
+
+// Card field types of a split date: startDate + 'Month' -> startDateMonth
+const DATE_PART_SUFFIXES = { month: 'Month', year: 'Year', day: 'Day' };
+// Name, id, placeholder and aria-label words that mark one part of a date
+const DATE_PART_TOKENS = {
+  month: ['month', 'mon', 'mm'],
+  year: ['year', 'yr', 'yyyy', 'yy'],
+  day: ['day', 'dd']
+};
+const MONTH_NAME_PATTERN = /^(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i;
+const MIN_YEAR_OPTION = 1900;
+const MAX_YEAR_OPTION = 2100;
+
+/**
+ * Reads a date part from a select's options: twelve months (names or 1-12),
+ * a run of four-digit years, or the days 1-31
+ * @param {HTMLSelectElement} select - Dropdown to inspect
+ * @returns {string|null} 'month', 'year', 'day' or null
+ */
+function getDatePartFromOptions(select) {
+  // Skip the "Month" / "Select..." placeholder entries
+  const options = Array.from(select.options)
+    .map(option => option.text.trim() || option.value.trim())
+    .filter(text => /^\d+$/.test(text) || MONTH_NAME_PATTERN.test(text));
+  if (options.length < 3) return null;
+
+  const numbers = options.map(text => (/^\d+$/.test(text) ? parseInt(text, 10) : NaN));
+
+  if (options.every(text => MONTH_NAME_PATTERN.test(text)) && options.length <= 12) return 'month';
+  if (numbers.every(number => number >= MIN_YEAR_OPTION && number <= MAX_YEAR_OPTION)) return 'year';
+  if (numbers.every(number => number >= 1 && number <= 12) && options.length === 12) return 'month';
+  if (numbers.every(number => number >= 1 && number <= 31) && options.length >= 28 && options.length <= 31) return 'day';
+  return null;
+}
+
+/**
+ * Which part of a date a control holds when the page splits dates into
+ * month / year / day controls. Whole-date inputs ("MM/YYYY", type="month") return null.
+ * @param {HTMLElement} element - Form control
+ * @returns {string|null} 'month', 'year', 'day' or null
+ */
+function detectDatePart(element) {
+  if (element.type === 'date' || element.type === 'month') return null;
+
+  if (element.tagName === 'SELECT') {
+    const fromOptions = getDatePartFromOptions(element);
+    if (fromOptions) return fromOptions;
+  }
+
+  const words = [element.name, element.id, element.placeholder, element.getAttribute('aria-label')]
+    .filter(Boolean)
+    .join(' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2') // startMonth -> start Month
+    .toLowerCase()
+    .split(/[^a-z]+/);
+
+  const parts = Object.keys(DATE_PART_TOKENS).filter(part => DATE_PART_TOKENS[part].some(token => words.includes(token)));
+  return parts.length === 1 ? parts[0] : null;
+}
+
+/**
+ * @param {string} dateType - 'startDate' or 'endDate'
+ * @param {string|null} datePart - Result of detectDatePart
+ * @returns {string} Card field type, e.g. startDateMonth
+ */
+function withDatePart(dateType, datePart) {
+  return datePart ? `${dateType}${DATE_PART_SUFFIXES[datePart]}` : dateType;
+}
+
+/**
+ * Stores a card field, reading a second start date in one card as its end date
+ * (two unlabelled month pickers, or "Month / Year" twice)
+ * @param {Object} fields - Card field map
+ * @param {string|null} fieldType - Detected type
+ * @param {HTMLElement} element - Form control
+ */
+function addCardField(fields, fieldType, element) {
+  if (fieldType && fields[fieldType] && fieldType.startsWith('startDate')) {
+    fieldType = fieldType.replace('startDate', 'endDate');
+  }
+  if (fieldType && !fields[fieldType]) {
+    fields[fieldType] = element;
+  }
+}
+
+// ============================================================================
+// EXPERIENCE CARD DETECTION
+// ============================================================================
+
+/**
+ * Detects job experience cards and their contained fields
+ * Returns structured data with parent containers and individual field mappings
+ * @returns {Object} Experience detection results
+ */
+async function detectExperienceCards() {
+  debugLog('Starting experience card detection...');
+  
+  const experienceResults = {
+    parentContainer: null,
+    cards: [],
+    totalCards: 0,
+    detectionMethod: 'none'
+  };
+  
+  try {
+    // Experience card container patterns
+    const containerSelectors = [
+      // Common experience sections
+      '[class*="experience"]',
+      '[class*="job"]',
+      '[class*="work"]',
+      '[class*="employment"]',
+      '[class*="career"]',
+      '[id*="experience"]',
+      '[id*="job"]',
+      '[id*="work"]',
+      
+      // Specific portal patterns
+      '.experience-section',
+      '.job-experience',
+      '.work-history',
+      '.employment-history',
+      '#experience-section',
+      '#job-experience',
+      '#work-history',
+      
+      // Generic containers that might hold experience cards
+      '[data-testid*="experience"]',
+      '[data-cy*="experience"]',
+      'section:has([class*="experience"])',
+      'div:has([class*="job-title"])'
+    ];
+    
+    // Known portal layouts are tried before the generic patterns
+    if (portalConfig?.experienceCards?.container) {
+      containerSelectors.unshift(portalConfig.experienceCards.container);
+    }
+    
+    // Find potential parent containers
+    let parentContainer = null;
+    let detectionMethod = 'container';
+    
+    for (const selector of containerSelectors) {
+      try {
+        const containers = querySelectorAllDeep(selector);
+        for (const container of containers) {
+          // Check if container has multiple experience-related form fields
+          const formFields = querySelectorAllDeep('input, select, textarea', container);
+          const experienceFields = Array.from(formFields).filter(field => 
+            isExperienceRelatedField(field)
+          );
+          
+          if (experienceFields.length >= 3) { // At least 3 experience-related fields
+            parentContainer = container;
+            break;
+          }
+        }
+        if (parentContainer) break;
+      } catch (e) {
+        // Skip invalid selectors
+        continue;
+      }
+    }
+    
+    // If no container found, try to detect by field patterns
+    if (!parentContainer) {
+      parentContainer = detectExperienceCardsByFieldPatterns();
+      detectionMethod = 'field-pattern';
+    }
+    
+    if (!parentContainer) {
+      console.error('No experience card container found');
+      return experienceResults;
+    }
+    
+    experienceResults.parentContainer = parentContainer;
+    experienceResults.detectionMethod = detectionMethod;
+    
+    // Now detect individual experience cards within the container
+    const cards = await detectIndividualExperienceCards(parentContainer);
+    experienceResults.cards = cards;
+    experienceResults.totalCards = cards.length;
+    
+    return experienceResults;
+    
+  } catch (error) {
+    console.error('Error in experience card detection:', error);
+    return experienceResults;
+  }
+}
+
+/**
+ * Detects individual experience cards within a parent container
+ * @param {Element} parentContainer - The parent container element
+ * @returns {Array} Array of card objects with field mappings
+ */
+async function detectIndividualExperienceCards(parentContainer) {
+  const cards = [];
+  
+  // Card detection patterns
+  const cardSelectors = [
+    // Direct card selectors
+    '.experience-card',
+    '.job-card',
+    '.work-entry',
+    '.employment-entry',
+    '[class*="experience-entry"]',
+    '[class*="job-entry"]',
+    '[class*="experience-item"]',
+    '[class*="experience"][class*="card"]',
+    
+    // Generic card patterns
+    '.card:has([class*="job"])',
+    '.entry:has([class*="experience"])',
+    'div[class*="card"]:has(input[name*="job"])',
+    'div[class*="entry"]:has(input[name*="company"])',
+    
+    // Form-based groupings
+    'fieldset',
+    '[role="group"]',
+    '.form-group:has([name*="job"])',
+    '.form-section:has([name*="experience"])'
+  ];
+  
+  if (portalConfig?.experienceCards?.card) {
+    cardSelectors.unshift(portalConfig.experienceCards.card);
+  }
+  
+  let cardElements = [];
+  
+  // Try to find cards using selectors
+  for (const selector of cardSelectors) {
+    try {
+      const foundCards = querySelectorAllDeep(selector, parentContainer);
+      if (foundCards.length > 0) {
+        cardElements = Array.from(foundCards);
+        break;
+      }
+    } catch (e) {
+      continue;
+    }
+  }
+  
+  // If no cards found by selectors, try to group by field patterns
+  if (cardElements.length === 0) {
+    cardElements = detectCardsByFieldGrouping(parentContainer);
+  }
+  
+  // Generic selectors (fieldset, role=group) also match education entries
+  cardElements = cardElements.filter(cardElement => !isEducationContainer(cardElement));
+  
+  // Process each detected card
+  for (let i = 0; i < cardElements.length; i++) {
+    const cardElement = cardElements[i];
+    const cardIndex = i + 1;
+    
+    const cardData = {
+      cardIndex: cardIndex,
+      container: cardElement,
+      fields: await detectFieldsWithinCard(cardElement, cardIndex),
+      detectionConfidence: 0
+    };
+    
+    // Calculate confidence based on found fields
+    const fieldCount = Object.keys(cardData.fields).filter(key => cardData.fields[key]).length;
+    cardData.detectionConfidence = Math.min(fieldCount * 15, 100);
+    
+    if (fieldCount >= 2) { // At least 2 fields to consider it a valid card
+      cards.push(cardData);
+    }
+  }
+  
+  return cards;
+}
+
+/**
+ * Detects fields within an experience card
+ * @param {Element} cardElement - The card container element
+ * @param {number} cardIndex - The card index number
+ * @returns {Object} Field mapping object
+ */
+async function detectFieldsWithinCard(cardElement, cardIndex) {
+  const fields = {
+    jobTitle: null,
+    company: null,
+    jobLocation: null,
+    startDate: null,
+    endDate: null,
+    currentlyWorking: null,
+    jobDescription: null
+  };
+  
+  const formElements = querySelectorAllDeep('input, select, textarea', cardElement);
+  
+  for (const element of formElements) {
+    const fieldType = await detectExperienceFieldType(element, cardIndex);
+    addCardField(fields, fieldType, element);
+  }
+  
+  return fields;
+}
+
+/**
+ * Detects the type of experience field for a given element
+ * @param {Element} element - The form element
+ * @param {number} cardIndex - The card index for context
+ * @returns {string|null} The field type or null
+ */
+async function detectExperienceFieldType(element, cardIndex) {
+  const elementInfo = {
+    name: (element.name || '').toLowerCase(),
+    id: (element.id || '').toLowerCase(),
+    placeholder: (element.placeholder || '').toLowerCase(),
+    className: (element.className || '').toLowerCase(),
+    type: element.type || 'text'
+  };
+  
+  // Job Title patterns
+  if (matchesPatterns(elementInfo, [
+    'jobtitle', 'job_title', 'job-title', 'title', 'position', 
+    'role', 'designation', 'occupation'
+  ])) {
+    return 'jobTitle';
+  }
+  
+  // Company patterns
+  if (matchesPatterns(elementInfo, [
+    'company', 'employer', 'organization', 'org', 'company_name',
+    'employer_name', 'workplace', 'firm', 'corporation'
+  ])) {
+    return 'company';
+  }
+  
+  // Location patterns
+  if (matchesPatterns(elementInfo, [
+    'location', 'city', 'place', 'address', 'where', 'joblocation',
+    'job_location', 'work_location', 'worklocation'
+  ])) {
+    return 'jobLocation';
+  }
+  
+  // Start Date patterns (month/year/day pickers of a split date included)
+  const datePart = detectDatePart(element);
+  if (matchesPatterns(elementInfo, [
+    'startdate', 'start_date', 'start-date', 'from', 'begin', 
+    'joining', 'commenced', 'employment_start'
+  ]) || (elementInfo.type === 'date' || elementInfo.type === 'month') || datePart) {
+    // Additional check for start vs end
+    if (matchesPatterns(elementInfo, ['start', 'from', 'begin', 'joining'])) {
+      return withDatePart('startDate', datePart);
+    } else if (matchesPatterns(elementInfo, ['end', 'to', 'until', 'finish'])) {
+      return withDatePart('endDate', datePart);
+    }
+    // Default to startDate if ambiguous
+    return withDatePart('startDate', datePart);
+  }
+  
+  // End Date patterns
+  if (matchesPatterns(elementInfo, [
+    'enddate', 'end_date', 'end-date', 'to', 'until', 'finish',
+    'leaving', 'terminated', 'employment_end'
+  ])) {
+    return 'endDate';
+  }
+  
+  // Currently working patterns (checkbox)
+  if (element.type === 'checkbox' && matchesPatterns(elementInfo, [
+    'current', 'currently', 'present', 'ongoing', 'still',
+    'working', 'employed', 'active'
+  ])) {
+    return 'currentlyWorking';
+  }
+  
+  // Description patterns (textarea or large text inputs)
+  if (element.type === 'textarea' || matchesPatterns(elementInfo, [
+    'description', 'desc', 'details', 'responsibilities', 'duties',
+    'summary', 'experience', 'achievements', 'job_description'
+  ])) {
+    return 'jobDescription';
+  }
+  
+  return null;
+}
+
+/**
+ * Checks if element info matches any of the given patterns
+ * @param {Object} elementInfo - Element information object
+ * @param {Array} patterns - Array of patterns to match
+ * @returns {boolean} True if matches any pattern
+ */
+function matchesPatterns(elementInfo, patterns) {
+  const textToCheck = [
+    elementInfo.name,
+    elementInfo.id,
+    elementInfo.placeholder,
+    elementInfo.className
+  ].join(' ').toLowerCase();
+  
+  return patterns.some(pattern => 
+    textToCheck.includes(pattern.toLowerCase()) ||
+    // Check for indexed patterns (e.g., jobTitle_1, company_2)
+    textToCheck.includes(pattern.toLowerCase() + '_') ||
+    textToCheck.includes(pattern.toLowerCase() + '-')
+  );
+}
+
+/**
+ * Checks if a field is experience-related
+ * @param {Element} field - The form field element
+ * @returns {boolean} True if experience-related
+ */
+function isExperienceRelatedField(field) {
+  const experienceKeywords = [
+    'job', 'company', 'employer', 'experience', 'work', 'position',
+    'role', 'title', 'start', 'end', 'current', 'description',
+    'location', 'employment', 'career', 'occupation'
+  ];
+  
+  const fieldText = [
+    field.name || '',
+    field.id || '',
+    field.placeholder || '',
+    field.className || ''
+  ].join(' ').toLowerCase();
+  
+  return experienceKeywords.some(keyword => fieldText.includes(keyword));
+}
+
+/**
+ * Detects experience cards by field patterns when no containers found
+ * @returns {Element|null} Parent container or null
+ */
+function detectExperienceCardsByFieldPatterns() {
+  return findCommonFieldContainer(isExperienceRelatedField, 3);
 }
 
-function isElementExcluded(element) {
-  // Skip hidden elements
-  if (element.type === 'hidden' || element.style.display === 'none' || element.style.visibility === 'hidden') {
-    return true;
-  }
+/**
+ * Finds the closest common ancestor holding most fields accepted by a predicate
+ * @param {Function} isRelatedField - Field predicate (experience, education...)
+ * @param {number} minFields - Minimum number of related fields required
+ * @returns {Element|null} Parent container or null
+ */
+function findCommonFieldContainer(isRelatedField, minFields) {
+  const allFields = querySelectorAllDeep('input, select, textarea');
+  const experienceFields = allFields.filter(isRelatedField);
   
-  // Skip disabled or readonly elements
-  if (element.disabled || element.readOnly) {
-    return true;
+  if (experienceFields.length < minFields) {
+    return null;
   }
   
-  // Skip based on portal-specific exclusion patterns
-  if (portalConfig && portalConfig.excludePatterns) {
-    const elementText = (element.name + element.id + element.className).toLowerCase();
-    return portalConfig.excludePatterns.some(pattern => elementText.includes(pattern));
-  }
+  // Find common parent that contains most related fields
+  let bestParent = null;
+  let maxFields = 0;
   
-  // Skip common exclusion patterns
-  const commonExclusions = ['password', 'captcha', 'csrf', 'token', 'submit', 'reset'];
-  const elementText = (element.name + element.id + element.className + element.type).toLowerCase();
+  // Check various parent levels
+  for (const field of experienceFields) {
+    let parent = field.parentElement || field.getRootNode().host;
+    for (let level = 0; level < 5 && parent; level++) {
+      const fieldsInParent = experienceFields.filter(f => containsDeep(parent, f));
+      if (fieldsInParent.length > maxFields) {
+        maxFields = fieldsInParent.length;
+        bestParent = parent;
+      }
+      parent = parent.parentElement || parent.getRootNode().host;
+    }
+  }
   
-  return commonExclusions.some(exclusion => elementText.includes(exclusion));
+  return bestParent;
 }
 
-// ============================================================================
-// FORM FILLING COORDINATION (delegates to masterInjection only)
-// ============================================================================
-
-// ============================================================================
-// MESSAGE HANDLER (unified interface)
-// ============================================================================
-
-async function handleMessage(request, sender, sendResponse) {
-  const messageType = request.action || request.type;
-  debugLog('Handling message:', messageType);
+/**
+ * Detects cards by grouping fields when no card containers found
+ * @param {Element} parentContainer - Parent container element
+ * @param {Function} isRelatedField - Field predicate, experience fields by default
+ * @param {number} minFields - Minimum number of related fields required
+ * @returns {Array} Array of detected card elements
+ */
+function detectCardsByFieldGrouping(parentContainer, isRelatedField = isExperienceRelatedField, minFields = 3) {
+  const formFields = querySelectorAllDeep('input, select, textarea', parentContainer);
+  const experienceFields = formFields.filter(isRelatedField);
   
-  try {
-    switch (messageType) {
-      case 'detectFields':
-      case 'GET_FIELDS':
-        const fields = await detectFormFields();
-        const responseFields = fields.map(f => ({
-          category: f.category,
-          confidence: f.confidence,
-          methods: f.methods,
-          type: f.type,
-          name: f.name,
-          id: f.id,
-          placeholder: f.placeholder,
-          className: f.className,
-          priority: f.priority
-        }));
-        
-        sendResponse({
-          success: true,
-          fields: responseFields,
-          totalFields: fields.length,
-          highConfidenceFields: fields.filter(f => f.confidence > 0.7).length,
-          portal: portalConfig?.name || 'unknown',
-          detectorType: 'master'
-        });
-        break;
-        
-      case 'detectExperienceCards':
-      case 'GET_EXPERIENCE_CARDS':
-        const experienceData = await detectExperienceCards();
-        debugLog('Job experience detection results:', experienceData);
-        
-        sendResponse({
-          success: true,
-          experienceData: experienceData,
-          totalCards: experienceData.totalCards,
-          detectionMethod: experienceData.detectionMethod,
-          hasParentContainer: !!experienceData.parentContainer,
-          portal: portalConfig?.name || 'unknown',
-          detectorType: 'master'
-        });
-        break;
-        
-      case 'fillForm':
-      case 'FILL_FORM':
-        console.log('Master Detector: Received fillForm message');
-        console.log('Request object:', request);
-        
-        const profileData = request.profileData || {};
-        console.log('Profile data extracted:', profileData);
-        console.log('Profile data has keys:', Object.keys(profileData));
-        
-        if (!request.profileData) {
-          console.warn('WARNING: No profileData in request! Using empty object.');
-        }
-        
-        // Require masterInjection for form filling - no fallback
-        if (window.masterInjection && window.masterInjection.fillFormWithProfileData) {
-          console.log('Using masterInjection for form filling');
-          const fillResult = window.masterInjection.fillFormWithProfileData(profileData, detectedFields);
-          
-          sendResponse({
-            success: fillResult.success,
-            filledFields: fillResult.filledCount,
-            totalFields: fillResult.totalFields,
-            fillResults: fillResult.fillResults,
-            fillErrors: fillResult.fillErrors,
-            detectorType: 'master',
-            injectionEngine: 'masterInjection'
-          });
-        } else {
-          console.error('CRITICAL: masterInjection not available - form filling not possible');
-          console.error('window.masterInjection exists:', !!window.masterInjection);
-          console.error('Available window properties:', Object.keys(window).filter(k => k.includes('master')));
-          
-          sendResponse({
-            success: false,
-            error: 'masterInjection not available - form filling engine required',
-            filledFields: 0,
-            totalFields: detectedFields.length,
-            fillResults: [],
-            detectorType: 'master',
-            injectionEngine: 'none',
-            critical: true
-          });
-        }
-        break;
-        
-      case 'getDetectorInfo':
-        sendResponse({
-          success: true,
-          detectorType: 'master',
-          version: '1.0.0',
-          capabilities: [
-            'fuzzy-matching',
-            'confidence-scoring',
-            'contextual-analysis',
-            'semantic-analysis',
-            'portal-specific',
-            'learning-based'
-          ],
-          fieldDatabase: Object.keys(MASTER_FIELD_DATABASE).length,
-          portalConfigs: Object.keys(PORTAL_CONFIGS).length,
-          isInitialized: isInitialized
-        });
-        break;
-        
-      default:
-        debugLog('Unknown message type:', messageType);
-        sendResponse({ 
-          success: false, 
-          error: 'Unknown message type',
-          detectorType: 'master'
-        });
-    }
-  } catch (error) {
-    console.error('Master Detector error:', error);
-    sendResponse({ 
-      success: false, 
-      error: error.message,
-      detectorType: 'master'
-    });
+  if (experienceFields.length < minFields) {
+    return [];
   }
-}
-
-// ============================================================================
-// INITIALIZATION (reliable and fast)
-// ============================================================================
-
-async function initializeContentScript() {
-  debugLog('Starting Master Detector initialization...');
   
-  try {
-    // Identify portal configuration
-    portalConfig = identifyJobPortal();
-
-    // Run initial field detection (includes experience card detection)
-    detectedFields = await detectFormFields();
-    debugLog(`Initial detection complete: Found ${detectedFields.length} regular fields`);
-
-    // Set up mutation observer for dynamic content
-    setupMutationObserver();
-    
-    isInitialized = true;
-    console.log('Auto-Fill: Master Detector initialized successfully');
-    debugLog(`Initialization complete. Portal: ${portalConfig?.name || 'Generic'}, Fields: ${detectedFields.length}`);
+  // Try to group fields by numbered patterns (e.g., job_1, job_2)
+  const numberedGroups = new Map();
+  
+  for (const field of experienceFields) {
+    const fieldInfo = field.name + field.id + field.className;
+    const numberMatch = fieldInfo.match(/_(\d+)|(\d+)_|(\d+)$/);
     
-    // Signal extension is ready
-    window.autoFillExtensionActive = true;
-    document.dispatchEvent(new CustomEvent('autoFillExtensionReady', {
-      detail: {
-        detectorType: 'master',
-        portal: portalConfig?.name || 'unknown',
-        fieldsDetected: detectedFields.length,
-        capabilities: ['advanced-detection', 'fuzzy-matching', 'learning', 'experience-cards']
+    if (numberMatch) {
+      const number = numberMatch[1] || numberMatch[2] || numberMatch[3];
+      if (!numberedGroups.has(number)) {
+        numberedGroups.set(number, []);
       }
-    }));
-    
-  } catch (error) {
-    console.error('Master Detector initialization failed:', error);
-    isInitialized = false;
+      numberedGroups.get(number).push(field);
+    }
+  }
+  
+  // Create virtual card containers for each group
+  const cards = [];
+  for (const [number, fields] of numberedGroups) {
+    if (fields.length >= 2) {
+      // Find common parent for these fields
+      let commonParent = fields[0].parentElement || fields[0].getRootNode().host;
+      for (const field of fields) {
+        while (commonParent && !containsDeep(commonParent, field)) {
+          commonParent = commonParent.parentElement || commonParent.getRootNode().host;
+        }
+      }
+      if (commonParent) {
+        cards.push(commonParent);
+      }
+    }
   }
+  
+  return cards.length > 0 ? cards : [parentContainer]; // Fallback to parent container
 }
 
 // ============================================================================
-// EXPERIENCE CARD DETECTION
+// EDUCATION CARD DETECTION
 // ============================================================================
 
 /**
- * Detects job experience cards and their contained fields
- * Returns structured data with parent containers and individual field mappings
- * @returns {Object} Experience detection results
+ * Detects education cards and their contained fields
+ * Mirrors detectExperienceCards with education-specific patterns
+ * @returns {Object} Education detection results
  */
-async function detectExperienceCards() {
-  debugLog('Starting experience card detection...');
+async function detectEducationCards() {
+  debugLog('Starting education card detection...');
   
-  const experienceResults = {
+  const educationResults = {
     parentContainer: null,
     cards: [],
     totalCards: 0,
@@ -1240,49 +4221,38 @@ async function detectExperienceCards() {
   };
   
   try {
-    // Experience card container patterns
     const containerSelectors = [
-      // Common experience sections
-      '[class*="experience"]',
-      '[class*="job"]',
-      '[class*="work"]',
-      '[class*="employment"]',
-      '[class*="career"]',
-      '[id*="experience"]',
-      '[id*="job"]',
-      '[id*="work"]',
-      
-      // Specific portal patterns
-      '.experience-section',
-      '.job-experience',
-      '.work-history',
-      '.employment-history',
-      '#experience-section',
-      '#job-experience',
-      '#work-history',
+      // Common education sections
+      '[class*="education"]',
+      '[class*="academic"]',
+      '[class*="school"]',
+      '[class*="qualification"]',
+      '[id*="education"]',
+      '[id*="academic"]',
+      '[id*="school"]',
       
-      // Generic containers that might hold experience cards
-      '[data-testid*="experience"]',
-      '[data-cy*="experience"]',
-      'section:has([class*="experience"])',
-      'div:has([class*="job-title"])'
+      // Generic containers that might hold education cards
+      '[data-testid*="education"]',
+      '[data-cy*="education"]',
+      'section:has([name*="school"])',
+      'div:has([name*="degree"])'
     ];
     
-    // Find potential parent containers
+    if (portalConfig?.educationCards?.container) {
+      containerSelectors.unshift(portalConfig.educationCards.container);
+    }
+    
     let parentContainer = null;
     let detectionMethod = 'container';
     
     for (const selector of containerSelectors) {
       try {
-        const containers = document.querySelectorAll(selector);
+        const containers = querySelectorAllDeep(selector);
         for (const container of containers) {
-          // Check if container has multiple experience-related form fields
-          const formFields = container.querySelectorAll('input, select, textarea');
-          const experienceFields = Array.from(formFields).filter(field => 
-            isExperienceRelatedField(field)
-          );
+          const formFields = querySelectorAllDeep('input, select, textarea', container);
+          const educationFields = formFields.filter(isEducationRelatedField);
           
-          if (experienceFields.length >= 3) { // At least 3 experience-related fields
+          if (educationFields.length >= 2) { // Education sections are often short (school + degree)
             parentContainer = container;
             break;
           }
@@ -1294,74 +4264,65 @@ async function detectExperienceCards() {
       }
     }
     
-    // If no container found, try to detect by field patterns
     if (!parentContainer) {
-      parentContainer = detectExperienceCardsByFieldPatterns();
+      parentContainer = findCommonFieldContainer(isEducationRelatedField, 2);
       detectionMethod = 'field-pattern';
     }
     
     if (!parentContainer) {
-      console.error('No experience card container found');
-      return experienceResults;
+      debugLog('No education card container found');
+      return educationResults;
     }
     
-    experienceResults.parentContainer = parentContainer;
-    experienceResults.detectionMethod = detectionMethod;
+    educationResults.parentContainer = parentContainer;
+    educationResults.detectionMethod = detectionMethod;
     
-    // Now detect individual experience cards within the container
-    const cards = await detectIndividualExperienceCards(parentContainer);
-    experienceResults.cards = cards;
-    experienceResults.totalCards = cards.length;
+    const cards = await detectIndividualEducationCards(parentContainer);
+    educationResults.cards = cards;
+    educationResults.totalCards = cards.length;
     
-    return experienceResults;
+    return educationResults;
     
   } catch (error) {
-    console.error('Error in experience card detection:', error);
-    return experienceResults;
+    console.error('Error in education card detection:', error);
+    return educationResults;
   }
 }
 
 /**
- * Detects individual experience cards within a parent container
+ * Detects individual education cards within a parent container
  * @param {Element} parentContainer - The parent container element
  * @returns {Array} Array of card objects with field mappings
  */
-async function detectIndividualExperienceCards(parentContainer) {
+async function detectIndividualEducationCards(parentContainer) {
   const cards = [];
   
-  // Card detection patterns
   const cardSelectors = [
-    // Direct card selectors
-    '.experience-card',
-    '.job-card',
-    '.work-entry',
-    '.employment-entry',
-    '[class*="experience-entry"]',
-    '[class*="job-entry"]',
-    '[class*="experience-item"]',
-    '[class*="experience"][class*="card"]',
-    
-    // Generic card patterns
-    '.card:has([class*="job"])',
-    '.entry:has([class*="experience"])',
-    'div[class*="card"]:has(input[name*="job"])',
-    'div[class*="entry"]:has(input[name*="company"])',
-    
-    // Form-based groupings
+    '.education-card',
+    '.education-entry',
+    '.school-entry',
+    '[class*="education-entry"]',
+    '[class*="education-item"]',
+    '[class*="school-item"]',
+    '[class*="education"][class*="card"]',
+    'div[class*="card"]:has(input[name*="school"])',
+    'div[class*="entry"]:has(input[name*="degree"])',
     'fieldset',
-    '[role="group"]',
-    '.form-group:has([name*="job"])',
-    '.form-section:has([name*="experience"])'
+    '[role="group"]'
   ];
   
+  if (portalConfig?.educationCards?.card) {
+    cardSelectors.unshift(portalConfig.educationCards.card);
+  }
+  
   let cardElements = [];
   
-  // Try to find cards using selectors
   for (const selector of cardSelectors) {
     try {
-      const foundCards = parentContainer.querySelectorAll(selector);
+      const foundCards = querySelectorAllDeep(selector, parentContainer)
+        .filter(isEducationContainer);
       if (foundCards.length > 0) {
-        cardElements = Array.from(foundCards);
+        cardElements = foundCards;
         break;
       }
     } catch (e) {
@@ -1369,309 +4330,836 @@ async function detectIndividualExperienceCards(parentContainer) {
     }
   }
   
-  // If no cards found by selectors, try to group by field patterns
   if (cardElements.length === 0) {
-    cardElements = detectCardsByFieldGrouping(parentContainer);
+    cardElements = detectCardsByFieldGrouping(parentContainer, isEducationRelatedField, 2);
   }
   
-  // Process each detected card
   for (let i = 0; i < cardElements.length; i++) {
     const cardElement = cardElements[i];
-    const cardIndex = i + 1;
+    const cardIndex = cards.length + 1;
+    
+    const cardData = {
+      cardIndex: cardIndex,
+      container: cardElement,
+      fields: detectFieldsWithinEducationCard(cardElement),
+      detectionConfidence: 0
+    };
+    
+    const fieldCount = Object.keys(cardData.fields).filter(key => cardData.fields[key]).length;
+    cardData.detectionConfidence = Math.min(fieldCount * 15, 100);
+    
+    // A school or degree field is required so plain date pairs are left to experience cards
+    if (fieldCount >= 2 && (cardData.fields.school || cardData.fields.degree)) {
+      cards.push(cardData);
+    }
+  }
+  
+  return cards;
+}
+
+/**
+ * Detects fields within an education card
+ * @param {Element} cardElement - The card container element
+ * @returns {Object} Field mapping object
+ */
+function detectFieldsWithinEducationCard(cardElement) {
+  const fields = {
+    school: null,
+    degree: null,
+    fieldOfStudy: null,
+    gpa: null,
+    startDate: null,
+    endDate: null
+  };
+  
+  const formElements = querySelectorAllDeep('input, select, textarea', cardElement);
+  
+  for (const element of formElements) {
+    if (isElementExcluded(element)) continue;
+    
+    addCardField(fields, detectEducationFieldType(element), element);
+  }
+  
+  return fields;
+}
+
+/**
+ * Detects the type of education field for a given element
+ * @param {Element} element - The form element
+ * @returns {string|null} The field type or null
+ */
+function detectEducationFieldType(element) {
+  const elementInfo = {
+    name: (element.name || '').toLowerCase(),
+    id: (element.id || '').toLowerCase(),
+    placeholder: (element.placeholder || '').toLowerCase(),
+    className: (element.className || '').toLowerCase(),
+    type: element.type || 'text'
+  };
+  
+  // GPA first: "grade" would otherwise be read as a degree or date
+  if (matchesPatterns(elementInfo, ['gpa', 'cgpa', 'grade', 'percentage', 'marks', 'score'])) {
+    return 'gpa';
+  }
+  
+  // Field of study before degree ("degree_major", "field_of_study")
+  if (matchesPatterns(elementInfo, [
+    'fieldofstudy', 'field_of_study', 'field-of-study', 'major', 'discipline',
+    'specialization', 'specialisation', 'concentration', 'subject', 'study'
+  ])) {
+    return 'fieldOfStudy';
+  }
+  
+  if (matchesPatterns(elementInfo, ['degree', 'qualification', 'diploma', 'education_level', 'educationlevel'])) {
+    return 'degree';
+  }
+  
+  if (matchesPatterns(elementInfo, ['school', 'university', 'college', 'institution', 'institute', 'academy'])) {
+    return 'school';
+  }
+  
+  // Dates: graduation/completion dates count as end dates; split dates keep their part
+  const datePart = detectDatePart(element);
+  if (matchesPatterns(elementInfo, ['graduation', 'grad_date', 'graddate', 'completion', 'enddate', 'end_date', 'end-date', 'until'])) {
+    return withDatePart('endDate', datePart);
+  }
+  if (matchesPatterns(elementInfo, ['startdate', 'start_date', 'start-date', 'from', 'begin', 'enrol'])) {
+    return withDatePart('startDate', datePart);
+  }
+  if (elementInfo.type === 'date' || elementInfo.type === 'month' || datePart) {
+    return withDatePart(matchesPatterns(elementInfo, ['end', 'until']) ? 'endDate' : 'startDate', datePart);
+  }
+  
+  return null;
+}
+
+/**
+ * Checks if a field is education-related
+ * @param {Element} field - The form field element
+ * @returns {boolean} True if education-related
+ */
+function isEducationRelatedField(field) {
+  const educationKeywords = [
+    'education', 'school', 'university', 'college', 'institution', 'degree',
+    'major', 'gpa', 'graduation', 'study', 'academic', 'qualification', 'diploma'
+  ];
+  
+  const fieldText = [
+    field.name || '',
+    field.id || '',
+    field.placeholder || '',
+    field.className || ''
+  ].join(' ').toLowerCase();
+  
+  return educationKeywords.some(keyword => fieldText.includes(keyword));
+}
+
+/**
+ * Checks whether a container mostly holds education fields
+ * Used to keep education entries out of experience card detection and vice versa
+ * @param {Element} container - Candidate card container
+ * @returns {boolean} True if the container looks like an education entry
+ */
+function isEducationContainer(container) {
+  // Dates and descriptions appear in both kinds of entries, so only employer-specific words count
+  const employmentKeywords = ['job', 'company', 'employer', 'position', 'employment', 'occupation'];
+  const formFields = querySelectorAllDeep('input, select, textarea', container);
+  const educationCount = formFields.filter(isEducationRelatedField).length;
+  const employmentCount = formFields.filter(field => {
+    const fieldText = [field.name, field.id, field.placeholder, field.className].join(' ').toLowerCase();
+    return employmentKeywords.some(keyword => fieldText.includes(keyword));
+  }).length;
+  
+  return educationCount >= 2 && educationCount > employmentCount;
+}
+
+// ============================================================================
+// SCREENING QUESTION DETECTION
+// ============================================================================
+
+const QUESTION_START_PATTERN = /^(are|do|does|did|will|would|have|has|had|can|could|is|was|should|how|what|why|which|where|when|please (select|indicate|confirm))\b/i;
+
+// Words ignored when comparing question texts
+// Words ignored when comparing questions. Short words that can name a country or field
+// ("US", "IT") stay significant: they decide which legal or eligibility answer applies.
+const QUESTION_STOPWORDS = new Set([
+  'a', 'an', 'the', 'you', 'your', 'are', 'is', 'do', 'does', 'will', 'would', 'be', 'to',
+  'in', 'of', 'for', 'on', 'at', 'this', 'that', 'we', 'our', 'any', 'or', 'and',
+  'have', 'has', 'please', 'can', 'with', 'as', 'if', 'me', 'i'
+]);
+
+/**
+ * Finds questions on the page: radio groups, checkbox groups and
+ * selects/textareas/text inputs whose label reads like a question
+ * @returns {Array<{element: Element, questionText: string, groupElements: Array<Element>}>} Detected questions
+ */
+function detectScreeningQuestions() {
+  const questions = [];
+  const seenGroups = new Set();
+  
+  for (const element of querySelectorAllDeep('input, select, textarea')) {
+    if (isElementExcluded(element)) continue;
+    
+    const isChoice = element.type === 'radio' || element.type === 'checkbox';
+    const groupElements = isChoice ? getChoiceGroup(element) : [element];
+    const groupKey = groupElements[0];
+    if (seenGroups.has(groupKey)) continue;
+    seenGroups.add(groupKey);
+    
+    const questionText = getQuestionText(element, groupElements);
+    if (!questionText) continue;
+    
+    // Radio groups are always questions; other fields only when the label asks something
+    const looksLikeQuestion = element.type === 'radio' ||
+      /\?\s*\*?\s*$/.test(questionText) ||
+      QUESTION_START_PATTERN.test(questionText);
+    if (!looksLikeQuestion) continue;
+    
+    questions.push({ element: groupKey, questionText, groupElements });
+  }
+  
+  return questions;
+}
+
+/**
+ * Returns all radios/checkboxes sharing the element's name in the same form or root
+ * @param {Element} element - Radio or checkbox
+ * @returns {Array<Element>} Group members in document order
+ */
+function getChoiceGroup(element) {
+  if (!element.name) return [element];
+  
+  const scope = element.form || element.getRootNode();
+  return Array.from(scope.querySelectorAll(`input[type="${element.type}"]`))
+    .filter(input => input.name === element.name);
+}
+
+/**
+ * Resolves the question a field answers
+ * Choice groups use their legend, group label or surrounding text; other fields use their label
+ * @param {Element} element - First element of the group
+ * @param {Array<Element>} groupElements - All options of a choice group
+ * @returns {string} Question text or empty string
+ */
+function getQuestionText(element, groupElements = [element]) {
+  const isChoice = element.type === 'radio' || element.type === 'checkbox';
+  if (!isChoice) {
+    return (findAssociatedLabel(element) || '').trim();
+  }
+  
+  const legend = closestDeep(element, 'fieldset')?.querySelector('legend');
+  if (legend && legend.textContent.trim()) {
+    return legend.textContent.trim();
+  }
+  
+  const group = closestDeep(element, '[role="radiogroup"], [role="group"]');
+  if (group) {
+    const labelledBy = group.getAttribute('aria-labelledby');
+    const labelledText = labelledBy && group.getRootNode().getElementById?.(labelledBy)?.textContent.trim();
+    const groupLabel = labelledText || group.getAttribute('aria-label');
+    if (groupLabel) return groupLabel.trim();
+  }
+  
+  // A lone checkbox ("I agree...") is its own question
+  if (groupElements.length === 1 && element.type === 'checkbox') {
+    return (findAssociatedLabel(element) || '').trim();
+  }
+  
+  // Fall back to the text around the group, minus the option labels
+  const optionTexts = groupElements.map(option => (findAssociatedLabel(option) || '').trim()).filter(Boolean);
+  let container = element.parentElement;
+  while (container && !groupElements.every(option => containsDeep(container, option))) {
+    container = container.parentElement;
+  }
+  
+  for (let level = 0; level < 3 && container; level++) {
+    let text = container.textContent || '';
+    optionTexts.forEach(optionText => { text = text.replace(optionText, ' '); });
+    text = text.replace(/\s+/g, ' ').trim();
+    
+    if (text.length > 0) {
+      return text.length <= 300 ? text : '';
+    }
+    container = container.parentElement;
+  }
+  
+  return '';
+}
+
+/**
+ * Splits question text into comparable content words
+ * @param {string} text - Question text
+ * @returns {Array<string>} Significant tokens
+ */
+function tokenizeQuestion(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !QUESTION_STOPWORDS.has(token));
+}
+
+/**
+ * Fuzzy-matches page question text against the stored answer bank
+ * Every content word of the stored question must appear on the page (tolerating typos and
+ * British/American spellings), so "work in the UK" never answers "work in the US".
+ * Entries that qualify are ranked by overall token overlap.
+ * @param {string} questionText - Question text found on the page
+ * @param {Array<{question: string, answer: string}>} answerBank - Stored questions and answers
+ * @param {number} threshold - Minimum score to accept a match
+ * @returns {Object|null} Best entry with its score, or null
+ */
+function matchScreeningQuestion(questionText, answerBank = [], threshold = 0.6) {
+  const pageTokens = tokenizeQuestion(questionText);
+  if (pageTokens.length === 0) return null;
+  
+  let bestMatch = null;
+  
+  for (const entry of answerBank) {
+    if (!entry || !entry.question || !entry.answer) continue;
+    
+    const bankTokens = tokenizeQuestion(entry.question);
+    if (bankTokens.length === 0) continue;
+    
+    const matchedTokens = bankTokens.filter(bankToken =>
+      pageTokens.some(pageToken =>
+        pageToken === bankToken ||
+        (bankToken.length > 4 && calculateSimilarity(pageToken, bankToken) >= 0.8)
+      )
+    );
+    
+    // A stored word missing from the page means a different question
+    if (matchedTokens.length < bankTokens.length) continue;
+    
+    const containment = matchedTokens.length / bankTokens.length;
+    const overlap = matchedTokens.length / new Set([...bankTokens, ...pageTokens]).size;
+    const score = containment * 0.7 + overlap * 0.3;
+    
+    if (score >= threshold && (!bestMatch || score > bestMatch.score)) {
+      bestMatch = { ...entry, score };
+    }
+  }
+  
+  return bestMatch;
+}
+
+// ============================================================================
+// INCREMENTAL DETECTION (mutation-driven)
+// ============================================================================
+
+const FORM_CONTROL_SELECTOR = 'input, select, textarea';
+const INCREMENTAL_DEBOUNCE_MS = 150; // Coalesces a burst of mutations (framework re-renders, wizard steps) into one pass
+const IDLE_SLICE_MIN_MS = 4; // Yield back to the page once an idle period has less time than this left
+const IDLE_CALLBACK_TIMEOUT_MS = 1000; // Run anyway if the page never goes idle
+const IDLE_FALLBACK_SLICE_MS = 8; // Work per slice where requestIdleCallback is unavailable
+const STRUCTURED_DETECTION_METHODS = ['education-card-detection', 'screening-question', 'experience-card-detection'];
+
+// Attribute changes that alter how a control is detected
+const OBSERVED_FIELD_ATTRIBUTES = [
+  'type', 'name', 'id', 'placeholder', 'autocomplete',
+  'aria-label', 'aria-labelledby', 'disabled', 'readonly'
+];
+
+// Container attribute changes that show or hide the controls inside (accordions, wizard steps)
+const OBSERVED_VISIBILITY_ATTRIBUTES = ['hidden', 'aria-hidden', 'inert', 'open'];
+
+// Most accordions and wizard steps show or hide fields by toggling a class or inline style.
+// These change constantly for unrelated reasons, so only controls whose visibility
+// actually flipped are re-analyzed.
+const OBSERVED_STYLE_ATTRIBUTES = ['class', 'style'];
+
+function createPendingMutations() {
+  return {
+    roots: new Set(), // Added subtrees that may contain new controls
+    changed: new Set(), // Known controls whose attributes or label changed
+    restyled: new Set(), // Elements whose class or style changed, with controls inside
+    removals: false // Some control left the DOM
+  };
+}
+
+function clearPendingMutations() {
+  pendingMutations = createPendingMutations();
+  if (incrementalTimer) {
+    clearTimeout(incrementalTimer);
+    incrementalTimer = null;
+  }
+}
+
+function hasPendingMutations() {
+  return Boolean(pendingMutations) &&
+    (pendingMutations.roots.size > 0 || pendingMutations.changed.size > 0 ||
+      pendingMutations.restyled.size > 0 || pendingMutations.removals);
+}
+
+/**
+ * Resolves on the next idle period (or after a short timeout where idle callbacks are unsupported)
+ * @returns {Promise<{timeRemaining: Function, didTimeout: boolean}>} Idle deadline
+ */
+function waitForIdle() {
+  return new Promise(resolve => {
+    if (typeof window.requestIdleCallback === 'function') {
+      window.requestIdleCallback(resolve, { timeout: IDLE_CALLBACK_TIMEOUT_MS });
+      return;
+    }
+    
+    setTimeout(() => {
+      const sliceEnd = performance.now() + IDLE_FALLBACK_SLICE_MS;
+      resolve({ didTimeout: false, timeRemaining: () => Math.max(0, sliceEnd - performance.now()) });
+    }, 0);
+  });
+}
+
+/**
+ * Form controls in a subtree, the subtree root included
+ * @param {Node} root - Added node
+ * @returns {HTMLElement[]} Controls, open shadow roots included
+ */
+function collectFormControls(root) {
+  if (root.nodeType !== Node.ELEMENT_NODE) return [];
+  
+  const controls = root.matches(FORM_CONTROL_SELECTOR) ? [root] : [];
+  return controls.concat(querySelectorAllDeep(FORM_CONTROL_SELECTOR, root));
+}
+
+function isStructuredFieldEntry(field) {
+  return (field.methods || []).some(method => STRUCTURED_DETECTION_METHODS.includes(method));
+}
+
+/**
+ * Queues the controls a mutation record affects for the next incremental pass
+ * @param {MutationRecord} mutation - Record from the field observer
+ * @param {Function} observeShadowRoot - Starts observing a newly attached shadow root
+ */
+function recordFieldMutation(mutation, observeShadowRoot) {
+  if (mutation.type === 'attributes') {
+    const target = mutation.target;
+    if (OBSERVED_STYLE_ATTRIBUTES.includes(mutation.attributeName)) {
+      const hasControls = target.matches(FORM_CONTROL_SELECTOR) || target.querySelector(FORM_CONTROL_SELECTOR) || target.shadowRoot;
+      if (hasControls && !closestDeep(target, '[data-autofill-picker]')) {
+        pendingMutations.restyled.add(target);
+      }
+    } else if (OBSERVED_VISIBILITY_ATTRIBUTES.includes(mutation.attributeName)) {
+      collectFormControls(target).forEach(element => pendingMutations.changed.add(element));
+    } else if (mutation.target.matches && mutation.target.matches(FORM_CONTROL_SELECTOR)) {
+      pendingMutations.changed.add(mutation.target);
+    }
+    return;
+  }
+  
+  mutation.addedNodes.forEach(node => {
+    // The extension's own UI (field picker panel) is never detected
+    if (node.nodeType !== Node.ELEMENT_NODE || closestDeep(node, '[data-autofill-picker]')) return;
+    
+    // Start watching web components that arrived with their own shadow tree
+    collectOpenShadowRoots(node).forEach(observeShadowRoot);
+    
+    if (node.matches(FORM_CONTROL_SELECTOR) || node.querySelector(FORM_CONTROL_SELECTOR) || node.shadowRoot) {
+      pendingMutations.roots.add(node);
+    }
+    
+    // A label rendered after its control changes how that control is detected
+    const labels = node.tagName === 'LABEL' ? [node] : Array.from(node.querySelectorAll('label'));
+    labels.forEach(label => {
+      if (label.control) pendingMutations.changed.add(label.control);
+    });
+  });
+  
+  mutation.removedNodes.forEach(node => {
+    if (node.nodeType !== Node.ELEMENT_NODE || node.closest('[data-autofill-picker]')) return;
+    if (node.matches(FORM_CONTROL_SELECTOR) || node.querySelector(FORM_CONTROL_SELECTOR) || node.shadowRoot) {
+      pendingMutations.removals = true;
+    }
+  });
+}
+
+function scheduleIncrementalDetection() {
+  if (incrementalTimer) {
+    clearTimeout(incrementalTimer);
+  }
+  incrementalTimer = setTimeout(runIncrementalDetection, INCREMENTAL_DEBOUNCE_MS);
+}
+
+/**
+ * Analyzes only the queued subtrees and merges the results into detectedFields.
+ * Work is split across idle periods; a full detection pass started meanwhile
+ * supersedes this one and its results are dropped.
+ */
+async function runIncrementalDetection() {
+  incrementalTimer = null;
+  
+  // The pass in flight re-schedules itself for whatever arrives while it runs
+  if (incrementalRunning || !hasPendingMutations()) return;
+  
+  const { roots, changed, restyled, removals } = pendingMutations;
+  pendingMutations = createPendingMutations();
+  incrementalRunning = true;
+  const generation = detectionGeneration;
+  resetFingerprintCache();
+  
+  try {
+    const knownElements = new Set(
+      detectedFields.filter(field => !isStructuredFieldEntry(field)).map(field => field.element)
+    );
+    
+    // New controls in added subtrees, plus known controls that changed in place
+    const candidates = new Set();
+    roots.forEach(root => {
+      if (!root.isConnected) return;
+      collectFormControls(root).forEach(element => {
+        if (!knownElements.has(element)) candidates.add(element);
+      });
+    });
+    changed.forEach(element => {
+      if (element.isConnected) candidates.add(element);
+    });
+    // Class and style changes count only for controls that appeared or disappeared
+    restyled.forEach(container => {
+      if (!container.isConnected) return;
+      collectFormControls(container).forEach(element => {
+        if (!candidates.has(element) && isElementVisible(element) !== knownElements.has(element)) {
+          candidates.add(element);
+        }
+      });
+    });
+    
+    const removedCount = detectedFields.filter(field => !field.element.isConnected).length;
+    if (candidates.size === 0 && removedCount === 0 && !removals) return;
+    
+    // Keep indexes consistent with a full pass over the page
+    const pageOrder = new Map(querySelectorAllDeep(FORM_CONTROL_SELECTOR).map((element, index) => [element, index]));
+    
+    const analyzed = new Map();
+    let deadline = await waitForIdle();
+    let analyzedInSlice = 0;
+    
+    for (const element of candidates) {
+      if (!pageOrder.has(element)) continue;
+      
+      if (analyzedInSlice > 0 && deadline.timeRemaining() < IDLE_SLICE_MIN_MS) {
+        deadline = await waitForIdle();
+        analyzedInSlice = 0;
+      }
+      if (generation !== detectionGeneration) return;
+      
+      analyzed.set(element, await analyzeFormElement(element, pageOrder.get(element)));
+      analyzedInSlice++;
+    }
+    if (generation !== detectionGeneration) return;
+    
+    const fields = detectedFields.filter(field =>
+      !isStructuredFieldEntry(field) && field.element.isConnected && !analyzed.has(field.element)
+    );
+    analyzed.forEach(field => {
+      if (field) fields.push(field);
+    });
+    fields.sort(compareFieldEntries);
     
-    const cardData = {
-      cardIndex: cardIndex,
-      container: cardElement,
-      fields: await detectFieldsWithinCard(cardElement, cardIndex),
-      detectionConfidence: 0
-    };
+    // Card and screening passes only need re-running when the set of detected controls changed
+    const controlsChanged = removedCount > 0 || removals ||
+      Array.from(analyzed).some(([element, field]) => knownElements.has(element) !== Boolean(field));
     
-    // Calculate confidence based on found fields
-    const fieldCount = Object.keys(cardData.fields).filter(key => cardData.fields[key]).length;
-    cardData.detectionConfidence = Math.min(fieldCount * 15, 100);
+    if (controlsChanged) {
+      await waitForIdle();
+      if (generation !== detectionGeneration) return;
+      await appendStructuredFields(fields);
+      if (generation !== detectionGeneration) return;
+    } else {
+      fields.push(...detectedFields.filter(field => isStructuredFieldEntry(field) && field.element.isConnected));
+    }
+    assignFieldCategories(fields);
     
-    if (fieldCount >= 2) { // At least 2 fields to consider it a valid card
-      cards.push(cardData);
+    detectedFields = fields;
+    debugLog(`Incremental detection: ${analyzed.size} analyzed, ${removedCount} removed, ${detectedFields.length} fields`);
+  } catch (error) {
+    console.error('Incremental detection failed:', error);
+  } finally {
+    incrementalRunning = false;
+    if (hasPendingMutations()) {
+      scheduleIncrementalDetection();
     }
   }
-  
-  return cards;
 }
 
-/**
- * Detects fields within an experience card
- * @param {Element} cardElement - The card container element
- * @param {number} cardIndex - The card index number
- * @returns {Object} Field mapping object
- */
-async function detectFieldsWithinCard(cardElement, cardIndex) {
-  const fields = {
-    jobTitle: null,
-    company: null,
-    jobLocation: null,
-    startDate: null,
-    endDate: null,
-    currentlyWorking: null,
-    jobDescription: null
-  };
+function setupMutationObserver() {
+  if (fieldObserver) return;
   
-  const formElements = cardElement.querySelectorAll('input, select, textarea');
+  if (!pendingMutations) {
+    pendingMutations = createPendingMutations();
+  }
   
-  for (const element of formElements) {
-    const fieldType = await detectExperienceFieldType(element, cardIndex);
+  fieldObserver = new MutationObserver((mutations) => {
+    mutations.forEach(mutation => recordFieldMutation(mutation, observeShadowRoot));
     
-    if (fieldType && !fields[fieldType]) {
-      fields[fieldType] = element;
+    if (hasPendingMutations()) {
+      scheduleIncrementalDetection();
     }
+  });
+  
+  const observerOptions = {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: [...OBSERVED_FIELD_ATTRIBUTES, ...OBSERVED_VISIBILITY_ATTRIBUTES, ...OBSERVED_STYLE_ATTRIBUTES]
+  };
+
+  // Mutations inside shadow trees are not reported to document observers
+  const observedShadowRoots = new WeakSet();
+  function observeShadowRoot(shadowRoot) {
+    if (observedShadowRoots.has(shadowRoot)) return;
+    observedShadowRoots.add(shadowRoot);
+    fieldObserver.observe(shadowRoot, observerOptions);
   }
   
-  return fields;
+  fieldObserver.observe(document.body, observerOptions);
+  collectOpenShadowRoots().forEach(observeShadowRoot);
+  
+  debugLog('Mutation observer set up for dynamic content');
 }
 
 /**
- * Detects the type of experience field for a given element
- * @param {Element} element - The form element
- * @param {number} cardIndex - The card index for context
- * @returns {string|null} The field type or null
+ * Disconnects the field observer and drops queued work
  */
-async function detectExperienceFieldType(element, cardIndex) {
-  const elementInfo = {
-    name: (element.name || '').toLowerCase(),
-    id: (element.id || '').toLowerCase(),
-    placeholder: (element.placeholder || '').toLowerCase(),
-    className: (element.className || '').toLowerCase(),
-    type: element.type || 'text'
-  };
+function stopMutationObserver() {
+  if (!fieldObserver) return;
   
-  // Job Title patterns
-  if (matchesPatterns(elementInfo, [
-    'jobtitle', 'job_title', 'job-title', 'title', 'position', 
-    'role', 'designation', 'occupation'
-  ])) {
-    return 'jobTitle';
+  fieldObserver.disconnect();
+  fieldObserver = null;
+  clearPendingMutations();
+  debugLog('Mutation observer disconnected');
+}
+
+// ============================================================================
+// SUBMISSION DETECTION (application history, stored by the service worker)
+// ============================================================================
+
+// Text of buttons that send the application when no <form> submit event is fired
+const SUBMIT_BUTTON_PATTERN = /^(submit|send|complete|finish)( (my |your |the )?application)?$/i;
+const SUBMISSION_MIN_FIELDS = 2;          // Filled profile fields needed before a submit counts as an application
+const SUBMISSION_DEBOUNCE_MS = 2000;      // Double clicks and click + submit pairs record once
+const SUBMITTED_VALUE_MAX_LENGTH = 500;   // Long answers (cover letters) are truncated in the history
+const CONFIRMATION_WATCH_MS = 30000;      // How long a single-page portal is watched for its confirmation message
+const CONFIRMATION_POLL_MS = 1000;
+const CONFIRMATION_TEXT_LIMIT = 20000;
+let lastSubmissionAt = 0;
+let confirmationWatchTimer = null;
+
+/**
+ * Value a control sends with the form, as the applicant would read it
+ * @param {HTMLElement} element - Form control
+ * @returns {string} Submitted value, empty when nothing is sent
+ */
+function readSubmittedValue(element) {
+  if (element.type === 'password' || element.type === 'hidden') return '';
+  if (element.type === 'file') {
+    return Array.from(element.files || []).map(file => file.name).join(', ');
   }
-  
-  // Company patterns
-  if (matchesPatterns(elementInfo, [
-    'company', 'employer', 'organization', 'org', 'company_name',
-    'employer_name', 'workplace', 'firm', 'corporation'
-  ])) {
-    return 'company';
+  if (element.type === 'checkbox') return element.checked ? 'Yes' : '';
+  if (element.type === 'radio') {
+    const group = element.form && element.name
+      ? Array.from(element.form.elements).filter(control => control.type === 'radio' && control.name === element.name)
+      : [element];
+    return group.find(radio => radio.checked)?.value || '';
   }
-  
-  // Location patterns
-  if (matchesPatterns(elementInfo, [
-    'location', 'city', 'place', 'address', 'where', 'joblocation',
-    'job_location', 'work_location', 'worklocation'
-  ])) {
-    return 'jobLocation';
+  if (element.tagName === 'SELECT') {
+    return Array.from(element.selectedOptions)
+      .filter(option => option.value !== '')
+      .map(option => option.text.trim())
+      .join(', ');
   }
-  
-  // Start Date patterns
-  if (matchesPatterns(elementInfo, [
-    'startdate', 'start_date', 'start-date', 'from', 'begin', 
-    'joining', 'commenced', 'employment_start'
-  ]) || (elementInfo.type === 'date' || elementInfo.type === 'month')) {
-    // Additional check for start vs end
-    if (matchesPatterns(elementInfo, ['start', 'from', 'begin', 'joining'])) {
-      return 'startDate';
-    } else if (matchesPatterns(elementInfo, ['end', 'to', 'until', 'finish'])) {
-      return 'endDate';
+  if (element.isContentEditable) return element.textContent.trim();
+  return (element.value || '').trim();
+}
+
+/**
+ * Profile data sent with a submission: every detected field inside the form that holds a value
+ * @param {HTMLFormElement|null} form - Submitted form, null for form-less pages
+ * @returns {Array} [{ category, label, value }]
+ */
+function collectSubmittedFields(form) {
+  return detectedFields
+    .filter(field => field.category && field.category !== 'unknown' && field.element?.isConnected)
+    .filter(field => !form || form.contains(field.element))
+    .map(field => ({
+      category: field.category,
+      label: findAssociatedLabel(field.element) || field.name || '',
+      value: readSubmittedValue(field.element).slice(0, SUBMITTED_VALUE_MAX_LENGTH)
+    }))
+    .filter(field => field.value);
+}
+
+/**
+ * Note what a fill wrote, so a submit that keeps those values confirms the categories
+ * @param {Array} fields - Entries of detectedFields that were filled
+ * @param {Array} fillResults - Successful results from masterInjection (with fieldId)
+ */
+function rememberFilledFields(fields, fillResults) {
+  (fillResults || []).forEach(result => {
+    const field = fields.find(candidate => getDetectedFieldId(candidate) === result.fieldId);
+    if (!field || isStructuredFieldEntry(field)) return;
+    
+    filledByExtension.set(field.element, {
+      category: field.category,
+      confidence: field.confidence,
+      value: readSubmittedValue(field.element)
+    });
+  });
+}
+
+/**
+ * Learn the categories of filled fields the applicant submitted without changing them
+ * @param {HTMLFormElement|null} form - Submitted form, null for form-less pages
+ */
+function learnSubmittedFills(form) {
+  detectedFields.forEach(field => {
+    const filled = filledByExtension.get(field.element);
+    if (!filled || (form && !form.contains(field.element))) return;
+    
+    if (readSubmittedValue(field.element) === filled.value) {
+      storeDetectionLearning(field.element, filled.category, Math.max(filled.confidence, CONFIRMED_LEARNING_CONFIDENCE));
     }
-    // Default to startDate if ambiguous
-    return 'startDate';
+  });
+}
+
+/**
+ * Job title, company and location of the posting being applied to
+ * @returns {Object} { jobTitle, company, location }, empty strings when jobPosting.js is not loaded
+ */
+function getJobPostingSummary() {
+  try {
+    const posting = window.jobPosting?.extract(portalConfig);
+    return {
+      jobTitle: posting?.title || '',
+      company: posting?.company || '',
+      location: posting?.location || ''
+    };
+  } catch (error) {
+    console.error('Failed to read job posting:', error);
+    return { jobTitle: '', company: '', location: '' };
   }
+}
+
+/**
+ * Send a submitted application to the service worker for the history
+ * @param {HTMLFormElement|null} form - Submitted form, null for form-less pages
+ * @param {string} trigger - 'submit' or 'button'
+ */
+function recordSubmission(form, trigger) {
+  if (Date.now() - lastSubmissionAt < SUBMISSION_DEBOUNCE_MS) return;
   
-  // End Date patterns
-  if (matchesPatterns(elementInfo, [
-    'enddate', 'end_date', 'end-date', 'to', 'until', 'finish',
-    'leaving', 'terminated', 'employment_end'
-  ])) {
-    return 'endDate';
+  const fields = collectSubmittedFields(form);
+  if (fields.length < SUBMISSION_MIN_FIELDS) {
+    debugLog(`Submission ignored: ${fields.length} filled profile fields`);
+    return;
   }
   
-  // Currently working patterns (checkbox)
-  if (element.type === 'checkbox' && matchesPatterns(elementInfo, [
-    'current', 'currently', 'present', 'ongoing', 'still',
-    'working', 'employed', 'active'
-  ])) {
-    return 'currentlyWorking';
-  }
+  lastSubmissionAt = Date.now();
+  learnSubmittedFills(form);
+  const record = {
+    url: window.location.href,
+    hostname: window.location.hostname,
+    portal: portalConfig?.name || 'unknown',
+    ...getJobPostingSummary(),
+    submittedAt: lastSubmissionAt,
+    status: 'submitted',
+    trigger: trigger,
+    fields: fields
+  };
   
-  // Description patterns (textarea or large text inputs)
-  if (element.type === 'textarea' || matchesPatterns(elementInfo, [
-    'description', 'desc', 'details', 'responsibilities', 'duties',
-    'summary', 'experience', 'achievements', 'job_description'
-  ])) {
-    return 'jobDescription';
+  try {
+    chrome.runtime.sendMessage({ action: 'recordApplication', record: record })
+      .then(response => {
+        if (response?.success) {
+          debugLog('Application recorded:', response.id);
+          watchForConfirmation();
+        }
+      })
+      .catch(error => console.error('Failed to record application:', error));
+  } catch (error) {
+    // Extension reloaded since this script was injected
+    console.error('Failed to record application:', error);
   }
-  
-  return null;
 }
 
 /**
- * Checks if element info matches any of the given patterns
- * @param {Object} elementInfo - Element information object
- * @param {Array} patterns - Array of patterns to match
- * @returns {boolean} True if matches any pattern
+ * Whether the current page says the application went through
+ * @returns {boolean} True on a confirmation page or message
  */
-function matchesPatterns(elementInfo, patterns) {
-  const textToCheck = [
-    elementInfo.name,
-    elementInfo.id,
-    elementInfo.placeholder,
-    elementInfo.className
-  ].join(' ').toLowerCase();
+function isConfirmationPage() {
+  const registryApi = window.portalRegistry;
+  if (!registryApi || !document.body) return false;
   
-  return patterns.some(pattern => 
-    textToCheck.includes(pattern.toLowerCase()) ||
-    // Check for indexed patterns (e.g., jobTitle_1, company_2)
-    textToCheck.includes(pattern.toLowerCase() + '_') ||
-    textToCheck.includes(pattern.toLowerCase() + '-')
+  return registryApi.matchesSubmissionConfirmation(
+    portalConfig,
+    window.location.href,
+    (document.body.innerText || document.body.textContent || '').slice(0, CONFIRMATION_TEXT_LIMIT)
   );
 }
 
-/**
- * Checks if a field is experience-related
- * @param {Element} field - The form field element
- * @returns {boolean} True if experience-related
- */
-function isExperienceRelatedField(field) {
-  const experienceKeywords = [
-    'job', 'company', 'employer', 'experience', 'work', 'position',
-    'role', 'title', 'start', 'end', 'current', 'description',
-    'location', 'employment', 'career', 'occupation'
-  ];
-  
-  const fieldText = [
-    field.name || '',
-    field.id || '',
-    field.placeholder || '',
-    field.className || ''
-  ].join(' ').toLowerCase();
-  
-  return experienceKeywords.some(keyword => fieldText.includes(keyword));
+function reportConfirmation() {
+  try {
+    chrome.runtime.sendMessage({ action: 'confirmApplication', url: window.location.href })
+      .then(response => debugLog('Confirmation reported:', response?.confirmed))
+      .catch(error => console.error('Failed to report confirmation:', error));
+  } catch (error) {
+    console.error('Failed to report confirmation:', error);
+  }
 }
 
 /**
- * Detects experience cards by field patterns when no containers found
- * @returns {Element|null} Parent container or null
+ * Watch a single-page portal for its confirmation message after a submit
+ * Full page navigations are checked by the service worker instead.
  */
-function detectExperienceCardsByFieldPatterns() {
-  // Find all experience-related fields
-  const allFields = document.querySelectorAll('input, select, textarea');
-  const experienceFields = Array.from(allFields).filter(isExperienceRelatedField);
-  
-  if (experienceFields.length < 3) {
-    return null;
-  }
-  
-  // Find common parent that contains most experience fields
-  let bestParent = null;
-  let maxFields = 0;
+function watchForConfirmation() {
+  clearInterval(confirmationWatchTimer);
+  const startedAt = Date.now();
   
-  // Check various parent levels
-  for (const field of experienceFields) {
-    let parent = field.parentElement;
-    for (let level = 0; level < 5 && parent; level++) {
-      const fieldsInParent = experienceFields.filter(f => parent.contains(f));
-      if (fieldsInParent.length > maxFields) {
-        maxFields = fieldsInParent.length;
-        bestParent = parent;
-      }
-      parent = parent.parentElement;
+  confirmationWatchTimer = setInterval(() => {
+    const confirmed = isConfirmationPage();
+    if (confirmed || Date.now() - startedAt > CONFIRMATION_WATCH_MS) {
+      clearInterval(confirmationWatchTimer);
+      confirmationWatchTimer = null;
     }
+    if (confirmed) reportConfirmation();
+  }, CONFIRMATION_POLL_MS);
+}
+
+function handleFormSubmit(event) {
+  if (event.target instanceof HTMLFormElement) {
+    recordSubmission(event.target, 'submit');
   }
-  
-  return bestParent;
 }
 
 /**
- * Detects cards by grouping fields when no card containers found
- * @param {Element} parentContainer - Parent container element
- * @returns {Array} Array of detected card elements
+ * Record clicks on "Submit application" buttons that do not submit a form
+ * (type="button" handlers and form-less single-page portals)
+ * @param {MouseEvent} event - Click event
  */
-function detectCardsByFieldGrouping(parentContainer) {
-  const formFields = parentContainer.querySelectorAll('input, select, textarea');
-  const experienceFields = Array.from(formFields).filter(isExperienceRelatedField);
-  
-  if (experienceFields.length < 3) {
-    return [];
-  }
+function handleSubmitButtonClick(event) {
+  const origin = event.composedPath()[0];
+  if (!(origin instanceof Element)) return;
   
-  // Try to group fields by numbered patterns (e.g., job_1, job_2)
-  const numberedGroups = new Map();
+  const button = origin.closest('button, input[type="submit"], input[type="button"], [role="button"]');
+  if (!button || button.disabled) return;
   
-  for (const field of experienceFields) {
-    const fieldInfo = field.name + field.id + field.className;
-    const numberMatch = fieldInfo.match(/_(\d+)|(\d+)_|(\d+)$/);
-    
-    if (numberMatch) {
-      const number = numberMatch[1] || numberMatch[2] || numberMatch[3];
-      if (!numberedGroups.has(number)) {
-        numberedGroups.set(number, []);
-      }
-      numberedGroups.get(number).push(field);
-    }
-  }
+  // Submit buttons of a form are recorded by the submit event
+  if (button.form && button.type === 'submit') return;
   
-  // Create virtual card containers for each group
-  const cards = [];
-  for (const [number, fields] of numberedGroups) {
-    if (fields.length >= 2) {
-      // Find common parent for these fields
-      let commonParent = fields[0].parentElement;
-      for (const field of fields) {
-        while (commonParent && !commonParent.contains(field)) {
-          commonParent = commonParent.parentElement;
-        }
-      }
-      if (commonParent) {
-        cards.push(commonParent);
-      }
-    }
+  const text = (button.tagName === 'INPUT' ? button.value : button.textContent || button.getAttribute('aria-label') || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (SUBMIT_BUTTON_PATTERN.test(text)) {
+    recordSubmission(button.form || null, 'button');
   }
-  
-  return cards.length > 0 ? cards : [parentContainer]; // Fallback to parent container
 }
 
-function setupMutationObserver() {
-  // Watch for dynamic content changes
-  const observer = new MutationObserver((mutations) => {
-    let shouldRedetect = false;
-    
-    mutations.forEach((mutation) => {
-      if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-        // Check if any form elements were added
-        mutation.addedNodes.forEach((node) => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            const formElements = node.querySelectorAll ? 
-              node.querySelectorAll('input, select, textarea') : [];
-            if (formElements.length > 0 || 
-                (node.tagName && ['INPUT', 'SELECT', 'TEXTAREA'].includes(node.tagName))) {
-              shouldRedetect = true;
-            }
-          }
-        });
-      }
-    });
-    
-    if (shouldRedetect) {
-      debugLog('Dynamic content detected, re-running field detection...');
-      setTimeout(async () => {
-        detectedFields = await detectFormFields();
-        debugLog(`Dynamic re-detection complete: ${detectedFields.length} fields`);
-      }, 500); // Debounce
-    }
-  });
-  
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true,
-    attributes: false
-  });
+function setupSubmissionTracking() {
+  document.addEventListener('submit', handleFormSubmit, true);
+  document.addEventListener('click', handleSubmitButtonClick, true);
   
-  debugLog('Mutation observer set up for dynamic content');
+  // Injected on a confirmation page reached after a submit recorded earlier in this tab
+  if (isConfirmationPage()) {
+    reportConfirmation();
+  }
 }
 
 // Export functions for masterInjection to use
@@ -1679,7 +5167,28 @@ if (typeof window !== 'undefined') {
   window.masterDetector = {
     detectFormFields,
     detectExperienceCards,
+    detectEducationCards,
+    detectScreeningQuestions,
+    matchScreeningQuestion,
     detectedFields: () => detectedFields,
+    querySelectorAllDeep,
+    buildCssSelector,
+    getElementFingerprint,
+    getFieldSignals,
+    compareFieldSignals,
+    getFieldId,
+    getDetectedFieldId,
+    buildFieldLocator,
+    resolveFieldLocator,
+    findAssociatedLabel,
+    computeAccessibleName,
+    getFieldContext,
+    isElementVisible,
+    isElementInteractable,
+    isHoneypotField,
+    loadManualMappings,
+    getScoringSettings,
+    getExchangeRates,
     debugLog
   };
 }
@@ -37,9 +37,10 @@ function fillFormWithProfileData(profileData, detectedFields = null) {
     console.warn('WARNING: No fields available for filling!');
     
     // Try to get fields from window.masterDetector if available
-    if (window.masterDetector && typeof window.masterDetector.detectFormFields === 'function') {
-      console.log('Attempting to detect fields using masterDetector...');
-      const newFields = window.masterDetector.detectFormFields();
+    // (its detection already covers inputs inside open shadow roots)
+    if (window.masterDetector && typeof window.masterDetector.detectedFields === 'function') {
+      console.log('Attempting to reuse fields detected by masterDetector...');
+      const newFields = window.masterDetector.detectedFields();
       fieldsToFill.push(...(newFields || []));
     }
     
@@ -59,6 +60,38 @@ function fillFormWithProfileData(profileData, detectedFields = null) {
   const fillResults = [];
   const fillErrors = [];
   
+  // Minimum confidence to fill, from the sensitivity chosen in options
+  const fillThreshold = window.masterDetector?.getScoringSettings().fillThreshold ?? 0.3;
+  
+  // Re-entry fields ("Confirm email") wait until their primary field is filled
+  const confirmFields = [];
+  
+  const recordFillResult = (field, index, value, fillResult) => {
+    if (fillResult.success) {
+      // to highlight filled fields
+      highlightFields(field.element, field)
+      filledCount++;
+      fillResults.push({
+        fieldId: window.masterDetector?.getDetectedFieldId?.(field) || null,
+        field: field.category,
+        value: value,
+        confidence: field.confidence,
+        methods: field.methods,
+        element: field.element.tagName + (field.element.type ? `[${field.element.type}]` : ''),
+        actualValue: fillResult.actualValue
+      });
+      console.log(`Successfully filled field ${index}`);
+    } else {
+      console.log(`Failed to fill field ${index}:`, fillResult.error);
+      fillErrors.push({
+        fieldId: window.masterDetector?.getDetectedFieldId?.(field) || null,
+        field: field.category,
+        error: fillResult.error,
+        index: index
+      });
+    }
+  };
+  
   fieldsToFill.forEach((field, index) => {
     const element = field.element;
     let fillResult = {};
@@ -79,20 +112,45 @@ function fillFormWithProfileData(profileData, detectedFields = null) {
     }
     
     // Skip low-confidence matches for safety
-    if (field.confidence < 0.3) {
+    if (field.confidence < fillThreshold) {
       console.log(`Skipping field ${index}: confidence too low (${field.confidence})`);
       return;
     }
     
+    if (field.confirmsCategory && !field.manualMapping?.customValue) {
+      confirmFields.push({ field, index });
+      return;
+    }
+    
     // Set current element for validation context
     window.currentProcessingElement = element;
     let value = null;
 
-    if(field.customType == "jobExperience"){
+    if (field.manualMapping?.customValue) {
+      // Custom value chosen in the field picker
+      value = field.manualMapping.customValue;
+      fillResult = fillFormField(element, value);
+    } else if(field.customType == "jobExperience"){
       fillResult = fillJobExperienceField(field, profileData);
       value = fillResult.value || null;
+    } else if (field.customType === 'education') {
+      fillResult = fillEducationField(field, profileData);
+      value = fillResult.value || null;
+    } else if (field.customType === 'screeningQuestion') {
+      const match = window.masterDetector?.matchScreeningQuestion(field.questionText, profileData?.screeningAnswers || []);
+      if (!match) {
+        console.log(`No stored answer for question ${index}: "${field.questionText}"`);
+        return;
+      }
+      
+      console.log(`Answering "${field.questionText}" with stored answer for "${match.question}" (score ${match.score.toFixed(2)})`);
+      value = match.answer;
+      fillResult = fillScreeningAnswer(field, value);
     } else {
-      value = getValueForField(field.category, profileData);
+      // Boxes of a split phone input hold the digits the detector worked out from their lengths
+      value = field.phoneSegment
+        ? getPhoneSegmentValue(profileData, field.phoneSegment)
+        : getValueForField(field.category, profileData);
       console.log(`Field ${index} (${field.category}):`, {
         requestedCategory: field.category,
         retrievedValue: value,
@@ -107,30 +165,29 @@ function fillFormWithProfileData(profileData, detectedFields = null) {
       }
       
       console.log(`Filling field ${index} (${field.category}) with:`, value);
-      fillResult = fillFormField(element, value);
+      if (field.category === 'phoneCountryCode' && element.tagName === 'SELECT') {
+        fillResult = fillDialCodeSelect(element, value, getValueForField('country', profileData));
+      } else if (SALARY_CATEGORIES.includes(field.category)) {
+        fillResult = fillSalaryField(element, value);
+        value = fillResult.value || value;
+      } else {
+        fillResult = fillFormField(element, value);
+      }
     }
     
-    if (fillResult.success) {
-      // to highlight filled fields
-      highlightFields(element, field)
-      filledCount++;
-      fillResults.push({
-        field: field.category,
-        value: value,
-        confidence: field.confidence,
-        methods: field.methods,
-        element: element.tagName + (element.type ? `[${element.type}]` : ''),
-        actualValue: fillResult.actualValue
-      });
-      console.log(`Successfully filled field ${index}`);
-    } else {
-      console.log(`Failed to fill field ${index}:`, fillResult.error);
-      fillErrors.push({
-        field: field.category,
-        error: fillResult.error,
-        index: index
-      });
+    recordFillResult(field, index, value, fillResult);
+  });
+  
+  confirmFields.forEach(({ field, index }) => {
+    // Copy exactly what the primary field holds (including any formatting the page applied)
+    const value = field.primaryElement?.value || getValueForField(field.confirmsCategory, profileData);
+    if (!value) {
+      console.log(`No value available for confirm field ${index} (${field.category})`);
+      return;
     }
+    
+    console.log(`Filling confirm field ${index} (${field.category}) with the ${field.confirmsCategory} value`);
+    recordFillResult(field, index, value, fillFormField(field.element, value));
   });
   
   console.log(`Master Injection: Form filling completed. ${filledCount}/${fieldsToFill.length} fields filled`);
@@ -184,11 +241,15 @@ function fillJobExperienceField(field, profileData) {
     experience_currentlyWorking: 'isCurrentJob'
   }
 
-  const experienceKey = experienceKeyCategoryMap[category];
+  // Dates may be split into month/year/day controls (startDateMonth) and need the input's own format
+  const dateField = (field.experienceFieldType || category.replace('experience_', '')).match(DATE_FIELD_TYPE_PATTERN);
+  const experienceKey = dateField ? dateField[1] : experienceKeyCategoryMap[category];
   const experienceValue = experienceData[experienceKey];
   if (experienceValue) {
     console.log(`Filling job experience field ${category} with:`, experienceValue);
-    fillResult = fillFormField(element, experienceValue);
+    fillResult = dateField
+      ? fillDateField(element, experienceValue, dateField[2]?.toLowerCase() || null)
+      : fillFormField(element, experienceValue);
     fillResult.value = experienceValue;
   } else {
     console.log(`No value found for job experience field ${category}`);
@@ -199,6 +260,484 @@ function fillJobExperienceField(field, profileData) {
 }
 
 
+/**
+ * Fills a field that belongs to a detected education card
+ * Card N on the page receives education entry N from the profile
+ * @param {Object} field - Detected field with educationFieldType and cardIndex
+ * @param {Object} profileData - User profile data
+ * @returns {Object} Fill result with the value used
+ */
+function fillEducationField(field, profileData) {
+  console.log('Filling education field:', field.category);
+  let fillResult = {};
+  
+  const educationList = profileData?.education || [];
+  const educationData = educationList[(field.cardIndex || 1) - 1];
+  if (!educationData) {
+    console.log(`No education data found for card index ${field.cardIndex || 1}.`);
+    return fillResult;
+  }
+  
+  const educationFieldType = field.educationFieldType || field.category.replace('education_', '');
+  const dateField = educationFieldType.match(DATE_FIELD_TYPE_PATTERN);
+  const educationKey = dateField ? dateField[1] : educationFieldType;
+  const educationValue = educationData[educationKey];
+  if (educationValue) {
+    console.log(`Filling education field ${field.category} with:`, educationValue);
+    fillResult = dateField
+      ? fillDateField(field.element, educationValue, dateField[2]?.toLowerCase() || null)
+      : fillFormField(field.element, educationValue);
+    fillResult.value = educationValue;
+  } else {
+    console.log(`No value found for education field ${field.category}`);
+  }
+  
+  return fillResult;
+}
+
+// Card field types of a date, whole or split: startDate, endDateMonth, startDateYear...
+const DATE_FIELD_TYPE_PATTERN = /^(startDate|endDate)(Month|Year|Day)?$/;
+const ENGLISH_MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+// Text layouts tried against an input's pattern attribute, most common first
+const DATE_FORMAT_CANDIDATES = ['MM/YYYY', 'YYYY-MM', 'MM-YYYY', 'MM/YY', 'YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'YYYY'];
+const DATE_FORMAT_TOKEN_PATTERN = /YYYY|YY|MMMM|MMM|MM|M|DD|D/g;
+
+/**
+ * Month names per month, in English and in the page language
+ * @returns {Array<Array<string>>} Lower-case long and short names, January first
+ */
+function getMonthNames() {
+  const names = ENGLISH_MONTH_NAMES.map(name => [name, name.slice(0, 3)]);
+  const lang = document.documentElement.lang;
+  if (!lang) return names;
+
+  try {
+    ['long', 'short'].forEach(style => {
+      const format = new Intl.DateTimeFormat(lang, { month: style, timeZone: 'UTC' });
+      names.forEach((list, i) => list.push(format.format(new Date(Date.UTC(2000, i, 1))).toLowerCase().replace(/\.$/, '')));
+    });
+  } catch (error) {
+    console.warn(`No month names for page language "${lang}":`, error.message);
+  }
+  return names;
+}
+
+/**
+ * @param {string} text - Month name or abbreviation ("March", "Sept", "mär")
+ * @returns {number|null} Month number 1-12
+ */
+function getMonthFromName(text) {
+  const lower = String(text || '').trim().toLowerCase().replace(/\.$/, '');
+  if (!lower) return null;
+
+  const index = getMonthNames().findIndex(list =>
+    list.some(name => lower === name || (name.length >= 3 && lower.startsWith(name)))
+  );
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Reads a stored date. The options page saves "YYYY-MM"; imported profiles may hold
+ * "YYYY-MM-DD", "MM/YYYY", "March 2020" or a bare year.
+ * @param {string} value - Stored date
+ * @returns {{year: number, month: number|null, day: number|null}|null} Parsed date
+ */
+function parseProfileDate(value) {
+  const text = String(value || '').trim();
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?/))) {
+    return { year: Number(match[1]), month: Number(match[2]), day: match[3] ? Number(match[3]) : null };
+  }
+  if ((match = text.match(/^(\d{1,2})[/.-](\d{4})$/))) {
+    return { year: Number(match[2]), month: Number(match[1]), day: null };
+  }
+  if ((match = text.match(/^([^\d\s]+)\s+(\d{4})$/)) && getMonthFromName(match[1])) {
+    return { year: Number(match[2]), month: getMonthFromName(match[1]), day: null };
+  }
+  if ((match = text.match(/^(\d{4})$/))) {
+    return { year: Number(match[1]), month: null, day: null };
+  }
+  return null;
+}
+
+/**
+ * Writes a date in a layout such as "MM/YYYY" or "MMM YYYY"
+ * @param {Object} date - Result of parseProfileDate
+ * @param {string} format - Layout using YYYY, YY, MMMM, MMM, MM, M, DD and D
+ * @returns {string|null} Formatted date, or null when the layout needs a month the date lacks
+ */
+function formatDateValue(date, format) {
+  if (!date.month && /M/.test(format)) return null;
+
+  const pad = number => String(number).padStart(2, '0');
+  const monthName = date.month ? ENGLISH_MONTH_NAMES[date.month - 1] : '';
+  const day = date.day || 1;
+  const tokens = {
+    YYYY: String(date.year),
+    YY: pad(date.year % 100),
+    MMMM: monthName.charAt(0).toUpperCase() + monthName.slice(1),
+    MMM: monthName.charAt(0).toUpperCase() + monthName.slice(1, 3),
+    MM: pad(date.month),
+    M: String(date.month),
+    DD: pad(day),
+    D: String(day)
+  };
+  return format.replace(DATE_FORMAT_TOKEN_PATTERN, token => tokens[token]);
+}
+
+/**
+ * The date layout a text input asks for, from its placeholder or data-format attribute
+ * ("MM/YYYY", "mm-yyyy", "Month YYYY") or by testing common layouts against its pattern
+ * @param {HTMLElement} element - Text input
+ * @param {Object} date - Result of parseProfileDate, used to test the pattern
+ * @returns {string|null} Layout, or null when the input gives no hint
+ */
+function inferDateFormat(element, date) {
+  const hints = [element.placeholder, element.getAttribute('data-date-format'), element.getAttribute('data-format')];
+  for (const hint of hints) {
+    const format = String(hint || '').trim().toUpperCase().replace(/MONTH/g, 'MMMM').replace(/YEAR/g, 'YYYY');
+    if (/^[YMD]+([\s/.-]+[YMD]+)*$/.test(format) && /Y|M/.test(format)) {
+      return format;
+    }
+  }
+
+  if (element.pattern) {
+    try {
+      const pattern = new RegExp(`^(?:${element.pattern})$`);
+      return DATE_FORMAT_CANDIDATES.find(format => {
+        const formatted = formatDateValue(date, format);
+        return formatted && pattern.test(formatted);
+      }) || null;
+    } catch (error) {
+      console.warn('Ignoring invalid pattern attribute:', element.pattern);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds the dropdown option for a date or one part of it. Month options may be names
+ * in English or the page language, or numbers; their values may be anything.
+ * @param {HTMLSelectElement} select - Dropdown
+ * @param {Object} date - Result of parseProfileDate
+ * @param {string|null} part - 'month', 'year', 'day', or null for a whole-date option
+ * @returns {string|null} Option value (or text when the value is empty)
+ */
+function findDateOption(select, date, part) {
+  const readNumber = text => (/^\d+$/.test(text) ? Number(text) : null);
+
+  const matches = option => {
+    const text = option.text.trim();
+    const value = option.value.trim();
+    switch (part) {
+      case 'year':
+        return text === String(date.year) || value === String(date.year) ||
+          (text.length === 2 && readNumber(text) === date.year % 100);
+      case 'month': {
+        // Option text first: values are sometimes 0-based or internal ids
+        const month = getMonthFromName(text) ?? readNumber(text) ?? getMonthFromName(value) ?? readNumber(value);
+        return month === date.month;
+      }
+      case 'day':
+        return (readNumber(text) ?? readNumber(value)) === (date.day || 1);
+      default: {
+        const optionDate = parseProfileDate(text) || parseProfileDate(value);
+        return Boolean(optionDate) && optionDate.year === date.year && optionDate.month === date.month;
+      }
+    }
+  };
+
+  const option = Array.from(select.options).find(matches);
+  return option ? (option.value || option.text) : null;
+}
+
+/**
+ * Converts a stored date to what the control expects: type="month"/"date" values,
+ * a text layout from the placeholder or pattern, or the matching dropdown option.
+ * Text inputs without any hint get the stored value as it is.
+ * @param {HTMLElement} element - Form control
+ * @param {string} value - Stored date
+ * @param {string|null} part - 'month', 'year', 'day', or null for the whole date
+ * @returns {string|null} Value to fill, or null when the date lacks the part
+ */
+function formatDateForElement(element, value, part) {
+  const date = parseProfileDate(value);
+  if (!date) return part ? null : value;
+
+  if (element.tagName === 'SELECT') {
+    return findDateOption(element, date, part);
+  }
+
+  const placeholder = (element.placeholder || '').trim().toUpperCase();
+  switch (part) {
+    case 'year':
+      return formatDateValue(date, placeholder === 'YY' || element.maxLength === 2 ? 'YY' : 'YYYY');
+    case 'month':
+      return formatDateValue(date, placeholder === 'M' ? 'M' : 'MM');
+    case 'day':
+      return formatDateValue(date, placeholder === 'D' ? 'D' : 'DD');
+  }
+
+  if (element.type === 'month') return formatDateValue({ ...date, month: date.month || 1 }, 'YYYY-MM');
+  if (element.type === 'date') return formatDateValue({ ...date, month: date.month || 1 }, 'YYYY-MM-DD');
+
+  const format = inferDateFormat(element, date);
+  return (format && formatDateValue(date, format)) || value;
+}
+
+/**
+ * Fills a date control, or one part of a split date, from a stored date
+ * @param {HTMLElement} element - Form control
+ * @param {string} value - Stored date
+ * @param {string|null} part - 'month', 'year', 'day', or null for the whole date
+ * @returns {Object} Fill result
+ */
+function fillDateField(element, value, part) {
+  const formatted = formatDateForElement(element, value, part);
+  if (!formatted) {
+    return { success: false, error: `No ${part || 'date'} value for "${value}" fits this field` };
+  }
+
+  console.log(`Date "${value}" formatted for ${element.tagName}${element.type ? `[${element.type}]` : ''} as:`, formatted);
+  return fillFormField(element, formatted);
+}
+
+const SALARY_CATEGORIES = ['currentSalary', 'expectedSalary', 'salary'];
+
+// Words in a salary field's label that say which unit it counts in
+const SALARY_FIELD_SCALES = [
+  [1e7, /\bcrores?\b/i],
+  [1e5, /\b(lpa|lakhs?|lacs?)\b/i],
+  [1e6, /\b(millions?|mn)\b/i],
+  [1e3, /\bthousands?\b|\bin k\b|\(k\)|'000s?\b/i]
+];
+const OPEN_RANGE_ABOVE_PATTERN = /\b(above|over|more than|greater than)\b|\d\s*\+/i;
+const OPEN_RANGE_BELOW_PATTERN = /\b(below|under|less than|up to|upto)\b/i;
+
+/**
+ * What a salary field asks for, read from its label, placeholder and attributes
+ * ("Expected CTC (in LPA)", "Monthly salary in EUR", name="desired_salary_usd")
+ * @param {HTMLElement} element - Salary field
+ * @returns {{currency: string|null, period: string|null, scale: number|null}} Expected unit
+ */
+function inferSalaryUnit(element) {
+  const label = window.masterDetector?.findAssociatedLabel?.(element) || '';
+  const attributes = [element.name, element.id].map(value => String(value || '').replace(/[_-]+/g, ' '));
+  const text = [label, element.placeholder, element.getAttribute('aria-label'), element.title, ...attributes]
+    .filter(Boolean)
+    .join(' ');
+
+  const scale = SALARY_FIELD_SCALES.find(([, pattern]) => pattern.test(text));
+  return {
+    currency: window.salaryConverter.findSalaryCurrency(text),
+    period: window.salaryConverter.findSalaryPeriod(text),
+    scale: scale ? scale[0] : null
+  };
+}
+
+/**
+ * Unit for a number box whose max is below the full amount (max="999" for "in thousands")
+ * @param {HTMLElement} element - Salary field
+ * @param {Object} salary - Converted salary
+ * @returns {number} Scale, 1 when the full amount fits
+ */
+function fitSalaryScale(element, salary) {
+  const max = parseFloat(element.getAttribute('max'));
+  if (!Number.isFinite(max) || salary.amount <= max) return 1;
+
+  const scales = salary.currency === 'INR' ? [1e3, 1e5, 1e7] : [1e3, 1e6];
+  return scales.find(scale => salary.amount / scale <= max) || 1;
+}
+
+/**
+ * Picks the salary-range option that holds the salary ("$50,000 - $75,000", "10-15 LPA",
+ * "Above 30 LPA"), or the closest range when none does
+ * @param {HTMLSelectElement} select - Salary dropdown
+ * @param {Object} salary - Normalized profile salary
+ * @param {Object} unit - Result of inferSalaryUnit for the dropdown
+ * @param {Object} rates - Exchange rates
+ * @returns {HTMLOptionElement|null} Best option
+ */
+function findSalaryOption(select, salary, unit, rates) {
+  let best = null;
+
+  Array.from(select.options).forEach(option => {
+    const range = window.salaryConverter.parseSalaryText(option.text);
+    if (!range) return;
+
+    const target = window.salaryConverter.convertSalary(salary, {
+      currency: range.currency || unit.currency,
+      period: range.period || unit.period
+    }, rates);
+    if (!target) return;
+
+    // Bare numbers in the option count in the unit the label names ("10-15" under "CTC (LPA)")
+    const hasOwnScale = SALARY_FIELD_SCALES.some(([, pattern]) => pattern.test(option.text)) || /\d\s*[kml]\b/i.test(option.text);
+    const scale = hasOwnScale ? 1 : (unit.scale || 1);
+    const min = OPEN_RANGE_BELOW_PATTERN.test(option.text) ? 0 : range.min * scale;
+    const max = OPEN_RANGE_ABOVE_PATTERN.test(option.text) ? Infinity : range.max * scale;
+
+    const distance = target.amount < min ? min - target.amount : Math.max(0, target.amount - max);
+    if (!best || distance < best.distance) {
+      best = { option, distance };
+    }
+  });
+
+  return best ? best.option : null;
+}
+
+/**
+ * Currency dropdown beside a salary box ("[USD ▾] [ 85000 ]"): a select in the box's own
+ * wrapper whose options are mostly bare currencies
+ * @param {HTMLElement} element - Salary box
+ * @returns {HTMLSelectElement|null} Currency dropdown
+ */
+function findSalaryCurrencySelect(element) {
+  let container = element.parentElement;
+  for (let depth = 0; container && depth < 2; depth++, container = container.parentElement) {
+    // Stop at the first wrapper that also holds other text fields
+    if (container.querySelectorAll('input:not([type="hidden"]), textarea').length > 1) return null;
+
+    const select = Array.from(container.querySelectorAll('select')).find(candidate => {
+      const options = Array.from(candidate.options).filter(option => option.value || option.text.trim());
+      const currencies = options.filter(option => !/\d/.test(option.text) && getOptionCurrency(option));
+      return currencies.length >= 2 && currencies.length * 2 >= options.length;
+    });
+    if (select) return select;
+  }
+  return null;
+}
+
+function getOptionCurrency(option) {
+  return window.salaryConverter.findSalaryCurrency(`${option.value} ${option.text}`);
+}
+
+/**
+ * Selects the profile currency in a currency dropdown, or keeps the page's choice when
+ * the profile currency is not offered (the amount is converted to it instead).
+ * Salaries saved without a currency leave the dropdown alone.
+ * @param {HTMLSelectElement} select - Currency dropdown
+ * @param {string|null} currency - Profile salary currency
+ * @param {Object} rates - Exchange rates
+ * @returns {string|null} Currency the amount must be written in
+ */
+function chooseSalaryCurrency(select, currency, rates) {
+  // Without a profile currency there is nothing to pick or convert from
+  if (!currency) return null;
+
+  const options = Array.from(select.options);
+  const own = options.find(option => getOptionCurrency(option) === currency);
+  if (own) {
+    fillFormField(select, own.value || own.text);
+    return currency;
+  }
+
+  const selected = select.selectedOptions[0];
+  const usable = [selected, ...options].find(option => option && rates[getOptionCurrency(option)]);
+  if (!usable) return null;
+
+  if (usable !== selected) {
+    fillFormField(select, usable.value || usable.text);
+  }
+  return getOptionCurrency(usable);
+}
+
+/**
+ * Fills a salary field from a profile salary, converted to the currency, pay period and
+ * unit the field asks for. Free-text salaries go in as typed when the field gives no hint.
+ * @param {HTMLElement} element - Salary field
+ * @param {Object|string} value - Profile salary (structured or free text)
+ * @returns {Object} Fill result, with the written value in value
+ */
+function fillSalaryField(element, value) {
+  const converter = window.salaryConverter;
+  const salary = converter ? converter.normalizeSalary(value) : null;
+  if (!salary) {
+    return typeof value === 'string'
+      ? { ...fillFormField(element, value), value }
+      : { success: false, error: 'No salary amount in the profile' };
+  }
+
+  const rates = window.masterDetector?.getExchangeRates?.() || converter.DEFAULT_EXCHANGE_RATES;
+  const unit = inferSalaryUnit(element);
+
+  if (element.tagName === 'SELECT') {
+    const option = findSalaryOption(element, salary, unit, rates);
+    if (!option) {
+      return { success: false, error: 'No salary range option fits the profile salary' };
+    }
+    return { ...fillFormField(element, option.value || option.text), value: option.text };
+  }
+
+  const currencySelect = findSalaryCurrencySelect(element);
+  if (currencySelect) {
+    unit.currency = chooseSalaryCurrency(currencySelect, salary.currency, rates) || unit.currency;
+  }
+
+  const hasHint = unit.currency || unit.period || unit.scale || currencySelect || element.type === 'number';
+  if (!hasHint && typeof value === 'string') {
+    return { ...fillFormField(element, value), value };
+  }
+
+  const converted = converter.convertSalary(salary, unit, rates);
+  if (!converted) {
+    return { success: false, error: `No exchange rate from ${salary.currency} to ${unit.currency}` };
+  }
+
+  const formatted = converter.formatSalaryAmount(converted.amount, unit.scale || fitSalaryScale(element, converted));
+  console.log(`Salary ${JSON.stringify(salary)} converted for this field to ${formatted}`, unit);
+  return { ...fillFormField(element, formatted), value: formatted };
+}
+
+/**
+ * Fills a screening question with a stored answer
+ * Radio and checkbox groups pick the option whose label matches the answer;
+ * selects, textareas and text inputs go through fillFormField
+ * @param {Object} field - Detected screening question with groupElements
+ * @param {string} answer - Stored answer text
+ * @returns {Object} Fill result
+ */
+function fillScreeningAnswer(field, answer) {
+  const element = field.element;
+  const options = field.groupElements || [element];
+  
+  if (element.type !== 'radio' && !(element.type === 'checkbox' && options.length > 1)) {
+    return fillFormField(element, answer);
+  }
+  
+  const findOptionLabel = window.masterDetector?.findAssociatedLabel || (() => '');
+  const normalize = text => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const optionText = option => normalize(findOptionLabel(option) || option.value);
+  
+  // Checkbox groups accept several comma-separated answers
+  const answers = (element.type === 'checkbox' ? answer.split(',') : [answer])
+    .map(normalize)
+    .filter(Boolean);
+  
+  const chosenOptions = answers.map(wanted =>
+    options.find(option => optionText(option) === wanted || normalize(option.value) === wanted) ||
+    options.find(option => optionText(option).startsWith(wanted + ' ') || wanted.startsWith(optionText(option) + ' '))
+  ).filter(Boolean);
+  
+  if (chosenOptions.length === 0) {
+    return {
+      success: false,
+      error: `No option matches answer: ${answer}`,
+      availableOptions: options.map(option => findOptionLabel(option) || option.value)
+    };
+  }
+  
+  let lastResult = {};
+  chosenOptions.forEach(option => {
+    lastResult = fillFormField(option, true);
+  });
+  return lastResult;
+}
 
 /**
  * Validates field mapping and corrects misdetected fields
@@ -355,6 +894,138 @@ function getNestedProfileValue(path, profileData) {
   return value;
 }
 
+// Digits of the national number each split-phone box holds when the page gives no box lengths
+const PHONE_SEGMENT_DEFAULTS = {
+  phoneAreaCode: { start: 0, end: 3 },
+  phoneLocal: { start: 3, end: null },
+  phoneLocalPrefix: { start: 3, end: 6 },
+  phoneLocalSuffix: { start: 6, end: null }
+};
+
+// Country names (and ISO codes used as option values) per dial code, for pickers like "India (+91)"
+// and for telling apart countries that share a code
+const DIAL_CODE_COUNTRIES = {
+  '+1': ['United States', 'USA', 'US', 'Canada', 'CA'],
+  '+7': ['Russia', 'RU', 'Kazakhstan', 'KZ'],
+  '+20': ['Egypt', 'EG'],
+  '+27': ['South Africa', 'ZA'],
+  '+31': ['Netherlands', 'NL'],
+  '+32': ['Belgium', 'BE'],
+  '+33': ['France', 'FR'],
+  '+34': ['Spain', 'ES'],
+  '+39': ['Italy', 'IT'],
+  '+41': ['Switzerland', 'CH'],
+  '+44': ['United Kingdom', 'UK', 'GB', 'Great Britain'],
+  '+46': ['Sweden', 'SE'],
+  '+48': ['Poland', 'PL'],
+  '+49': ['Germany', 'DE'],
+  '+52': ['Mexico', 'MX'],
+  '+55': ['Brazil', 'BR'],
+  '+61': ['Australia', 'AU'],
+  '+63': ['Philippines', 'PH'],
+  '+64': ['New Zealand', 'NZ'],
+  '+65': ['Singapore', 'SG'],
+  '+81': ['Japan', 'JP'],
+  '+82': ['South Korea', 'Korea', 'KR'],
+  '+86': ['China', 'CN'],
+  '+91': ['India', 'IN'],
+  '+92': ['Pakistan', 'PK'],
+  '+234': ['Nigeria', 'NG'],
+  '+254': ['Kenya', 'KE'],
+  '+351': ['Portugal', 'PT'],
+  '+353': ['Ireland', 'IE'],
+  '+880': ['Bangladesh', 'BD'],
+  '+971': ['United Arab Emirates', 'UAE', 'AE']
+};
+
+/**
+ * Splits the profile phone into dial code and national number. Profiles saved by the
+ * options page carry both; older flat profiles only have the full number.
+ * @param {Object} profileData - User profile data
+ * @returns {{countryCode: string|null, national: string|null, nationalDigits: string}}
+ */
+function getPhoneParts(profileData) {
+  const phone = getNestedProfileValue('personal.phone', profileData) ?? profileData?.phone;
+  const full = String((typeof phone === 'object' ? phone?.full : phone) || '').trim();
+
+  const countryCode = (typeof phone === 'object' && phone?.countryCode) ||
+    (full.match(/^(\+\d{1,4})[\s.\-(]/) || [])[1] || null;
+  let national = String((typeof phone === 'object' && phone?.number) || full).trim();
+  if (countryCode && national.startsWith(countryCode)) {
+    national = national.slice(countryCode.length).trim();
+  }
+
+  return { countryCode, national: national || null, nationalDigits: national.replace(/\D/g, '') };
+}
+
+/**
+ * @param {Object} profileData - User profile data
+ * @param {{start: number, end: number|null}} segment - Digit range of the national number
+ * @returns {string|null} The digits a split-phone box holds
+ */
+function getPhoneSegmentValue(profileData, segment) {
+  const digits = getPhoneParts(profileData).nationalDigits;
+  return digits.slice(segment.start, segment.end ?? undefined) || null;
+}
+
+/**
+ * Finds the dial-code option for a country code. Options are matched by code
+ * ("+91", "India (+91)", value "91"), then by country name when the picker lists names only;
+ * the profile country decides between countries sharing a code.
+ * @param {HTMLSelectElement} select - Dial-code picker
+ * @param {string} dialCode - Dial code such as "+91"
+ * @param {string|null} country - Profile country, if any
+ * @returns {HTMLOptionElement|null} Matching option
+ */
+function findDialCodeOption(select, dialCode, country) {
+  const digits = String(dialCode).replace(/\D/g, '');
+  if (!digits) return null;
+
+  const options = Array.from(select.options);
+  const codePattern = new RegExp(`\\+\\s?${digits}(?!\\d)`);
+  const byCode = options.filter(option =>
+    codePattern.test(option.text) ||
+    codePattern.test(option.value) ||
+    option.value.trim().replace(/^(\+|00)/, '') === digits
+  );
+
+  const knownCountries = DIAL_CODE_COUNTRIES[`+${digits}`] || [];
+  const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const countryFits = country && (knownCountries.length === 0 || knownCountries.some(name => sameName(name, country)));
+  const names = [...(countryFits ? [country] : []), ...knownCountries];
+
+  const matchesName = (option, name) => {
+    const escaped = name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z])${escaped}([^a-z]|$)`).test(option.text.toLowerCase()) ||
+      sameName(option.value.trim(), name);
+  };
+
+  const pool = byCode.length > 0 ? byCode : options;
+  for (const name of names) {
+    const option = pool.find(candidate => matchesName(candidate, name));
+    if (option) return option;
+  }
+  return byCode[0] || null;
+}
+
+/**
+ * Selects the dial code in a country-code picker
+ * @param {HTMLSelectElement} element - Dial-code picker
+ * @param {string} dialCode - Dial code such as "+91"
+ * @param {string|null} country - Profile country, if any
+ * @returns {Object} Result object with success status and details
+ */
+function fillDialCodeSelect(element, dialCode, country) {
+  const option = findDialCodeOption(element, dialCode, country);
+  if (!option) {
+    return { success: false, error: `No dial-code option found for ${dialCode}` };
+  }
+
+  // Several countries may share one option value ("1" for the US and Canada); their texts differ
+  const valueIsUnique = Array.from(element.options).filter(other => other.value === option.value).length === 1;
+  return fillFormField(element, valueIsUnique && option.value ? option.value : option.text);
+}
+
 /**
  * Maps profile data categories to actual values using nested object navigation
  * @param {string} category - Field category (e.g., 'firstName', 'email')
@@ -397,7 +1068,9 @@ function getValueForField(category, profileData) {
     lastName: ['personal.lastName', 'lastName'],
     fullName: ['personal.fullName', 'fullName'], // Will be handled specially
     email: ['personal.email', 'email'],
+    confirmEmail: ['personal.email', 'email'],
     phone: ['personal.phone.full', 'personal.phone.number', 'phone'],
+    confirmPhone: ['personal.phone.full', 'personal.phone.number', 'phone'],
     phoneNumber: ['personal.phone.full', 'personal.phone.number', 'phoneNumber'],
     
     // Address Information
@@ -435,10 +1108,10 @@ function getValueForField(category, profileData) {
     
     // Skills and Education
     skills: ['professional.skills', 'skills'],
-    education: ['education.degree', 'education.school', 'education'],
-    degree: ['education.degree', 'degree'],
-    school: ['education.school', 'education.university', 'school'],
-    university: ['education.university', 'education.school', 'university'],
+    education: ['education.0.degree', 'education.0.school'],
+    degree: ['education.0.degree', 'degree'],
+    school: ['education.0.school', 'school'],
+    university: ['education.0.school', 'university'],
     
     // Cover Letter and Additional
     coverLetter: ['professional.coverLetter', 'coverLetter'],
@@ -471,6 +1144,12 @@ function getValueForField(category, profileData) {
     // Special handling for skills array
     const skillsValue = getValueFromKeywords(keywordsForCategory);
     categoryValue = skillsValue ? (Array.isArray(skillsValue) ? skillsValue.join(', ') : skillsValue) : null;
+  } else if (category === 'phoneCountryCode' || category === 'phoneNational') {
+    // Parts of a split phone input
+    const phoneParts = getPhoneParts(profileData);
+    categoryValue = category === 'phoneCountryCode' ? phoneParts.countryCode : phoneParts.national;
+  } else if (PHONE_SEGMENT_DEFAULTS[category]) {
+    categoryValue = getPhoneSegmentValue(profileData, PHONE_SEGMENT_DEFAULTS[category]);
   } else {
     // Standard keyword-based lookup
     categoryValue = getValueFromKeywords(keywordsForCategory);
@@ -513,7 +1192,16 @@ function fillFormField(element, value) {
     if (element.disabled) {
       return { success: false, error: 'Element is disabled' };
     }
-    
+
+    // The page may have hidden the field or swapped in a trap since detection ran
+    if (window.masterDetector?.isHoneypotField(element)) {
+      return { success: false, error: 'Element looks like a honeypot field' };
+    }
+
+    if (window.masterDetector && !window.masterDetector.isElementInteractable(element)) {
+      return { success: false, error: 'Element is hidden or not interactable' };
+    }
+
     if (value === null || value === undefined) {
       return { success: false, error: 'No value provided' };
     }
@@ -709,7 +1397,9 @@ if (typeof window !== 'undefined') {
     getValueForField,
     fillFormField,
     validateFieldForFilling,
-    getNestedValue
+    getNestedValue,
+    highlightFields,
+    removeHighlights
   };
 
   console.log('Master Injection Engine: Loaded and ready');
@@ -757,12 +1447,24 @@ function highlightFields(element, fieldData) {
 }
 
 
+/**
+ * Query helper that reaches into open shadow roots when masterDetector is loaded
+ * @param {string} selector - CSS selector to match
+ * @returns {Element[]} Matching elements
+ */
+function queryAllFormElements(selector) {
+  if (window.masterDetector && typeof window.masterDetector.querySelectorAllDeep === 'function') {
+    return window.masterDetector.querySelectorAllDeep(selector);
+  }
+  return Array.from(document.querySelectorAll(selector));
+}
+
 /**
  * Remove field highlights
  */
 function removeHighlights() {
-  // Remove element highlights
-  const highlightedElements = document.querySelectorAll('[data-autofill-highlight]');
+  // Remove element highlights (filled fields may live inside shadow roots)
+  const highlightedElements = queryAllFormElements('[data-autofill-highlight]');
   highlightedElements.forEach(element => {
     element.style.outline = '';
     element.style.outlineOffset = '';
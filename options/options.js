@@ -3,10 +3,37 @@
  * Handles settings configuration and profile management
  */
 
+// Suggested questions shown when the answer bank is empty
+const DEFAULT_SCREENING_QUESTIONS = [
+  'Are you legally authorized to work in this country?',
+  'Will you now or in the future require visa sponsorship?',
+  'Are you willing to relocate?',
+  'How did you hear about us?'
+];
+
+// Starting point for a new portal in the rules editor
+const NEW_PORTAL_TEMPLATE = {
+  name: '',
+  domains: [''],
+  priority: 8,
+  specificSelectors: {
+    firstName: [],
+    lastName: [],
+    email: []
+  },
+  excludePatterns: ['hidden', 'captcha'],
+  experienceCards: null,
+  educationCards: null,
+  dynamicContent: true
+};
+
 // DOM Elements
 let elements = {};
 let currentTab = 'profile';
 let storageManager = null;
+let portalEntries = {}; // Resolved portal registry shown in the portals tab
+let pendingRulePack = null; // { pack, changes } awaiting confirmation in the import preview
+let loadedSalaries = {}; // { [prefix]: { value, inputs } } as stored and as first shown, so untouched salaries save unchanged
 
 /**
  * Initialize options page when DOM is loaded
@@ -50,20 +77,86 @@ function initializeElements() {
     // Professional fields
     totalExperience: document.getElementById('totalExperience'),
     noticePeriod: document.getElementById('noticePeriod'),
-    currentSalary: document.getElementById('currentSalary'),
-    expectedSalary: document.getElementById('expectedSalary'),
+    currentSalaryAmount: document.getElementById('currentSalaryAmount'),
+    currentSalaryCurrency: document.getElementById('currentSalaryCurrency'),
+    currentSalaryPeriod: document.getElementById('currentSalaryPeriod'),
+    expectedSalaryAmount: document.getElementById('expectedSalaryAmount'),
+    expectedSalaryCurrency: document.getElementById('expectedSalaryCurrency'),
+    expectedSalaryPeriod: document.getElementById('expectedSalaryPeriod'),
     linkedinUrl: document.getElementById('linkedinUrl'),
     githubUrl: document.getElementById('githubUrl'),
     portfolioUrl: document.getElementById('portfolioUrl'),
     experienceList: document.getElementById('experienceList'),
     addExperienceBtn: document.getElementById('addExperienceBtn'),
+    educationList: document.getElementById('educationList'),
+    addEducationBtn: document.getElementById('addEducationBtn'),
+    screeningList: document.getElementById('screeningList'),
+    addScreeningBtn: document.getElementById('addScreeningBtn'),
     skills: document.getElementById('skills'),
     coverLetter: document.getElementById('coverLetter'),
     
     // Action buttons
     clearProfile: document.getElementById('clearProfile'),
     clearAllData: document.getElementById('clearAllData'),
-    exportData: document.getElementById('exportData')
+    exportData: document.getElementById('exportData'),
+    
+    // Learned fields
+    learningList: document.getElementById('learningList'),
+    manualMappingList: document.getElementById('manualMappingList'),
+    exportLearningData: document.getElementById('exportLearningData'),
+    
+    // Application history
+    historyList: document.getElementById('historyList'),
+    historySearch: document.getElementById('historySearch'),
+    exportHistoryJson: document.getElementById('exportHistoryJson'),
+    exportHistoryCsv: document.getElementById('exportHistoryCsv'),
+    clearHistory: document.getElementById('clearHistory'),
+    
+    // Detection settings
+    detectionForm: document.getElementById('detectionForm'),
+    detectionSensitivity: document.getElementById('detectionSensitivity'),
+    detectionAdvanced: document.getElementById('detectionAdvanced'),
+    detectionAdvancedPanel: document.getElementById('detectionAdvancedPanel'),
+    confidenceThreshold: document.getElementById('confidenceThreshold'),
+    fillThreshold: document.getElementById('fillThreshold'),
+    detectionWeights: document.getElementById('detectionWeights'),
+    resetDetectionSettings: document.getElementById('resetDetectionSettings'),
+    exchangeRateForm: document.getElementById('exchangeRateForm'),
+    exchangeRates: document.getElementById('exchangeRates'),
+    resetExchangeRates: document.getElementById('resetExchangeRates'),
+    
+    // Portal registry
+    portalList: document.getElementById('portalList'),
+    addPortalBtn: document.getElementById('addPortalBtn'),
+    portalEditor: document.getElementById('portalEditor'),
+    portalEditorTitle: document.getElementById('portalEditorTitle'),
+    portalId: document.getElementById('portalId'),
+    portalConfigJson: document.getElementById('portalConfigJson'),
+    portalEditorErrors: document.getElementById('portalEditorErrors'),
+    validatePortalBtn: document.getElementById('validatePortalBtn'),
+    cancelPortalBtn: document.getElementById('cancelPortalBtn'),
+    
+    // Rule packs
+    exportRulePackBtn: document.getElementById('exportRulePackBtn'),
+    importRulePackBtn: document.getElementById('importRulePackBtn'),
+    rulePackFile: document.getElementById('rulePackFile'),
+    rulePackExportForm: document.getElementById('rulePackExportForm'),
+    rulePackName: document.getElementById('rulePackName'),
+    rulePackAuthor: document.getElementById('rulePackAuthor'),
+    rulePackVersion: document.getElementById('rulePackVersion'),
+    rulePackDescription: document.getElementById('rulePackDescription'),
+    rulePackIncludeBuiltins: document.getElementById('rulePackIncludeBuiltins'),
+    rulePackIncludeManual: document.getElementById('rulePackIncludeManual'),
+    rulePackIncludeLearned: document.getElementById('rulePackIncludeLearned'),
+    cancelRulePackExport: document.getElementById('cancelRulePackExport'),
+    rulePackPreview: document.getElementById('rulePackPreview'),
+    rulePackPreviewTitle: document.getElementById('rulePackPreviewTitle'),
+    rulePackPreviewMeta: document.getElementById('rulePackPreviewMeta'),
+    rulePackErrors: document.getElementById('rulePackErrors'),
+    rulePackDiff: document.getElementById('rulePackDiff'),
+    applyRulePackBtn: document.getElementById('applyRulePackBtn'),
+    cancelRulePackImport: document.getElementById('cancelRulePackImport'),
+    clearLearningData: document.getElementById('clearLearningData')
   };
 }
 
@@ -86,11 +179,63 @@ function setupEventListeners() {
   elements.experienceList.addEventListener('click', handleExperienceListClick);
   elements.experienceList.addEventListener('change', handleExperienceListChange);
   
+  // Education management
+  elements.addEducationBtn.addEventListener('click', handleAddEducation);
+  elements.educationList.addEventListener('click', handleEducationListClick);
+  
+  // Screening question management
+  elements.addScreeningBtn.addEventListener('click', () => addScreeningEntry());
+  elements.screeningList.addEventListener('click', handleScreeningListClick);
+  
   // Action buttons
   elements.clearProfile.addEventListener('click', handleClearProfile);
   elements.clearAllData.addEventListener('click', handleClearAllData);
   elements.exportData.addEventListener('click', handleExportData);
   
+  // Learned fields management
+  elements.learningList.addEventListener('click', handleLearningListClick);
+  elements.manualMappingList.addEventListener('click', handleManualMappingListClick);
+  elements.exportLearningData.addEventListener('click', handleExportLearningData);
+  elements.clearLearningData.addEventListener('click', handleClearLearningData);
+  
+  // Application history
+  elements.historyList.addEventListener('click', handleHistoryListClick);
+  elements.historySearch.addEventListener('input', debounce(renderApplicationHistory, 200));
+  elements.exportHistoryJson.addEventListener('click', handleExportHistoryJson);
+  elements.exportHistoryCsv.addEventListener('click', handleExportHistoryCsv);
+  elements.clearHistory.addEventListener('click', handleClearHistory);
+  
+  // Detection settings
+  elements.detectionForm.addEventListener('submit', handleDetectionSettingsSubmit);
+  elements.detectionSensitivity.addEventListener('change', handleDetectionSensitivityChange);
+  elements.detectionAdvanced.addEventListener('change', () => {
+    elements.detectionAdvancedPanel.disabled = !elements.detectionAdvanced.checked;
+  });
+  elements.resetDetectionSettings.addEventListener('click', handleResetDetectionSettings);
+  elements.exchangeRateForm.addEventListener('submit', handleExchangeRatesSubmit);
+  elements.resetExchangeRates.addEventListener('click', handleResetExchangeRates);
+  
+  // Portal registry
+  elements.addPortalBtn.addEventListener('click', () => openPortalEditor());
+  elements.portalEditor.addEventListener('submit', handlePortalEditorSubmit);
+  elements.validatePortalBtn.addEventListener('click', handleValidatePortal);
+  elements.cancelPortalBtn.addEventListener('click', closePortalEditor);
+  elements.portalList.addEventListener('click', handlePortalListClick);
+  elements.portalList.addEventListener('change', handlePortalListChange);
+  
+  // Rule packs
+  elements.exportRulePackBtn.addEventListener('click', () => {
+    elements.rulePackExportForm.classList.remove('portal-editor--hidden');
+  });
+  elements.cancelRulePackExport.addEventListener('click', () => {
+    elements.rulePackExportForm.classList.add('portal-editor--hidden');
+  });
+  elements.rulePackExportForm.addEventListener('submit', handleExportRulePack);
+  elements.importRulePackBtn.addEventListener('click', () => elements.rulePackFile.click());
+  elements.rulePackFile.addEventListener('change', handleRulePackFileSelected);
+  elements.applyRulePackBtn.addEventListener('click', handleApplyRulePack);
+  elements.cancelRulePackImport.addEventListener('click', closeRulePackPreview);
+  
   // Auto-save on form changes (debounced)
   const formInputs = elements.profileForm.querySelectorAll('input:not([data-no-autosave]), textarea:not([data-no-autosave]), select:not([data-no-autosave])');
   formInputs.forEach(input => {
@@ -110,6 +255,27 @@ function handleExperienceListClick(event) {
   }
 }
 
+/**
+ * Handle clicks within education list (event delegation)
+ * @param {Event} event - Click event
+ */
+function handleEducationListClick(event) {
+  if (event.target.classList.contains('experience-entry__remove')) {
+    removeEducationEntry(event.target.dataset.educationId);
+  }
+}
+
+/**
+ * Handle clicks within screening question list (event delegation)
+ * @param {Event} event - Click event
+ */
+function handleScreeningListClick(event) {
+  if (event.target.classList.contains('experience-entry__remove')) {
+    event.target.closest('.screening-entry')?.remove();
+    handleAutoSave();
+  }
+}
+
 /**
  * Handle change events within experience list (event delegation)
  * @param {Event} event - Change event
@@ -167,7 +333,7 @@ async function loadExistingData() {
  * @param {Object} profileData - Saved profile data
  */
 function populateProfileForm(profileData) {
-  const { personal, professional } = profileData;
+  const { personal, professional, education, screeningAnswers } = profileData;
   
   if (personal) {
     elements.firstName.value = personal.firstName || '';
@@ -200,8 +366,8 @@ function populateProfileForm(profileData) {
     // Professional details
     elements.totalExperience.value = professional.totalExperience || '';
     elements.noticePeriod.value = professional.noticePeriod || '';
-    elements.currentSalary.value = professional.currentSalary || '';
-    elements.expectedSalary.value = professional.expectedSalary || '';
+    fillSalaryInputs('currentSalary', professional.currentSalary);
+    fillSalaryInputs('expectedSalary', professional.expectedSalary);
     
     // Professional links
     elements.linkedinUrl.value = professional.linkedinUrl || '';
@@ -232,6 +398,19 @@ function populateProfileForm(profileData) {
     // Add one empty experience entry by default
     addExperienceEntry();
   }
+  
+  if (Array.isArray(education) && education.length > 0) {
+    education.forEach(entry => addEducationEntry(entry));
+  } else {
+    // Add one empty education entry by default
+    addEducationEntry();
+  }
+  
+  if (Array.isArray(screeningAnswers) && screeningAnswers.length > 0) {
+    screeningAnswers.forEach(entry => addScreeningEntry(entry));
+  } else {
+    DEFAULT_SCREENING_QUESTIONS.forEach(question => addScreeningEntry({ question }));
+  }
 }
 
 /**
@@ -265,6 +444,26 @@ function showTab(tabName) {
   });
   
   currentTab = tabName;
+  
+  // Learned mappings change while browsing, so refresh whenever the tab is opened
+  if (tabName === 'learning') {
+    renderManualMappings();
+    renderLearningData();
+  }
+  
+  // Applications are recorded by the service worker while this page is open
+  if (tabName === 'history') {
+    renderApplicationHistory();
+  }
+  
+  if (tabName === 'detection') {
+    loadDetectionSettingsForm();
+    loadExchangeRatesForm();
+  }
+  
+  if (tabName === 'portals') {
+    renderPortalList();
+  }
 }
 
 /**
@@ -321,8 +520,8 @@ async function saveProfileData() {
     professional: {
       totalExperience: elements.totalExperience.value.trim(),
       noticePeriod: elements.noticePeriod.value,
-      currentSalary: elements.currentSalary.value.trim(),
-      expectedSalary: elements.expectedSalary.value.trim(),
+      currentSalary: collectSalary('currentSalary'),
+      expectedSalary: collectSalary('expectedSalary'),
       linkedinUrl: elements.linkedinUrl.value.trim(),
       githubUrl: elements.githubUrl.value.trim(),
       portfolioUrl: elements.portfolioUrl.value.trim(),
@@ -330,6 +529,8 @@ async function saveProfileData() {
       skills: elements.skills.value.split(',').map(s => s.trim()).filter(s => s),
       coverLetter: elements.coverLetter.value.trim()
     },
+    education: collectEducationData(),
+    screeningAnswers: collectScreeningAnswers(),
     preferences: {
       autoFill: true,
       notifications: true
@@ -534,97 +735,925 @@ function collectExperienceData() {
   return experiences;
 }
 
-// Global functions no longer needed - using event delegation instead
+/**
+ * Handle add education button click
+ */
+function handleAddEducation() {
+  addEducationEntry();
+}
 
 /**
- * Handle auto-save functionality
+ * Add a new education entry to the form
+ * @param {Object} educationData - Optional existing education data
  */
-async function handleAutoSave() {
+function addEducationEntry(educationData = {}) {
+  const educationId = `edu_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const displayNumber = elements.educationList.children.length + 1;
+  const entryDiv = document.createElement('div');
+  entryDiv.className = 'experience-entry education-entry';
+  entryDiv.dataset.educationId = educationId;
+  
+  entryDiv.innerHTML = `
+    <div class="experience-entry__header">
+      <h4 class="experience-entry__title">Education #${displayNumber}</h4>
+      <button type="button" class="experience-entry__remove" data-education-id="${educationId}">
+        Remove
+      </button>
+    </div>
+    
+    <div class="experience-entry__form">
+      <div class="form-group">
+        <label class="form-label" for="school_${educationId}">School / University *</label>
+        <input class="form-input" type="text" id="school_${educationId}" data-education-field="school"
+               placeholder="e.g., Stanford University">
+      </div>
+      
+      <div class="form-row">
+        <div class="form-group">
+          <label class="form-label" for="degree_${educationId}">Degree</label>
+          <input class="form-input" type="text" id="degree_${educationId}" data-education-field="degree"
+                 placeholder="e.g., Bachelor of Science">
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="fieldOfStudy_${educationId}">Field of Study</label>
+          <input class="form-input" type="text" id="fieldOfStudy_${educationId}" data-education-field="fieldOfStudy"
+                 placeholder="e.g., Computer Science">
+        </div>
+      </div>
+      
+      <div class="form-group">
+        <label class="form-label" for="gpa_${educationId}">GPA / Grade</label>
+        <input class="form-input" type="text" id="gpa_${educationId}" data-education-field="gpa"
+               placeholder="e.g., 3.8/4.0 or 85%">
+      </div>
+      
+      <div class="form-row">
+        <div class="form-group">
+          <label class="form-label" for="eduStartDate_${educationId}">Start Date</label>
+          <input class="form-input" type="month" id="eduStartDate_${educationId}" data-education-field="startDate">
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="eduEndDate_${educationId}">End Date (or expected)</label>
+          <input class="form-input" type="month" id="eduEndDate_${educationId}" data-education-field="endDate">
+        </div>
+      </div>
+    </div>
+  `;
+
+  // Values are set as properties so school or degree names with quotes stay intact
+  ['school', 'degree', 'fieldOfStudy', 'gpa', 'startDate', 'endDate'].forEach(field => {
+    entryDiv.querySelector(`[data-education-field="${field}"]`).value = educationData[field] || '';
+  });
+
+  elements.educationList.appendChild(entryDiv);
+  
+  // Add event listeners for auto-save
+  entryDiv.querySelectorAll('input').forEach(input => {
+    input.addEventListener('input', debounce(handleAutoSave, 1000));
+    input.addEventListener('change', debounce(handleAutoSave, 1000));
+  });
+}
+
+/**
+ * Remove education entry
+ * @param {string} educationId - Entry ID to remove
+ */
+function removeEducationEntry(educationId) {
   try {
-    await saveProfileData();
-    console.log('Profile auto-saved');
+    const entryDiv = elements.educationList.querySelector(`.education-entry[data-education-id="${educationId}"]`);
+    if (!entryDiv) {
+      console.warn(`Education entry with ID ${educationId} not found`);
+      return false;
+    }
+    
+    entryDiv.remove();
+    updateEducationNumbers();
+    handleAutoSave();
+    return true;
   } catch (error) {
-    console.error('Auto-save failed:', error);
+    console.error('Error removing education entry:', error);
+    showMessage('Error removing education entry', 'error');
+    return false;
   }
 }
 
 /**
- * Handle clear profile button
+ * Update education entry display numbers after removal
  */
-async function handleClearProfile() {
-  if (!confirm('Are you sure you want to clear all profile data? This action cannot be undone.')) {
-    return;
-  }
+function updateEducationNumbers() {
+  Array.from(elements.educationList.children).forEach((entry, newIndex) => {
+    const title = entry.querySelector('.experience-entry__title');
+    if (title) {
+      title.textContent = `Education #${newIndex + 1}`;
+    }
+  });
+}
+
+/**
+ * Collect all education data from the form
+ * @returns {Array} Array of education objects, in display order
+ */
+function collectEducationData() {
+  const education = [];
+  
+  elements.educationList.querySelectorAll('.education-entry').forEach((entry, index) => {
+    const entryData = { educationIndex: String(index + 1) };
+    entry.querySelectorAll('[data-education-field]').forEach(input => {
+      entryData[input.dataset.educationField] = input.value.trim();
+    });
+    
+    // Only include entries with at least a school
+    if (entryData.school) {
+      education.push(entryData);
+    }
+  });
+  
+  return education;
+}
+
+/**
+ * Add a screening question/answer pair to the form
+ * @param {Object} screeningData - Optional existing question and answer
+ */
+function addScreeningEntry(screeningData = {}) {
+  const entryDiv = document.createElement('div');
+  entryDiv.className = 'experience-entry screening-entry';
+  
+  entryDiv.innerHTML = `
+    <div class="experience-entry__form">
+      <div class="form-group">
+        <label class="form-label">Question</label>
+        <input class="form-input" type="text" data-screening-field="question"
+               placeholder="e.g., Are you willing to relocate?">
+      </div>
+      <div class="form-group">
+        <label class="form-label">Answer</label>
+        <input class="form-input" type="text" data-screening-field="answer"
+               placeholder="e.g., Yes">
+      </div>
+      <button type="button" class="experience-entry__remove">Remove</button>
+    </div>
+  `;
+  
+  // Values are set as properties so question text with quotes stays intact
+  entryDiv.querySelector('[data-screening-field="question"]').value = screeningData.question || '';
+  entryDiv.querySelector('[data-screening-field="answer"]').value = screeningData.answer || '';
+  
+  elements.screeningList.appendChild(entryDiv);
+  
+  entryDiv.querySelectorAll('input').forEach(input => {
+    input.addEventListener('input', debounce(handleAutoSave, 1000));
+  });
+}
+
+/**
+ * Collect answered screening questions from the form
+ * @returns {Array<{question: string, answer: string}>} Answer bank
+ */
+function collectScreeningAnswers() {
+  return Array.from(elements.screeningList.querySelectorAll('.screening-entry'))
+    .map(entry => ({
+      question: entry.querySelector('[data-screening-field="question"]').value.trim(),
+      answer: entry.querySelector('[data-screening-field="answer"]').value.trim()
+    }))
+    .filter(entry => entry.question && entry.answer);
+}
+
+/**
+ * Show a stored salary in its amount / currency / period inputs
+ * Older profiles hold free text ("₹15,00,000"), which is parsed into the structured form.
+ * Text without an amount ("Negotiable") leaves the inputs empty and is kept by collectSalary.
+ * @param {string} prefix - 'currentSalary' or 'expectedSalary'
+ * @param {Object|string} value - Stored salary
+ */
+function fillSalaryInputs(prefix, value) {
+  const salary = window.salaryConverter?.normalizeSalary(value) || null;
+  elements[`${prefix}Amount`].value = salary ? salary.amount : '';
+  elements[`${prefix}Currency`].value = salary?.currency || '';
+  elements[`${prefix}Period`].value = salary?.period || 'YEAR';
+  
+  loadedSalaries[prefix] = { value: value ?? '', inputs: getSalaryInputValues(prefix) };
+}
+
+/**
+ * @param {string} prefix - 'currentSalary' or 'expectedSalary'
+ * @returns {string} Amount, currency and period as currently entered
+ */
+function getSalaryInputValues(prefix) {
+  return ['Amount', 'Currency', 'Period'].map(part => elements[`${prefix}${part}`].value).join('|');
+}
+
+/**
+ * Read a salary from its amount / currency / period inputs
+ * A salary the user did not touch is returned as it was stored, so older free-text
+ * values are neither reinterpreted nor wiped by saving an unrelated edit.
+ * @param {string} prefix - 'currentSalary' or 'expectedSalary'
+ * @returns {Object|string} { amount, currency, period }, the stored value, or '' when no amount is entered
+ */
+function collectSalary(prefix) {
+  const loaded = loadedSalaries[prefix];
+  if (loaded && loaded.inputs === getSalaryInputValues(prefix)) return loaded.value;
+  
+  const amount = parseFloat(elements[`${prefix}Amount`].value);
+  if (!Number.isFinite(amount) || amount <= 0) return '';
+  
+  return {
+    amount: amount,
+    currency: elements[`${prefix}Currency`].value || null,
+    period: elements[`${prefix}Period`].value
+  };
+}
+
+// Global functions no longer needed - using event delegation instead
+
+/**
+ * Load saved detection settings into the Detection tab
+ */
+async function loadDetectionSettingsForm() {
+  if (!storageManager) return;
   
   try {
-    showLoading(true);
+    const settings = await storageManager.getDetectionSettings();
+    elements.detectionSensitivity.value = settings.sensitivity;
+    elements.detectionAdvanced.checked = settings.advanced;
+    elements.detectionAdvancedPanel.disabled = !settings.advanced;
+    fillDetectionValues(settings);
+  } catch (error) {
+    console.error('Error loading detection settings:', error);
+    showMessage('Error loading detection settings', 'error');
+  }
+}
+
+/**
+ * Show thresholds and one weight input per detection method
+ * @param {Object} settings - Resolved detection settings
+ */
+function fillDetectionValues(settings) {
+  elements.confidenceThreshold.value = settings.confidenceThreshold;
+  elements.fillThreshold.value = settings.fillThreshold;
+  
+  elements.detectionWeights.innerHTML = '';
+  Object.entries(settings.methodWeights).forEach(([method, weight]) => {
+    const group = document.createElement('div');
+    group.className = 'form-group';
     
-    // Clear form
-    elements.profileForm.reset();
+    const label = document.createElement('label');
+    label.className = 'form-label';
+    label.htmlFor = `weight_${method}`;
+    label.textContent = method;
     
-    // Clear from storage
-    if (storageManager) {
-      await storageManager.setUserProfile({});
-    } else {
-      await chrome.storage.local.remove('userProfile');
+    const input = document.createElement('input');
+    input.className = 'form-input';
+    input.type = 'number';
+    input.id = `weight_${method}`;
+    input.min = '0';
+    input.max = '1';
+    input.step = '0.05';
+    input.value = weight;
+    input.dataset.method = method;
+    
+    group.append(label, input);
+    elements.detectionWeights.appendChild(group);
+  });
+}
+
+/**
+ * Preview preset values when the sensitivity changes (advanced overrides stay untouched)
+ */
+function handleDetectionSensitivityChange() {
+  if (!storageManager || elements.detectionAdvanced.checked) return;
+  
+  fillDetectionValues(storageManager.resolveDetectionSettings({
+    detectionSensitivity: elements.detectionSensitivity.value
+  }));
+}
+
+/**
+ * Save detection sensitivity and advanced overrides
+ * @param {Event} event - Submit event
+ */
+async function handleDetectionSettingsSubmit(event) {
+  event.preventDefault();
+  if (!storageManager) return;
+  
+  const readUnitValue = input => {
+    const value = parseFloat(input.value);
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+      throw new RangeError(`${input.labels?.[0]?.textContent || input.id} must be between 0 and 1`);
+    }
+    return value;
+  };
+  
+  try {
+    let advanced = { enabled: false };
+    if (elements.detectionAdvanced.checked) {
+      advanced = {
+        enabled: true,
+        confidenceThreshold: readUnitValue(elements.confidenceThreshold),
+        fillThreshold: readUnitValue(elements.fillThreshold),
+        methodWeights: Object.fromEntries(
+          Array.from(elements.detectionWeights.querySelectorAll('input[data-method]'))
+            .map(input => [input.dataset.method, readUnitValue(input)])
+        )
+      };
     }
     
-    showMessage('Profile cleared successfully', 'success');
+    await storageManager.saveDetectionSettings({
+      sensitivity: elements.detectionSensitivity.value,
+      advanced: advanced
+    });
+    showMessage('Detection settings saved', 'success');
   } catch (error) {
-    console.error('Error clearing profile:', error);
-    showMessage('Error clearing profile', 'error');
-  } finally {
-    showLoading(false);
+    console.error('Error saving detection settings:', error);
+    showMessage(error instanceof RangeError ? error.message : 'Error saving detection settings', 'error');
   }
 }
 
 /**
- * Handle clear all data button
+ * Restore the medium preset and drop advanced overrides
  */
-async function handleClearAllData() {
-  if (!confirm('Are you sure you want to clear ALL extension data? This includes your profile, settings, and cached data. This action cannot be undone.')) {
-    return;
+async function handleResetDetectionSettings() {
+  if (!storageManager) return;
+  
+  try {
+    await storageManager.saveDetectionSettings({ sensitivity: 'medium', advanced: { enabled: false } });
+    await loadDetectionSettingsForm();
+    showMessage('Detection settings reset to defaults', 'success');
+  } catch (error) {
+    console.error('Error resetting detection settings:', error);
+    showMessage('Error resetting detection settings', 'error');
   }
+}
+
+/**
+ * Show one rate input per currency (units per US dollar)
+ */
+async function loadExchangeRatesForm() {
+  if (!storageManager) return;
   
   try {
-    showLoading(true);
-    
-    if (storageManager) {
-      await storageManager.clearAllData();
-    } else {
-      await chrome.storage.local.clear();
-    }
-    
-    // Reset form
-    elements.profileForm.reset();
-    
-    showMessage('All data cleared successfully', 'success');
+    const rates = await storageManager.getExchangeRates();
+    elements.exchangeRates.innerHTML = '';
+    Object.entries(rates)
+      .filter(([currency]) => currency !== 'USD')
+      .forEach(([currency, rate]) => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        
+        const label = document.createElement('label');
+        label.className = 'form-label';
+        label.htmlFor = `rate_${currency}`;
+        label.textContent = `${currency} per USD`;
+        
+        const input = document.createElement('input');
+        input.className = 'form-input';
+        input.type = 'number';
+        input.id = `rate_${currency}`;
+        input.min = '0';
+        input.step = 'any';
+        input.value = rate;
+        input.dataset.currency = currency;
+        
+        group.append(label, input);
+        elements.exchangeRates.appendChild(group);
+      });
   } catch (error) {
-    console.error('Error clearing all data:', error);
-    showMessage('Error clearing data', 'error');
-  } finally {
-    showLoading(false);
+    console.error('Error loading exchange rates:', error);
+    showMessage('Error loading exchange rates', 'error');
   }
 }
 
 /**
- * Handle export data button
+ * Save edited exchange rates
+ * @param {Event} event - Submit event
  */
-async function handleExportData() {
+async function handleExchangeRatesSubmit(event) {
+  event.preventDefault();
+  if (!storageManager) return;
+  
   try {
-    showLoading(true);
-    
-    let exportData = {};
+    const rates = Object.fromEntries(
+      Array.from(elements.exchangeRates.querySelectorAll('input[data-currency]')).map(input => {
+        const rate = parseFloat(input.value);
+        if (!Number.isFinite(rate) || rate <= 0) {
+          throw new RangeError(`${input.dataset.currency} rate must be a positive number`);
+        }
+        return [input.dataset.currency, rate];
+      })
+    );
     
-    if (storageManager) {
-      const profile = await storageManager.getUserProfile();
-      const settings = await storageManager.getSettings();
-      
-      exportData = {
-        profile: profile || {},
-        settings: settings || {},
-        exportDate: new Date().toISOString(),
-        version: '1.0.0'
+    await storageManager.saveExchangeRates(rates);
+    showMessage('Exchange rates saved', 'success');
+  } catch (error) {
+    console.error('Error saving exchange rates:', error);
+    showMessage(error instanceof RangeError ? error.message : 'Error saving exchange rates', 'error');
+  }
+}
+
+/**
+ * Restore the built-in exchange rates
+ */
+async function handleResetExchangeRates() {
+  if (!storageManager) return;
+  
+  try {
+    await storageManager.saveExchangeRates(null);
+    await loadExchangeRatesForm();
+    showMessage('Exchange rates reset to defaults', 'success');
+  } catch (error) {
+    console.error('Error resetting exchange rates:', error);
+    showMessage('Error resetting exchange rates', 'error');
+  }
+}
+
+/**
+ * Render one card per portal in the registry
+ */
+async function renderPortalList() {
+  if (!storageManager) return;
+  
+  try {
+    const registry = await storageManager.getPortalRegistry();
+    portalEntries = registry.portals;
+    
+    elements.portalList.innerHTML = '';
+    Object.values(portalEntries)
+      .sort((a, b) => (a.source === b.source ? a.name.localeCompare(b.name) : a.source === 'builtin' ? -1 : 1))
+      .forEach(portal => elements.portalList.appendChild(createPortalCard(portal)));
+  } catch (error) {
+    console.error('Error loading portal registry:', error);
+    showMessage('Error loading portals', 'error');
+  }
+}
+
+/**
+ * Build the card for a portal registry entry
+ * Portal text is set via textContent since custom entries are user-supplied.
+ * @param {Object} portal - Resolved registry entry
+ * @returns {HTMLElement} Portal card element
+ */
+function createPortalCard(portal) {
+  const card = document.createElement('div');
+  card.className = `portal-card${portal.enabled ? '' : ' portal-card--disabled'}`;
+  
+  const icon = document.createElement('div');
+  icon.className = 'portal-card__icon';
+  icon.textContent = portal.source === 'custom' ? '🛠️' : '💼';
+  
+  const content = document.createElement('div');
+  content.className = 'portal-card__content';
+  
+  const title = document.createElement('h3');
+  title.className = 'portal-card__title';
+  title.textContent = portal.name;
+  
+  const description = document.createElement('p');
+  description.className = 'portal-card__description';
+  const selectorCount = Object.keys(portal.specificSelectors || {}).length;
+  const origin = portal.source === 'custom' ? 'Custom' : portal.overridden ? 'Built-in (edited)' : 'Built-in';
+  description.textContent = `${portal.domains.join(', ')} · ${selectorCount} ${selectorCount === 1 ? 'field' : 'fields'} · ${origin}`;
+  
+  const actions = document.createElement('div');
+  actions.className = 'portal-card__actions';
+  
+  const toggle = document.createElement('label');
+  toggle.className = 'portal-card__toggle';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = portal.enabled;
+  checkbox.dataset.portalToggle = portal.id;
+  toggle.append(checkbox, 'Enabled');
+  
+  const editButton = document.createElement('button');
+  editButton.type = 'button';
+  editButton.className = 'btn btn--secondary btn--small';
+  editButton.dataset.portalEdit = portal.id;
+  editButton.textContent = 'Edit';
+  actions.append(toggle, editButton);
+  
+  if (portal.source === 'custom' || portal.overridden) {
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'experience-entry__remove';
+    deleteButton.dataset.portalDelete = portal.id;
+    deleteButton.textContent = portal.source === 'custom' ? 'Delete' : 'Reset';
+    actions.appendChild(deleteButton);
+  }
+  
+  content.append(title, description, actions);
+  
+  const status = document.createElement('div');
+  status.className = 'portal-card__status';
+  const indicator = document.createElement('span');
+  indicator.className = `status-indicator status-indicator--${portal.enabled ? 'active' : 'inactive'}`;
+  indicator.textContent = portal.enabled ? 'Active' : 'Disabled';
+  status.appendChild(indicator);
+  
+  card.append(icon, content, status);
+  return card;
+}
+
+/**
+ * Open the rules editor for a new or existing portal
+ * @param {string} [portalId] - Portal to edit; omit to add a new one
+ */
+function openPortalEditor(portalId = null) {
+  const portal = portalId ? portalEntries[portalId] : null;
+  
+  elements.portalEditorTitle.textContent = portal ? `Edit ${portal.name}` : 'Add Portal';
+  elements.portalId.value = portal ? portal.id : '';
+  elements.portalId.readOnly = !!portal;
+  elements.portalConfigJson.value = JSON.stringify(
+    portal ? window.portalRegistry.toPortalConfig(portal) : NEW_PORTAL_TEMPLATE, null, 2
+  );
+  elements.portalEditor.dataset.mode = portal ? 'edit' : 'add';
+  elements.portalEditorErrors.innerHTML = '';
+  elements.portalEditor.classList.remove('portal-editor--hidden');
+  elements.portalEditor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function closePortalEditor() {
+  elements.portalEditor.classList.add('portal-editor--hidden');
+  elements.portalEditorErrors.innerHTML = '';
+}
+
+/**
+ * Parse and validate the portal editor contents
+ * @returns {{id: string, config: Object|null, errors: string[]}} Editor values and validation errors
+ */
+function readPortalEditor() {
+  const id = elements.portalId.value.trim();
+  const errors = window.portalRegistry.validatePortalId(id);
+  
+  if (elements.portalEditor.dataset.mode === 'add' && portalEntries[id]) {
+    errors.push(`A portal with ID "${id}" already exists; edit it instead`);
+  }
+  
+  let config = null;
+  try {
+    config = JSON.parse(elements.portalConfigJson.value);
+  } catch (error) {
+    errors.push(`Invalid JSON: ${error.message}`);
+    return { id, config, errors };
+  }
+  
+  return { id, config, errors: [...errors, ...window.portalRegistry.validatePortalConfig(config)] };
+}
+
+/**
+ * List validation errors under the editor
+ * @param {string[]} errors - Validation errors
+ */
+function showPortalEditorErrors(errors) {
+  elements.portalEditorErrors.innerHTML = '';
+  errors.forEach(error => {
+    const item = document.createElement('li');
+    item.textContent = error;
+    elements.portalEditorErrors.appendChild(item);
+  });
+}
+
+function handleValidatePortal() {
+  const { errors } = readPortalEditor();
+  showPortalEditorErrors(errors);
+  if (errors.length === 0) {
+    showMessage('Portal rules are valid', 'success');
+  }
+}
+
+/**
+ * Save the portal in the editor
+ * @param {Event} event - Submit event
+ */
+async function handlePortalEditorSubmit(event) {
+  event.preventDefault();
+  if (!storageManager) return;
+  
+  const { id, config, errors } = readPortalEditor();
+  showPortalEditorErrors(errors);
+  if (errors.length > 0) return;
+  
+  try {
+    await storageManager.savePortalConfig(id, config);
+    closePortalEditor();
+    await renderPortalList();
+    showMessage(`Portal "${config.name}" saved`, 'success');
+  } catch (error) {
+    console.error('Error saving portal:', error);
+    showMessage('Error saving portal', 'error');
+  }
+}
+
+/**
+ * Handle edit and delete/reset clicks within the portal list (event delegation)
+ * @param {Event} event - Click event
+ */
+async function handlePortalListClick(event) {
+  const { portalEdit, portalDelete } = event.target.dataset;
+  
+  if (portalEdit) {
+    openPortalEditor(portalEdit);
+    return;
+  }
+  
+  if (!portalDelete || !storageManager) return;
+  
+  const portal = portalEntries[portalDelete];
+  const prompt = portal?.source === 'custom'
+    ? `Delete the portal "${portal.name}"?`
+    : `Restore the built-in rules for "${portal?.name}"?`;
+  if (!confirm(prompt)) return;
+  
+  try {
+    await storageManager.deletePortalConfig(portalDelete);
+    await renderPortalList();
+  } catch (error) {
+    console.error('Error deleting portal:', error);
+    showMessage('Error deleting portal', 'error');
+  }
+}
+
+/**
+ * Handle enable/disable toggles within the portal list (event delegation)
+ * @param {Event} event - Change event
+ */
+async function handlePortalListChange(event) {
+  const { portalToggle } = event.target.dataset;
+  if (!portalToggle || !storageManager) return;
+  
+  try {
+    await storageManager.setPortalEnabled(portalToggle, event.target.checked);
+    await renderPortalList();
+  } catch (error) {
+    console.error('Error updating portal:', error);
+    showMessage('Error updating portal', 'error');
+  }
+}
+
+/**
+ * Download the current portal rules and mappings as a rule pack
+ * @param {Event} event - Submit event
+ */
+async function handleExportRulePack(event) {
+  event.preventDefault();
+  if (!storageManager) return;
+  
+  try {
+    const pack = window.rulePack.buildRulePack({
+      metadata: {
+        name: elements.rulePackName.value.trim(),
+        author: elements.rulePackAuthor.value.trim(),
+        version: elements.rulePackVersion.value.trim(),
+        description: elements.rulePackDescription.value.trim()
+      },
+      registry: await storageManager.getPortalRegistry(),
+      fieldMappings: elements.rulePackIncludeManual.checked ? await storageManager.getFieldMappings() : null,
+      learningData: elements.rulePackIncludeLearned.checked ? await storageManager.getLearningData() : null,
+      includeBuiltins: elements.rulePackIncludeBuiltins.checked
+    });
+    
+    const errors = window.rulePack.validateRulePack(pack);
+    if (errors.length > 0) {
+      showMessage(errors[0], 'error');
+      return;
+    }
+    
+    const slug = pack.metadata.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    downloadJsonFile(pack, `autofill-rule-pack-${slug || 'export'}-${pack.metadata.version}.json`);
+    elements.rulePackExportForm.classList.add('portal-editor--hidden');
+    showMessage('Rule pack exported successfully', 'success');
+  } catch (error) {
+    console.error('Error exporting rule pack:', error);
+    showMessage('Error exporting rule pack', 'error');
+  }
+}
+
+/**
+ * Read a rule pack file, validate it and show the diff preview
+ * @param {Event} event - Change event from the file input
+ */
+async function handleRulePackFileSelected(event) {
+  const file = event.target.files[0];
+  event.target.value = ''; // Allow picking the same file again
+  if (!file || !storageManager) return;
+  
+  try {
+    let pack = null;
+    let errors = [];
+    try {
+      pack = JSON.parse(await file.text());
+      errors = window.rulePack.validateRulePack(pack);
+    } catch (error) {
+      errors = [`Invalid JSON: ${error.message}`];
+    }
+    
+    const changes = errors.length === 0
+      ? window.rulePack.diffRulePack(pack, {
+        registry: await storageManager.getPortalRegistry(),
+        fieldMappings: await storageManager.getFieldMappings(),
+        learningData: await storageManager.getLearningData()
+      })
+      : [];
+    
+    pendingRulePack = errors.length === 0 ? { pack, changes } : null;
+    renderRulePackPreview(file.name, pack, errors, changes);
+  } catch (error) {
+    console.error('Error reading rule pack:', error);
+    showMessage('Error reading rule pack', 'error');
+  }
+}
+
+/**
+ * Show rule pack metadata, validation errors and the per-item diff
+ * Pack contents come from outside the extension, so text is set via textContent.
+ * @param {string} fileName - Selected file name
+ * @param {Object|null} pack - Parsed rule pack
+ * @param {string[]} errors - Validation errors
+ * @param {Array<Object>} changes - Changes from diffRulePack
+ */
+function renderRulePackPreview(fileName, pack, errors, changes) {
+  const metadata = errors.length === 0 ? pack.metadata : null;
+  elements.rulePackPreviewTitle.textContent = metadata
+    ? `Import "${metadata.name}"${metadata.version ? ` v${metadata.version}` : ''}`
+    : `Import ${fileName}`;
+  elements.rulePackPreviewMeta.textContent = metadata
+    ? [
+      metadata.author && `By ${metadata.author}`,
+      metadata.description,
+      metadata.domains?.length && `Covers ${metadata.domains.join(', ')}`
+    ].filter(Boolean).join(' · ')
+    : 'This file cannot be imported:';
+  
+  elements.rulePackErrors.innerHTML = '';
+  errors.forEach(error => {
+    const item = document.createElement('li');
+    item.textContent = error;
+    elements.rulePackErrors.appendChild(item);
+  });
+  
+  elements.rulePackDiff.innerHTML = '';
+  if (changes.length > 0) {
+    const kindLabels = { portal: 'Portal', fieldMappings: 'Manual mappings', learnedMappings: 'Learned mappings' };
+    const headRow = elements.rulePackDiff.createTHead().insertRow();
+    ['Type', 'Target', 'Status', 'Changes', 'On conflict'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    
+    const body = elements.rulePackDiff.createTBody();
+    changes.forEach(change => {
+      const row = body.insertRow();
+      row.insertCell().textContent = kindLabels[change.kind];
+      row.insertCell().textContent = change.label;
+      const status = row.insertCell();
+      status.className = `rule-pack-diff__status rule-pack-diff__status--${change.status}`;
+      status.textContent = change.status;
+      row.insertCell().textContent = change.details;
+      
+      const resolutionCell = row.insertCell();
+      if (change.resolutions.length > 0) {
+        const select = document.createElement('select');
+        select.className = 'form-input';
+        select.dataset.changeKey = change.key;
+        change.resolutions.forEach(resolution => {
+          select.add(new Option(resolution === 'replace' ? 'Use imported' : 'Keep mine', resolution));
+        });
+        resolutionCell.appendChild(select);
+      }
+    });
+  }
+  
+  const hasWork = changes.some(change => change.status !== 'unchanged');
+  elements.applyRulePackBtn.disabled = !pendingRulePack || !hasWork;
+  elements.rulePackPreview.classList.remove('portal-editor--hidden');
+}
+
+function closeRulePackPreview() {
+  pendingRulePack = null;
+  elements.rulePackPreview.classList.add('portal-editor--hidden');
+}
+
+/**
+ * Apply the previewed rule pack with the chosen conflict resolutions
+ */
+async function handleApplyRulePack() {
+  if (!pendingRulePack || !storageManager) return;
+  
+  const resolutions = Object.fromEntries(
+    Array.from(elements.rulePackDiff.querySelectorAll('select[data-change-key]'))
+      .map(select => [select.dataset.changeKey, select.value])
+  );
+  
+  try {
+    showLoading(true);
+    const applied = await window.rulePack.applyRulePack(
+      pendingRulePack.pack, pendingRulePack.changes, resolutions, storageManager
+    );
+    closeRulePackPreview();
+    await renderPortalList();
+    showMessage(`Imported ${applied.portals} portals, ${applied.fieldMappings} manual and ${applied.learnedMappings} learned mappings`, 'success');
+  } catch (error) {
+    console.error('Error importing rule pack:', error);
+    showMessage('Error importing rule pack', 'error');
+  } finally {
+    showLoading(false);
+  }
+}
+
+/**
+ * Handle auto-save functionality
+ */
+async function handleAutoSave() {
+  try {
+    await saveProfileData();
+    console.log('Profile auto-saved');
+  } catch (error) {
+    console.error('Auto-save failed:', error);
+  }
+}
+
+/**
+ * Handle clear profile button
+ */
+async function handleClearProfile() {
+  if (!confirm('Are you sure you want to clear all profile data? This action cannot be undone.')) {
+    return;
+  }
+  
+  try {
+    showLoading(true);
+    
+    // Clear form
+    elements.profileForm.reset();
+    loadedSalaries = {};
+    
+    // Clear from storage
+    if (storageManager) {
+      await storageManager.setUserProfile({});
+    } else {
+      await chrome.storage.local.remove('userProfile');
+    }
+    
+    showMessage('Profile cleared successfully', 'success');
+  } catch (error) {
+    console.error('Error clearing profile:', error);
+    showMessage('Error clearing profile', 'error');
+  } finally {
+    showLoading(false);
+  }
+}
+
+/**
+ * Handle clear all data button
+ */
+async function handleClearAllData() {
+  if (!confirm('Are you sure you want to clear ALL extension data? This includes your profile, settings, and cached data. This action cannot be undone.')) {
+    return;
+  }
+  
+  try {
+    showLoading(true);
+    
+    if (storageManager) {
+      await storageManager.clearAllData();
+    } else {
+      await chrome.storage.local.clear();
+    }
+    
+    // Reset form
+    elements.profileForm.reset();
+    loadedSalaries = {};
+    
+    showMessage('All data cleared successfully', 'success');
+  } catch (error) {
+    console.error('Error clearing all data:', error);
+    showMessage('Error clearing data', 'error');
+  } finally {
+    showLoading(false);
+  }
+}
+
+/**
+ * Handle export data button
+ */
+async function handleExportData() {
+  try {
+    showLoading(true);
+    
+    let exportData = {};
+    
+    if (storageManager) {
+      const profile = await storageManager.getUserProfile();
+      const settings = await storageManager.getSettings();
+      
+      exportData = {
+        profile: profile || {},
+        settings: settings || {},
+        exportDate: new Date().toISOString(),
+        version: '1.0.0'
       };
     } else {
       const result = await chrome.storage.local.get(null);
@@ -635,18 +1664,7 @@ async function handleExportData() {
       };
     }
     
-    // Create download
-    const dataStr = JSON.stringify(exportData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `autofill-data-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadJsonFile(exportData, `autofill-data-${new Date().toISOString().split('T')[0]}.json`);
     
     showMessage('Data exported successfully', 'success');
   } catch (error) {
@@ -657,6 +1675,492 @@ async function handleExportData() {
   }
 }
 
+/**
+ * Trigger a JSON file download
+ * @param {Object} data - Data to serialize
+ * @param {string} filename - Download file name
+ */
+function downloadJsonFile(data, filename) {
+  downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+}
+
+/**
+ * Trigger a text file download
+ * @param {string} content - File content
+ * @param {string} filename - Download file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+  const dataBlob = new Blob([content], { type: type });
+  const url = URL.createObjectURL(dataBlob);
+  
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Render learned field mappings grouped by site
+ */
+async function renderLearningData() {
+  if (!storageManager) return;
+  
+  try {
+    const learningData = await storageManager.getLearningData();
+    const sites = Object.entries(learningData.sites)
+      .sort(([, a], [, b]) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    
+    elements.learningList.innerHTML = '';
+    
+    if (sites.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'learning-empty';
+      empty.textContent = 'No learned mappings yet. They are collected automatically when fields are detected.';
+      elements.learningList.appendChild(empty);
+      return;
+    }
+    
+    sites.forEach(([hostname, site]) => {
+      elements.learningList.appendChild(createLearningSiteCard(hostname, site));
+    });
+  } catch (error) {
+    console.error('Error loading learned mappings:', error);
+    showMessage('Error loading learned mappings', 'error');
+  }
+}
+
+/**
+ * Build the card listing one site's learned mappings
+ * Page-derived strings are set via textContent since fingerprints come from arbitrary sites.
+ * @param {string} hostname - Site namespace
+ * @param {Object} site - Site data ({ portal, updatedAt, entries })
+ * @returns {HTMLElement} Site card element
+ */
+function createLearningSiteCard(hostname, site) {
+  const card = document.createElement('div');
+  card.className = 'learning-site';
+  
+  const header = document.createElement('div');
+  header.className = 'learning-site__header';
+  
+  const titleGroup = document.createElement('div');
+  const title = document.createElement('h3');
+  title.className = 'learning-site__title';
+  title.textContent = hostname;
+  const meta = document.createElement('span');
+  meta.className = 'learning-site__meta';
+  const entryCount = Object.keys(site.entries).length;
+  meta.textContent = `${site.portal || 'unknown'} · ${entryCount} ${entryCount === 1 ? 'mapping' : 'mappings'} · updated ${new Date(site.updatedAt || 0).toLocaleDateString()}`;
+  titleGroup.append(title, meta);
+  
+  const removeSite = document.createElement('button');
+  removeSite.type = 'button';
+  removeSite.className = 'experience-entry__remove';
+  removeSite.dataset.learningSite = hostname;
+  removeSite.textContent = 'Delete site';
+  
+  header.append(titleGroup, removeSite);
+  
+  const table = document.createElement('table');
+  table.className = 'learning-table';
+  const headRow = table.createTHead().insertRow();
+  ['Field', 'Fingerprint', 'Confidence', 'Hits', 'Last seen', ''].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headRow.appendChild(th);
+  });
+  
+  const body = table.createTBody();
+  Object.entries(site.entries)
+    .sort(([, a], [, b]) => (b.timestamp || 0) - (a.timestamp || 0))
+    .forEach(([fingerprint, entry]) => {
+      const row = body.insertRow();
+      const decayed = storageManager.getDecayedLearningConfidence(entry);
+      [
+        entry.fieldType,
+        fingerprint,
+        `${Math.round(decayed * 100)}%`,
+        String(entry.hits || 1),
+        new Date(entry.timestamp || 0).toLocaleDateString()
+      ].forEach(text => {
+        row.insertCell().textContent = text;
+      });
+      
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'learning-table__delete';
+      deleteButton.dataset.learningSite = hostname;
+      deleteButton.dataset.learningFingerprint = fingerprint;
+      deleteButton.textContent = 'Delete';
+      row.insertCell().appendChild(deleteButton);
+    });
+  
+  card.append(header, table);
+  return card;
+}
+
+/**
+ * Render manual field mappings created with the on-page picker
+ */
+async function renderManualMappings() {
+  if (!storageManager) return;
+  
+  try {
+    const mappings = await storageManager.getFieldMappings();
+    const sites = Object.entries(mappings).filter(([, rules]) => rules.length > 0);
+    
+    elements.manualMappingList.innerHTML = '';
+    
+    if (sites.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'learning-empty';
+      empty.textContent = 'No manual mappings yet. Use "Map Fields" in the popup to assign fields by clicking them.';
+      elements.manualMappingList.appendChild(empty);
+      return;
+    }
+    
+    sites.forEach(([hostname, rules]) => {
+      const card = document.createElement('div');
+      card.className = 'learning-site';
+      
+      const title = document.createElement('h3');
+      title.className = 'learning-site__title';
+      title.textContent = hostname;
+      
+      const table = document.createElement('table');
+      table.className = 'learning-table';
+      const headRow = table.createTHead().insertRow();
+      ['Field', 'Label', 'Selector', 'Created', ''].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+      });
+      
+      const body = table.createTBody();
+      rules.forEach(rule => {
+        const row = body.insertRow();
+        const fieldName = rule.category === 'custom'
+          ? `custom: ${rule.customValue}`
+          : `${rule.category}${rule.cardIndex ? ` #${rule.cardIndex}` : ''}`;
+        [
+          fieldName,
+          rule.label || '',
+          rule.selector,
+          new Date(rule.createdAt || 0).toLocaleDateString()
+        ].forEach(text => {
+          row.insertCell().textContent = text;
+        });
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'learning-table__delete';
+        deleteButton.dataset.mappingSite = hostname;
+        deleteButton.dataset.mappingId = rule.id;
+        deleteButton.textContent = 'Delete';
+        row.insertCell().appendChild(deleteButton);
+      });
+      
+      card.append(title, table);
+      elements.manualMappingList.appendChild(card);
+    });
+  } catch (error) {
+    console.error('Error loading manual mappings:', error);
+    showMessage('Error loading manual mappings', 'error');
+  }
+}
+
+/**
+ * Handle delete clicks within the manual mappings list (event delegation)
+ * @param {Event} event - Click event
+ */
+async function handleManualMappingListClick(event) {
+  const { mappingSite, mappingId } = event.target.dataset;
+  if (!mappingSite || !mappingId || !storageManager) return;
+  
+  try {
+    await storageManager.deleteFieldMapping(mappingSite, mappingId);
+    await renderManualMappings();
+  } catch (error) {
+    console.error('Error deleting manual mapping:', error);
+    showMessage('Error deleting manual mapping', 'error');
+  }
+}
+
+/**
+ * Handle delete clicks within the learned mappings list (event delegation)
+ * @param {Event} event - Click event
+ */
+async function handleLearningListClick(event) {
+  const { learningSite, learningFingerprint } = event.target.dataset;
+  if (!learningSite || !storageManager) return;
+  
+  try {
+    if (learningFingerprint) {
+      await storageManager.deleteLearnedMapping(learningSite, learningFingerprint);
+    } else {
+      if (!confirm(`Delete all learned mappings for ${learningSite}?`)) {
+        return;
+      }
+      await storageManager.clearLearningData(learningSite);
+    }
+    await renderLearningData();
+  } catch (error) {
+    console.error('Error deleting learned mapping:', error);
+    showMessage('Error deleting learned mapping', 'error');
+  }
+}
+
+/**
+ * Handle export learned mappings button
+ */
+async function handleExportLearningData() {
+  if (!storageManager) return;
+  
+  try {
+    const learningData = await storageManager.getLearningData();
+    downloadJsonFile({
+      ...learningData,
+      exportDate: new Date().toISOString()
+    }, `autofill-learned-mappings-${new Date().toISOString().split('T')[0]}.json`);
+    showMessage('Learned mappings exported successfully', 'success');
+  } catch (error) {
+    console.error('Error exporting learned mappings:', error);
+    showMessage('Error exporting learned mappings', 'error');
+  }
+}
+
+/**
+ * Handle delete all learned mappings button
+ */
+async function handleClearLearningData() {
+  if (!storageManager) return;
+  if (!confirm('Delete all learned field mappings? The detector will start learning from scratch.')) {
+    return;
+  }
+  
+  try {
+    await storageManager.clearLearningData();
+    await renderLearningData();
+    showMessage('Learned mappings deleted', 'success');
+  } catch (error) {
+    console.error('Error clearing learned mappings:', error);
+    showMessage('Error clearing learned mappings', 'error');
+  }
+}
+
+/**
+ * Render the application history, filtered by the search box
+ */
+async function renderApplicationHistory() {
+  if (!storageManager) return;
+  
+  try {
+    const history = await storageManager.getApplicationHistory();
+    const query = elements.historySearch.value.trim().toLowerCase();
+    const records = query
+      ? history.filter(record => [record.jobTitle, record.company, record.hostname, record.portal, record.url]
+        .some(text => (text || '').toLowerCase().includes(query)))
+      : history;
+    
+    elements.historyList.innerHTML = '';
+    
+    if (records.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'learning-empty';
+      empty.textContent = history.length === 0
+        ? 'No applications recorded yet. They are added when you submit a form after filling it with the assistant.'
+        : 'No applications match your search.';
+      elements.historyList.appendChild(empty);
+      return;
+    }
+    
+    elements.historyList.appendChild(createApplicationHistoryTable(records, history.length));
+  } catch (error) {
+    console.error('Error loading application history:', error);
+    showMessage('Error loading application history', 'error');
+  }
+}
+
+/**
+ * Build the table of application records
+ * Record strings come from arbitrary job sites, so they are set via textContent.
+ * @param {Array} records - Records to show, newest first
+ * @param {number} total - Size of the unfiltered history
+ * @returns {HTMLElement} Card element
+ */
+function createApplicationHistoryTable(records, total) {
+  const card = document.createElement('div');
+  card.className = 'learning-site';
+  
+  const meta = document.createElement('span');
+  meta.className = 'learning-site__meta';
+  meta.textContent = records.length === total
+    ? `${total} ${total === 1 ? 'application' : 'applications'}`
+    : `${records.length} of ${total} applications`;
+  
+  const table = document.createElement('table');
+  table.className = 'learning-table';
+  const headRow = table.createTHead().insertRow();
+  ['Submitted', 'Job title', 'Company', 'Site', 'Status', 'Data sent', ''].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headRow.appendChild(th);
+  });
+  
+  const body = table.createTBody();
+  records.forEach(record => {
+    const row = body.insertRow();
+    [
+      new Date(record.submittedAt || 0).toLocaleString(),
+      record.jobTitle || '',
+      record.company || ''
+    ].forEach(text => {
+      row.insertCell().textContent = text;
+    });
+    
+    // Only web links; a stored javascript: URL must not become clickable
+    const siteCell = row.insertCell();
+    if (/^https?:/i.test(record.url || '')) {
+      const link = document.createElement('a');
+      link.href = record.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = record.hostname || record.url;
+      siteCell.appendChild(link);
+    } else {
+      siteCell.textContent = record.hostname || record.url || '';
+    }
+    
+    const status = document.createElement('span');
+    status.className = `history-status history-status--${record.status === 'confirmed' ? 'confirmed' : 'submitted'}`;
+    status.textContent = record.status || 'submitted';
+    row.insertCell().appendChild(status);
+    
+    const fields = record.fields || [];
+    const details = document.createElement('details');
+    details.className = 'history-fields';
+    const summary = document.createElement('summary');
+    summary.textContent = `${fields.length} ${fields.length === 1 ? 'field' : 'fields'}`;
+    const list = document.createElement('ul');
+    fields.forEach(field => {
+      const item = document.createElement('li');
+      item.textContent = `${field.label || field.category}: ${field.value}`;
+      list.appendChild(item);
+    });
+    details.append(summary, list);
+    row.insertCell().appendChild(details);
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'learning-table__delete';
+    deleteButton.dataset.applicationId = record.id;
+    deleteButton.textContent = 'Delete';
+    row.insertCell().appendChild(deleteButton);
+  });
+  
+  card.append(meta, table);
+  return card;
+}
+
+/**
+ * Handle delete clicks within the application history (event delegation)
+ * @param {Event} event - Click event
+ */
+async function handleHistoryListClick(event) {
+  const { applicationId } = event.target.dataset;
+  if (!applicationId || !storageManager) return;
+  
+  try {
+    await storageManager.deleteApplicationRecord(applicationId);
+    await renderApplicationHistory();
+  } catch (error) {
+    console.error('Error deleting application record:', error);
+    showMessage('Error deleting application record', 'error');
+  }
+}
+
+/**
+ * Handle export application history as JSON
+ */
+async function handleExportHistoryJson() {
+  if (!storageManager) return;
+  
+  try {
+    const history = await storageManager.getApplicationHistory();
+    downloadJsonFile({
+      applications: history,
+      exportDate: new Date().toISOString()
+    }, `autofill-applications-${new Date().toISOString().split('T')[0]}.json`);
+    showMessage('Application history exported successfully', 'success');
+  } catch (error) {
+    console.error('Error exporting application history:', error);
+    showMessage('Error exporting application history', 'error');
+  }
+}
+
+/**
+ * Handle export application history as CSV (one row per application)
+ */
+async function handleExportHistoryCsv() {
+  if (!storageManager) return;
+  
+  try {
+    const history = await storageManager.getApplicationHistory();
+    const rows = [
+      ['Submitted', 'Status', 'Job title', 'Company', 'Portal', 'URL', 'Data sent'],
+      ...history.map(record => [
+        new Date(record.submittedAt || 0).toISOString(),
+        record.status || 'submitted',
+        record.jobTitle || '',
+        record.company || '',
+        record.portal || '',
+        record.url || '',
+        (record.fields || []).map(field => `${field.category}: ${field.value}`).join('; ')
+      ])
+    ];
+    const csv = rows.map(row => row.map(toCsvCell).join(',')).join('\r\n');
+    
+    downloadFile(csv, `autofill-applications-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+    showMessage('Application history exported successfully', 'success');
+  } catch (error) {
+    console.error('Error exporting application history:', error);
+    showMessage('Error exporting application history', 'error');
+  }
+}
+
+/**
+ * Quote a CSV cell; a leading =, +, - or @ is escaped so spreadsheets do not run it as a formula
+ * @param {string} value - Cell text
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Handle delete application history button
+ */
+async function handleClearHistory() {
+  if (!storageManager) return;
+  if (!confirm('Delete the whole application history?')) {
+    return;
+  }
+  
+  try {
+    await storageManager.clearApplicationHistory();
+    await renderApplicationHistory();
+    showMessage('Application history deleted', 'success');
+  } catch (error) {
+    console.error('Error clearing application history:', error);
+    showMessage('Error clearing application history', 'error');
+  }
+}
+
 /**
  * Show loading state
  * @param {boolean} isLoading - Whether to show loading state
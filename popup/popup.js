@@ -13,18 +13,33 @@ const POPUP_STORAGE_KEYS = {
 const MESSAGES = {
   DETECT_FIELDS: 'detectFields',
   FILL_FORM: 'fillForm',
+  START_FIELD_PICKER: 'startFieldPicker',
+  EXPLAIN_FIELD: 'explainField',
+  HIGHLIGHT_FIELD: 'highlightField',
+  REMAP_FIELD: 'remapField',
+  GET_JOB_POSTING: 'getJobPosting',
   GET_FORM_DATA: 'getFormData'
 };
 
+// Characters of the job description shown in the popup
+const JOB_DESCRIPTION_PREVIEW_LENGTH = 220;
+
+// Hosts always treated as job portals (local test pages)
+const LOCAL_PORTAL_HOSTS = ['127.0.0.1', 'localhost'];
+
 // DOM Elements
 let elements = {};
 let storageManager = null;
+let portalDomains = []; // Domain patterns of enabled registry portals
+let listedFields = new Map(); // `${frameId}:${fieldId}` -> field descriptor shown in the field list
+let mappableCategories = []; // [{ value, group }] offered by the remap dropdown
 
 /**
  * Initialize popup when DOM is loaded
  */
 document.addEventListener('DOMContentLoaded', async () => {
   await initializeStorageManager();
+  await loadPortalDomains();
   initializeElements();
   await loadProfileStatus();
   await checkCurrentPageForm();
@@ -64,14 +79,25 @@ function initializeElements() {
   elements = {
     fillFormBtn: document.getElementById('fillFormBtn'),
     detectFieldsBtn: document.getElementById('detectFieldsBtn'),
+    mapFieldsBtn: document.getElementById('mapFieldsBtn'),
     tryModeToggle: document.getElementById('tryModeToggle'),
     tryModeNote: document.getElementById('tryModeNote'),
     statusIndicator: document.getElementById('statusIndicator'),
     statusDot: document.querySelector('.popup__status-dot'),
     statusText: document.querySelector('.popup__status-text'),
+    jobPosting: document.getElementById('jobPosting'),
+    jobPostingContent: document.getElementById('jobPostingContent'),
     detectionResults: document.getElementById('detectionResults'),
     fieldCount: document.getElementById('fieldCount'),
     fieldTypes: document.getElementById('fieldTypes'),
+    fieldFrames: document.getElementById('fieldFrames'),
+    fieldList: document.getElementById('fieldList'),
+    fieldExplanation: document.getElementById('fieldExplanation'),
+    fieldActions: document.getElementById('fieldActions'),
+    highlightFieldBtn: document.getElementById('highlightFieldBtn'),
+    fillFieldBtn: document.getElementById('fillFieldBtn'),
+    remapCategory: document.getElementById('remapCategory'),
+    remapFieldBtn: document.getElementById('remapFieldBtn'),
     profileStatus: document.getElementById('profileStatus'),
     setupProfileBtn: document.getElementById('setupProfileBtn'),
     settingsBtn: document.getElementById('settingsBtn'),
@@ -85,6 +111,11 @@ function initializeElements() {
 function setupEventListeners() {
   elements.detectFieldsBtn.addEventListener('click', handleDetectFields);
   elements.fillFormBtn.addEventListener('click', handleFillForm);
+  elements.mapFieldsBtn.addEventListener('click', handleMapFields);
+  elements.fieldList.addEventListener('click', handleFieldListClick);
+  elements.highlightFieldBtn.addEventListener('click', handleHighlightField);
+  elements.fillFieldBtn.addEventListener('click', handleFillField);
+  elements.remapFieldBtn.addEventListener('click', handleRemapField);
   elements.tryModeToggle.addEventListener('change', handleModeChange);
   elements.setupProfileBtn.addEventListener('click', handleSetupProfile);
   elements.settingsBtn.addEventListener('click', handleOpenSettings);
@@ -211,28 +242,62 @@ async function checkCurrentPageForm() {
   }
 }
 
+/**
+ * Load domain patterns of enabled portals from the registry
+ */
+async function loadPortalDomains() {
+  try {
+    const registry = storageManager
+      ? await storageManager.getPortalRegistry()
+      : window.portalRegistry.resolvePortalRegistry(null);
+    portalDomains = Object.values(registry.portals)
+      .filter(portal => portal.enabled)
+      .flatMap(portal => portal.domains);
+  } catch (error) {
+    console.error('Failed to load portal registry:', error);
+  }
+}
+
 /**
  * Check if URL is a supported job portal
  * @param {string} url - URL to check
  * @returns {boolean} Whether URL is a job portal
  */
 function isJobPortal(url) {
-  const jobPortals = [
-    'linkedin.com',
-    'indeed.com',
-    'glassdoor.com',
-    '127.0.0.1',
-    'localhost',
-    'workday.com',
-    `myworkdayjobs.com`
-  ];
+  let hostname = '';
+  try {
+    hostname = new URL(url).hostname;
+  } catch (error) {
+    return false;
+  }
 
-  return jobPortals.some(portal => url.includes(portal));
+  return LOCAL_PORTAL_HOSTS.includes(hostname) ||
+    (!!window.portalRegistry && window.portalRegistry.matchesPortalDomain(hostname, portalDomains));
 }
 
 /**
- * Ensure content script is injected in the tab
+ * List the frames of a tab together with whether masterDetector is already loaded there
+ * Uses scripting results instead of webNavigation, so no extra permission is needed.
+ * Frames the extension has no host permission for are simply not returned.
+ * @param {number} tabId - Tab ID to inspect
+ * @returns {Array<{frameId: number, loaded: boolean}>} Accessible frames
+ */
+async function getTabFrames(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: () => !!window.masterDetectorLoaded
+  });
+
+  return results.map(result => ({
+    frameId: result.frameId,
+    loaded: !!result.result
+  }));
+}
+
+/**
+ * Ensure content script is injected in every accessible frame of the tab
  * @param {number} tabId - Tab ID to inject script into
+ * @returns {number[]} Frame IDs running masterDetector
  */
 async function ensureContentScriptInjected(tabId) {
   try {
@@ -248,26 +313,89 @@ async function ensureContentScriptInjected(tabId) {
       console.warn('Could not get tab info:', tabError);
     }
 
-    // Try to ping the content script first
-    try {
-      console.log('Testing existing content script...');
-      const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' });
-      if (response && response.success) {
-        console.log('Content script already loaded and responding:', response);
-        return;
-      }
-    } catch (pingError) {
-      // Content script not loaded, need to inject it
-      console.log('Content script not loaded, will inject. Error was:', pingError.message);
+    // Find frames that do not have the content scripts yet
+    const frames = await getTabFrames(tabId);
+    const missingFrameIds = frames.filter(frame => !frame.loaded).map(frame => frame.frameId);
+    console.log(`Found ${frames.length} accessible frames, ${missingFrameIds.length} need injection`);
+
+    if (missingFrameIds.length === 0) {
+      console.log('Content script already loaded in all frames');
+      return frames.map(frame => frame.frameId);
     }
 
     console.log('Starting script injection process...');
 
+    // Portal registry defaults and domain matching, read by storage.js and masterDetector
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId, frameIds: missingFrameIds },
+        files: ['utils/portalRegistry.js']
+      });
+      console.log('✅ portalRegistry.js injected successfully');
+    } catch (registryError) {
+      console.warn('⚠️ Failed to inject portalRegistry.js (portal-specific selectors unavailable):', registryError);
+    }
+
+    // Non-English keyword packs, merged into the field database by masterDetector
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId, frameIds: missingFrameIds },
+        files: ['utils/localeKeywordPacks.js']
+      });
+      console.log('✅ localeKeywordPacks.js injected successfully');
+    } catch (localeError) {
+      console.warn('⚠️ Failed to inject localeKeywordPacks.js (English keywords only):', localeError);
+    }
+
+    // Salary parsing and currency conversion used by jobPosting and masterInjection
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId, frameIds: missingFrameIds },
+        files: ['utils/salaryConverter.js']
+      });
+      console.log('✅ salaryConverter.js injected successfully');
+    } catch (salaryError) {
+      console.warn('⚠️ Failed to inject salaryConverter.js (salaries filled as typed):', salaryError);
+    }
+
+    // Shared storage helpers (learned mappings) used by masterDetector
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId, frameIds: missingFrameIds },
+        files: ['utils/storage.js']
+      });
+      console.log('✅ storage.js injected successfully');
+    } catch (storageError) {
+      console.warn('⚠️ Failed to inject storage.js (learning data will not persist):', storageError);
+    }
+
+    // Click-to-map picker UI (optional, only needed for manual mapping)
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId, frameIds: missingFrameIds },
+        files: ['content/fieldPicker.js']
+      });
+      console.log('✅ fieldPicker.js injected successfully');
+    } catch (pickerError) {
+      console.warn('⚠️ Failed to inject fieldPicker.js (manual mapping unavailable):', pickerError);
+    }
+
+    // Job posting extraction (optional, shown in the popup and stored with submitted applications)
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId, frameIds: missingFrameIds },
+        files: ['content/jobPosting.js']
+      });
+      console.log('✅ jobPosting.js injected successfully');
+    } catch (postingError) {
+      console.warn('⚠️ Failed to inject jobPosting.js (job details unavailable):', postingError);
+    }
+
     // Try injecting masterInjection.js first (optional dependency)
     try {
       console.log('Attempting to inject masterInjection.js...');
       await chrome.scripting.executeScript({
-        target: { tabId },
+        target: { tabId, frameIds: missingFrameIds },
         files: ['content/masterInjection.js']
       });
       console.log('✅ masterInjection.js injected successfully');
@@ -280,12 +408,12 @@ async function ensureContentScriptInjected(tabId) {
       });
     }
 
-    // Inject masterDetector.js (required) to detect fields
+    // Inject masterDetector.js (required) to detect fields, with the scoring presets it cannot work without
     try {
       console.log('Attempting to inject masterDetector.js...');
       await chrome.scripting.executeScript({
-        target: { tabId },
-        files: ['content/masterDetector.js']
+        target: { tabId, frameIds: missingFrameIds },
+        files: ['utils/detectionConfig.js', 'content/masterDetector.js']
       });
       console.log('✅ masterDetector.js injected successfully');
     } catch (detectorError) {
@@ -303,10 +431,10 @@ async function ensureContentScriptInjected(tabId) {
     // Wait longer for initialization
     await new Promise(resolve => setTimeout(resolve, 2000));
 
-    // Verify the injection worked
+    // Verify the injection worked (the top frame must respond, sub frames are best effort)
     try {
       console.log('Verifying content script is responding...');
-      const verifyResponse = await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+      const verifyResponse = await chrome.tabs.sendMessage(tabId, { action: 'ping' }, { frameId: 0 });
       if (!verifyResponse || !verifyResponse.success) {
         throw new Error('Content script not responding after injection');
       }
@@ -316,6 +444,8 @@ async function ensureContentScriptInjected(tabId) {
       throw new Error('Content script failed to initialize: ' + verifyError.message);
     }
 
+    return frames.map(frame => frame.frameId);
+
   } catch (error) {
     console.error('❌ Failed to inject content script:', error);
     console.error('Full error details:', {
@@ -328,6 +458,80 @@ async function ensureContentScriptInjected(tabId) {
   }
 }
 
+/**
+ * Send a message to each frame individually and collect the responses
+ * Frames that fail to answer are reported with a null response.
+ * @param {number} tabId - Tab ID
+ * @param {number[]} frameIds - Frames to message
+ * @param {Object} message - Message payload
+ * @returns {Array<{frameId: number, response: Object|null}>} Per-frame responses
+ */
+async function sendMessageToFrames(tabId, frameIds, message) {
+  return Promise.all(frameIds.map(async frameId => {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, message, { frameId });
+      return { frameId, response };
+    } catch (error) {
+      console.warn(`Frame ${frameId} did not respond to ${message.action}:`, error.message);
+      return { frameId, response: null };
+    }
+  }));
+}
+
+/**
+ * Merge per-frame detectFields responses into a single tab-wide result
+ * @param {Array<{frameId: number, response: Object|null}>} frameResponses - Per-frame responses
+ * @returns {Object} Aggregated detection response with a per-frame breakdown
+ */
+function aggregateDetectionResponses(frameResponses) {
+  const frames = frameResponses
+    .filter(({ response }) => response && response.success)
+    .map(({ frameId, response }) => ({
+      frameId,
+      frameUrl: response.frameUrl || '',
+      isTopFrame: frameId === 0,
+      portal: response.portal,
+      totalFields: response.totalFields || 0,
+      highConfidenceFields: response.highConfidenceFields || 0,
+      mappableCategories: response.mappableCategories || [],
+      // The locator is only complete with the frame it was found in
+      fields: (response.fields || []).map(field => ({ ...field, frameId, locator: { ...field.locator, frameId } }))
+    }));
+
+  const topFrame = frames.find(frame => frame.isTopFrame);
+
+  return {
+    success: frames.length > 0,
+    fields: frames.flatMap(frame => frame.fields),
+    frames: frames.map(({ fields, mappableCategories, ...frameInfo }) => frameInfo),
+    totalFields: frames.reduce((sum, frame) => sum + frame.totalFields, 0),
+    highConfidenceFields: frames.reduce((sum, frame) => sum + frame.highConfidenceFields, 0),
+    portal: topFrame?.portal || frames[0]?.portal || 'unknown',
+    mappableCategories: (topFrame || frames[0])?.mappableCategories || [],
+    detectorType: 'master'
+  };
+}
+
+/**
+ * Merge per-frame fillForm responses into a single tab-wide result
+ * @param {Array<{frameId: number, response: Object|null}>} frameResponses - Per-frame responses
+ * @returns {Object} Aggregated fill response
+ */
+function aggregateFillResponses(frameResponses) {
+  const answered = frameResponses.filter(({ response }) => response);
+  const tagFrame = (items, frameId) => (items || []).map(item => ({ ...item, frameId }));
+
+  return {
+    success: answered.some(({ response }) => response.success),
+    filledFields: answered.reduce((sum, { response }) => sum + (response.filledFields || 0), 0),
+    totalFields: answered.reduce((sum, { response }) => sum + (response.totalFields || 0), 0),
+    fillResults: answered.flatMap(({ frameId, response }) => tagFrame(response.fillResults, frameId)),
+    fillErrors: answered.flatMap(({ frameId, response }) => tagFrame(response.fillErrors, frameId)),
+    error: answered.map(({ response }) => response.error).filter(Boolean).join('; ') || undefined,
+    framesFilled: answered.filter(({ response }) => response.success).length
+  };
+}
+
 /**
  * Update status indicator display
  * @param {string} status - Status type ('active', 'inactive', 'working')
@@ -359,8 +563,9 @@ async function handleDetectFields() {
     }
 
     // Try to inject content script if not already present
+    let frameIds = [];
     try {
-      await ensureContentScriptInjected(tab.id);
+      frameIds = await ensureContentScriptInjected(tab.id);
     } catch (injectionError) {
       console.error('Content script injection failed:', injectionError);
       updateStatusDisplay('inactive', 'Failed to load on this page');
@@ -370,24 +575,20 @@ async function handleDetectFields() {
     // Wait a moment for content script to initialize
     await new Promise(resolve => setTimeout(resolve, 500));
 
-    // Send message to content script to detect fields
-    const response = await chrome.tabs.sendMessage(tab.id, {
+    // Ask every frame to detect fields and merge the per-frame lists
+    const frameResponses = await sendMessageToFrames(tab.id, frameIds, {
       action: MESSAGES.DETECT_FIELDS
     });
+    const response = aggregateDetectionResponses(frameResponses);
 
     if (response && response.success) {
-      await saveDetectionResults(tab.url, response.fields);
+      await saveDetectionResults(tab.url, response.fields, response.frames);
       displayDetectionResults(response);
       updateStatusDisplay('active', 'Fields detected');
+      await loadJobPosting(tab.id);
 
       // Enable fill button if profile exists
-      let profileData = null;
-      if (storageManager) {
-        profileData = await storageManager.getUserProfile();
-      } else {
-        const profileResult = await chrome.storage.local.get(POPUP_STORAGE_KEYS.USER_PROFILE);
-        profileData = profileResult[POPUP_STORAGE_KEYS.USER_PROFILE];
-      }
+      const profileData = await getProfileData();
 
       if (profileData) {
         elements.fillFormBtn.disabled = false;
@@ -413,6 +614,18 @@ async function handleDetectFields() {
   }
 }
 
+/**
+ * Read the user profile, decrypted when the storage manager is available
+ * @returns {Promise<Object|null>} Profile data
+ */
+async function getProfileData() {
+  if (storageManager) {
+    return storageManager.getUserProfile();
+  }
+  const profileResult = await chrome.storage.local.get(POPUP_STORAGE_KEYS.USER_PROFILE);
+  return profileResult[POPUP_STORAGE_KEYS.USER_PROFILE];
+}
+
 /**
  * Handle fill form button click
  */
@@ -456,33 +669,41 @@ async function handleFillForm() {
     }
 
     // Ensure content script is available
+    let frameIds = [];
     try {
-      await ensureContentScriptInjected(tab.id);
+      frameIds = await ensureContentScriptInjected(tab.id);
     } catch (injectionError) {
       console.error('Content script injection failed:', injectionError);
       updateStatusDisplay('inactive', 'Failed to load on this page');
       return;
     }
 
-    // Force field detection before filling to ensure detectedFields is populated
+    // Force field detection before filling to ensure detectedFields is populated in every frame
     console.log('Triggering field detection before filling...');
-    const detectionResponse = await chrome.tabs.sendMessage(tab.id, {
-      action: MESSAGES.DETECT_FIELDS
-    });
+    const detectionResponse = aggregateDetectionResponses(
+      await sendMessageToFrames(tab.id, frameIds, { action: MESSAGES.DETECT_FIELDS })
+    );
 
     if (!detectionResponse || !detectionResponse.success || !detectionResponse.fields || detectionResponse.fields.length === 0) {
       updateStatusDisplay('inactive', 'No fields detected');
       return;
     }
 
-    console.log(`${detectionResponse.fields.length} fields detected, proceeding with fill...`);
+    console.log(`${detectionResponse.fields.length} fields detected across ${detectionResponse.frames.length} frame(s), proceeding with fill...`);
 
-    // Send message to content script to fill form
+    // Only frames that actually contain fields need the profile data
+    const framesWithFields = detectionResponse.frames
+      .filter(frame => frame.totalFields > 0)
+      .map(frame => frame.frameId);
+
+    // Send message to content scripts to fill form
     console.log('Sending fillForm message with profile data...');
-    const response = await chrome.tabs.sendMessage(tab.id, {
-      action: MESSAGES.FILL_FORM,
-      profileData: profileData  // Now using decrypted data
-    });
+    const response = aggregateFillResponses(
+      await sendMessageToFrames(tab.id, framesWithFields, {
+        action: MESSAGES.FILL_FORM,
+        profileData: profileData  // Now using decrypted data
+      })
+    );
 
     console.log('Fill form response:', response);
 
@@ -514,17 +735,48 @@ async function handleFillForm() {
   }
 }
 
+/**
+ * Handle map fields button click
+ * Starts the on-page picker in every frame and closes the popup so the page can be clicked
+ */
+async function handleMapFields() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    if (!tab) {
+      throw new Error('No active tab found');
+    }
+
+    const frameIds = await ensureContentScriptInjected(tab.id);
+    const frameResponses = await sendMessageToFrames(tab.id, frameIds, {
+      action: MESSAGES.START_FIELD_PICKER
+    });
+
+    if (!frameResponses.some(({ response }) => response && response.success)) {
+      updateStatusDisplay('inactive', 'Field picker unavailable');
+      return;
+    }
+
+    window.close();
+  } catch (error) {
+    console.error('Error starting field picker:', error);
+    updateStatusDisplay('inactive', 'Field picker failed');
+  }
+}
+
 /**
  * Save detection results to storage
  * @param {string} url - Current page URL
  * @param {Array} fields - Detected fields
+ * @param {Array} frames - Per-frame detection summary
  */
-async function saveDetectionResults(url, fields) {
+async function saveDetectionResults(url, fields, frames = []) {
   try {
     await chrome.storage.local.set({
       [POPUP_STORAGE_KEYS.LAST_DETECTION]: {
         url,
         fields,
+        frames,
         timestamp: Date.now()
       }
     });
@@ -533,12 +785,74 @@ async function saveDetectionResults(url, fields) {
   }
 }
 
+/**
+ * Ask the top frame which job the page is for and show it
+ * Job headers live on the main page even when the form is in an embedded frame.
+ * @param {number} tabId - Tab ID
+ */
+async function loadJobPosting(tabId) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { action: MESSAGES.GET_JOB_POSTING }, { frameId: 0 });
+    if (response && response.success) {
+      renderJobPosting(response.jobPosting);
+    } else {
+      elements.jobPosting.classList.add('info-card--hidden');
+    }
+  } catch (error) {
+    console.warn('Could not read job posting:', error);
+    elements.jobPosting.classList.add('info-card--hidden');
+  }
+}
+
+/**
+ * Render the job posting card (page text is set via textContent)
+ * @param {Object} posting - { title, company, location, salary, description }
+ */
+function renderJobPosting(posting) {
+  elements.jobPostingContent.innerHTML = '';
+  if (!posting || (!posting.title && !posting.company)) {
+    elements.jobPosting.classList.add('info-card--hidden');
+    return;
+  }
+
+  const title = document.createElement('div');
+  title.className = 'job-posting__title';
+  title.textContent = posting.title || 'Untitled position';
+  elements.jobPostingContent.appendChild(title);
+
+  const meta = [posting.company, posting.location].filter(Boolean).join(' · ');
+  if (meta) {
+    const metaLine = document.createElement('div');
+    metaLine.className = 'job-posting__meta';
+    metaLine.textContent = meta;
+    elements.jobPostingContent.appendChild(metaLine);
+  }
+
+  if (posting.salary) {
+    const salary = document.createElement('div');
+    salary.className = 'job-posting__salary';
+    salary.textContent = posting.salary.text;
+    elements.jobPostingContent.appendChild(salary);
+  }
+
+  if (posting.description) {
+    const description = document.createElement('p');
+    description.className = 'job-posting__description';
+    description.textContent = posting.description.length > JOB_DESCRIPTION_PREVIEW_LENGTH
+      ? `${posting.description.slice(0, JOB_DESCRIPTION_PREVIEW_LENGTH).trim()}…`
+      : posting.description;
+    elements.jobPostingContent.appendChild(description);
+  }
+
+  elements.jobPosting.classList.remove('info-card--hidden');
+}
+
 /**
  * Display field detection results
  * @param {Object} detection - Detection results
  */
 function displayDetectionResults(detection) {
-  const { fields } = detection;
+  const { fields, frames = [] } = detection;
 
   // Update field count
   const countNumber = elements.fieldCount.querySelector('.field-count__number');
@@ -562,8 +876,269 @@ function displayDetectionResults(detection) {
     elements.fieldTypes.appendChild(tag);
   });
 
+  // Per-frame breakdown, only useful when the form lives in an embedded frame
+  elements.fieldFrames.innerHTML = '';
+  if (frames.length > 1 || frames.some(frame => !frame.isTopFrame)) {
+    frames.forEach(frame => {
+      const row = document.createElement('div');
+      row.className = 'field-frames__item';
+      row.textContent = `${frame.isTopFrame ? 'Main page' : `Frame: ${getFrameHost(frame.frameUrl)}`} — ${frame.totalFields} fields`;
+      elements.fieldFrames.appendChild(row);
+    });
+  }
+
+  mappableCategories = detection.mappableCategories || [];
+  renderFieldList(fields);
+
   // Show results
   elements.detectionResults.classList.remove('info-card--hidden');
+  elements.mapFieldsBtn.disabled = false;
+}
+
+/**
+ * List detected fields so each one can be explained and acted on by its field ID
+ * @param {Array} fields - Aggregated field descriptors (with frameId and fieldId)
+ */
+function renderFieldList(fields) {
+  elements.fieldList.innerHTML = '';
+  elements.fieldExplanation.classList.add('field-explanation--hidden');
+  elements.fieldActions.classList.add('field-actions--hidden');
+  listedFields = new Map();
+
+  fields
+    .filter(field => field.fieldId)
+    .forEach(field => {
+      const fieldKey = `${field.frameId || 0}:${field.fieldId}`;
+      listedFields.set(fieldKey, field);
+
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = `field-list__item${field.category === 'unknown' ? ' field-list__item--unknown' : ''}`;
+      item.dataset.fieldKey = fieldKey;
+      item.title = 'Why was this field detected this way?';
+
+      const label = document.createElement('span');
+      label.className = 'field-list__label';
+      label.textContent = field.label || field.name || field.id || field.placeholder || field.type;
+
+      const category = document.createElement('span');
+      category.className = 'field-list__category';
+      category.textContent = `${field.category} ${Math.round((field.confidence || 0) * 100)}%`;
+
+      item.append(label, category);
+      elements.fieldList.appendChild(item);
+    });
+}
+
+/**
+ * Ask the field's frame why it was detected the way it was
+ * @param {Event} event - Click event
+ */
+async function handleFieldListClick(event) {
+  const item = event.target.closest('.field-list__item');
+  if (!item) return;
+
+  elements.fieldList.querySelectorAll('.field-list__item--active')
+    .forEach(active => active.classList.remove('field-list__item--active'));
+  item.classList.add('field-list__item--active');
+
+  const field = listedFields.get(item.dataset.fieldKey);
+  if (!field) return;
+  renderFieldActions(field);
+
+  try {
+    const response = await sendFieldMessage(field, { action: MESSAGES.EXPLAIN_FIELD });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from page');
+    }
+    renderFieldExplanation(response.explanation);
+  } catch (error) {
+    console.error('Error explaining field:', error);
+    elements.fieldExplanation.textContent = `Could not explain this field: ${error.message}`;
+    elements.fieldExplanation.classList.remove('field-explanation--hidden');
+  }
+}
+
+/**
+ * Get the descriptor of the field selected in the field list
+ * @returns {Object|null} Field descriptor
+ */
+function getSelectedField() {
+  const item = elements.fieldList.querySelector('.field-list__item--active');
+  return item ? listedFields.get(item.dataset.fieldKey) || null : null;
+}
+
+/**
+ * Send a message about one field to the frame it was detected in
+ * @param {Object} field - Field descriptor (fieldId, locator, frameId)
+ * @param {Object} message - Message; fieldId and locator are added
+ * @returns {Promise<Object>} Content script response
+ */
+async function sendFieldMessage(field, message) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return chrome.tabs.sendMessage(tab.id, {
+    ...message,
+    fieldId: field.fieldId,
+    locator: field.locator
+  }, { frameId: field.frameId || 0 });
+}
+
+/**
+ * Show the action row for the selected field, with its current category preselected
+ * @param {Object} field - Field descriptor
+ */
+function renderFieldActions(field) {
+  elements.remapCategory.innerHTML = '';
+
+  const groups = new Map();
+  mappableCategories.forEach(({ value, group }) => {
+    if (!groups.has(group)) {
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = group;
+      groups.set(group, optgroup);
+      elements.remapCategory.appendChild(optgroup);
+    }
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value;
+    groups.get(group).appendChild(option);
+  });
+
+  elements.remapCategory.value = field.category;
+  elements.remapFieldBtn.disabled = mappableCategories.length === 0;
+  elements.fillFieldBtn.disabled = field.category === 'unknown';
+  elements.fieldActions.classList.remove('field-actions--hidden');
+}
+
+/**
+ * Scroll the page to the selected field and highlight it
+ */
+async function handleHighlightField() {
+  const field = getSelectedField();
+  if (!field) return;
+
+  try {
+    const response = await sendFieldMessage(field, { action: MESSAGES.HIGHLIGHT_FIELD });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from page');
+    }
+  } catch (error) {
+    console.error('Error highlighting field:', error);
+    updateStatusDisplay('inactive', `Could not show field: ${error.message}`);
+  }
+}
+
+/**
+ * Fill only the selected field from the profile
+ */
+async function handleFillField() {
+  const field = getSelectedField();
+  if (!field) return;
+
+  try {
+    const profileData = await getProfileData();
+    if (!profileData || Object.keys(profileData).length === 0) {
+      updateStatusDisplay('inactive', 'No profile found - please set up your profile first');
+      return;
+    }
+
+    const response = await sendFieldMessage(field, {
+      action: MESSAGES.FILL_FORM,
+      profileData: profileData,
+      fields: [{ fieldId: field.fieldId, locator: field.locator }]
+    });
+
+    if (response && response.filledFields > 0) {
+      updateStatusDisplay('active', `Filled ${field.label || field.category}`);
+    } else {
+      const errorDetail = response?.error || response?.fillErrors?.[0]?.error || 'no value for this field';
+      updateStatusDisplay('inactive', `Fill failed: ${errorDetail}`);
+    }
+  } catch (error) {
+    console.error('Error filling field:', error);
+    updateStatusDisplay('inactive', 'Fill error');
+  }
+}
+
+/**
+ * Save the chosen category as a manual mapping for the selected field, then detect again
+ */
+async function handleRemapField() {
+  const field = getSelectedField();
+  const category = elements.remapCategory.value;
+  if (!field || !category) return;
+
+  try {
+    elements.remapFieldBtn.disabled = true;
+    const response = await sendFieldMessage(field, {
+      action: MESSAGES.REMAP_FIELD,
+      category: category
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from page');
+    }
+
+    await handleDetectFields();
+    updateStatusDisplay('active', `Mapped to ${category}`);
+  } catch (error) {
+    console.error('Error remapping field:', error);
+    updateStatusDisplay('inactive', `Remap failed: ${error.message}`);
+  } finally {
+    elements.remapFieldBtn.disabled = false;
+  }
+}
+
+/**
+ * Render a detection explanation: summary, then each candidate with its evidence
+ * @param {Object} explanation - Explanation returned by the explainField message
+ */
+function renderFieldExplanation(explanation) {
+  const container = elements.fieldExplanation;
+  container.innerHTML = '';
+
+  const summary = document.createElement('div');
+  summary.className = 'field-explanation__summary';
+  summary.textContent = explanation.summary;
+  container.appendChild(summary);
+
+  (explanation.candidates || []).forEach(candidate => {
+    const block = document.createElement('div');
+    block.className = `field-explanation__candidate field-explanation__candidate--${candidate.status}`;
+
+    const title = document.createElement('div');
+    title.className = 'field-explanation__title';
+    title.textContent = `${candidate.category} — score ${candidate.score.toFixed(2)}`;
+
+    const reason = document.createElement('div');
+    reason.textContent = candidate.reason;
+
+    block.append(title, reason);
+    candidate.evidence.forEach(evidence => {
+      const line = document.createElement('div');
+      line.className = 'field-explanation__evidence';
+      line.textContent = `${evidence.method}: ${evidence.confidence.toFixed(2)} × weight ${evidence.weight} = ${evidence.weightedConfidence.toFixed(2)}` +
+        (evidence.matchedText ? ` (matched "${evidence.matchedText}")` : '');
+      block.appendChild(line);
+    });
+
+    container.appendChild(block);
+  });
+
+  container.classList.remove('field-explanation--hidden');
+}
+
+/**
+ * Get a short host label for a frame URL
+ * @param {string} frameUrl - Frame URL
+ * @returns {string} Hostname or the raw URL if it cannot be parsed
+ */
+function getFrameHost(frameUrl) {
+  try {
+    return new URL(frameUrl).hostname || frameUrl;
+  } catch (error) {
+    return frameUrl || 'unknown';
+  }
 }
 
 /**
@@ -572,6 +1147,7 @@ function displayDetectionResults(detection) {
 function hideDetectionResults() {
   elements.detectionResults.classList.add('info-card--hidden');
   elements.fillFormBtn.disabled = true;
+  elements.mapFieldsBtn.disabled = true;
 }
 
 /**
@@ -0,0 +1,79 @@
+/**
+ * Detection Config for Auto-Fill Extension
+ * Scoring presets and method weights used by masterDetector to combine detection
+ * methods. Injected together with masterDetector, so detection scores the same way
+ * whether or not storage.js (which reads the user's sensitivity from settings) loaded.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Scoring presets for detectionSensitivity; advanced mode overrides individual values
+const DETECTION_CONFIG = {
+  defaultSensitivity: 'medium',
+  presets: {
+    low: { confidenceThreshold: 0.58, fillThreshold: 0.5 },    // Fewer, safer matches (weighted averages mostly sit between 0.5 and 0.7)
+    medium: { confidenceThreshold: 0.5, fillThreshold: 0.3 },
+    high: { confidenceThreshold: 0.4, fillThreshold: 0.2 }     // More matches, review before submitting
+  },
+  methodWeights: {
+    'portal-specific': 1.0,
+    'autocomplete': 0.95,
+    'direct': 0.9,
+    'learning': 0.85,
+    'semantic': 0.8,
+    'confirm': 0.8,
+    'contextual': 0.7,
+    'fuzzy': 0.6
+  },
+  unknownMethodWeight: 0.5
+};
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Resolve the scoring values used by the detector from stored settings
+ * Presets come from detectionSensitivity; advanced mode overrides individual values
+ * @param {Object|null} settings - Extension settings, null for the defaults
+ * @returns {Object} Sensitivity, thresholds and per-method weights
+ */
+function resolveDetectionSettings(settings) {
+  const sensitivity = DETECTION_CONFIG.presets[settings?.detectionSensitivity]
+    ? settings.detectionSensitivity
+    : DETECTION_CONFIG.defaultSensitivity;
+  const preset = DETECTION_CONFIG.presets[sensitivity];
+  const advanced = settings?.detectionAdvanced?.enabled ? settings.detectionAdvanced : null;
+  const unitValue = (value, fallback) => (Number.isFinite(value) && value >= 0 && value <= 1 ? value : fallback);
+
+  return {
+    sensitivity: sensitivity,
+    advanced: !!advanced,
+    confidenceThreshold: unitValue(advanced?.confidenceThreshold, preset.confidenceThreshold),
+    fillThreshold: unitValue(advanced?.fillThreshold, preset.fillThreshold),
+    methodWeights: Object.fromEntries(
+      Object.entries(DETECTION_CONFIG.methodWeights).map(([method, weight]) =>
+        [method, unitValue(advanced?.methodWeights?.[method], weight)])
+    ),
+    unknownMethodWeight: DETECTION_CONFIG.unknownMethodWeight
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+const detectionConfigApi = {
+  DETECTION_CONFIG,
+  resolveDetectionSettings
+};
+
+if (typeof self !== 'undefined' && !self.detectionConfig) {
+  self.detectionConfig = detectionConfigApi;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = detectionConfigApi;
+}
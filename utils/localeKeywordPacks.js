@@ -0,0 +1,294 @@
+/**
+ * Locale Keyword Packs for Auto-Fill Extension
+ * Non-English keywords merged into MASTER_FIELD_DATABASE (content/masterDetector.js)
+ * when the page is written in that language. English is the built-in baseline.
+ *
+ * Pack schema:
+ * {
+ *   locale: string,                                       // Primary language subtag ('de', 'pt')
+ *   name: string,
+ *   script: RegExp | null,                                // Characters that identify the language on their own
+ *   hints: string[],                                      // Common form words, lowercase without accents
+ *   fields: { [fieldType]: { keywords?: string[], contextKeywords?: string[] } }
+ * }
+ *
+ * keywords are matched against name/id/class/placeholder, contextKeywords against the
+ * label and surrounding text. Both are compared accent- and punctuation-insensitively,
+ * so 'Prénom', 'prenom' and 'pré-nom' are the same keyword.
+ */
+
+const LOCALE_PACK_PATTERN = /^[a-z]{2,3}$/;
+const LOCALE_HINT_MIN_MATCHES = 2; // Distinct hint words needed before page text alone selects a pack
+
+const LOCALE_KEYWORD_PACKS = {
+  de: {
+    locale: 'de',
+    name: 'Deutsch',
+    script: null,
+    hints: ['bewerbung', 'bewerben', 'lebenslauf', 'anschreiben', 'vorname', 'nachname', 'pflichtfeld', 'absenden', 'hochladen', 'angaben', 'erforderlich'],
+    fields: {
+      firstName: { keywords: ['vorname', 'rufname'], contextKeywords: ['vorname', 'rufname'] },
+      lastName: { keywords: ['nachname', 'familienname', 'zuname'], contextKeywords: ['nachname', 'familienname', 'zuname'] },
+      fullName: { keywords: ['vollständiger name', 'vor- und nachname'], contextKeywords: ['vollständiger name', 'vor- und nachname'] },
+      email: { keywords: ['e-mail-adresse', 'mailadresse'], contextKeywords: ['e-mail', 'mailadresse'] },
+      phone: { keywords: ['telefon', 'telefonnummer', 'handy', 'mobilnummer', 'rufnummer'], contextKeywords: ['telefon', 'handy', 'mobil', 'rufnummer'] },
+      addressLine1: { keywords: ['straße', 'hausnummer', 'anschrift', 'adresse'], contextKeywords: ['straße', 'anschrift', 'adresse'] },
+      addressLine2: { keywords: ['adresszusatz'], contextKeywords: ['adresszusatz'] },
+      city: { keywords: ['stadt', 'wohnort', 'ortschaft'], contextKeywords: ['stadt', 'wohnort', 'ortschaft'] },
+      state: { keywords: ['bundesland', 'kanton'], contextKeywords: ['bundesland', 'kanton'] },
+      postalCode: { keywords: ['postleitzahl', 'plz'], contextKeywords: ['postleitzahl', 'plz'] },
+      country: { keywords: ['wohnsitzland', 'herkunftsland'], contextKeywords: ['land'] },
+      currentLocation: { keywords: ['standort', 'aktueller wohnort'], contextKeywords: ['standort', 'aktueller wohnort'] },
+      jobTitle: { keywords: ['berufsbezeichnung', 'stellenbezeichnung', 'jobtitel'], contextKeywords: ['berufsbezeichnung', 'stellenbezeichnung', 'jobtitel'] },
+      company: { keywords: ['unternehmen', 'firma', 'arbeitgeber'], contextKeywords: ['unternehmen', 'firma', 'arbeitgeber'] },
+      totalExperience: { keywords: ['berufserfahrung'], contextKeywords: ['berufserfahrung', 'erfahrung'] },
+      currentSalary: { keywords: ['aktuelles gehalt', 'derzeitiges gehalt'], contextKeywords: ['aktuelles gehalt', 'derzeitiges gehalt'] },
+      expectedSalary: { keywords: ['gehaltsvorstellung', 'gehaltswunsch', 'wunschgehalt'], contextKeywords: ['gehaltsvorstellung', 'gehaltswunsch', 'wunschgehalt'] },
+      noticePeriod: { keywords: ['kündigungsfrist', 'eintrittsdatum', 'verfügbarkeit'], contextKeywords: ['kündigungsfrist', 'eintritt', 'verfügbar'] },
+      portfolioUrl: { keywords: ['webseite', 'homepage'], contextKeywords: ['webseite', 'homepage'] },
+      skills: { keywords: ['kenntnisse', 'fähigkeiten'], contextKeywords: ['kenntnisse', 'fähigkeiten'] },
+      education: { keywords: ['ausbildung', 'abschluss', 'studium', 'hochschule', 'universität'], contextKeywords: ['ausbildung', 'abschluss', 'studium'] },
+      startDate: { keywords: ['startdatum', 'beginn'], contextKeywords: ['startdatum', 'beginn'] },
+      endDate: { keywords: ['enddatum'], contextKeywords: ['enddatum', 'ende'] }
+    }
+  },
+
+  fr: {
+    locale: 'fr',
+    name: 'Français',
+    script: null,
+    hints: ['candidature', 'postuler', 'prenom', 'nom', 'obligatoire', 'envoyer', 'telecharger', 'adresse', 'lettre', 'motivation'],
+    fields: {
+      firstName: { keywords: ['prénom'], contextKeywords: ['prénom'] },
+      lastName: { keywords: ['nom de famille', 'nom'], contextKeywords: ['nom de famille', 'nom'] },
+      fullName: { keywords: ['nom complet', 'prénom et nom'], contextKeywords: ['nom complet', 'prénom et nom'] },
+      email: { keywords: ['courriel', 'adresse e-mail', 'adresse électronique'], contextKeywords: ['courriel', 'adresse e-mail', 'électronique'] },
+      phone: { keywords: ['téléphone', 'portable', 'numéro de téléphone'], contextKeywords: ['téléphone', 'portable'] },
+      addressLine1: { keywords: ['adresse', 'adresse postale', 'rue'], contextKeywords: ['adresse', 'rue'] },
+      addressLine2: { keywords: ["complément d'adresse", 'appartement', 'bâtiment'], contextKeywords: ["complément d'adresse", 'appartement', 'bâtiment'] },
+      city: { keywords: ['ville', 'commune', 'localité'], contextKeywords: ['ville', 'commune', 'localité'] },
+      state: { keywords: ['région', 'département'], contextKeywords: ['région', 'département'] },
+      postalCode: { keywords: ['code postal'], contextKeywords: ['code postal'] },
+      country: { keywords: ['pays'], contextKeywords: ['pays'] },
+      currentLocation: { keywords: ['lieu de résidence', 'localisation'], contextKeywords: ['lieu de résidence', 'localisation'] },
+      jobTitle: { keywords: ['intitulé du poste', 'titre du poste', 'poste', 'fonction'], contextKeywords: ['intitulé', 'poste', 'fonction'] },
+      company: { keywords: ['entreprise', 'société', 'employeur'], contextKeywords: ['entreprise', 'société', 'employeur'] },
+      totalExperience: { keywords: ["années d'expérience"], contextKeywords: ["années d'expérience", 'expérience'] },
+      currentSalary: { keywords: ['salaire actuel', 'rémunération actuelle'], contextKeywords: ['salaire actuel', 'rémunération actuelle'] },
+      expectedSalary: { keywords: ['prétentions salariales', 'salaire souhaité', 'salaire attendu'], contextKeywords: ['prétentions', 'salaire souhaité', 'salaire attendu'] },
+      noticePeriod: { keywords: ['préavis', 'disponibilité'], contextKeywords: ['préavis', 'disponibilité'] },
+      portfolioUrl: { keywords: ['site web', 'site internet'], contextKeywords: ['site web', 'site internet'] },
+      skills: { keywords: ['compétences'], contextKeywords: ['compétences'] },
+      education: { keywords: ['formation', 'diplôme', 'études', 'université'], contextKeywords: ['formation', 'diplôme', 'études'] },
+      startDate: { keywords: ['date de début'], contextKeywords: ['date de début', 'début'] },
+      endDate: { keywords: ['date de fin'], contextKeywords: ['date de fin'] }
+    }
+  },
+
+  es: {
+    locale: 'es',
+    name: 'Español',
+    script: null,
+    hints: ['solicitud', 'postular', 'postulacion', 'nombre', 'apellidos', 'obligatorio', 'enviar', 'adjuntar', 'curriculum', 'correo'],
+    fields: {
+      firstName: { keywords: ['nombre', 'nombres', 'primer nombre'], contextKeywords: ['nombre', 'primer nombre'] },
+      lastName: { keywords: ['apellido', 'apellidos'], contextKeywords: ['apellido'] },
+      fullName: { keywords: ['nombre completo', 'nombre y apellidos'], contextKeywords: ['nombre completo', 'nombre y apellidos'] },
+      email: { keywords: ['correo electrónico', 'correo', 'dirección de correo'], contextKeywords: ['correo', 'dirección de correo'] },
+      phone: { keywords: ['teléfono', 'celular', 'móvil', 'número de teléfono'], contextKeywords: ['teléfono', 'celular', 'móvil'] },
+      addressLine1: { keywords: ['dirección', 'calle', 'domicilio'], contextKeywords: ['dirección', 'calle', 'domicilio'] },
+      addressLine2: { keywords: ['apartamento', 'piso'], contextKeywords: ['apartamento', 'piso'] },
+      city: { keywords: ['ciudad', 'localidad', 'municipio', 'población'], contextKeywords: ['ciudad', 'localidad', 'municipio'] },
+      state: { keywords: ['provincia', 'comunidad autónoma'], contextKeywords: ['provincia', 'comunidad autónoma'] },
+      postalCode: { keywords: ['código postal'], contextKeywords: ['código postal'] },
+      country: { keywords: ['país'], contextKeywords: ['país'] },
+      currentLocation: { keywords: ['ubicación actual', 'lugar de residencia', 'ubicación'], contextKeywords: ['ubicación', 'residencia'] },
+      jobTitle: { keywords: ['puesto', 'cargo', 'título del puesto'], contextKeywords: ['puesto', 'cargo'] },
+      company: { keywords: ['empresa', 'compañía', 'empleador', 'nombre de la empresa'], contextKeywords: ['empresa', 'compañía', 'empleador', 'nombre de la empresa'] },
+      totalExperience: { keywords: ['años de experiencia'], contextKeywords: ['años de experiencia', 'experiencia'] },
+      currentSalary: { keywords: ['salario actual', 'sueldo actual'], contextKeywords: ['salario actual', 'sueldo actual'] },
+      expectedSalary: { keywords: ['pretensión salarial', 'salario deseado', 'expectativa salarial', 'sueldo deseado'], contextKeywords: ['pretensión salarial', 'salario deseado', 'expectativa salarial', 'sueldo deseado'] },
+      noticePeriod: { keywords: ['preaviso', 'disponibilidad'], contextKeywords: ['preaviso', 'disponibilidad'] },
+      portfolioUrl: { keywords: ['sitio web', 'página web'], contextKeywords: ['sitio web', 'página web'] },
+      skills: { keywords: ['habilidades', 'competencias', 'conocimientos'], contextKeywords: ['habilidades', 'competencias', 'conocimientos'] },
+      education: { keywords: ['educación', 'formación', 'estudios', 'universidad'], contextKeywords: ['educación', 'formación', 'estudios'] },
+      startDate: { keywords: ['fecha de inicio'], contextKeywords: ['fecha de inicio', 'inicio', 'desde'] },
+      endDate: { keywords: ['fecha de fin', 'fecha de finalización'], contextKeywords: ['fecha de fin', 'finalización', 'hasta'] }
+    }
+  },
+
+  pt: {
+    locale: 'pt',
+    name: 'Português',
+    script: null,
+    hints: ['candidatura', 'candidatar', 'vaga', 'nome', 'sobrenome', 'obrigatorio', 'enviar', 'anexar', 'curriculo', 'telefone'],
+    fields: {
+      firstName: { keywords: ['primeiro nome', 'nome'], contextKeywords: ['primeiro nome', 'nome'] },
+      lastName: { keywords: ['sobrenome', 'apelido', 'último nome'], contextKeywords: ['sobrenome', 'apelido', 'último nome'] },
+      fullName: { keywords: ['nome completo'], contextKeywords: ['nome completo'] },
+      email: { keywords: ['correio eletrônico', 'endereço de e-mail'], contextKeywords: ['correio eletrônico', 'endereço de e-mail'] },
+      phone: { keywords: ['telefone', 'celular', 'telemóvel'], contextKeywords: ['telefone', 'celular', 'telemóvel'] },
+      addressLine1: { keywords: ['endereço', 'morada', 'logradouro', 'rua'], contextKeywords: ['endereço', 'morada', 'logradouro'] },
+      addressLine2: { keywords: ['complemento'], contextKeywords: ['complemento'] },
+      city: { keywords: ['cidade', 'município', 'localidade'], contextKeywords: ['cidade', 'município', 'localidade'] },
+      state: { keywords: ['estado', 'distrito'], contextKeywords: ['estado', 'distrito'] },
+      postalCode: { keywords: ['cep', 'código postal'], contextKeywords: ['cep', 'código postal'] },
+      country: { keywords: ['país'], contextKeywords: ['país'] },
+      currentLocation: { keywords: ['localização atual', 'local de residência'], contextKeywords: ['localização', 'residência'] },
+      jobTitle: { keywords: ['cargo', 'função', 'título do cargo'], contextKeywords: ['cargo', 'função'] },
+      company: { keywords: ['empresa', 'empregador', 'companhia'], contextKeywords: ['empresa', 'empregador', 'companhia'] },
+      totalExperience: { keywords: ['anos de experiência'], contextKeywords: ['anos de experiência', 'experiência'] },
+      currentSalary: { keywords: ['salário atual', 'remuneração atual'], contextKeywords: ['salário atual', 'remuneração atual'] },
+      expectedSalary: { keywords: ['pretensão salarial', 'salário pretendido', 'expectativa salarial'], contextKeywords: ['pretensão salarial', 'salário pretendido', 'expectativa salarial'] },
+      noticePeriod: { keywords: ['aviso prévio', 'disponibilidade'], contextKeywords: ['aviso prévio', 'disponibilidade'] },
+      portfolioUrl: { keywords: ['site pessoal', 'página pessoal'], contextKeywords: ['site pessoal', 'página pessoal'] },
+      skills: { keywords: ['habilidades', 'competências', 'conhecimentos'], contextKeywords: ['habilidades', 'competências', 'conhecimentos'] },
+      education: { keywords: ['formação', 'escolaridade', 'educação', 'graduação', 'universidade'], contextKeywords: ['formação', 'escolaridade', 'educação'] },
+      startDate: { keywords: ['data de início'], contextKeywords: ['data de início', 'início'] },
+      endDate: { keywords: ['data de término', 'data de fim'], contextKeywords: ['data de término', 'término'] }
+    }
+  },
+
+  hi: {
+    locale: 'hi',
+    name: 'हिन्दी',
+    script: /[ऀ-ॿ]/, // Devanagari
+    hints: ['आवेदन', 'नाम', 'पता', 'नौकरी'],
+    fields: {
+      firstName: { keywords: ['पहला नाम', 'प्रथम नाम'], contextKeywords: ['पहला नाम', 'प्रथम नाम'] },
+      lastName: { keywords: ['उपनाम', 'अंतिम नाम', 'कुलनाम'], contextKeywords: ['उपनाम', 'अंतिम नाम', 'कुलनाम'] },
+      fullName: { keywords: ['पूरा नाम', 'नाम'], contextKeywords: ['पूरा नाम', 'नाम'] },
+      email: { keywords: ['ईमेल', 'ई-मेल', 'ईमेल पता'], contextKeywords: ['ईमेल', 'ई-मेल', 'ईमेल पता'] },
+      phone: { keywords: ['फ़ोन', 'फोन', 'मोबाइल', 'दूरभाष'], contextKeywords: ['फ़ोन', 'फोन', 'मोबाइल', 'दूरभाष'] },
+      addressLine1: { keywords: ['पता', 'गली'], contextKeywords: ['पता', 'गली'] },
+      city: { keywords: ['शहर', 'नगर'], contextKeywords: ['शहर', 'नगर'] },
+      state: { keywords: ['राज्य'], contextKeywords: ['राज्य'] },
+      postalCode: { keywords: ['पिन कोड', 'डाक कोड'], contextKeywords: ['पिन कोड', 'डाक कोड'] },
+      country: { keywords: ['देश'], contextKeywords: ['देश'] },
+      currentLocation: { keywords: ['वर्तमान स्थान'], contextKeywords: ['वर्तमान स्थान'] },
+      jobTitle: { keywords: ['पदनाम'], contextKeywords: ['पदनाम'] },
+      company: { keywords: ['कंपनी', 'संस्था', 'नियोक्ता'], contextKeywords: ['कंपनी', 'संस्था', 'नियोक्ता'] },
+      totalExperience: { keywords: ['कुल अनुभव', 'अनुभव'], contextKeywords: ['अनुभव'] },
+      currentSalary: { keywords: ['वर्तमान वेतन'], contextKeywords: ['वर्तमान वेतन'] },
+      expectedSalary: { keywords: ['अपेक्षित वेतन'], contextKeywords: ['अपेक्षित वेतन'] },
+      noticePeriod: { keywords: ['नोटिस अवधि'], contextKeywords: ['नोटिस अवधि'] },
+      skills: { keywords: ['कौशल'], contextKeywords: ['कौशल'] },
+      education: { keywords: ['शिक्षा', 'योग्यता', 'डिग्री'], contextKeywords: ['शिक्षा', 'योग्यता', 'डिग्री'] },
+      startDate: { keywords: ['आरंभ तिथि', 'प्रारंभ तिथि'], contextKeywords: ['आरंभ तिथि', 'प्रारंभ तिथि'] },
+      endDate: { keywords: ['समाप्ति तिथि'], contextKeywords: ['समाप्ति तिथि'] }
+    }
+  }
+};
+
+// ============================================================================
+// VALIDATION & REGISTRATION
+// ============================================================================
+
+/**
+ * Validates a locale keyword pack
+ * @param {Object} pack - Pack to check
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateLocaleKeywordPack(pack) {
+  const errors = [];
+
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return ['Pack must be an object'];
+  }
+
+  if (typeof pack.locale !== 'string' || !LOCALE_PACK_PATTERN.test(pack.locale)) {
+    errors.push('locale must be a 2-3 letter lowercase language code');
+  }
+  if (pack.script != null && !(pack.script instanceof RegExp)) {
+    errors.push('script must be a RegExp or null');
+  }
+  if (pack.hints != null && (!Array.isArray(pack.hints) || pack.hints.some(hint => typeof hint !== 'string'))) {
+    errors.push('hints must be an array of strings');
+  }
+
+  if (!pack.fields || typeof pack.fields !== 'object' || Array.isArray(pack.fields)) {
+    errors.push('fields must be an object keyed by field type');
+    return errors;
+  }
+
+  Object.entries(pack.fields).forEach(([fieldType, field]) => {
+    ['keywords', 'contextKeywords'].forEach(key => {
+      const list = field && field[key];
+      if (list != null && (!Array.isArray(list) || list.some(keyword => typeof keyword !== 'string' || !keyword.trim()))) {
+        errors.push(`fields.${fieldType}.${key} must be an array of non-empty strings`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Adds or replaces a locale pack
+ * @param {Object} pack - Pack following the schema above
+ * @throws {TypeError} When the pack is invalid
+ */
+function registerLocaleKeywordPack(pack) {
+  const errors = validateLocaleKeywordPack(pack);
+  if (errors.length > 0) {
+    throw new TypeError(`Invalid locale keyword pack: ${errors.join('; ')}`);
+  }
+
+  LOCALE_KEYWORD_PACKS[pack.locale] = { script: null, hints: [], ...pack };
+}
+
+/**
+ * @param {string} locale - Primary language subtag
+ * @returns {Object|null} Registered pack
+ */
+function getLocaleKeywordPack(locale) {
+  return LOCALE_KEYWORD_PACKS[locale] || null;
+}
+
+// ============================================================================
+// PACK SELECTION
+// ============================================================================
+
+/**
+ * Picks the packs that apply to a page: the declared language, any pack whose
+ * script appears in the text, and any pack with enough hint words in the text
+ * (sites often leave lang="en" on translated pages)
+ * @param {Object} page - Page signals
+ * @param {string} page.lang - document.documentElement.lang
+ * @param {string} page.text - Sampled label/heading text
+ * @param {Set<string>} page.tokens - Words of page.text, lowercase without accents
+ * @returns {string[]} Selected locales
+ */
+function selectLocaleKeywordPacks({ lang = '', text = '', tokens = new Set() } = {}) {
+  const declared = lang.toLowerCase().split(/[-_]/)[0];
+
+  return Object.values(LOCALE_KEYWORD_PACKS)
+    .filter(pack => {
+      if (pack.locale === declared) return true;
+      if (pack.script && pack.script.test(text)) return true;
+
+      const hits = (pack.hints || []).filter(hint => tokens.has(hint)).length;
+      return hits >= LOCALE_HINT_MIN_MATCHES;
+    })
+    .map(pack => pack.locale);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+const localeKeywordPacksApi = {
+  LOCALE_KEYWORD_PACKS,
+  validateLocaleKeywordPack,
+  registerLocaleKeywordPack,
+  getLocaleKeywordPack,
+  selectLocaleKeywordPacks
+};
+
+if (typeof window !== 'undefined' && !window.localeKeywordPacks) {
+  window.localeKeywordPacks = localeKeywordPacksApi;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = localeKeywordPacksApi;
+}
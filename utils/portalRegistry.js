@@ -0,0 +1,617 @@
+/**
+ * Portal Registry for Auto-Fill Extension
+ * Built-in job portal configs plus the schema, validation and domain matching
+ * shared by the options page (editing) and masterDetector (detection).
+ * User additions and overrides are stored by StorageManager under STORAGE_KEYS.PORTAL_CONFIGS.
+ *
+ * Portal config schema:
+ * {
+ *   name: string,
+ *   domains: string[],                                  // 'lever.co' matches the host and its subdomains, '*.lever.co' only subdomains
+ *   priority: number,
+ *   specificSelectors: { [category]: string[] },        // CSS selectors tried before generic detection
+ *   excludePatterns: string[],                          // Substrings of name/id/class that mark a field as ignorable
+ *   experienceCards: { container, card } | null,        // Selectors for repeated experience entries
+ *   educationCards: { container, card } | null,         // Selectors for repeated education entries
+ *   dynamicContent: boolean,                            // Form content is rendered after page load
+ *   submissionConfirmation: { urlPatterns, textPatterns } | null, // URL substrings / page phrases of the "application submitted" page
+ *   jobPostingSelectors: { [jobField]: string[] } | null  // Job header selectors (title, company, location, salary, description)
+ * }
+ */
+
+// Bump when the stored registry shape changes; migratePortalRegistry upgrades older data
+const PORTAL_REGISTRY_VERSION = 1;
+
+const PORTAL_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const PORTAL_DOMAIN_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+const PORTAL_CARD_KEYS = ['experienceCards', 'educationCards'];
+const CONFIRMATION_PATTERN_KEYS = ['urlPatterns', 'textPatterns'];
+const JOB_POSTING_SELECTOR_KEYS = ['title', 'company', 'location', 'salary', 'description'];
+
+// Confirmation phrases checked on every site after a submission, in addition to submissionConfirmation.textPatterns
+const GENERIC_CONFIRMATION_PHRASES = [
+  'thank you for applying',
+  'thanks for applying',
+  'application submitted',
+  'application has been submitted',
+  'application was submitted',
+  'application has been received',
+  'we have received your application',
+  "we've received your application"
+];
+
+const DEFAULT_PORTAL_CONFIGS = {
+  linkedin: {
+    name: 'LinkedIn',
+    domains: ['linkedin.com'],
+    priority: 10,
+    specificSelectors: {
+      firstName: [
+        '#single-line-text-form-component-firstName',
+        'input[name*="firstName"]',
+        'input[id*="firstName"]',
+        'input[aria-label*="First name"]',
+        'input[placeholder*="First name"]'
+      ],
+      lastName: [
+        '#single-line-text-form-component-lastName', 
+        'input[name*="lastName"]',
+        'input[id*="lastName"]',
+        'input[aria-label*="Last name"]',
+        'input[placeholder*="Last name"]'
+      ],
+      email: ['input[name*="email"]', '#email-address'],
+      phone: ['input[name*="phone"]', '#phone-number'],
+      linkedinUrl: ['input[name*="linkedinUrl"]', 'input[name*="linkedin"]']
+    },
+    excludePatterns: ['hidden', 'csrf', 'token'],
+    dynamicContent: true,
+    submissionConfirmation: {
+      urlPatterns: [],
+      textPatterns: ['your application was sent']
+    },
+    jobPostingSelectors: {
+      title: ['.job-details-jobs-unified-top-card__job-title', '.jobs-unified-top-card__job-title', '.top-card-layout__title'],
+      company: ['.job-details-jobs-unified-top-card__company-name', '.jobs-unified-top-card__company-name', '.topcard__org-name-link'],
+      location: ['.job-details-jobs-unified-top-card__primary-description-container .tvm__text', '.jobs-unified-top-card__bullet', '.topcard__flavor--bullet'],
+      salary: ['.compensation__salary', '.job-details-jobs-unified-top-card__job-insight'],
+      description: ['#job-details', '.jobs-description__content', '.show-more-less-html__markup']
+    }
+  },
+  
+  indeed: {
+    name: 'Indeed',
+    domains: ['indeed.com'],
+    priority: 9,
+    specificSelectors: {
+      firstName: [
+        'input[name="applicant.firstName"]',
+        'input[name*="firstName"]',
+        'input[name*="first"]',
+        'input[id*="firstName"]',
+        'input[placeholder*="First name"]'
+      ],
+      lastName: [
+        'input[name="applicant.lastName"]',
+        'input[name*="lastName"]', 
+        'input[name*="last"]',
+        'input[id*="lastName"]',
+        'input[placeholder*="Last name"]'
+      ],
+      email: ['input[name="applicant.email"]', 'input[name*="email"]'],
+      phone: ['input[name="applicant.phone"]', 'input[name*="phone"]']
+    },
+    excludePatterns: ['recaptcha', 'hidden'],
+    dynamicContent: true,
+    submissionConfirmation: {
+      urlPatterns: ['/post-apply'],
+      textPatterns: ['your application has been submitted']
+    },
+    jobPostingSelectors: {
+      title: ['[data-testid="jobsearch-JobInfoHeader-title"]', 'h1.jobsearch-JobInfoHeader-title'],
+      company: ['[data-testid="inlineHeader-companyName"]', '[data-company-name="true"]'],
+      location: ['[data-testid="inlineHeader-companyLocation"]', '[data-testid="job-location"]'],
+      salary: ['#salaryInfoAndJobType', '[data-testid="jobsearch-CollapsedEmbeddedJobsAttributes-salary"]'],
+      description: ['#jobDescriptionText']
+    }
+  },
+  
+  glassdoor: {
+    name: 'Glassdoor',
+    domains: ['glassdoor.com'],
+    priority: 8,
+    specificSelectors: {
+      firstName: [
+        'input[name*="firstName"]', 
+        '#firstName',
+        'input[name*="first"]',
+        'input[id*="first"]'
+      ],
+      lastName: [
+        'input[name*="lastName"]', 
+        '#lastName',
+        'input[name*="last"]',
+        'input[id*="last"]'
+      ],
+      email: ['input[name*="email"]', '#email'],
+      phone: ['input[name*="phone"]', '#phone']
+    },
+    excludePatterns: ['password', 'hidden'],
+    dynamicContent: false,
+    jobPostingSelectors: {
+      title: ['[data-test="job-title"]', '[data-test="jobTitle"]'],
+      company: ['[data-test="employer-name"]', '[data-test="employerName"]'],
+      location: ['[data-test="location"]', '[data-test="emp-location"]'],
+      salary: ['[data-test="detailSalary"]', '[data-test="salaryEstimate"]'],
+      description: ['[class*="JobDetails_jobDescription"]', '.jobDescriptionContent']
+    }
+  },
+  
+  monster: {
+    name: 'Monster',
+    domains: ['monster.com'],
+    priority: 7,
+    specificSelectors: {
+      firstName: [
+        'input[name*="first"]', 
+        '#firstname',
+        'input[id*="firstName"]'
+      ],
+      lastName: [
+        'input[name*="last"]', 
+        '#lastname',
+        'input[id*="lastName"]'
+      ],
+      email: ['input[name*="email"]'],
+      phone: ['input[name*="phone"]']
+    },
+    excludePatterns: ['hidden', 'captcha'],
+    dynamicContent: true
+  },
+  
+  workday: {
+    name: 'Workday',
+    domains: ['workday.com', 'myworkdayjobs.com'],
+    priority: 9,
+    specificSelectors: {
+      firstName: [
+        'input[name*="givenName"]',
+        'input[name*="firstName"]',
+        'input[data-automation-id*="firstName"]'
+      ],
+      lastName: [
+        'input[name*="familyName"]',
+        'input[name*="lastName"]', 
+        'input[data-automation-id*="lastName"]'
+      ]
+    },
+    excludePatterns: ['hidden', 'token'],
+    dynamicContent: true
+  },
+  
+  // Applicant tracking systems hosting company career sites
+  greenhouse: {
+    name: 'Greenhouse',
+    domains: ['greenhouse.io'],
+    priority: 9,
+    specificSelectors: {
+      firstName: ['#first_name', 'input[name="job_application[first_name]"]'],
+      lastName: ['#last_name', 'input[name="job_application[last_name]"]'],
+      email: ['#email', 'input[name="job_application[email]"]'],
+      phone: ['#phone', 'input[name="job_application[phone]"]'],
+      currentLocation: ['#candidate-location', '#job_application_location', 'input[name="job_application[location]"]'],
+      linkedinUrl: ['input[autocomplete="custom-question-linkedin-profile"]', 'input[aria-label*="LinkedIn"]'],
+      portfolioUrl: ['input[autocomplete="custom-question-website"]', 'input[aria-label*="Website"]']
+    },
+    experienceCards: {
+      container: '#employment-section, .employment-section',
+      card: '.employment, div[id^="employment-"]'
+    },
+    educationCards: {
+      container: '#education-section, #education_section, .education-section',
+      card: '.education, div[id^="education-"]'
+    },
+    excludePatterns: ['hidden', 'recaptcha', 'security_code', 'resume_text', 'cover_letter_text'],
+    dynamicContent: true,
+    submissionConfirmation: {
+      urlPatterns: ['/confirmation'],
+      textPatterns: ['thank you for your application']
+    }
+  },
+  
+  lever: {
+    name: 'Lever',
+    domains: ['lever.co'],
+    priority: 9,
+    specificSelectors: {
+      fullName: ['input[name="name"]'],
+      email: ['input[name="email"]'],
+      phone: ['input[name="phone"]'],
+      company: ['input[name="org"]'],
+      currentLocation: ['input[name="location"]', '#location-input'],
+      linkedinUrl: ['input[name="urls[LinkedIn]"]'],
+      githubUrl: ['input[name="urls[GitHub]"]'],
+      portfolioUrl: ['input[name="urls[Portfolio]"]', 'input[name="urls[Other]"]']
+    },
+    // Lever asks for a resume instead of structured experience/education entries
+    experienceCards: null,
+    educationCards: null,
+    excludePatterns: ['hidden', 'captcha', 'h-captcha', 'consent'],
+    dynamicContent: false,
+    submissionConfirmation: {
+      urlPatterns: ['/thanks'],
+      textPatterns: ['application submitted!']
+    }
+  },
+  
+  ashby: {
+    name: 'Ashby',
+    domains: ['ashbyhq.com'],
+    priority: 9,
+    specificSelectors: {
+      fullName: ['input[name="_systemfield_name"]'],
+      email: ['input[name="_systemfield_email"]'],
+      phone: ['input[name="_systemfield_phone"]', 'input[type="tel"]'],
+      currentLocation: ['input[name="_systemfield_location"]'],
+      linkedinUrl: ['input[name*="linkedin" i]', 'input[placeholder*="linkedin.com" i]'],
+      githubUrl: ['input[placeholder*="github.com" i]']
+    },
+    experienceCards: null,
+    educationCards: null,
+    excludePatterns: ['hidden', 'recaptcha', '_systemfield_resume'],
+    dynamicContent: true
+  },
+  
+  smartrecruiters: {
+    name: 'SmartRecruiters',
+    domains: ['smartrecruiters.com'],
+    priority: 9,
+    specificSelectors: {
+      firstName: ['input[name="firstName"]', '#first-name-input'],
+      lastName: ['input[name="lastName"]', '#last-name-input'],
+      email: ['input[name="email"]', '#email-input'],
+      phone: ['input[name="phoneNumber"]', '#phone-number-input'],
+      currentLocation: ['input[name="location"]', '#location-input'],
+      linkedinUrl: ['input[name="linkedIn"]', '#linkedin-input'],
+      portfolioUrl: ['input[name="website"]', '#website-input']
+    },
+    experienceCards: {
+      container: '[data-test="experience-section"], oc-experience-section',
+      card: '[data-test="experience-entry"], oc-experience'
+    },
+    educationCards: {
+      container: '[data-test="education-section"], oc-education-section',
+      card: '[data-test="education-entry"], oc-education'
+    },
+    excludePatterns: ['hidden', 'captcha'],
+    dynamicContent: true
+  },
+  
+  icims: {
+    name: 'iCIMS',
+    domains: ['icims.com'],
+    priority: 9,
+    specificSelectors: {
+      firstName: ['input[id$="PersonProfileFields.FirstName"]'],
+      lastName: ['input[id$="PersonProfileFields.LastName"]'],
+      email: ['input[id$="PersonProfileFields.Email"]'],
+      phone: ['input[id$="PhoneNumber"]', 'input[id*="PersonProfileFields.Phone"]'],
+      addressLine1: ['input[id$="AddressStreet1"]'],
+      addressLine2: ['input[id$="AddressStreet2"]'],
+      city: ['input[id$="AddressCity"]'],
+      postalCode: ['input[id$="AddressZip"]'],
+      linkedinUrl: ['input[id*="LinkedIn"]']
+    },
+    experienceCards: {
+      container: '#iCIMS_WorkExperience, [id*="WorkExperience"]',
+      card: '.iCIMS_WorkExperienceEntry, [id*="WorkExperience_Entry"]'
+    },
+    educationCards: {
+      container: '#iCIMS_Education, [id*="EducationFields"]',
+      card: '.iCIMS_EducationEntry, [id*="Education_Entry"]'
+    },
+    excludePatterns: ['hidden', 'captcha', 'password', 'login'],
+    dynamicContent: false
+  },
+  
+  taleo: {
+    name: 'Taleo',
+    domains: ['taleo.net'],
+    priority: 9,
+    specificSelectors: {
+      firstName: ['input[id$="FirstName"]'],
+      lastName: ['input[id$="LastName"]'],
+      email: ['input[id$="EmailAddress"]'],
+      phone: ['input[id$="HomePhone"]', 'input[id$="MobilePhone"]', 'input[id$="CellularPhone"]'],
+      addressLine1: ['input[id$="_Address"]'],
+      addressLine2: ['input[id$="_Address2"]'],
+      city: ['input[id$="City"]'],
+      postalCode: ['input[id$="ZipCode"]']
+    },
+    experienceCards: {
+      container: '[id*="experienceblock"], [id*="cs_experience"]',
+      card: '.editablesection, [id*="experienceblock_"]'
+    },
+    educationCards: {
+      container: '[id*="educationblock"], [id*="cs_education"]',
+      card: '.editablesection, [id*="educationblock_"]'
+    },
+    excludePatterns: ['hidden', 'captcha', 'password', 'j_id_jsp'],
+    dynamicContent: true
+  }
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check a CSS selector for syntax errors
+ * @param {string} selector - CSS selector
+ * @returns {boolean} Whether the selector parses
+ */
+function isValidPortalSelector(selector) {
+  if (typeof selector !== 'string' || !selector.trim()) return false;
+  if (typeof document === 'undefined') return true;
+  
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate a portal ID (used as the registry key)
+ * @param {string} id - Portal ID
+ * @returns {string[]} Validation errors, empty when valid
+ */
+function validatePortalId(id) {
+  return PORTAL_ID_PATTERN.test(id || '')
+    ? []
+    : ['ID must start with a lowercase letter or digit and contain only a-z, 0-9, "-" and "_"'];
+}
+
+/**
+ * Validate a portal config against the registry schema
+ * @param {Object} config - Portal config
+ * @returns {string[]} Validation errors, empty when valid
+ */
+function validatePortalConfig(config) {
+  const errors = [];
+  
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['Portal config must be a JSON object'];
+  }
+  
+  if (typeof config.name !== 'string' || !config.name.trim()) {
+    errors.push('name must be a non-empty string');
+  }
+  
+  if (!Array.isArray(config.domains) || config.domains.length === 0) {
+    errors.push('domains must be a non-empty array');
+  } else {
+    config.domains
+      .filter(domain => typeof domain !== 'string' || !PORTAL_DOMAIN_PATTERN.test(domain.toLowerCase()))
+      .forEach(domain => errors.push(`Invalid domain pattern: ${JSON.stringify(domain)}`));
+  }
+  
+  if (config.priority !== undefined && !Number.isFinite(config.priority)) {
+    errors.push('priority must be a number');
+  }
+  
+  const selectors = config.specificSelectors;
+  if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+    errors.push('specificSelectors must be an object of category -> selector list');
+  } else {
+    Object.entries(selectors).forEach(([category, list]) => {
+      if (!Array.isArray(list)) {
+        errors.push(`specificSelectors.${category} must be an array`);
+        return;
+      }
+      list.filter(selector => !isValidPortalSelector(selector))
+        .forEach(selector => errors.push(`Invalid selector for ${category}: ${JSON.stringify(selector)}`));
+    });
+  }
+  
+  if (config.excludePatterns !== undefined &&
+      (!Array.isArray(config.excludePatterns) || config.excludePatterns.some(pattern => typeof pattern !== 'string'))) {
+    errors.push('excludePatterns must be an array of strings');
+  }
+  
+  PORTAL_CARD_KEYS.forEach(key => {
+    const cards = config[key];
+    if (cards === undefined || cards === null) return;
+    if (typeof cards !== 'object' || Array.isArray(cards)) {
+      errors.push(`${key} must be null or { container, card }`);
+      return;
+    }
+    ['container', 'card'].forEach(part => {
+      if (!isValidPortalSelector(cards[part])) {
+        errors.push(`Invalid selector for ${key}.${part}: ${JSON.stringify(cards[part])}`);
+      }
+    });
+  });
+  
+  if (config.dynamicContent !== undefined && typeof config.dynamicContent !== 'boolean') {
+    errors.push('dynamicContent must be true or false');
+  }
+  
+  const confirmation = config.submissionConfirmation;
+  if (confirmation !== undefined && confirmation !== null) {
+    if (typeof confirmation !== 'object' || Array.isArray(confirmation)) {
+      errors.push('submissionConfirmation must be null or { urlPatterns, textPatterns }');
+    } else {
+      CONFIRMATION_PATTERN_KEYS.forEach(key => {
+        const patterns = confirmation[key];
+        if (patterns !== undefined && (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string' || !pattern.trim()))) {
+          errors.push(`submissionConfirmation.${key} must be an array of non-empty strings`);
+        }
+      });
+    }
+  }
+  
+  const jobSelectors = config.jobPostingSelectors;
+  if (jobSelectors !== undefined && jobSelectors !== null) {
+    if (typeof jobSelectors !== 'object' || Array.isArray(jobSelectors)) {
+      errors.push('jobPostingSelectors must be null or an object of job field -> selector list');
+    } else {
+      Object.entries(jobSelectors).forEach(([field, list]) => {
+        if (!JOB_POSTING_SELECTOR_KEYS.includes(field)) {
+          errors.push(`Unknown jobPostingSelectors field: ${field} (use ${JOB_POSTING_SELECTOR_KEYS.join(', ')})`);
+        } else if (!Array.isArray(list)) {
+          errors.push(`jobPostingSelectors.${field} must be an array`);
+        } else {
+          list.filter(selector => !isValidPortalSelector(selector))
+            .forEach(selector => errors.push(`Invalid selector for jobPostingSelectors.${field}: ${JSON.stringify(selector)}`));
+        }
+      });
+    }
+  }
+  
+  return errors;
+}
+
+// ============================================================================
+// REGISTRY RESOLUTION
+// ============================================================================
+
+/**
+ * Upgrade a stored registry to the current version
+ * Version 0 (unversioned) configs used a single `domain` string instead of `domains`.
+ * @param {Object|null} stored - Stored registry ({ version, portals })
+ * @returns {Object} Registry in the current shape
+ */
+function migratePortalRegistry(stored) {
+  const portals = { ...(stored?.portals || {}) };
+  
+  if (!stored?.version) {
+    Object.entries(portals).forEach(([id, entry]) => {
+      const config = entry?.config;
+      if (config && typeof config.domain === 'string' && !config.domains) {
+        const { domain, ...rest } = config;
+        portals[id] = { ...entry, config: { ...rest, domains: [domain] } };
+      }
+    });
+  } else if (stored.version > PORTAL_REGISTRY_VERSION) {
+    console.warn(`Portal registry version ${stored.version} is newer than supported (${PORTAL_REGISTRY_VERSION})`);
+  }
+  
+  return { version: PORTAL_REGISTRY_VERSION, portals: portals };
+}
+
+/**
+ * Merge built-in portal configs with stored user entries
+ * Stored entries are { config?, enabled?, updatedAt }: a config overrides or adds a portal,
+ * enabled toggles it without copying the built-in selectors.
+ * @param {Object|null} stored - Stored registry ({ version, portals })
+ * @returns {Object} { version, portals: { [id]: config + { id, enabled, source, overridden } } }
+ */
+function resolvePortalRegistry(stored) {
+  const registry = migratePortalRegistry(stored);
+  const portals = {};
+  
+  Object.entries(DEFAULT_PORTAL_CONFIGS).forEach(([id, config]) => {
+    const entry = registry.portals[id] || {};
+    portals[id] = {
+      ...(entry.config || config),
+      id: id,
+      enabled: entry.enabled !== false,
+      source: 'builtin',
+      overridden: !!entry.config
+    };
+  });
+  
+  Object.entries(registry.portals)
+    .filter(([id, entry]) => !DEFAULT_PORTAL_CONFIGS[id] && entry?.config)
+    .forEach(([id, entry]) => {
+      portals[id] = {
+        ...entry.config,
+        id: id,
+        enabled: entry.enabled !== false,
+        source: 'custom',
+        overridden: false
+      };
+    });
+  
+  return { version: registry.version, portals: portals };
+}
+
+/**
+ * Strip registry bookkeeping from a resolved entry
+ * @param {Object} portal - Resolved registry entry
+ * @returns {Object} Plain portal config
+ */
+function toPortalConfig(portal) {
+  const { id, enabled, source, overridden, ...config } = portal;
+  return config;
+}
+
+/**
+ * Whether a hostname matches one of a portal's domain patterns
+ * @param {string} hostname - Page hostname
+ * @param {string[]} domains - Domain patterns from the portal config
+ * @returns {boolean} True on match
+ */
+function matchesPortalDomain(hostname, domains = []) {
+  const host = (hostname || '').toLowerCase();
+  
+  return domains.some(pattern => {
+    const domain = pattern.toLowerCase();
+    if (domain.startsWith('*.')) {
+      return host.endsWith(domain.slice(1));
+    }
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Whether a page is an "application submitted" confirmation
+ * URL patterns come from the portal config; text is checked against the portal's
+ * phrases plus GENERIC_CONFIRMATION_PHRASES, so unknown sites are covered too.
+ * @param {Object|null} config - Portal config, null for unknown sites
+ * @param {string} url - Page URL
+ * @param {string} [pageText] - Visible page text; only URL patterns are checked when omitted
+ * @returns {boolean} True when the page confirms a submission
+ */
+function matchesSubmissionConfirmation(config, url, pageText = '') {
+  const confirmation = config?.submissionConfirmation || {};
+  const pageUrl = (url || '').toLowerCase();
+  
+  if ((confirmation.urlPatterns || []).some(pattern => pageUrl.includes(pattern.toLowerCase()))) {
+    return true;
+  }
+  if (!pageText) return false;
+  
+  const text = pageText.toLowerCase().replace(/\s+/g, ' ');
+  return [...GENERIC_CONFIRMATION_PHRASES, ...(confirmation.textPatterns || [])]
+    .some(phrase => text.includes(phrase.toLowerCase()));
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+const portalRegistryApi = {
+  PORTAL_REGISTRY_VERSION,
+  DEFAULT_PORTAL_CONFIGS,
+  validatePortalId,
+  validatePortalConfig,
+  migratePortalRegistry,
+  resolvePortalRegistry,
+  toPortalConfig,
+  matchesPortalDomain,
+  matchesSubmissionConfirmation
+};
+
+if (typeof window !== 'undefined' && !window.portalRegistry) {
+  window.portalRegistry = portalRegistryApi;
+} else if (typeof window === 'undefined' && typeof self !== 'undefined' && !self.portalRegistry) {
+  // Service worker (loaded with importScripts)
+  self.portalRegistry = portalRegistryApi;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = portalRegistryApi;
+}
@@ -0,0 +1,390 @@
+/**
+ * Rule Packs for Auto-Fill Extension
+ * Portable JSON bundles of portal rules and field mappings, so selectors tuned for one
+ * ATS can be handed to a colleague. The options page builds packs for export and, on
+ * import, validates them and previews a diff before anything is written to storage.
+ *
+ * Rule pack shape:
+ * {
+ *   format: 'autofill-rule-pack',
+ *   schemaVersion: 1,
+ *   metadata: { name, author, version, description, createdAt, domains },
+ *   portals: { [id]: portalConfig },                       // See utils/portalRegistry.js
+ *   fieldMappings: { [hostname]: manualRule[] },           // Click-to-map rules
+ *   learnedMappings: { [hostname]: { portal, entries } }   // Learned fingerprints
+ * }
+ */
+
+const RULE_PACK_FORMAT = 'autofill-rule-pack';
+const RULE_PACK_VERSION = 1;
+
+// Conflict resolutions offered in the import preview, first one is the default
+const RULE_PACK_RESOLUTIONS = {
+  portal: ['replace', 'keep'],
+  fieldMappings: ['replace', 'keep'],
+  learnedMappings: ['replace', 'keep']
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Build a rule pack from the current registry and mappings
+ * @param {Object} options - Pack contents
+ * @param {Object} options.metadata - { name, author, version, description }
+ * @param {Object} options.registry - Resolved portal registry (StorageManager.getPortalRegistry)
+ * @param {Object} [options.fieldMappings] - Manual mappings by hostname; omit to leave out
+ * @param {Object} [options.learningData] - Learning store ({ sites }); omit to leave out
+ * @param {boolean} [options.includeBuiltins=false] - Also export unmodified built-in portals
+ * @returns {Object} Rule pack
+ */
+function buildRulePack({ metadata, registry, fieldMappings = null, learningData = null, includeBuiltins = false }) {
+  const portals = Object.fromEntries(
+    Object.values(registry.portals)
+      .filter(portal => includeBuiltins || portal.source === 'custom' || portal.overridden)
+      .map(portal => [portal.id, window.portalRegistry.toPortalConfig(portal)])
+  );
+
+  const learnedMappings = Object.fromEntries(
+    Object.entries(learningData?.sites || {}).map(([hostname, site]) =>
+      [hostname, { portal: site.portal, entries: site.entries }])
+  );
+
+  const domains = new Set([
+    ...Object.values(portals).flatMap(config => config.domains),
+    ...Object.keys(fieldMappings || {}),
+    ...Object.keys(learnedMappings)
+  ]);
+
+  return {
+    format: RULE_PACK_FORMAT,
+    schemaVersion: RULE_PACK_VERSION,
+    metadata: {
+      name: metadata.name,
+      author: metadata.author || '',
+      version: metadata.version || '1.0.0',
+      description: metadata.description || '',
+      createdAt: new Date().toISOString(),
+      domains: Array.from(domains).sort()
+    },
+    portals: portals,
+    fieldMappings: fieldMappings || {},
+    learnedMappings: learnedMappings
+  };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a parsed rule pack against the schema
+ * @param {Object} pack - Parsed rule pack
+ * @returns {string[]} Validation errors, empty when valid
+ */
+function validateRulePack(pack) {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return ['Rule pack must be a JSON object'];
+  }
+  if (pack.format !== RULE_PACK_FORMAT) {
+    return [`Not a rule pack (expected format "${RULE_PACK_FORMAT}")`];
+  }
+  if (!Number.isInteger(pack.schemaVersion) || pack.schemaVersion > RULE_PACK_VERSION) {
+    return [`Unsupported rule pack schema version: ${pack.schemaVersion}`];
+  }
+
+  const errors = [];
+  const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+  const metadata = pack.metadata;
+  if (!isPlainObject(metadata)) {
+    errors.push('metadata must be an object');
+  } else {
+    if (typeof metadata.name !== 'string' || !metadata.name.trim()) {
+      errors.push('metadata.name must be a non-empty string');
+    }
+    ['author', 'version', 'description'].forEach(key => {
+      if (metadata[key] !== undefined && typeof metadata[key] !== 'string') {
+        errors.push(`metadata.${key} must be a string`);
+      }
+    });
+    if (metadata.domains !== undefined &&
+        (!Array.isArray(metadata.domains) || metadata.domains.some(domain => typeof domain !== 'string'))) {
+      errors.push('metadata.domains must be an array of strings');
+    }
+  }
+
+  const sectionErrors = ['portals', 'fieldMappings', 'learnedMappings']
+    .filter(key => pack[key] !== undefined && !isPlainObject(pack[key]))
+    .map(key => `${key} must be an object`);
+  if (sectionErrors.length > 0) return [...errors, ...sectionErrors];
+
+  Object.entries(pack.portals || {}).forEach(([id, config]) => {
+    [...window.portalRegistry.validatePortalId(id), ...window.portalRegistry.validatePortalConfig(config)]
+      .forEach(error => errors.push(`portals.${id}: ${error}`));
+  });
+
+  Object.entries(pack.fieldMappings || {}).forEach(([hostname, rules]) => {
+    if (!Array.isArray(rules)) {
+      errors.push(`fieldMappings.${hostname} must be an array of rules`);
+      return;
+    }
+    rules.forEach((rule, index) => {
+      if (!isPlainObject(rule) || typeof rule.selector !== 'string' || typeof rule.category !== 'string') {
+        errors.push(`fieldMappings.${hostname}[${index}] needs a selector and a category`);
+      } else if (rule.category === 'custom' && typeof rule.customValue !== 'string') {
+        errors.push(`fieldMappings.${hostname}[${index}] is a custom rule without a customValue`);
+      }
+    });
+  });
+
+  Object.entries(pack.learnedMappings || {}).forEach(([hostname, site]) => {
+    if (!isPlainObject(site) || !isPlainObject(site.entries)) {
+      errors.push(`learnedMappings.${hostname} must be { portal, entries }`);
+      return;
+    }
+    Object.entries(site.entries).forEach(([fingerprint, entry]) => {
+      if (!isPlainObject(entry) || typeof entry.fieldType !== 'string' ||
+          !Number.isFinite(entry.confidence) || entry.confidence < 0 || entry.confidence > 1) {
+        errors.push(`learnedMappings.${hostname}: entry "${fingerprint}" needs a fieldType and a 0-1 confidence`);
+      }
+    });
+  });
+
+  const isEmpty = ['portals', 'fieldMappings', 'learnedMappings']
+    .every(key => Object.keys(pack[key] || {}).length === 0);
+  if (isEmpty) {
+    errors.push('Rule pack contains no portals or mappings');
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// DIFF PREVIEW
+// ============================================================================
+
+/**
+ * Stable JSON serialization (sorted object keys) for comparing configs
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Describe which parts of a portal config differ
+ * @param {Object} current - Existing config
+ * @param {Object} incoming - Config from the pack
+ * @returns {string[]} Changed keys (specificSelectors broken down by category)
+ */
+function diffPortalConfig(current, incoming) {
+  const changed = [];
+  const keys = new Set([...Object.keys(current), ...Object.keys(incoming)]);
+
+  keys.forEach(key => {
+    if (stableStringify(current[key]) === stableStringify(incoming[key])) return;
+
+    if (key === 'specificSelectors') {
+      const categories = new Set([...Object.keys(current[key] || {}), ...Object.keys(incoming[key] || {})]);
+      categories.forEach(category => {
+        if (stableStringify(current[key]?.[category]) !== stableStringify(incoming[key]?.[category])) {
+          changed.push(`${key}.${category}`);
+        }
+      });
+    } else {
+      changed.push(key);
+    }
+  });
+
+  return changed;
+}
+
+/**
+ * Compare a rule pack with the current registry and mappings
+ * Each change is new (nothing to overwrite), update (additions only), unchanged,
+ * or conflict (existing values would be overwritten; needs a resolution).
+ * @param {Object} pack - Validated rule pack
+ * @param {Object} current - { registry, fieldMappings, learningData } from StorageManager
+ * @returns {Array<Object>} Changes ({ key, kind, target, label, status, details, resolutions })
+ */
+function diffRulePack(pack, { registry, fieldMappings, learningData }) {
+  const changes = [];
+
+  Object.entries(pack.portals || {}).forEach(([id, config]) => {
+    const existing = registry.portals[id];
+    const change = { key: `portal:${id}`, kind: 'portal', target: id, label: config.name, resolutions: [] };
+
+    if (!existing) {
+      changes.push({ ...change, status: 'new', details: config.domains.join(', ') });
+      return;
+    }
+
+    const changed = diffPortalConfig(window.portalRegistry.toPortalConfig(existing), config);
+    changes.push(changed.length === 0
+      ? { ...change, status: 'unchanged', details: 'Same rules as installed' }
+      : {
+        ...change,
+        status: 'conflict',
+        details: `${existing.source === 'builtin' ? 'Overrides built-in' : 'Differs from installed'}: ${changed.join(', ')}`,
+        resolutions: RULE_PACK_RESOLUTIONS.portal
+      });
+  });
+
+  Object.entries(pack.fieldMappings || {}).forEach(([hostname, rules]) => {
+    const existing = fieldMappings[hostname] || [];
+    const added = rules.filter(rule => !existing.some(current => current.selector === rule.selector));
+    const changed = rules.filter(rule => existing.some(current =>
+      current.selector === rule.selector && !isSameManualRule(current, rule)));
+
+    changes.push(createSiteChange('fieldMappings', hostname, existing.length, added.length, changed.map(rule => {
+      const current = existing.find(existingRule => existingRule.selector === rule.selector);
+      return `${rule.selector}: ${current.category} → ${rule.category}`;
+    }), 'rule'));
+  });
+
+  Object.entries(pack.learnedMappings || {}).forEach(([hostname, site]) => {
+    const existing = learningData.sites[hostname]?.entries || {};
+    const incoming = Object.entries(site.entries);
+    const added = incoming.filter(([fingerprint]) => !existing[fingerprint]);
+    const changed = incoming.filter(([fingerprint, entry]) =>
+      existing[fingerprint] && existing[fingerprint].fieldType !== entry.fieldType);
+
+    changes.push(createSiteChange('learnedMappings', hostname, Object.keys(existing).length, added.length,
+      changed.map(([fingerprint, entry]) => `${fingerprint}: ${existing[fingerprint].fieldType} → ${entry.fieldType}`),
+      'learned field'));
+  });
+
+  return changes;
+}
+
+/**
+ * Whether two manual rules for the same selector fill the same value
+ * @param {Object} a - Manual mapping rule
+ * @param {Object} b - Manual mapping rule
+ * @returns {boolean} True when category, card index and custom value match
+ */
+function isSameManualRule(a, b) {
+  return a.category === b.category &&
+    (a.cardIndex ?? null) === (b.cardIndex ?? null) &&
+    (a.customValue ?? null) === (b.customValue ?? null);
+}
+
+/**
+ * Build the change entry for one site's mappings
+ * @param {string} kind - fieldMappings or learnedMappings
+ * @param {string} hostname - Site namespace
+ * @param {number} existingCount - Mappings already stored for the site
+ * @param {number} addedCount - Incoming mappings not stored yet
+ * @param {string[]} conflicts - Descriptions of mappings that would change
+ * @param {string} noun - Singular name of a mapping for the summary
+ * @returns {Object} Change entry
+ */
+function createSiteChange(kind, hostname, existingCount, addedCount, conflicts, noun) {
+  const plural = count => `${count} ${noun}${count === 1 ? '' : 's'}`;
+  const change = { key: `${kind}:${hostname}`, kind: kind, target: hostname, label: hostname, resolutions: [] };
+
+  if (existingCount === 0) {
+    return { ...change, status: 'new', details: `${plural(addedCount)} added` };
+  }
+  if (conflicts.length > 0) {
+    return {
+      ...change,
+      status: 'conflict',
+      details: `${addedCount > 0 ? `${plural(addedCount)} added; ` : ''}${conflicts.join('; ')}`,
+      resolutions: RULE_PACK_RESOLUTIONS[kind]
+    };
+  }
+  return addedCount > 0
+    ? { ...change, status: 'update', details: `${plural(addedCount)} added` }
+    : { ...change, status: 'unchanged', details: 'Already installed' };
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Write a previewed rule pack to storage
+ * Conflicts resolved with "keep" leave existing values untouched but still add new mappings.
+ * @param {Object} pack - Validated rule pack
+ * @param {Array<Object>} changes - Changes from diffRulePack
+ * @param {Object} resolutions - { [change.key]: 'replace' | 'keep' } for conflicts
+ * @param {StorageManager} storage - Storage manager used for writes
+ * @returns {Object} Counts of applied changes ({ portals, fieldMappings, learnedMappings })
+ */
+async function applyRulePack(pack, changes, resolutions, storage) {
+  const applied = { portals: 0, fieldMappings: 0, learnedMappings: 0 };
+  const now = Date.now();
+
+  for (const change of changes) {
+    if (change.status === 'unchanged') continue;
+    const keepExisting = change.status === 'conflict' && (resolutions[change.key] || change.resolutions[0]) === 'keep';
+
+    if (change.kind === 'portal') {
+      if (keepExisting) continue;
+      await storage.savePortalConfig(change.target, pack.portals[change.target]);
+      applied.portals++;
+    } else if (change.kind === 'fieldMappings') {
+      const existing = await storage.getFieldMappings(change.target);
+      for (const rule of pack.fieldMappings[change.target]) {
+        const current = existing.find(existingRule => existingRule.selector === rule.selector);
+        if (current && (keepExisting || isSameManualRule(current, rule))) continue;
+        await storage.saveFieldMapping(change.target, {
+          ...rule,
+          id: `map_${now}_${Math.random().toString(36).substr(2, 9)}`,
+          createdAt: now
+        });
+        applied.fieldMappings++;
+      }
+    } else if (change.kind === 'learnedMappings') {
+      const learningData = await storage.getLearningData();
+      const site = learningData.sites[change.target] || { portal: pack.learnedMappings[change.target].portal, entries: {} };
+      const entries = { ...site.entries };
+
+      Object.entries(pack.learnedMappings[change.target].entries).forEach(([fingerprint, entry]) => {
+        const current = entries[fingerprint];
+        if (current?.fieldType === entry.fieldType && current.confidence >= entry.confidence) return;
+        if (current && current.fieldType !== entry.fieldType && keepExisting) return;
+        // Imported knowledge starts fresh so decay does not drop it straight away
+        entries[fingerprint] = { ...entry, timestamp: now };
+        applied.learnedMappings++;
+      });
+
+      await storage.saveLearningSite(change.target, { portal: site.portal, entries: entries });
+    }
+  }
+
+  return applied;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+const rulePackApi = {
+  RULE_PACK_FORMAT,
+  RULE_PACK_VERSION,
+  buildRulePack,
+  validateRulePack,
+  diffRulePack,
+  applyRulePack
+};
+
+if (typeof window !== 'undefined' && !window.rulePack) {
+  window.rulePack = rulePackApi;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = rulePackApi;
+}
@@ -0,0 +1,225 @@
+/**
+ * Salary Converter for Auto-Fill Extension
+ * Parses salary text, normalizes profile salaries and converts between currencies and
+ * pay periods with an offline exchange-rate table. Shared by the options page (profile
+ * and rate editing), jobPosting.js (salary ranges on job pages) and masterInjection
+ * (fill-time conversion). User rate edits are stored by StorageManager in the extension settings.
+ *
+ * Structured salary (profile.professional.currentSalary / expectedSalary):
+ * {
+ *   amount: number,          // Full amount, 1800000 rather than "18 LPA"
+ *   currency: string | null, // ISO 4217 code from SALARY_CURRENCY_CODES
+ *   period: string | null    // One of SALARY_PERIODS, YEAR when missing
+ * }
+ * Older profiles hold free text ("₹15,00,000", "$85k") which normalizeSalary still reads.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const SALARY_PERIODS = ['HOUR', 'DAY', 'WEEK', 'MONTH', 'YEAR'];
+const SALARY_DEFAULT_PERIOD = 'YEAR';
+
+// Full-time working units per year, used to move between pay periods
+const SALARY_PERIODS_PER_YEAR = { HOUR: 2080, DAY: 260, WEEK: 52, MONTH: 12, YEAR: 1 };
+
+// Currency symbols and codes recognised in salary text
+const SALARY_CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY' };
+const SALARY_CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'CAD', 'AUD', 'CHF', 'SGD', 'NZD'];
+
+// Units of each currency per 1 USD. Approximate and offline on purpose: the user
+// corrects them on the options page, nothing is fetched.
+const DEFAULT_EXCHANGE_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  INR: 83,
+  JPY: 150,
+  CAD: 1.36,
+  AUD: 1.52,
+  CHF: 0.88,
+  SGD: 1.34,
+  NZD: 1.65
+};
+
+// Pay period words, checked in order ("per hour" before "hours per week")
+const SALARY_PERIOD_PATTERNS = [
+  ['HOUR', /\b(hour|hourly|hr)\b/i],
+  ['DAY', /\b(day|daily)\b/i],
+  ['WEEK', /\b(week|weekly|wk)\b/i],
+  ['MONTH', /\b(month|monthly|mo)\b|\bp\.m\./i],
+  ['YEAR', /\b(year|yearly|annual|annually|annum|yr|lpa|ctc)\b|\bp\.a\./i]
+];
+
+// Multipliers written after an amount ("90k", "18 LPA", "1.2 crore")
+const SALARY_SCALE_WORDS = {
+  k: 1e3, thousand: 1e3,
+  m: 1e6, mn: 1e6, million: 1e6,
+  l: 1e5, lpa: 1e5, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5,
+  cr: 1e7, crore: 1e7, crores: 1e7
+};
+
+// Indian units imply rupees when no other currency is named
+const INR_SCALE_PATTERN = /\b(lpa|lakhs?|lacs?|crores?)\b|\d\s*(l|cr)\b/i;
+
+// An amount with thousands separators (incl. Indian 12,00,000), decimals or a scale word: 120,000 / 52.50 / 90k / 18 LPA
+const SALARY_AMOUNT_PATTERN = /(\d{1,3}(?:,\d{2})+,\d{3}|\d{1,3}(?:[,\s]\d{3})+|\d+(?:\.\d+)?)\s*(thousand|million|mn|lpa|lakhs?|lacs?|crores?|cr|[kml])?\b/gi;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Currency named in a text by code, symbol or Indian unit
+ * @param {string} text - Salary text, field label or option text
+ * @returns {string|null} ISO 4217 code
+ */
+function findSalaryCurrency(text) {
+  const value = String(text || '');
+  const code = SALARY_CURRENCY_CODES.find(currency => new RegExp(`\\b${currency}\\b`, 'i').test(value));
+  if (code) return code;
+
+  const symbol = Object.keys(SALARY_CURRENCY_SYMBOLS).find(sign => value.includes(sign));
+  if (symbol) return SALARY_CURRENCY_SYMBOLS[symbol];
+
+  return /\brs\.?(?=\s|\d|$)/i.test(value) || INR_SCALE_PATTERN.test(value) ? 'INR' : null;
+}
+
+/**
+ * Pay period named in a text
+ * @param {string} text - Salary text or field label
+ * @returns {string|null} One of SALARY_PERIODS
+ */
+function findSalaryPeriod(text) {
+  const period = SALARY_PERIOD_PATTERNS.find(([, pattern]) => pattern.test(String(text || '')));
+  return period ? period[0] : null;
+}
+
+/**
+ * Parse a salary string such as "$120,000 - $150,000 a year", "£45k–£55k per annum" or "18 LPA"
+ * @param {string} text - Salary text
+ * @returns {Object|null} { min, max, currency, period, text } or null when no amount is found
+ */
+function parseSalaryText(text) {
+  const salaryText = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!salaryText) return null;
+
+  const amounts = Array.from(salaryText.matchAll(SALARY_AMOUNT_PATTERN))
+    .map(([, number, scale]) => parseFloat(number.replace(/[,\s]/g, '')) * (SALARY_SCALE_WORDS[(scale || '').toLowerCase()] || 1))
+    .filter(value => value > 0);
+  if (amounts.length === 0) return null;
+
+  return {
+    min: Math.min(...amounts.slice(0, 2)),
+    max: Math.max(...amounts.slice(0, 2)),
+    currency: findSalaryCurrency(salaryText),
+    period: findSalaryPeriod(salaryText),
+    text: salaryText
+  };
+}
+
+/**
+ * Read a profile salary in either the structured or the older free-text form
+ * @param {Object|string|number} value - Stored salary
+ * @returns {Object|null} { amount, currency, period } or null when there is no amount
+ */
+function normalizeSalary(value) {
+  if (value && typeof value === 'object') {
+    const amount = parseFloat(value.amount);
+    if (!Number.isFinite(amount) || amount <= 0) return null;
+
+    const currency = String(value.currency || '').toUpperCase();
+    const period = String(value.period || '').toUpperCase();
+    return {
+      amount: amount,
+      currency: SALARY_CURRENCY_CODES.includes(currency) ? currency : null,
+      period: SALARY_PERIODS.includes(period) ? period : null
+    };
+  }
+
+  const parsed = parseSalaryText(typeof value === 'number' ? String(value) : value);
+  return parsed ? { amount: parsed.min, currency: parsed.currency, period: parsed.period } : null;
+}
+
+// ============================================================================
+// CONVERSION
+// ============================================================================
+
+/**
+ * Exchange rates with the user's edits applied over the defaults
+ * @param {Object|null} stored - { [code]: units per USD } from the extension settings
+ * @returns {Object} Complete rate table
+ */
+function resolveExchangeRates(stored) {
+  const rates = { ...DEFAULT_EXCHANGE_RATES };
+  Object.entries(stored || {}).forEach(([code, rate]) => {
+    if (code !== 'USD' && SALARY_CURRENCY_CODES.includes(code) && Number.isFinite(rate) && rate > 0) {
+      rates[code] = rate;
+    }
+  });
+  return rates;
+}
+
+/**
+ * Convert a salary to another currency and pay period
+ * Missing target parts keep the salary's own; a salary without a period is taken as yearly.
+ * @param {Object} salary - { amount, currency, period } (see normalizeSalary)
+ * @param {Object} target - { currency, period }, either may be null
+ * @param {Object} rates - Rate table from resolveExchangeRates
+ * @returns {Object|null} { amount, currency, period }, null when a rate is missing
+ */
+function convertSalary(salary, target = {}, rates = DEFAULT_EXCHANGE_RATES) {
+  const fromCurrency = salary.currency;
+  const toCurrency = target.currency || fromCurrency;
+  const fromPeriod = salary.period || SALARY_DEFAULT_PERIOD;
+  const toPeriod = target.period || fromPeriod;
+
+  let amount = salary.amount;
+  if (fromCurrency && toCurrency && fromCurrency !== toCurrency) {
+    if (!rates[fromCurrency] || !rates[toCurrency]) return null;
+    amount = amount / rates[fromCurrency] * rates[toCurrency];
+  }
+  amount = amount * SALARY_PERIODS_PER_YEAR[fromPeriod] / SALARY_PERIODS_PER_YEAR[toPeriod];
+
+  return { amount: amount, currency: toCurrency || null, period: toPeriod };
+}
+
+/**
+ * Write an amount in a field's unit: 1800000 with scale 100000 is "18"
+ * @param {number} amount - Full amount
+ * @param {number} [scale=1] - Unit the field counts in (1000 for "in thousands", 100000 for LPA)
+ * @returns {string} Number without grouping, whole unless the scale needs decimals
+ */
+function formatSalaryAmount(amount, scale = 1) {
+  const scaled = amount / scale;
+  return scale > 1
+    ? String(Math.round(scaled * 100) / 100)
+    : String(Math.round(scaled));
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+const salaryConverterApi = {
+  SALARY_PERIODS,
+  SALARY_CURRENCY_CODES,
+  DEFAULT_EXCHANGE_RATES,
+  SALARY_SCALE_WORDS,
+  findSalaryCurrency,
+  findSalaryPeriod,
+  parseSalaryText,
+  normalizeSalary,
+  resolveExchangeRates,
+  convertSalary,
+  formatSalaryAmount
+};
+
+if (typeof window !== 'undefined' && !window.salaryConverter) {
+  window.salaryConverter = salaryConverterApi;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = salaryConverterApi;
+}
@@ -8,8 +8,25 @@ const STORAGE_KEYS = {
   USER_PROFILE: 'userProfile',
   EXTENSION_SETTINGS: 'extensionSettings',
   LAST_DETECTION: 'lastDetection',
-  PORTAL_CONFIGS: 'portalConfigs',
-  FIELD_MAPPINGS: 'fieldMappings'
+  PORTAL_CONFIGS: 'portalConfigs', // User portal registry entries (see utils/portalRegistry.js)
+  FIELD_MAPPINGS: 'fieldMappings',
+  LEARNING_DATA: 'learningData',
+  APPLICATION_HISTORY: 'applicationHistory'
+};
+
+// Learned field fingerprints: per-site namespaces with time-based decay
+const LEARNING_CONFIG = {
+  version: 1,
+  halfLifeMs: 30 * 24 * 60 * 60 * 1000, // Confidence halves every 30 days without a hit
+  maxAgeMs: 180 * 24 * 60 * 60 * 1000,  // Entries unseen for 180 days are dropped
+  minConfidence: 0.3,                    // Decayed entries below this are dropped
+  maxEntriesPerSite: 500
+};
+
+// Submitted applications recorded by the service worker (see handleRecordApplication)
+const APPLICATION_HISTORY_CONFIG = {
+  maxEntries: 500,                     // Oldest records are dropped beyond this
+  duplicateWindowMs: 10 * 60 * 1000    // Re-submitting the same page within 10 minutes updates the existing record
 };
 
 // Encryption configuration
@@ -309,6 +326,488 @@ class StorageManager {
     }
   }
 
+  /**
+   * Detection config API, loaded on the window in pages and content scripts
+   * @returns {Object} utils/detectionConfig.js exports
+   */
+  getDetectionConfigApi() {
+    const api = typeof self !== 'undefined' ? self.detectionConfig : null;
+    if (!api) {
+      throw new Error('Detection config not loaded (utils/detectionConfig.js)');
+    }
+    return api;
+  }
+
+  /**
+   * Resolve the scoring values used by the detector from stored settings
+   * @param {Object|null} settings - Extension settings
+   * @returns {Object} Sensitivity, thresholds and per-method weights (see utils/detectionConfig.js)
+   */
+  resolveDetectionSettings(settings) {
+    return this.getDetectionConfigApi().resolveDetectionSettings(settings);
+  }
+
+  /**
+   * Retrieve resolved detection scoring settings
+   * @returns {Object} See resolveDetectionSettings
+   */
+  async getDetectionSettings() {
+    return this.resolveDetectionSettings(await this.getExtensionSettings());
+  }
+
+  /**
+   * Save sensitivity preset and advanced overrides into extension settings
+   * @param {Object} detectionSettings - Settings to save
+   * @param {string} detectionSettings.sensitivity - low, medium or high
+   * @param {Object} detectionSettings.advanced - { enabled, confidenceThreshold, fillThreshold, methodWeights }
+   */
+  async saveDetectionSettings({ sensitivity, advanced }) {
+    if (!this.getDetectionConfigApi().DETECTION_CONFIG.presets[sensitivity]) {
+      throw new Error(`Unknown detection sensitivity: ${sensitivity}`);
+    }
+    
+    const settings = (await this.getExtensionSettings()) || {};
+    await this.setExtensionSettings({
+      ...settings,
+      detectionSensitivity: sensitivity,
+      detectionAdvanced: advanced || { enabled: false }
+    });
+  }
+
+  /**
+   * Salary converter API, loaded on the window in pages and content scripts
+   * @returns {Object} utils/salaryConverter.js exports
+   */
+  getSalaryConverterApi() {
+    const scope = typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : null);
+    const api = scope ? scope.salaryConverter : null;
+    if (!api) {
+      throw new Error('Salary converter not loaded (utils/salaryConverter.js)');
+    }
+    return api;
+  }
+
+  /**
+   * Retrieve the exchange-rate table: defaults with the user's edits applied
+   * @returns {Object} { [currency]: units per USD }
+   */
+  async getExchangeRates() {
+    const settings = await this.getExtensionSettings();
+    return this.getSalaryConverterApi().resolveExchangeRates(settings?.exchangeRates || null);
+  }
+
+  /**
+   * Save exchange-rate edits into extension settings
+   * @param {Object|null} rates - { [currency]: units per USD }, null restores the defaults
+   */
+  async saveExchangeRates(rates) {
+    const settings = (await this.getExtensionSettings()) || {};
+    await this.setExtensionSettings({
+      ...settings,
+      exchangeRates: rates ? this.getSalaryConverterApi().resolveExchangeRates(rates) : null
+    });
+  }
+
+  /**
+   * Confidence of a learned entry after decay since it was last seen
+   * @param {Object} entry - Learned entry with confidence and timestamp
+   * @param {number} now - Reference time in milliseconds
+   * @returns {number} Decayed confidence (0-1)
+   */
+  getDecayedLearningConfidence(entry, now = Date.now()) {
+    const age = Math.max(0, now - (entry.timestamp || 0));
+    return (entry.confidence || 0) * Math.pow(0.5, age / LEARNING_CONFIG.halfLifeMs);
+  }
+
+  /**
+   * Drop stale entries and enforce the per-site size limit
+   * @param {Object} learningData - Learning store ({ version, sites })
+   * @returns {Object} Pruned learning store
+   */
+  pruneLearningData(learningData) {
+    const now = Date.now();
+    const sites = {};
+
+    for (const [hostname, site] of Object.entries(learningData?.sites || {})) {
+      const entries = Object.entries(site.entries || {})
+        .filter(([, entry]) =>
+          now - (entry.timestamp || 0) <= LEARNING_CONFIG.maxAgeMs &&
+          this.getDecayedLearningConfidence(entry, now) >= LEARNING_CONFIG.minConfidence
+        )
+        .sort(([, a], [, b]) => (b.timestamp || 0) - (a.timestamp || 0))
+        .slice(0, LEARNING_CONFIG.maxEntriesPerSite);
+
+      if (entries.length > 0) {
+        sites[hostname] = { ...site, entries: Object.fromEntries(entries) };
+      }
+    }
+
+    return { version: LEARNING_CONFIG.version, sites };
+  }
+
+  /**
+   * Retrieve learned field fingerprints, with stale entries removed
+   * @returns {Object} Learning store ({ version, sites: { [hostname]: { portal, updatedAt, entries } } })
+   */
+  async getLearningData() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.LEARNING_DATA);
+      return this.pruneLearningData(result[STORAGE_KEYS.LEARNING_DATA]);
+    } catch (error) {
+      console.error('Failed to retrieve learning data:', error);
+      return { version: LEARNING_CONFIG.version, sites: {} };
+    }
+  }
+
+  /**
+   * Store learned fingerprints for a single site, leaving other sites untouched
+   * @param {string} hostname - Site namespace
+   * @param {Object} siteData - Site data ({ portal, entries })
+   */
+  async saveLearningSite(hostname, siteData) {
+    try {
+      const learningData = await this.getLearningData();
+      learningData.sites[hostname] = {
+        portal: siteData.portal || 'unknown',
+        updatedAt: Date.now(),
+        entries: siteData.entries || {}
+      };
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.LEARNING_DATA]: this.pruneLearningData(learningData)
+      });
+    } catch (error) {
+      console.error('Failed to save learning data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a single learned mapping
+   * @param {string} hostname - Site namespace
+   * @param {string} fingerprint - Field fingerprint
+   */
+  async deleteLearnedMapping(hostname, fingerprint) {
+    try {
+      const learningData = await this.getLearningData();
+      const site = learningData.sites[hostname];
+      if (!site || !site.entries[fingerprint]) return;
+
+      delete site.entries[fingerprint];
+      if (Object.keys(site.entries).length === 0) {
+        delete learningData.sites[hostname];
+      }
+      await chrome.storage.local.set({ [STORAGE_KEYS.LEARNING_DATA]: learningData });
+    } catch (error) {
+      console.error('Failed to delete learned mapping:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete learned mappings for one site, or for every site when no hostname is given
+   * @param {string} [hostname] - Site namespace
+   */
+  async clearLearningData(hostname = null) {
+    try {
+      if (!hostname) {
+        await chrome.storage.local.remove(STORAGE_KEYS.LEARNING_DATA);
+        return;
+      }
+      const learningData = await this.getLearningData();
+      delete learningData.sites[hostname];
+      await chrome.storage.local.set({ [STORAGE_KEYS.LEARNING_DATA]: learningData });
+    } catch (error) {
+      console.error('Failed to clear learning data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve manual field mappings created with the on-page picker
+   * @param {string} [hostname] - Site namespace; omit to get every site
+   * @returns {Object|Array} Rules for the site, or { [hostname]: rules } for all sites
+   */
+  async getFieldMappings(hostname = null) {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.FIELD_MAPPINGS);
+      const mappings = result[STORAGE_KEYS.FIELD_MAPPINGS] || {};
+      // Pages without a hostname (file://, about:blank) still ask for their own, empty, list
+      return hostname !== null ? (mappings[hostname] || []) : mappings;
+    } catch (error) {
+      console.error('Failed to retrieve field mappings:', error);
+      return hostname !== null ? [] : {};
+    }
+  }
+
+  /**
+   * Add or replace a manual field mapping for a site
+   * A rule targeting the same selector replaces the previous one.
+   * @param {string} hostname - Site namespace
+   * @param {Object} rule - Mapping rule ({ id, selector, fingerprint, category, ... })
+   */
+  async saveFieldMapping(hostname, rule) {
+    try {
+      const mappings = await this.getFieldMappings();
+      const siteRules = (mappings[hostname] || []).filter(existing =>
+        existing.id !== rule.id && existing.selector !== rule.selector
+      );
+      mappings[hostname] = [...siteRules, rule];
+      await chrome.storage.local.set({ [STORAGE_KEYS.FIELD_MAPPINGS]: mappings });
+    } catch (error) {
+      console.error('Failed to save field mapping:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a manual field mapping
+   * @param {string} hostname - Site namespace
+   * @param {string} ruleId - Mapping rule ID
+   */
+  async deleteFieldMapping(hostname, ruleId) {
+    try {
+      const mappings = await this.getFieldMappings();
+      mappings[hostname] = (mappings[hostname] || []).filter(rule => rule.id !== ruleId);
+      if (mappings[hostname].length === 0) {
+        delete mappings[hostname];
+      }
+      await chrome.storage.local.set({ [STORAGE_KEYS.FIELD_MAPPINGS]: mappings });
+    } catch (error) {
+      console.error('Failed to delete field mapping:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve the application history, newest first (decrypted if stored encrypted)
+   * Records hold the profile values that were submitted, so they are encrypted like the profile.
+   * @returns {Array} Application records
+   */
+  async getApplicationHistory() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.APPLICATION_HISTORY);
+      const storedData = result[STORAGE_KEYS.APPLICATION_HISTORY];
+      
+      if (!storedData) return [];
+      if (Array.isArray(storedData)) return storedData;
+      
+      if (storedData.encrypted && storedData.iv) {
+        try {
+          return JSON.parse(await this.decryptData(storedData));
+        } catch (decryptError) {
+          console.error('Failed to decrypt application history:', decryptError);
+          return [];
+        }
+      }
+      
+      console.warn('Unknown application history format:', storedData);
+      return [];
+    } catch (error) {
+      console.error('Failed to retrieve application history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store the full application history (encrypt if possible), capped at maxEntries
+   * @param {Array} history - Application records, newest first
+   */
+  async saveApplicationHistory(history) {
+    const records = history
+      .sort((a, b) => (b.submittedAt || 0) - (a.submittedAt || 0))
+      .slice(0, APPLICATION_HISTORY_CONFIG.maxEntries);
+    
+    try {
+      if (this.encryptionKey) {
+        try {
+          const encryptedData = await this.encryptData(JSON.stringify(records));
+          await chrome.storage.local.set({ [STORAGE_KEYS.APPLICATION_HISTORY]: encryptedData });
+          return;
+        } catch (encryptionError) {
+          console.warn('Encryption failed, storing application history as plain text:', encryptionError);
+        }
+      }
+      
+      await chrome.storage.local.set({ [STORAGE_KEYS.APPLICATION_HISTORY]: records });
+    } catch (error) {
+      console.error('Failed to save application history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a submitted application
+   * A second submission of the same URL within duplicateWindowMs (multi-step forms,
+   * double clicks) updates the earlier record instead of adding another one.
+   * @param {Object} record - { url, hostname, portal, jobTitle, company, submittedAt, fields, ... }
+   * @returns {Object} The stored record, with its id
+   */
+  async addApplicationRecord(record) {
+    const history = await this.getApplicationHistory();
+    const submittedAt = record.submittedAt || Date.now();
+    const existing = history.find(entry =>
+      entry.url === record.url &&
+      Math.abs(submittedAt - (entry.submittedAt || 0)) < APPLICATION_HISTORY_CONFIG.duplicateWindowMs
+    );
+    
+    let stored;
+    if (existing) {
+      stored = Object.assign(existing, {
+        ...record,
+        id: existing.id,
+        submittedAt: existing.submittedAt,
+        status: existing.status === 'confirmed' ? 'confirmed' : (record.status || existing.status),
+        jobTitle: record.jobTitle || existing.jobTitle,
+        company: record.company || existing.company,
+        fields: record.fields?.length ? record.fields : existing.fields
+      });
+    } else {
+      stored = {
+        status: 'submitted',
+        ...record,
+        id: `app_${submittedAt}_${Math.random().toString(36).slice(2, 8)}`,
+        submittedAt: submittedAt
+      };
+      history.push(stored);
+    }
+    
+    await this.saveApplicationHistory(history);
+    return stored;
+  }
+
+  /**
+   * Update fields of one application record (e.g. status after a confirmation page)
+   * @param {string} id - Record ID
+   * @param {Object} changes - Properties to overwrite
+   * @returns {Object|null} Updated record, or null when the record no longer exists
+   */
+  async updateApplicationRecord(id, changes) {
+    const history = await this.getApplicationHistory();
+    const record = history.find(entry => entry.id === id);
+    if (!record) return null;
+    
+    Object.assign(record, changes, { id: id });
+    await this.saveApplicationHistory(history);
+    return record;
+  }
+
+  /**
+   * Delete one application record
+   * @param {string} id - Record ID
+   */
+  async deleteApplicationRecord(id) {
+    const history = await this.getApplicationHistory();
+    await this.saveApplicationHistory(history.filter(entry => entry.id !== id));
+  }
+
+  /**
+   * Delete the whole application history
+   */
+  async clearApplicationHistory() {
+    try {
+      await chrome.storage.local.remove(STORAGE_KEYS.APPLICATION_HISTORY);
+    } catch (error) {
+      console.error('Failed to clear application history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registry helpers from utils/portalRegistry.js (loaded before this file)
+   * @returns {Object} window.portalRegistry (self.portalRegistry in the service worker)
+   */
+  getPortalRegistryApi() {
+    const scope = typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : null);
+    const api = scope ? scope.portalRegistry : null;
+    if (!api) {
+      throw new Error('Portal registry not loaded (utils/portalRegistry.js)');
+    }
+    return api;
+  }
+
+  /**
+   * Retrieve stored portal overrides and custom portals
+   * @returns {Object} Stored registry ({ version, portals: { [id]: { config?, enabled?, updatedAt } } })
+   */
+  async getStoredPortalRegistry() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.PORTAL_CONFIGS);
+      return this.getPortalRegistryApi().migratePortalRegistry(result[STORAGE_KEYS.PORTAL_CONFIGS] || null);
+    } catch (error) {
+      console.error('Failed to retrieve portal registry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve the portal registry: built-in configs merged with user entries
+   * @returns {Object} { version, portals: { [id]: config + { id, enabled, source, overridden } } }
+   */
+  async getPortalRegistry() {
+    return this.getPortalRegistryApi().resolvePortalRegistry(await this.getStoredPortalRegistry());
+  }
+
+  /**
+   * Add a custom portal or override a built-in one
+   * @param {string} id - Portal ID (registry key)
+   * @param {Object} config - Portal config (see utils/portalRegistry.js for the schema)
+   */
+  async savePortalConfig(id, config) {
+    const api = this.getPortalRegistryApi();
+    const errors = [...api.validatePortalId(id), ...api.validatePortalConfig(config)];
+    if (errors.length > 0) {
+      throw new TypeError(`Invalid portal config: ${errors.join('; ')}`);
+    }
+    
+    try {
+      const registry = await this.getStoredPortalRegistry();
+      registry.portals[id] = {
+        ...registry.portals[id],
+        config: config,
+        updatedAt: Date.now()
+      };
+      await chrome.storage.local.set({ [STORAGE_KEYS.PORTAL_CONFIGS]: registry });
+    } catch (error) {
+      console.error('Failed to save portal config:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enable or disable a portal without changing its config
+   * @param {string} id - Portal ID
+   * @param {boolean} enabled - Whether detection should use the portal
+   */
+  async setPortalEnabled(id, enabled) {
+    try {
+      const registry = await this.getStoredPortalRegistry();
+      registry.portals[id] = {
+        ...registry.portals[id],
+        enabled: !!enabled,
+        updatedAt: Date.now()
+      };
+      await chrome.storage.local.set({ [STORAGE_KEYS.PORTAL_CONFIGS]: registry });
+    } catch (error) {
+      console.error('Failed to update portal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a custom portal, or restore a built-in portal to its shipped defaults
+   * @param {string} id - Portal ID
+   */
+  async deletePortalConfig(id) {
+    try {
+      const registry = await this.getStoredPortalRegistry();
+      delete registry.portals[id];
+      await chrome.storage.local.set({ [STORAGE_KEYS.PORTAL_CONFIGS]: registry });
+    } catch (error) {
+      console.error('Failed to delete portal config:', error);
+      throw error;
+    }
+  }
+
   /**
    * Clear all stored data
    */
@@ -351,5 +850,5 @@ if (typeof window !== 'undefined' && !window.storageManager) {
 
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { StorageManager, storageManager: window?.storageManager, STORAGE_KEYS };
+  module.exports = { StorageManager, storageManager: window?.storageManager, STORAGE_KEYS, LEARNING_CONFIG, APPLICATION_HISTORY_CONFIG };
 }
\ No newline at end of file